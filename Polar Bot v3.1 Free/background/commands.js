@@ -0,0 +1,200 @@
+// background/commands.js - Keyboard shortcuts (imported by background.js)
+//
+// The manifest's "commands" do what the popup does without opening it: arm or disarm a site,
+// switch its profile, flip auto-submit, pause or abort the checkout in the current tab and add
+// the product page's TCIN to the price check list. Settings are written the way the popup writes
+// them and pushed to open tabs the way the scheduler does, so a running page picks them up at
+// once. Every shortcut ends with a notification saying what it did (or why it could not).
+// Chrome only gives four shortcuts a default key; the rest are set in chrome://extensions/shortcuts.
+
+import { addRunLogEntry } from "./run-log.js";
+import { isMonitorTab } from "./restock-monitor.js";
+
+// One id, so a quick run of shortcuts replaces the notification instead of stacking them
+const NOTIFICATION_ID = "polar-command";
+
+/**
+ * Confirm a shortcut with a desktop notification
+ * @param {string} title
+ * @param {string} message
+ * @returns {Promise<void>}
+ */
+async function confirmCommand(title, message) {
+  try {
+    await chrome.notifications.create(NOTIFICATION_ID, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+      title,
+      message,
+      priority: 1
+    });
+  } catch (error) {
+    console.warn("[Commands] Could not show notification:", error.message);
+  }
+}
+
+/**
+ * The site a shortcut applies to: the current tab's, else the first registered one (Target)
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Object} Site adapter
+ */
+function getCommandSite(tab) {
+  const adapter = tab && tab.url ? globalThis.autocheckoutSites.findSiteAdapterForUrl(tab.url) : null;
+  return adapter || globalThis.autocheckoutSites.getSiteAdapters()[0];
+}
+
+/**
+ * Send a message to the open tabs of some sites; tabs without a content script are skipped
+ * @param {Object[]} adapters
+ * @param {string} action
+ * @param {Object} payload
+ * @returns {Promise<void>}
+ */
+async function notifyTabs(adapters, action, payload) {
+  const tabs = await chrome.tabs.query({ url: adapters.flatMap(adapter => adapter.hostPatterns) });
+  tabs.filter(tab => !isMonitorTab(tab.id)).forEach(tab => {
+    globalThis.autocheckoutMessages.sendTabMessage(tab.id, action, payload)
+      .catch(error => console.log("[Commands] Could not send " + action + " to tab " + tab.id + ": " + error.message));
+  });
+}
+
+/**
+ * Save site settings and tell the site's open tabs
+ * @param {Object} adapter
+ * @param {Object} changes
+ * @returns {Promise<Object>} The site's saved settings
+ */
+async function updateSiteSettings(adapter, changes) {
+  const data = await chrome.storage.local.get("siteSettings");
+  const siteSettings = data.siteSettings || {};
+  siteSettings[adapter.id] = {
+    ...(siteSettings[adapter.id] || {}),
+    ...globalThis.autocheckoutSites.normalizeSiteSettings(adapter.id, changes)
+  };
+  await chrome.storage.local.set({ siteSettings });
+  await notifyTabs([adapter], "updateSiteSetting", { site: adapter.id, siteSettings: changes });
+  return siteSettings[adapter.id];
+}
+
+/**
+ * Send a controlCheckout command to the tab's checkout
+ * @param {chrome.tabs.Tab} tab
+ * @param {string} command
+ * @returns {Promise<Object>} The content script's response
+ */
+async function controlTabCheckout(tab, command) {
+  if (!tab || !globalThis.autocheckoutSites.findSiteAdapterForUrl(tab.url || "")) {
+    throw new Error("There is no checkout in this tab.");
+  }
+  try {
+    return await globalThis.autocheckoutMessages.sendTabMessage(tab.id, "controlCheckout", { command });
+  } catch (error) {
+    throw new Error(error.code === "no-receiver" ? "There is no checkout in this tab." : error.message);
+  }
+}
+
+const commandHandlers = {
+  async "toggle-site"(tab) {
+    const adapter = getCommandSite(tab);
+    const data = await chrome.storage.local.get("siteSettings");
+    const enabled = !(data.siteSettings?.[adapter.id]?.enabled === true);
+    // Granting access needs the popup; a shortcut cannot show the permission prompt
+    if (enabled && !(await chrome.permissions.contains({ origins: adapter.hostPatterns }))) {
+      throw new Error("Open the popup to give access to " + adapter.name + " pages first.");
+    }
+    await updateSiteSettings(adapter, { enabled });
+    await addRunLogEntry({ level: "info", site: adapter.id, step: "command", message: (enabled ? "Armed" : "Disarmed") + " by keyboard shortcut" });
+    return { title: adapter.name + (enabled ? " armed" : " disarmed"), message: enabled ? "Checkout runs on " + adapter.name + " pages." : "Checkout stopped for " + adapter.name + "." };
+  },
+
+  async "cycle-profile"(tab) {
+    const adapter = getCommandSite(tab);
+    const key = Object.keys(adapter.settings).find(name => adapter.settings[name].type === "profile");
+    if (!key) {
+      throw new Error(adapter.name + " has no profile setting.");
+    }
+    const data = await chrome.storage.local.get(["siteSettings", "profiles", "selectedProfile"]);
+    const profiles = data.profiles || [];
+    if (profiles.length === 0) {
+      throw new Error("Add a profile in the options page first.");
+    }
+    // The popup shows the selected profile while the site has none of its own
+    const currentId = data.siteSettings?.[adapter.id]?.[key] || data.selectedProfile || "";
+    const next = profiles[(profiles.findIndex(profile => profile.id === currentId) + 1) % profiles.length];
+    await updateSiteSettings(adapter, { [key]: next.id });
+    return { title: adapter.name + " profile", message: "Checking out with " + (next.name || "Profile " + next.id) + "." };
+  },
+
+  async "toggle-auto-submit"() {
+    const data = await chrome.storage.local.get("globalSettings");
+    const autoSubmit = !(data.globalSettings?.autoSubmit !== false);
+    await chrome.storage.local.set({ globalSettings: { ...(data.globalSettings || {}), autoSubmit } });
+    await notifyTabs(globalThis.autocheckoutSites.getSiteAdapters(), "updateGlobalSetting", { globalSettings: { autoSubmit } });
+    await addRunLogEntry({ level: "info", step: "command", message: "Auto-submit turned " + (autoSubmit ? "on" : "off") + " by keyboard shortcut" });
+    return { title: "Auto-submit " + (autoSubmit ? "on" : "off"), message: autoSubmit ? "Orders are placed automatically." : "Checkout stops before placing the order." };
+  },
+
+  async "toggle-pause"(tab) {
+    const response = await controlTabCheckout(tab, "toggle-pause");
+    return { title: response.paused ? "Checkout paused" : "Checkout resumed", message: "Tab " + tab.id + " is at " + response.state + "." };
+  },
+
+  async "abort-checkout"(tab) {
+    // The content script logs the abort with its order attempt
+    const response = await controlTabCheckout(tab, "abort");
+    return { title: "Checkout aborted", message: "Tab " + tab.id + " stopped (now " + response.state + ")." };
+  },
+
+  async "add-price-check"(tab) {
+    const adapter = tab && tab.url ? globalThis.autocheckoutSites.findSiteAdapterForUrl(tab.url) : null;
+    if (!adapter || globalThis.autocheckoutSites.getSitePageType(adapter, tab.url) !== "product" || !adapter.selectorPack) {
+      throw new Error("Open a product page first.");
+    }
+    // Read by common/product-info.js, injected with the checkout scripts
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: selectorsName => (window.autocheckoutProductInfo && window[selectorsName]
+        ? window.autocheckoutProductInfo.readProductInfo(window[selectorsName].productPageSelectors)
+        : null),
+      args: [adapter.selectorPack.selectors]
+    });
+    const product = injection && injection.result;
+    if (!product || !product.tcin) {
+      throw new Error("Could not read the product on this page.");
+    }
+    const data = await chrome.storage.local.get("price_check_items");
+    const items = data.price_check_items || {};
+    const name = product.title || "TCIN " + product.tcin;
+    if (items[product.tcin] !== undefined) {
+      return { title: "Already on the price check list", message: name + " (max $" + Number(items[product.tcin]).toFixed(2) + ")." };
+    }
+    if (typeof product.price !== "number" || product.price <= 0) {
+      throw new Error("No price shown for " + name + "; add it in the popup.");
+    }
+    // The price shown now is the most it may cost; the popup can raise it
+    items[product.tcin] = product.price;
+    await chrome.storage.local.set({ price_check_items: items });
+    return { title: "Added to the price check list", message: name + " (max $" + product.price.toFixed(2) + ")." };
+  }
+};
+
+/**
+ * Handle chrome.commands.onCommand
+ * @param {string} command - Command name from the manifest
+ * @param {chrome.tabs.Tab} [tab] - The active tab
+ * @returns {Promise<void>}
+ */
+export async function handleCommand(command, tab) {
+  if (!Object.prototype.hasOwnProperty.call(commandHandlers, command)) {
+    console.warn("[Commands] Unknown command: " + command);
+    return;
+  }
+  try {
+    const result = await commandHandlers[command](tab);
+    console.log("[Commands] " + command + ": " + result.title);
+    await confirmCommand(result.title, result.message);
+  } catch (error) {
+    console.warn("[Commands] " + command + " failed:", error.message);
+    await confirmCommand("Shortcut failed", error.message);
+  }
+}
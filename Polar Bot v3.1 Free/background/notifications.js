@@ -0,0 +1,261 @@
+// background/notifications.js - Outcome notifications (imported by background.js)
+//
+// Content scripts report finished checkout attempts with notifyOutcome() from common/utils.js.
+// Each event is shown as a desktop notification and, when a webhook URL is set, posted as JSON
+// in the shape Discord webhooks accept ({ username, embeds: [...] }), so a Discord channel or any
+// local endpoint can receive it. Which events are reported is configured in the options page.
+
+import { addRunLogEntry } from "./run-log.js";
+import { isExtensionPage } from "./sender.js";
+
+const SETTINGS_STORAGE_KEY = "notificationSettings";
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_USERNAME = "Polar Assist Bot";
+const EVENTS = {
+  success: { title: "Order placed", color: 0x4caf50 },
+  "out-of-stock": { title: "Out of stock", color: 0xffb74d },
+  "price-check": { title: "Blocked by price check", color: 0xffb74d },
+  "payment-error": { title: "Payment error", color: 0xe35a5a },
+  stall: { title: "Checkout stalled", color: 0xe35a5a },
+  restock: { title: "Back in stock", color: 0x4caf50 },
+  test: { title: "Test notification", color: 0x272d5e }
+};
+const DEFAULT_SETTINGS = {
+  desktop: true,
+  webhookUrl: "",
+  events: {
+    success: true,
+    "out-of-stock": true,
+    "price-check": true,
+    "payment-error": true,
+    stall: true,
+    restock: true
+  }
+};
+
+// Actions a content script is allowed to send
+const CONTENT_SCRIPT_ACTIONS = ["notifyOutcome"];
+
+/**
+ * Stored settings with defaults for anything missing
+ * @returns {Promise<Object>}
+ */
+async function getNotificationSettings() {
+  const data = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+  const stored = data[SETTINGS_STORAGE_KEY] || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    events: { ...DEFAULT_SETTINGS.events, ...(stored.events || {}) }
+  };
+}
+
+/**
+ * Check settings from the options page
+ * @param {Object} settings
+ * @returns {Object} Normalized settings
+ */
+function normalizeSettings(settings) {
+  const webhookUrl = String(settings.webhookUrl || "").trim();
+  if (webhookUrl) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch (e) {
+      throw new Error("Webhook URL is not a valid URL.");
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      throw new Error("Webhook URL must start with http:// or https://.");
+    }
+  }
+  const events = {};
+  Object.keys(DEFAULT_SETTINGS.events).forEach(event => {
+    events[event] = settings.events ? settings.events[event] !== false : true;
+  });
+  return { desktop: settings.desktop !== false, webhookUrl, events };
+}
+
+/**
+ * One-line summary of an event, used for the desktop notification and the embed description
+ * @param {Object} details
+ * @returns {string}
+ */
+function describeOutcome(details) {
+  const product = details.title || (details.tcin ? "TCIN " + details.tcin : "Unknown product");
+  return details.reason ? product + " - " + details.reason : product;
+}
+
+/**
+ * Build the webhook body
+ * @param {string} event
+ * @param {Object} details
+ * @returns {Object} Discord-compatible webhook payload
+ */
+function buildWebhookPayload(event, details) {
+  const fields = [
+    ["Event", event],
+    ["Site", details.site],
+    ["TCIN", details.tcin],
+    ["Price", typeof details.price === "number" ? "$" + details.price.toFixed(2) : null],
+    ["Max price", typeof details.maxPrice === "number" ? "$" + details.maxPrice.toFixed(2) : null],
+    ["Quantity", details.quantity],
+    ["Profile", details.profileName],
+    ["Step", details.step]
+  ]
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([name, value]) => ({ name, value: String(value).slice(0, 1024), inline: true }));
+  return {
+    username: WEBHOOK_USERNAME,
+    embeds: [{
+      title: (details.dryRun ? "Dry run: " : "") + EVENTS[event].title,
+      description: describeOutcome(details).slice(0, 4096),
+      url: details.url && /^https?:/.test(details.url) ? details.url : undefined,
+      color: EVENTS[event].color,
+      fields,
+      footer: { text: "polar-assist " + event },
+      timestamp: new Date().toISOString()
+    }]
+  };
+}
+
+/**
+ * POST a payload to the webhook
+ * @param {string} url
+ * @param {Object} payload
+ * @returns {Promise<number>} HTTP status
+ */
+async function postWebhook(url, payload) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error("Webhook answered " + response.status);
+    }
+    return response.status;
+  } catch (error) {
+    throw new Error(error.name === "AbortError" ? "Webhook did not answer within " + WEBHOOK_TIMEOUT_MS / 1000 + "s" : error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Show and post one event
+ * @param {string} event - Key of EVENTS
+ * @param {Object} details - From notifyOutcome
+ * @param {Object} settings - Notification settings
+ * @returns {Promise<{desktop: boolean, webhookStatus: number|null}>}
+ */
+async function deliverOutcome(event, details, settings) {
+  const result = { desktop: false, webhookStatus: null };
+  if (settings.desktop) {
+    // A notification the OS refuses should not keep the webhook from being posted
+    try {
+      await chrome.notifications.create({
+        type: "basic",
+        iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+        title: (details.dryRun ? "Dry run: " : "") + EVENTS[event].title,
+        message: describeOutcome(details),
+        priority: event === "success" ? 2 : 1
+      });
+      result.desktop = true;
+    } catch (error) {
+      console.warn("[Notifications] Could not show desktop notification:", error.message);
+    }
+  }
+  if (settings.webhookUrl) {
+    result.webhookStatus = await postWebhook(settings.webhookUrl, buildWebhookPayload(event, details));
+  }
+  return result;
+}
+
+/**
+ * Show and post an event if it is switched on (also used by other background modules)
+ * @param {string} event - Key of EVENTS, other than 'test'
+ * @param {Object} details - Product and failure details
+ * @returns {Promise<{delivered: boolean, desktop?: boolean, webhookStatus?: number|null}>}
+ */
+export async function sendNotification(event, details) {
+  if (!EVENTS[event] || event === "test") {
+    throw new Error("Unknown notification event: " + event);
+  }
+  const settings = await getNotificationSettings();
+  if (!settings.events[event]) {
+    return { delivered: false };
+  }
+  try {
+    const result = await deliverOutcome(event, details, settings);
+    console.log("[Notifications] Sent " + event, result);
+    return { delivered: true, ...result };
+  } catch (error) {
+    await addRunLogEntry({ level: "warn", site: details.site, tcin: details.tcin, step: "notify", message: "Notification failed: " + error.message, data: { event } });
+    throw error;
+  }
+}
+
+const notificationHandlers = {
+  async notifyOutcome(message, sender) {
+    const details = message.details || {};
+    return sendNotification(message.event, { ...details, url: details.url || (sender.tab ? sender.tab.url : null) });
+  },
+
+  async getNotificationSettings() {
+    return { settings: await getNotificationSettings() };
+  },
+
+  async saveNotificationSettings(message) {
+    const settings = normalizeSettings(message.settings || {});
+    await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: settings });
+    return { settings };
+  },
+
+  // Uses the settings from the form, so they can be tried before saving
+  async sendTestNotification(message) {
+    const settings = normalizeSettings(message.settings || (await getNotificationSettings()));
+    return deliverOutcome("test", {
+      site: "target",
+      title: "Test from the options page",
+      reason: "Notifications are working",
+      tcin: "12345678",
+      price: 9.99,
+      quantity: 1
+    }, settings);
+  }
+};
+
+/**
+ * Whether a message action belongs to notifications
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isNotificationAction(action) {
+  return Object.prototype.hasOwnProperty.call(notificationHandlers, action);
+}
+
+/**
+ * Handle a notification message from the background onMessage listener
+ * @param {Object} message - Message with a notification action
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {Function} sendResponse
+ * @returns {boolean} - True if the response is sent asynchronously
+ */
+export function handleNotificationMessage(message, sender, sendResponse) {
+  if (!isExtensionPage(sender) && !CONTENT_SCRIPT_ACTIONS.includes(message.action)) {
+    console.warn("[Notifications] Rejected " + message.action + " from " + sender.url);
+    sendResponse({ success: false, error: "Not allowed from this context." });
+    return false;
+  }
+  notificationHandlers[message.action](message, sender).then(result => {
+    sendResponse({ success: true, ...result });
+  }).catch(error => {
+    console.error("[Notifications] " + message.action + " failed:", error.message);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+}
@@ -0,0 +1,150 @@
+// background/order-history.js - Order history writes (imported by background.js)
+//
+// Every checkout attempt gets a record in chrome.storage.local.orderHistory (see the order history
+// section of sites/target/content-script.js). Tabs and the options page read the history straight
+// from storage but change it only through here: a read-modify-write from two tabs at once would
+// otherwise drop one of the changes. The budget check (common/budget.js) runs here too, in the same
+// write that reserves the attempt's amount, so two tabs can't both spend the last of a cap.
+
+import { isExtensionPage } from "./sender.js";
+
+const ORDER_HISTORY_STORAGE_KEY = "orderHistory";
+const MAX_RECORDS = 1000; // Oldest attempts are dropped past this
+
+let writing = Promise.resolve();
+
+/**
+ * Change the order history one write at a time
+ * @param {Function} change - Called with the records (newest first); returns the new list to save,
+ *   or false to skip the write
+ * @returns {Promise<Array>} - The records after the change
+ */
+function updateOrderHistory(change) {
+  const update = writing.then(async () => {
+    const data = await chrome.storage.local.get(ORDER_HISTORY_STORAGE_KEY);
+    let orderHistory = data[ORDER_HISTORY_STORAGE_KEY] || [];
+    const changed = change(orderHistory);
+    if (changed !== false) {
+      orderHistory = changed.slice(0, MAX_RECORDS);
+      await chrome.storage.local.set({ [ORDER_HISTORY_STORAGE_KEY]: orderHistory });
+    }
+    return orderHistory;
+  });
+  writing = update.catch(error => {
+    console.error("[Order History] Could not save order history:", error);
+  });
+  return update;
+}
+
+const orderHistoryHandlers = {
+  async addOrderRecord(message) {
+    const now = Date.now();
+    const record = {
+      site: null,
+      tcin: null,
+      title: null,
+      price: null,
+      quantity: 1,
+      profileId: null,
+      profileName: null,
+      fulfillment: null,
+      ...(message.record || {}),
+      id: now.toString(36) + Math.random().toString(36).substr(2, 5),
+      outcome: "in-progress",
+      failedStep: null,
+      error: null,
+      orderTotal: null,
+      budgetReservedAt: null,
+      startedAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+    await updateOrderHistory(orderHistory => [record, ...orderHistory]);
+    return { record };
+  },
+
+  async updateOrderRecord(message) {
+    const changes = message.changes || {};
+    let record = null;
+    await updateOrderHistory(orderHistory => {
+      record = orderHistory.find(candidate => candidate.id === message.recordId) || null;
+      if (!record) {
+        return false;
+      }
+      Object.assign(record, changes, { updatedAt: Date.now() });
+      if (changes.outcome && changes.outcome !== "in-progress" && !record.finishedAt) {
+        record.finishedAt = record.updatedAt;
+      }
+      return orderHistory;
+    });
+    if (!record) {
+      console.warn("[Order History] Order record " + message.recordId + " not found for update");
+    }
+    return { record };
+  },
+
+  async reserveOrderBudget(message) {
+    const budget = globalThis.autocheckoutBudget;
+    const data = await chrome.storage.local.get("budgets");
+    const budgets = budget.withBudgetDefaults(data.budgets);
+    const attempt = message.attempt || {};
+    let result = null;
+    await updateOrderHistory(orderHistory => {
+      const now = Date.now();
+      const record = message.recordId ? orderHistory.find(candidate => candidate.id === message.recordId) : null;
+      if (!record) {
+        result = budget.evaluateBudget(budgets, orderHistory, attempt, now);
+        return false;
+      }
+      if (typeof attempt.orderTotal === "number") {
+        record.orderTotal = attempt.orderTotal;
+      }
+      result = budget.evaluateBudget(budgets, orderHistory, record, now);
+      if (result.allowed && budgets.enabled && message.reserve !== false) {
+        record.budgetReservedAt = now;
+      }
+      record.updatedAt = now;
+      return orderHistory;
+    });
+    return result;
+  },
+
+  async clearOrderHistory() {
+    await updateOrderHistory(() => []);
+    return {};
+  }
+};
+
+// Actions a content script is allowed to send
+const CONTENT_SCRIPT_ACTIONS = ["addOrderRecord", "updateOrderRecord", "reserveOrderBudget"];
+
+/**
+ * Whether a message action belongs to the order history
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isOrderHistoryAction(action) {
+  return Object.prototype.hasOwnProperty.call(orderHistoryHandlers, action);
+}
+
+/**
+ * Handle an order history message from the background onMessage listener
+ * @param {Object} message - Message with an order history action
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {Function} sendResponse
+ * @returns {boolean} - True if the response is sent asynchronously
+ */
+export function handleOrderHistoryMessage(message, sender, sendResponse) {
+  if (!isExtensionPage(sender) && !CONTENT_SCRIPT_ACTIONS.includes(message.action)) {
+    console.warn("[Order History] Rejected " + message.action + " from " + sender.url);
+    sendResponse({ success: false, error: "Not allowed from this context." });
+    return false;
+  }
+  orderHistoryHandlers[message.action](message, sender).then(result => {
+    sendResponse({ success: true, ...result });
+  }).catch(error => {
+    console.error("[Order History] " + message.action + " failed:", error.message);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+}
@@ -0,0 +1,322 @@
+// background/restock-monitor.js - Restock monitor (imported by background.js)
+//
+// Watches Target product pages for items going from out of stock to in stock. Each round opens
+// one inactive background tab, loads the product pages one after another, and reads their
+// availability with monitors/site-monitor.js (the checkout content script is never injected
+// into that tab, see isMonitorTab). Rounds run on a chrome.alarms alarm; the interval is set in
+// the popup but never shorter than MIN_INTERVAL_MINUTES, so the monitor stays polite to the site.
+// When an item flips to in stock it sends a "restock" notification and optionally opens the
+// product page in a normal tab, where the usual checkout takes over if Target is armed.
+
+import { addRunLogEntry } from "./run-log.js";
+import { sendNotification } from "./notifications.js";
+import { isExtensionPage } from "./sender.js";
+
+const SETTINGS_STORAGE_KEY = "restockMonitor";
+const RESULTS_STORAGE_KEY = "restockMonitorResults";
+const ALARM_NAME = "restock-monitor";
+const MIN_INTERVAL_MINUTES = 2;
+const MAX_INTERVAL_MINUTES = 60;
+const MAX_ITEMS_PER_ROUND = 20;
+const PAGE_LOAD_TIMEOUT_MS = 30000;
+const PAGE_SETTLE_TIMEOUT_MS = 15000;
+const DELAY_BETWEEN_ITEMS_MS = 3000;
+const MONITOR_SCRIPT_FILES = ["common/messages.js", "common/storage.js", "common/element-finder.js", "common/selector-packs.js", "sites/target/selectors.js", "monitors/site-monitor.js"];
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  intervalMinutes: 5,
+  watchList: [], // TCINs
+  includePriceCheckItems: true, // Also watch the TCINs in price_check_items
+  openOnRestock: true
+};
+
+let monitorTabId = null;
+let roundInProgress = null;
+
+/**
+ * @param {string} tcin
+ * @returns {string} Product page URL (Target redirects it to the full product URL)
+ */
+function productUrl(tcin) {
+  return "https://www.target.com/p/-/A-" + tcin;
+}
+
+/**
+ * Stored settings with defaults for anything missing
+ * @returns {Promise<Object>}
+ */
+async function getMonitorSettings() {
+  const data = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+  return { ...DEFAULT_SETTINGS, ...(data[SETTINGS_STORAGE_KEY] || {}) };
+}
+
+/**
+ * Check settings from the popup
+ * @param {Object} settings
+ * @returns {Object} Normalized settings
+ */
+function normalizeSettings(settings) {
+  const intervalMinutes = Math.round(Number(settings.intervalMinutes));
+  if (!Number.isFinite(intervalMinutes)) {
+    throw new Error("Interval must be a number of minutes.");
+  }
+  const watchList = [...new Set((settings.watchList || []).map(tcin => String(tcin).trim()).filter(Boolean))];
+  const badTcin = watchList.find(tcin => !/^\d{5,10}$/.test(tcin));
+  if (badTcin) {
+    throw new Error("Not a TCIN: " + badTcin);
+  }
+  return {
+    enabled: settings.enabled === true,
+    intervalMinutes: Math.min(MAX_INTERVAL_MINUTES, Math.max(MIN_INTERVAL_MINUTES, intervalMinutes)),
+    watchList,
+    includePriceCheckItems: settings.includePriceCheckItems !== false,
+    openOnRestock: settings.openOnRestock !== false
+  };
+}
+
+/**
+ * TCINs to check this round
+ * @param {Object} settings
+ * @returns {Promise<string[]>}
+ */
+async function getWatchedTcins(settings) {
+  let tcins = settings.watchList.slice();
+  if (settings.includePriceCheckItems) {
+    const data = await chrome.storage.local.get("price_check_items");
+    tcins = tcins.concat(Object.keys(data.price_check_items || {}));
+  }
+  return [...new Set(tcins)].slice(0, MAX_ITEMS_PER_ROUND);
+}
+
+/**
+ * Wait until a tab has finished loading
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+function waitForTabComplete(tabId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error("Page did not load within " + PAGE_LOAD_TIMEOUT_MS / 1000 + "s"));
+    }, PAGE_LOAD_TIMEOUT_MS);
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === "complete") {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Load a product page in the monitor tab and read its availability
+ * @param {string} tcin
+ * @returns {Promise<Object>} - See readAvailability in monitors/site-monitor.js
+ */
+async function checkProduct(tcin) {
+  const url = productUrl(tcin);
+  const loaded = waitForTabComplete(monitorTabId);
+  await chrome.tabs.update(monitorTabId, { url });
+  await loaded;
+  await chrome.scripting.executeScript({ target: { tabId: monitorTabId }, files: MONITOR_SCRIPT_FILES });
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: monitorTabId },
+    func: timeoutMs => window.autocheckoutSiteMonitor.readAvailability({ site: "target", timeoutMs }),
+    args: [PAGE_SETTLE_TIMEOUT_MS]
+  });
+  return injection.result;
+}
+
+/**
+ * Alert about an item that came back in stock
+ * @param {string} tcin
+ * @param {Object} item - Stored result
+ * @param {Object} settings
+ * @returns {Promise<void>}
+ */
+async function handleRestock(tcin, item, settings) {
+  console.log("[Restock Monitor] TCIN " + tcin + " is back in stock");
+  await addRunLogEntry({ level: "info", site: "target", tcin, step: "monitor", message: "Back in stock", data: { title: item.title, price: item.price } });
+  sendNotification("restock", { site: "target", tcin, title: item.title, price: item.price, url: item.url })
+    .catch(error => console.warn("[Restock Monitor] Notification failed:", error.message));
+  if (settings.openOnRestock) {
+    await chrome.tabs.create({ url: item.url || productUrl(tcin), active: true });
+  }
+}
+
+/**
+ * Check every watched item once
+ * @returns {Promise<Object>} Stored results
+ */
+async function runMonitorRound() {
+  const settings = await getMonitorSettings();
+  const tcins = await getWatchedTcins(settings);
+  const data = await chrome.storage.local.get(RESULTS_STORAGE_KEY);
+  const results = data[RESULTS_STORAGE_KEY] || { lastRunAt: null, items: {} };
+  if (tcins.length === 0) {
+    return results;
+  }
+  const restocked = [];
+  try {
+    const tab = await chrome.tabs.create({ url: "about:blank", active: false });
+    monitorTabId = tab.id;
+    for (let index = 0; index < tcins.length; index++) {
+      const tcin = tcins[index];
+      const previous = results.items[tcin] || {};
+      const now = Date.now();
+      let item;
+      try {
+        const availability = await checkProduct(tcin);
+        item = {
+          status: availability.status,
+          title: availability.title || previous.title || null,
+          price: availability.price ?? previous.price ?? null,
+          url: availability.url,
+          lastChecked: now,
+          lastChanged: availability.status !== previous.status ? now : previous.lastChanged || now,
+          error: null
+        };
+      } catch (error) {
+        if (error.message.includes("No tab with id")) {
+          throw new Error("Monitor tab was closed");
+        }
+        // Keep the last known status; a page that fails to load is not a stock change
+        item = { ...previous, status: previous.status || "unknown", lastChecked: now, error: error.message };
+      }
+      if (previous.status === "out-of-stock" && item.status === "in-stock") {
+        restocked.push(tcin);
+      }
+      results.items[tcin] = item;
+      if (index < tcins.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_ITEMS_MS));
+      }
+    }
+  } finally {
+    if (monitorTabId !== null) {
+      chrome.tabs.remove(monitorTabId).catch(() => {});
+      monitorTabId = null;
+    }
+    // Items no longer watched drop out of the results
+    Object.keys(results.items).forEach(tcin => {
+      if (!tcins.includes(tcin)) {
+        delete results.items[tcin];
+      }
+    });
+    results.lastRunAt = Date.now();
+    await chrome.storage.local.set({ [RESULTS_STORAGE_KEY]: results });
+  }
+  for (const tcin of restocked) {
+    await handleRestock(tcin, results.items[tcin], settings);
+  }
+  console.log("[Restock Monitor] Checked " + tcins.length + " items, " + restocked.length + " back in stock");
+  return results;
+}
+
+/**
+ * Start a round unless one is already running
+ * @returns {Promise<Object>} Stored results
+ */
+function startMonitorRound() {
+  if (!roundInProgress) {
+    roundInProgress = runMonitorRound().finally(() => {
+      roundInProgress = null;
+    });
+  }
+  return roundInProgress;
+}
+
+/**
+ * Create or clear the monitor alarm to match the settings
+ * @returns {Promise<void>}
+ */
+export async function syncRestockMonitorAlarm() {
+  const settings = await getMonitorSettings();
+  const alarm = await chrome.alarms.get(ALARM_NAME);
+  if (!settings.enabled) {
+    if (alarm) {
+      await chrome.alarms.clear(ALARM_NAME);
+    }
+    return;
+  }
+  if (!alarm || alarm.periodInMinutes !== settings.intervalMinutes) {
+    await chrome.alarms.create(ALARM_NAME, { delayInMinutes: settings.intervalMinutes, periodInMinutes: settings.intervalMinutes });
+  }
+}
+
+/**
+ * Whether a tab is the monitor's own background tab (no checkout scripts are injected there)
+ * @param {number} tabId
+ * @returns {boolean}
+ */
+export function isMonitorTab(tabId) {
+  return tabId === monitorTabId;
+}
+
+/**
+ * Handle chrome.alarms.onAlarm
+ * @param {chrome.alarms.Alarm} alarm
+ * @returns {boolean} - True if the alarm belonged to the restock monitor
+ */
+export function handleRestockMonitorAlarm(alarm) {
+  if (alarm.name !== ALARM_NAME) {
+    return false;
+  }
+  startMonitorRound().catch(error => console.error("[Restock Monitor] Round failed:", error.message));
+  return true;
+}
+
+const monitorHandlers = {
+  async getRestockMonitor() {
+    const data = await chrome.storage.local.get(RESULTS_STORAGE_KEY);
+    return {
+      settings: await getMonitorSettings(),
+      results: data[RESULTS_STORAGE_KEY] || { lastRunAt: null, items: {} },
+      running: !!roundInProgress,
+      minIntervalMinutes: MIN_INTERVAL_MINUTES
+    };
+  },
+
+  async saveRestockMonitorSettings(message) {
+    const settings = normalizeSettings({ ...(await getMonitorSettings()), ...(message.settings || {}) });
+    await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: settings });
+    await syncRestockMonitorAlarm();
+    return { settings };
+  },
+
+  async checkRestockNow() {
+    return { results: await startMonitorRound() };
+  }
+};
+
+/**
+ * Whether a message action belongs to the restock monitor
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isRestockMonitorAction(action) {
+  return Object.prototype.hasOwnProperty.call(monitorHandlers, action);
+}
+
+/**
+ * Handle a restock monitor message from the background onMessage listener
+ * @param {Object} message - Message with a restock monitor action
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {Function} sendResponse
+ * @returns {boolean} - True if the response is sent asynchronously
+ */
+export function handleRestockMonitorMessage(message, sender, sendResponse) {
+  if (!isExtensionPage(sender)) {
+    console.warn("[Restock Monitor] Rejected " + message.action + " from " + sender.url);
+    sendResponse({ success: false, error: "Not allowed from this context." });
+    return false;
+  }
+  monitorHandlers[message.action](message, sender).then(result => {
+    sendResponse({ success: true, ...result });
+  }).catch(error => {
+    console.error("[Restock Monitor] " + message.action + " failed:", error.message);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+}
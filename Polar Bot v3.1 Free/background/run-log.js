@@ -0,0 +1,160 @@
+// background/run-log.js - Persistent run log (imported by background.js)
+//
+// Content scripts send structured entries with runLog() from common/utils.js. Entries are
+// buffered here, stamped with the sending tab, and flushed into a ring buffer in
+// chrome.storage.local so they survive the tab being closed (close-tab-on-fail, auto-close
+// cart page). ui/logs/logs.html reads them back and exports them as JSON lines.
+
+import { isExtensionPage } from "./sender.js";
+
+const RUN_LOG_STORAGE_KEY = "runLog";
+const MAX_ENTRIES = 2000;
+const MAX_DATA_LENGTH = 4000; // Characters of JSON kept per entry
+const FLUSH_DELAY_MS = 500;
+const LEVELS = ["debug", "info", "warn", "error"];
+
+let pendingEntries = [];
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+/**
+ * Keep entry data small enough that one chatty tab can't fill the buffer on its own
+ * @param {*} data
+ * @returns {*}
+ */
+function limitData(data) {
+  if (data === undefined) {
+    return null;
+  }
+  const json = JSON.stringify(data);
+  if (json && json.length > MAX_DATA_LENGTH) {
+    return { truncated: true, preview: json.slice(0, MAX_DATA_LENGTH) };
+  }
+  return data;
+}
+
+/**
+ * Build a stored entry from what a content script or extension page sent
+ * @param {Object} entry - { level, message, data, site, step, tcin, url, at }
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {Object}
+ */
+function normalizeEntry(entry, sender) {
+  return {
+    at: typeof entry.at === "number" ? entry.at : Date.now(),
+    level: LEVELS.includes(entry.level) ? entry.level : "info",
+    tabId: sender.tab ? sender.tab.id : null,
+    site: entry.site || null,
+    step: entry.step || null,
+    tcin: entry.tcin || null,
+    url: entry.url || (sender.tab ? sender.tab.url : sender.url) || null,
+    message: String(entry.message || ""),
+    data: limitData(entry.data)
+  };
+}
+
+/**
+ * Move buffered entries into storage, dropping the oldest past MAX_ENTRIES
+ * @returns {Promise<void>}
+ */
+function flushRunLog() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  flushing = flushing.then(async () => {
+    if (pendingEntries.length === 0) {
+      return;
+    }
+    const entries = pendingEntries;
+    pendingEntries = [];
+    const data = await chrome.storage.local.get(RUN_LOG_STORAGE_KEY);
+    const runLog = (data[RUN_LOG_STORAGE_KEY] || []).concat(entries);
+    await chrome.storage.local.set({ [RUN_LOG_STORAGE_KEY]: runLog.slice(-MAX_ENTRIES) });
+  }).catch(error => {
+    console.error("[Run Log] Could not save log entries:", error);
+  });
+  return flushing;
+}
+
+/**
+ * Buffer an entry. Debug entries are only kept while debug mode is on.
+ * @param {Object} entry - See normalizeEntry
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {Promise<void>}
+ */
+async function appendRunLogEntry(entry, sender) {
+  if (entry.level === "debug") {
+    const data = await chrome.storage.local.get("debugMode");
+    if (data.debugMode === false) {
+      return;
+    }
+  }
+  pendingEntries.push(normalizeEntry(entry, sender));
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushRunLog, FLUSH_DELAY_MS);
+  }
+}
+
+/**
+ * Log an entry from the service worker itself (e.g. the scheduler)
+ * @param {Object} entry - See normalizeEntry
+ * @returns {Promise<void>}
+ */
+export function addRunLogEntry(entry) {
+  return appendRunLogEntry(entry, {});
+}
+
+const runLogHandlers = {
+  async runLog(message, sender) {
+    await appendRunLogEntry(message.entry || {}, sender);
+    return {};
+  },
+
+  async getRunLog() {
+    await flushRunLog();
+    const data = await chrome.storage.local.get(RUN_LOG_STORAGE_KEY);
+    return { entries: data[RUN_LOG_STORAGE_KEY] || [] };
+  },
+
+  async clearRunLog() {
+    pendingEntries = [];
+    await flushRunLog();
+    await chrome.storage.local.set({ [RUN_LOG_STORAGE_KEY]: [] });
+    return {};
+  }
+};
+
+// Actions a content script is allowed to send
+const CONTENT_SCRIPT_ACTIONS = ["runLog"];
+
+/**
+ * Whether a message action belongs to the run log
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isRunLogAction(action) {
+  return Object.prototype.hasOwnProperty.call(runLogHandlers, action);
+}
+
+/**
+ * Handle a run log message from the background onMessage listener
+ * @param {Object} message - Message with a run log action
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {Function} sendResponse
+ * @returns {boolean} - Always true (response is sent asynchronously)
+ */
+export function handleRunLogMessage(message, sender, sendResponse) {
+  if (!isExtensionPage(sender) && !CONTENT_SCRIPT_ACTIONS.includes(message.action)) {
+    console.warn("[Run Log] Rejected " + message.action + " from " + sender.url);
+    sendResponse({ success: false, error: "Not allowed from this context." });
+    return false;
+  }
+  runLogHandlers[message.action](message, sender).then(result => {
+    sendResponse({ success: true, ...result });
+  }).catch(error => {
+    console.error("[Run Log] " + message.action + " failed:", error.message);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+}
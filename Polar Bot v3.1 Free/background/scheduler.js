@@ -0,0 +1,358 @@
+// background/scheduler.js - Scheduled activation windows (imported by background.js)
+//
+// A schedule arms a site for a drop window: it turns the site toggle on with the schedule's
+// profile and quantity and sets auto-submit, then disarms when the window closes (site toggle
+// off, auto-submit off, profile and quantity put back). One chrome.alarms alarm is kept for the
+// next window boundary; whenever it fires - or the schedules change, or the browser starts -
+// the stored state is reconciled with whatever window is open right now, so a missed alarm
+// (browser closed during the window) still ends with the site disarmed.
+//
+// A schedule looks like:
+//   { id, name, enabled, site: "target", profileId: "" (keep current), quantity: null (keep current),
+//     autoSubmit: true, start: "09:55", end: "10:30", dates: ["2024-11-02"], weekdays: [5, 6] }
+// Times are local. A window whose end is earlier than its start runs past midnight.
+// Sites come from the site registry (sites/registry.js), which background.js loads first.
+
+import { addRunLogEntry } from "./run-log.js";
+import { isExtensionPage } from "./sender.js";
+
+const SCHEDULES_STORAGE_KEY = "activationSchedules";
+const ACTIVE_STORAGE_KEY = "activeSchedule";
+const ALARM_NAME = "activation-schedule";
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const RECURRING_LOOKAHEAD_DAYS = 8;
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {number} Minutes after midnight
+ */
+function parseTime(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {Date|null} Local midnight of that day, or null if it is not a real date
+ */
+function parseDate(date) {
+  const match = DATE_PATTERN.exec(date);
+  if (!match) {
+    return null;
+  }
+  const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return day.getDate() === Number(match[3]) ? day : null;
+}
+
+/**
+ * Check a schedule from the options page and fill in defaults
+ * @param {Object} schedule
+ * @returns {Object} Normalized schedule
+ */
+function normalizeSchedule(schedule) {
+  if (!schedule || typeof schedule !== "object") {
+    throw new Error("Schedule is missing.");
+  }
+  if (!globalThis.autocheckoutSites.getSiteAdapter(schedule.site)) {
+    throw new Error("Unknown site: " + schedule.site);
+  }
+  if (!TIME_PATTERN.test(schedule.start || "") || !TIME_PATTERN.test(schedule.end || "")) {
+    throw new Error("Start and end must be times like 09:55.");
+  }
+  if (schedule.start === schedule.end) {
+    throw new Error("Start and end must be different times.");
+  }
+  const dates = Array.isArray(schedule.dates) ? schedule.dates.map(date => String(date).trim()).filter(Boolean) : [];
+  const badDate = dates.find(date => !parseDate(date));
+  if (badDate) {
+    throw new Error("Not a valid date: " + badDate + " (use YYYY-MM-DD).");
+  }
+  const weekdays = Array.isArray(schedule.weekdays) ? schedule.weekdays.map(Number) : [];
+  if (weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new Error("Weekdays must be numbers from 0 (Sunday) to 6 (Saturday).");
+  }
+  if (dates.length === 0 && weekdays.length === 0) {
+    throw new Error("Pick at least one date or weekday.");
+  }
+  let quantity = null;
+  if (schedule.quantity !== null && schedule.quantity !== undefined && schedule.quantity !== "") {
+    quantity = Number(schedule.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error("Quantity must be a whole number of at least 1.");
+    }
+  }
+  return {
+    id: schedule.id || Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+    name: String(schedule.name || "").trim() || schedule.start + "-" + schedule.end,
+    enabled: schedule.enabled !== false,
+    site: schedule.site,
+    profileId: schedule.profileId || "",
+    quantity: quantity,
+    autoSubmit: schedule.autoSubmit !== false,
+    start: schedule.start,
+    end: schedule.end,
+    dates: [...new Set(dates)].sort(),
+    weekdays: [...new Set(weekdays)].sort()
+  };
+}
+
+/**
+ * Windows of a schedule that could be open now or start soon
+ * @param {Object} schedule - Normalized schedule
+ * @param {number} now - Timestamp
+ * @returns {Array<{start: number, end: number}>}
+ */
+function getScheduleWindows(schedule, now) {
+  const startMinutes = parseTime(schedule.start);
+  let endMinutes = parseTime(schedule.end);
+  if (endMinutes <= startMinutes) {
+    endMinutes += 24 * 60;
+  }
+  const days = schedule.dates.map(parseDate).filter(Boolean);
+  if (schedule.weekdays.length > 0) {
+    const today = new Date(now);
+    // Start from yesterday so a window running past midnight is still found
+    for (let offset = -1; offset <= RECURRING_LOOKAHEAD_DAYS; offset++) {
+      const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+      if (schedule.weekdays.includes(day.getDay())) {
+        days.push(day);
+      }
+    }
+  }
+  const atMinutes = (day, minutes) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes).getTime();
+  return days
+    .map(day => ({ start: atMinutes(day, startMinutes), end: atMinutes(day, endMinutes) }))
+    .filter(timeWindow => timeWindow.end > now);
+}
+
+/**
+ * Find the window open right now and the next time any window opens or closes
+ * @param {Object[]} schedules
+ * @param {number} now - Timestamp
+ * @returns {{current: {schedule: Object, start: number, end: number}|null, nextBoundary: number|null}}
+ */
+function findScheduleWindows(schedules, now) {
+  let current = null;
+  let nextBoundary = null;
+  schedules.filter(schedule => schedule.enabled).forEach(schedule => {
+    getScheduleWindows(schedule, now).forEach(timeWindow => {
+      if (timeWindow.start <= now) {
+        // Overlapping windows: the one that opened first wins until it closes
+        if (!current || timeWindow.start < current.start) {
+          current = { schedule, ...timeWindow };
+        }
+      }
+      [timeWindow.start, timeWindow.end].filter(time => time > now).forEach(time => {
+        if (nextBoundary === null || time < nextBoundary) {
+          nextBoundary = time;
+        }
+      });
+    });
+  });
+  return { current, nextBoundary };
+}
+
+/**
+ * Push changed settings to open tabs of a site
+ * @param {string} site
+ * @param {Object} siteSettings - Changed site settings
+ * @param {Object} globalSettings - Changed global settings
+ * @returns {Promise<void>}
+ */
+async function notifySiteTabs(site, siteSettings, globalSettings) {
+  const tabs = await chrome.tabs.query({ url: globalThis.autocheckoutSites.getSiteAdapter(site).hostPatterns });
+  tabs.forEach(tab => {
+    // Global settings first so an activation already sees the new auto-submit value
+    globalThis.autocheckoutMessages.sendTabMessage(tab.id, "updateGlobalSetting", { globalSettings }).catch(() => {});
+    globalThis.autocheckoutMessages.sendTabMessage(tab.id, "updateSiteSetting", { site, siteSettings })
+      .catch(error => console.warn("[Scheduler] Could not update tab " + tab.id + ": " + error.message));
+  });
+}
+
+/**
+ * Write site and global settings, tell open tabs, and log the change
+ * @param {string} site
+ * @param {Object} siteChanges
+ * @param {Object} globalChanges
+ * @param {string} message - Run log message
+ * @param {Object} details - Run log data
+ * @returns {Promise<void>}
+ */
+async function applyScheduledSettings(site, siteChanges, globalChanges, message, details) {
+  const data = await chrome.storage.local.get(["siteSettings", "globalSettings"]);
+  const siteSettings = data.siteSettings || {};
+  siteSettings[site] = { ...(siteSettings[site] || {}), ...siteChanges };
+  const globalSettings = { ...(data.globalSettings || {}), ...globalChanges };
+  await chrome.storage.local.set({ siteSettings, globalSettings });
+  await notifySiteTabs(site, siteChanges, globalChanges);
+  console.log("[Scheduler] " + message, details);
+  await addRunLogEntry({
+    level: "info",
+    site,
+    step: "schedule",
+    message,
+    data: { ...details, siteSettings: siteChanges, globalSettings: globalChanges }
+  });
+}
+
+/**
+ * Arm a site for a schedule's window
+ * @param {{schedule: Object, start: number, end: number}} current - Open window from findScheduleWindows
+ * @param {Object|null} previous - Settings to put back at the end (kept when one window hands over to the next)
+ * @returns {Promise<Object>} New active state
+ */
+async function armSchedule(current, previous) {
+  const { schedule } = current;
+  if (!previous) {
+    const data = await chrome.storage.local.get("siteSettings");
+    const siteSettings = data.siteSettings?.[schedule.site] || {};
+    previous = { profileId: siteSettings.profileId || "", quantity: siteSettings.quantity || 1 };
+  }
+  const siteChanges = { enabled: true };
+  if (schedule.profileId) {
+    siteChanges.profileId = schedule.profileId;
+  }
+  if (schedule.quantity) {
+    siteChanges.quantity = schedule.quantity;
+  }
+  const state = {
+    scheduleId: schedule.id,
+    name: schedule.name,
+    site: schedule.site,
+    start: current.start,
+    end: current.end,
+    previous
+  };
+  await chrome.storage.local.set({ [ACTIVE_STORAGE_KEY]: state });
+  await applyScheduledSettings(schedule.site, siteChanges, { autoSubmit: schedule.autoSubmit }, "Schedule armed: " + schedule.name, {
+    scheduleId: schedule.id,
+    until: new Date(current.end).toISOString()
+  });
+  return state;
+}
+
+/**
+ * Disarm the site a schedule armed
+ * @param {Object} state - Active state from armSchedule
+ * @param {string} reason - Why (window closed, schedule deleted, ...)
+ * @returns {Promise<void>}
+ */
+async function disarmSchedule(state, reason) {
+  await chrome.storage.local.remove(ACTIVE_STORAGE_KEY);
+  const siteChanges = { enabled: false, profileId: state.previous.profileId, quantity: state.previous.quantity };
+  await applyScheduledSettings(state.site, siteChanges, { autoSubmit: false }, "Schedule disarmed: " + state.name, {
+    scheduleId: state.scheduleId,
+    reason
+  });
+}
+
+// Alarm, startup and option page syncs run one after another
+let syncing = Promise.resolve(null);
+
+/**
+ * Bring the armed state in line with the schedules and set the alarm for the next boundary
+ * @returns {Promise<Object|null>} Active state after reconciling
+ */
+export function syncActivationSchedules() {
+  syncing = syncing.catch(() => null).then(async () => {
+    const data = await chrome.storage.local.get([SCHEDULES_STORAGE_KEY, ACTIVE_STORAGE_KEY]);
+    const schedules = data[SCHEDULES_STORAGE_KEY] || [];
+    let state = data[ACTIVE_STORAGE_KEY] || null;
+    const now = Date.now();
+    const { current, nextBoundary } = findScheduleWindows(schedules, now);
+    if (current && (!state || state.scheduleId !== current.schedule.id || state.end !== current.end)) {
+      state = await armSchedule(current, state ? state.previous : null);
+    } else if (!current && state) {
+      const reason = state.end <= now ? "Window closed" : "Schedule removed or turned off";
+      await disarmSchedule(state, reason);
+      state = null;
+    }
+    await chrome.alarms.clear(ALARM_NAME);
+    if (nextBoundary !== null) {
+      await chrome.alarms.create(ALARM_NAME, { when: nextBoundary });
+      console.log("[Scheduler] Next schedule change at " + new Date(nextBoundary).toLocaleString());
+    }
+    return state;
+  });
+  return syncing;
+}
+
+/**
+ * Handle chrome.alarms.onAlarm
+ * @param {chrome.alarms.Alarm} alarm
+ * @returns {boolean} - True if the alarm belonged to the scheduler
+ */
+export function handleSchedulerAlarm(alarm) {
+  if (alarm.name !== ALARM_NAME) {
+    return false;
+  }
+  syncActivationSchedules().catch(error => console.error("[Scheduler] Could not apply schedules:", error));
+  return true;
+}
+
+const schedulerHandlers = {
+  async getActivationSchedules() {
+    const data = await chrome.storage.local.get([SCHEDULES_STORAGE_KEY, ACTIVE_STORAGE_KEY]);
+    const alarm = await chrome.alarms.get(ALARM_NAME);
+    return {
+      schedules: data[SCHEDULES_STORAGE_KEY] || [],
+      active: data[ACTIVE_STORAGE_KEY] || null,
+      nextChangeAt: alarm ? alarm.scheduledTime : null
+    };
+  },
+
+  async saveActivationSchedule(message) {
+    const schedule = normalizeSchedule(message.schedule);
+    const data = await chrome.storage.local.get(SCHEDULES_STORAGE_KEY);
+    const schedules = data[SCHEDULES_STORAGE_KEY] || [];
+    const index = schedules.findIndex(existing => existing.id === schedule.id);
+    if (index > -1) {
+      schedules[index] = schedule;
+    } else {
+      schedules.push(schedule);
+    }
+    await chrome.storage.local.set({ [SCHEDULES_STORAGE_KEY]: schedules });
+    const active = await syncActivationSchedules();
+    return { schedule, active };
+  },
+
+  async deleteActivationSchedule(message) {
+    const data = await chrome.storage.local.get(SCHEDULES_STORAGE_KEY);
+    const schedules = (data[SCHEDULES_STORAGE_KEY] || []).filter(schedule => schedule.id !== message.scheduleId);
+    await chrome.storage.local.set({ [SCHEDULES_STORAGE_KEY]: schedules });
+    const active = await syncActivationSchedules();
+    return { active };
+  }
+};
+
+/**
+ * Whether a message action belongs to the scheduler
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isSchedulerAction(action) {
+  return Object.prototype.hasOwnProperty.call(schedulerHandlers, action);
+}
+
+/**
+ * Handle a scheduler message from the background onMessage listener
+ * @param {Object} message - Message with a scheduler action
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {Function} sendResponse
+ * @returns {boolean} - True if the response is sent asynchronously
+ */
+export function handleSchedulerMessage(message, sender, sendResponse) {
+  if (!isExtensionPage(sender)) {
+    console.warn("[Scheduler] Rejected " + message.action + " from " + sender.url);
+    sendResponse({ success: false, error: "Not allowed from this context." });
+    return false;
+  }
+  schedulerHandlers[message.action](message, sender).then(result => {
+    sendResponse({ success: true, ...result });
+  }).catch(error => {
+    console.error("[Scheduler] " + message.action + " failed:", error.message);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+}
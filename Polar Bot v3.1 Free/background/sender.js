@@ -0,0 +1,10 @@
+// background/sender.js - Who sent a runtime message (imported by the background modules)
+
+/**
+ * Whether the sender is one of our own pages (popup, options)
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {boolean}
+ */
+export function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id && !!sender.url && sender.url.startsWith(chrome.runtime.getURL(""));
+}
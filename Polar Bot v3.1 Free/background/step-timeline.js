@@ -0,0 +1,184 @@
+// background/step-timeline.js - Per-tab checkout step timelines (imported by background.js)
+//
+// Every accepted checkout flow transition makes the content script send its page's step timeline
+// (see CheckoutFlow.recordStep in common/checkout-base.js). A checkout spans several page loads,
+// each with a fresh flow, so the pages of a tab are kept in order and joined into one list of
+// steps: a step still running when the next page reports was left by navigating, and carries on
+// in that page's first step when it is the same one (go-to-checkout). Timelines are kept in
+// chrome.storage.session, where the popup watches them, and dropped when their tab closes.
+
+import { isExtensionPage } from "./sender.js";
+
+const TIMELINES_STORAGE_KEY = "stepTimelines";
+const MAX_PAGES_PER_TAB = 10;
+const MAX_STEPS_PER_PAGE = 50;
+const STEP_STATUSES = ["running", "done", "failed", "stopped"];
+
+let writing = Promise.resolve();
+
+/**
+ * Change the stored timelines one write at a time, so reports from several tabs don't overwrite each other
+ * @param {Function} change - Called with the timelines object (tab id -> timeline) to modify in place;
+ *   returning false skips the write
+ * @returns {Promise<Object>} - The timelines after the change
+ */
+function updateTimelines(change) {
+  const update = writing.then(async () => {
+    const data = await chrome.storage.session.get(TIMELINES_STORAGE_KEY);
+    const timelines = data[TIMELINES_STORAGE_KEY] || {};
+    if (change(timelines) !== false) {
+      await chrome.storage.session.set({ [TIMELINES_STORAGE_KEY]: timelines });
+    }
+    return timelines;
+  });
+  writing = update.catch(error => {
+    console.error("[Step Timeline] Could not save step timelines:", error);
+  });
+  return update;
+}
+
+/**
+ * Keep the fields the popup shows from a reported step
+ * @param {Object} step - See CheckoutFlow.getTimeline
+ * @returns {Object}
+ */
+function normalizeStep(step) {
+  return {
+    step: String(step.step || ""),
+    state: step.state || null,
+    status: STEP_STATUSES.includes(step.status) ? step.status : "running",
+    startedAt: typeof step.startedAt === "number" ? step.startedAt : Date.now(),
+    endedAt: typeof step.endedAt === "number" ? step.endedAt : null,
+    retries: Number(step.retries) || 0,
+    selector: step.selector ? String(step.selector) : null,
+    error: step.error ? String(step.error) : null
+  };
+}
+
+/**
+ * Join the pages of a tab into one list of steps
+ * @param {Array<Object>} pages - { pageId, steps }, oldest first
+ * @returns {Array<Object>}
+ */
+function joinPageSteps(pages) {
+  const steps = [];
+  pages.forEach(page => {
+    const pageSteps = page.steps.map(step => ({ ...step }));
+    const previous = steps[steps.length - 1];
+    if (!previous || previous.status !== "running" || pageSteps.length === 0) {
+      steps.push(...pageSteps);
+      return;
+    }
+    if (pageSteps[0].step === previous.step) {
+      steps.pop();
+      pageSteps[0].startedAt = previous.startedAt;
+      pageSteps[0].retries += previous.retries;
+      pageSteps[0].selector = pageSteps[0].selector || previous.selector;
+    } else {
+      previous.status = "done";
+      previous.endedAt = pageSteps[0].startedAt;
+    }
+    steps.push(...pageSteps);
+  });
+  return steps;
+}
+
+/**
+ * Forget the timeline of a closed tab
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+export async function clearStepTimelineForTab(tabId) {
+  await updateTimelines(timelines => {
+    if (!timelines[tabId]) {
+      return false;
+    }
+    delete timelines[tabId];
+  });
+}
+
+const timelineHandlers = {
+  async stepTimeline(message, sender) {
+    if (!sender.tab) {
+      throw new Error("Step timelines come from tabs.");
+    }
+    const tab = sender.tab;
+    await updateTimelines(timelines => {
+      let timeline = timelines[tab.id];
+      if (!timeline || message.restart || timeline.site !== message.site) {
+        timeline = { tabId: tab.id, site: message.site, startedAt: Date.now(), pages: [] };
+      }
+      let page = timeline.pages.find(candidate => candidate.pageId === message.pageId);
+      if (!page) {
+        page = { pageId: message.pageId, steps: [] };
+        timeline.pages = timeline.pages.concat(page).slice(-MAX_PAGES_PER_TAB);
+      }
+      page.steps = (Array.isArray(message.steps) ? message.steps : []).slice(-MAX_STEPS_PER_PAGE).map(normalizeStep);
+      timeline.steps = joinPageSteps(timeline.pages);
+      timeline.state = message.state;
+      timeline.paused = message.paused === true;
+      timeline.url = tab.url || null;
+      timeline.title = tab.title || null;
+      timeline.updatedAt = Date.now();
+      timelines[tab.id] = timeline;
+    });
+    return {};
+  },
+
+  async getStepTimelines() {
+    // Drop timelines of tabs that closed while the service worker was not listening
+    const openTabIds = new Set((await chrome.tabs.query({})).map(tab => String(tab.id)));
+    const timelines = await updateTimelines(timelines => {
+      Object.keys(timelines).filter(tabId => !openTabIds.has(tabId)).forEach(tabId => {
+        delete timelines[tabId];
+      });
+    });
+    return { timelines: Object.values(timelines) };
+  },
+
+  async clearStepTimelines() {
+    // Only finished ones; a tab that is still running keeps reporting anyway
+    await updateTimelines(timelines => {
+      Object.keys(timelines).forEach(tabId => {
+        if (!timelines[tabId].steps.some(step => step.status === "running")) {
+          delete timelines[tabId];
+        }
+      });
+    });
+    return {};
+  }
+};
+
+// Actions a content script is allowed to send
+const CONTENT_SCRIPT_ACTIONS = ["stepTimeline"];
+
+/**
+ * Whether a message action belongs to the step timelines
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isStepTimelineAction(action) {
+  return Object.prototype.hasOwnProperty.call(timelineHandlers, action);
+}
+
+/**
+ * Handle a step timeline message from the background onMessage listener
+ * @param {Object} message - Message with a step timeline action
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {Function} sendResponse
+ * @returns {boolean} - True if the response is sent asynchronously
+ */
+export function handleStepTimelineMessage(message, sender, sendResponse) {
+  if (!isExtensionPage(sender) && !CONTENT_SCRIPT_ACTIONS.includes(message.action)) {
+    console.warn("[Step Timeline] Rejected " + message.action + " from " + sender.url);
+    sendResponse({ success: false, error: "Not allowed from this context." });
+    return false;
+  }
+  timelineHandlers[message.action](message, sender).then(result => {
+    sendResponse({ success: true, ...result });
+  }).catch(error => {
+    console.error("[Step Timeline] " + message.action + " failed:", error.message);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+}
@@ -0,0 +1,393 @@
+// background/vault.js - Encrypted profile vault (imported by background.js)
+//
+// Profiles are sealed with AES-GCM using a key derived from the user's passphrase.
+// Only `id`, `name` and the last four card digits stay readable so the popup and
+// options lists keep working while the vault is locked. The derived key lives in
+// chrome.storage.session (memory only, not readable by content scripts) until the
+// configured session expires or the vault is locked. A tab that opens a profile for a checkout
+// holds a lease on it; when the lease runs out the tab is told to drop the decrypted profile.
+
+// Passphrase encryption (attaches to globalThis.autocheckoutCrypto)
+import "../common/crypto.js";
+import { isExtensionPage } from "./sender.js";
+
+const VAULT_STORAGE_KEY = "vault";
+const SESSION_STORAGE_KEY = "vaultSession";
+const LEASES_STORAGE_KEY = "vaultLeases";
+const PBKDF2_ITERATIONS = 310000;
+const DEFAULT_SESSION_MINUTES = 30;
+const CHECKOUT_LEASE_MINUTES = 10;
+const LEASE_ALARM_PREFIX = "vault-lease-";
+const MIN_PASSPHRASE_LENGTH = 8;
+const VERIFIER_VALUE = "polar-vault";
+
+// Actions a content script is allowed to send; everything else requires an extension page
+const CONTENT_SCRIPT_ACTIONS = ["vaultStatus", "vaultOpenCheckoutProfile", "vaultReleaseCheckoutProfile"];
+
+const { base64ToBytes, bytesToBase64, decryptJson, derivePassphraseKey, encryptJson } = globalThis.autocheckoutCrypto;
+
+/**
+ * Seal a plaintext profile into a vault record
+ * @param {CryptoKey} key
+ * @param {Object} profile - Plaintext profile (must have an id); older nested card details are flattened
+ * @returns {Promise<Object>} - { id, name, cardLast4, sealed }
+ */
+async function sealProfile(key, profile) {
+  const flatProfile = globalThis.autocheckoutStorageSchema.flattenProfilePayment({ ...profile });
+  const cardNumber = String(flatProfile.cardNumber || "").replace(/\D/g, "");
+  return {
+    id: flatProfile.id,
+    name: flatProfile.name || "",
+    cardLast4: cardNumber ? cardNumber.slice(-4) : "",
+    sealed: await encryptJson(key, flatProfile)
+  };
+}
+
+/**
+ * Open a vault record back into a plaintext profile
+ * @param {CryptoKey} key
+ * @param {Object} record - Sealed record (plaintext records are returned as-is)
+ * @returns {Promise<Object>}
+ */
+async function openProfile(key, record) {
+  if (!record.sealed) {
+    return record;
+  }
+  const profile = await decryptJson(key, record.sealed);
+  profile.id = record.id;
+  // Sealed before storage migration 2 could flatten it
+  return globalThis.autocheckoutStorageSchema.flattenProfilePayment(profile);
+}
+
+/**
+ * Read the vault configuration
+ * @returns {Promise<Object|null>}
+ */
+async function getVaultConfig() {
+  const data = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+  return data[VAULT_STORAGE_KEY] || null;
+}
+
+/**
+ * Keep the derived key for the configured session length
+ * @param {CryptoKey} key
+ * @param {number} sessionMinutes
+ * @returns {Promise<number>} - Session expiry timestamp
+ */
+async function startSession(key, sessionMinutes) {
+  const expiresAt = Date.now() + sessionMinutes * 60000;
+  const jwk = await crypto.subtle.exportKey("jwk", key);
+  await chrome.storage.session.set({ [SESSION_STORAGE_KEY]: { key: jwk, expiresAt } });
+  console.log("[Vault] Unlocked until " + new Date(expiresAt).toLocaleTimeString());
+  return expiresAt;
+}
+
+/**
+ * Get the session key, locking the vault if the session has expired
+ * @returns {Promise<CryptoKey|null>} - Key, or null when locked
+ */
+async function getSessionKey() {
+  const data = await chrome.storage.session.get(SESSION_STORAGE_KEY);
+  const session = data[SESSION_STORAGE_KEY];
+  if (!session) {
+    return null;
+  }
+  if (Date.now() >= session.expiresAt) {
+    console.log("[Vault] Session expired, locking");
+    await lockVault();
+    return null;
+  }
+  return crypto.subtle.importKey("jwk", session.key, { name: "AES-GCM" }, true, ["encrypt", "decrypt"]);
+}
+
+/**
+ * Get the session key or throw a user-facing error
+ * @returns {Promise<CryptoKey>}
+ */
+async function requireSessionKey() {
+  const key = await getSessionKey();
+  if (!key) {
+    throw new Error("Vault is locked. Unlock it from the options page.");
+  }
+  return key;
+}
+
+/**
+ * Forget the session key and tell leased tabs to drop their decrypted profile
+ * @returns {Promise<void>}
+ */
+async function lockVault() {
+  const data = await chrome.storage.session.get(LEASES_STORAGE_KEY);
+  const leases = data[LEASES_STORAGE_KEY] || {};
+  await chrome.storage.session.remove([SESSION_STORAGE_KEY, LEASES_STORAGE_KEY]);
+  Object.keys(leases).forEach(tabId => {
+    chrome.alarms.clear(LEASE_ALARM_PREFIX + tabId);
+    notifyTabLocked(Number(tabId));
+  });
+  console.log("[Vault] Locked");
+}
+
+/**
+ * Tell a tab to drop the profile it decrypted for a checkout
+ * @param {number} tabId
+ */
+function notifyTabLocked(tabId) {
+  globalThis.autocheckoutMessages.sendTabMessage(tabId, "vaultLocked")
+    .catch(error => console.warn("[Vault] Could not notify tab " + tabId + " about lock: " + error.message));
+}
+
+/**
+ * Seal any plaintext profiles still in storage (e.g. written while the vault was locked)
+ * @param {CryptoKey} key
+ * @returns {Promise<number>} - Number of profiles sealed
+ */
+async function sealPlaintextProfiles(key) {
+  const data = await chrome.storage.local.get("profiles");
+  const profiles = data.profiles || [];
+  let sealedCount = 0;
+  const records = [];
+  for (const profile of profiles) {
+    if (profile.sealed) {
+      records.push(profile);
+    } else {
+      records.push(await sealProfile(key, profile));
+      sealedCount++;
+    }
+  }
+  if (sealedCount > 0) {
+    await chrome.storage.local.set({ profiles: records });
+    console.log("[Vault] Sealed " + sealedCount + " plaintext profiles");
+  }
+  return sealedCount;
+}
+
+/**
+ * Release the checkout lease held by a tab (called when the tab closes)
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+export async function releaseCheckoutLeasesForTab(tabId) {
+  const data = await chrome.storage.session.get(LEASES_STORAGE_KEY);
+  const leases = data[LEASES_STORAGE_KEY] || {};
+  await chrome.alarms.clear(LEASE_ALARM_PREFIX + tabId);
+  if (leases[tabId]) {
+    delete leases[tabId];
+    await chrome.storage.session.set({ [LEASES_STORAGE_KEY]: leases });
+    console.log("[Vault] Released checkout lease for tab " + tabId);
+  }
+}
+
+/**
+ * End a checkout lease that has run out: the tab loses the decrypted profile and has to
+ * open it again (which needs the vault to still be unlocked)
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+async function expireCheckoutLease(tabId) {
+  const data = await chrome.storage.session.get(LEASES_STORAGE_KEY);
+  const leases = data[LEASES_STORAGE_KEY] || {};
+  // Gone already, or renewed by a new checkout since the alarm was set
+  if (!leases[tabId] || leases[tabId] > Date.now()) {
+    return;
+  }
+  delete leases[tabId];
+  await chrome.storage.session.set({ [LEASES_STORAGE_KEY]: leases });
+  notifyTabLocked(tabId);
+  console.log("[Vault] Checkout lease for tab " + tabId + " expired");
+}
+
+/**
+ * Handle chrome.alarms.onAlarm
+ * @param {chrome.alarms.Alarm} alarm
+ * @returns {boolean} - True if the alarm was a checkout lease running out
+ */
+export function handleVaultAlarm(alarm) {
+  if (!alarm.name.startsWith(LEASE_ALARM_PREFIX)) {
+    return false;
+  }
+  const tabId = Number(alarm.name.slice(LEASE_ALARM_PREFIX.length));
+  expireCheckoutLease(tabId).catch(error => console.error("[Vault] Could not expire checkout lease:", error.message));
+  return true;
+}
+
+const vaultHandlers = {
+  async vaultStatus() {
+    const config = await getVaultConfig();
+    const data = await chrome.storage.session.get(SESSION_STORAGE_KEY);
+    const key = config ? await getSessionKey() : null;
+    return {
+      configured: !!config,
+      unlocked: !!key,
+      expiresAt: key ? data[SESSION_STORAGE_KEY].expiresAt : null,
+      sessionMinutes: config ? config.sessionMinutes : DEFAULT_SESSION_MINUTES
+    };
+  },
+
+  async vaultSetup(message) {
+    if (await getVaultConfig()) {
+      throw new Error("Vault is already set up.");
+    }
+    if (!message.passphrase || message.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error("Passphrase must be at least " + MIN_PASSPHRASE_LENGTH + " characters.");
+    }
+    const sessionMinutes = parseInt(message.sessionMinutes) || DEFAULT_SESSION_MINUTES;
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await derivePassphraseKey(message.passphrase, salt, PBKDF2_ITERATIONS, true);
+    const config = {
+      version: 1,
+      salt: bytesToBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await encryptJson(key, VERIFIER_VALUE),
+      sessionMinutes
+    };
+    await chrome.storage.local.set({ [VAULT_STORAGE_KEY]: config });
+    const sealedCount = await sealPlaintextProfiles(key);
+    const expiresAt = await startSession(key, sessionMinutes);
+    return { sealedCount, expiresAt };
+  },
+
+  async vaultUnlock(message) {
+    const config = await getVaultConfig();
+    if (!config) {
+      throw new Error("Vault is not set up.");
+    }
+    const key = await derivePassphraseKey(message.passphrase || "", base64ToBytes(config.salt), config.iterations, true);
+    try {
+      if (await decryptJson(key, config.verifier) !== VERIFIER_VALUE) {
+        throw new Error("Verifier mismatch");
+      }
+    } catch (error) {
+      throw new Error("Incorrect passphrase.");
+    }
+    const expiresAt = await startSession(key, config.sessionMinutes);
+    const sealedCount = await sealPlaintextProfiles(key);
+    return { sealedCount, expiresAt };
+  },
+
+  async vaultLock() {
+    await lockVault();
+    return {};
+  },
+
+  async vaultUpdateSettings(message) {
+    const config = await getVaultConfig();
+    if (!config) {
+      throw new Error("Vault is not set up.");
+    }
+    const sessionMinutes = parseInt(message.sessionMinutes);
+    if (!sessionMinutes || sessionMinutes < 1) {
+      throw new Error("Session length must be at least 1 minute.");
+    }
+    config.sessionMinutes = sessionMinutes;
+    await chrome.storage.local.set({ [VAULT_STORAGE_KEY]: config });
+    return { sessionMinutes };
+  },
+
+  async vaultGetProfile(message) {
+    const key = await requireSessionKey();
+    const data = await chrome.storage.local.get("profiles");
+    const record = (data.profiles || []).find(p => p.id === message.profileId);
+    if (!record) {
+      throw new Error("Profile not found.");
+    }
+    return { profile: await openProfile(key, record) };
+  },
+
+  async vaultSaveProfile(message) {
+    const key = await requireSessionKey();
+    const profile = message.profile;
+    const data = await chrome.storage.local.get(["profiles", "selectedProfile"]);
+    const profiles = data.profiles || [];
+
+    if (message.isNew || !profile.id) {
+      profile.id = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+
+    const record = await sealProfile(key, profile);
+    const index = profiles.findIndex(p => p.id === profile.id);
+    if (index !== -1) {
+      profiles[index] = record;
+    } else {
+      profiles.push(record);
+    }
+
+    const updateData = { profiles };
+    if (profiles.length === 1 || !data.selectedProfile) {
+      updateData.selectedProfile = profile.id;
+    }
+    await chrome.storage.local.set(updateData);
+    return { profileId: profile.id };
+  },
+
+  async vaultSealProfiles(message) {
+    const key = await requireSessionKey();
+    const records = [];
+    for (const profile of message.profiles || []) {
+      records.push(profile.sealed ? profile : await sealProfile(key, profile));
+    }
+    return { profiles: records };
+  },
+
+  async vaultOpenCheckoutProfile(message, sender) {
+    const key = await requireSessionKey();
+    if (sender.tab) {
+      // Only hand card data to a tab while its site is armed
+      const data = await chrome.storage.local.get("siteSettings");
+      if (data.siteSettings?.[message.site]?.enabled !== true) {
+        throw new Error("Site " + message.site + " is not enabled.");
+      }
+    }
+    const data = await chrome.storage.local.get("profiles");
+    const record = (data.profiles || []).find(p => p.id === message.profileId);
+    if (!record) {
+      throw new Error("Profile not found.");
+    }
+    if (sender.tab) {
+      const leaseData = await chrome.storage.session.get(LEASES_STORAGE_KEY);
+      const leases = leaseData[LEASES_STORAGE_KEY] || {};
+      leases[sender.tab.id] = Date.now() + CHECKOUT_LEASE_MINUTES * 60000;
+      await chrome.storage.session.set({ [LEASES_STORAGE_KEY]: leases });
+      await chrome.alarms.create(LEASE_ALARM_PREFIX + sender.tab.id, { when: leases[sender.tab.id] });
+      console.log("[Vault] Granted checkout lease for profile " + record.name + " to tab " + sender.tab.id);
+    }
+    return { profile: await openProfile(key, record) };
+  },
+
+  async vaultReleaseCheckoutProfile(message, sender) {
+    if (sender.tab) {
+      await releaseCheckoutLeasesForTab(sender.tab.id);
+    }
+    return {};
+  }
+};
+
+/**
+ * Whether a message action belongs to the vault
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isVaultAction(action) {
+  return Object.prototype.hasOwnProperty.call(vaultHandlers, action);
+}
+
+/**
+ * Handle a vault message from the background onMessage listener
+ * @param {Object} message - Message with a vault action
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {Function} sendResponse
+ * @returns {boolean} - Always true (response is sent asynchronously)
+ */
+export function handleVaultMessage(message, sender, sendResponse) {
+  if (!isExtensionPage(sender) && !CONTENT_SCRIPT_ACTIONS.includes(message.action)) {
+    console.warn("[Vault] Rejected " + message.action + " from " + sender.url);
+    sendResponse({ success: false, error: "Not allowed from this context." });
+    return false;
+  }
+  vaultHandlers[message.action](message, sender).then(result => {
+    sendResponse({ success: true, ...result });
+  }).catch(error => {
+    console.error("[Vault] " + message.action + " failed:", error.message);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+}
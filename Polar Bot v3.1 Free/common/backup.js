@@ -0,0 +1,420 @@
+// common/backup.js - Export files and import checks for the options page (Attaches to window.autocheckoutBackup)
+// Relies on common/profile-validator.js, common/storage-schema.js and common/crypto.js being loaded first.
+//
+// An export file holds one scope:
+//   { format: 'polar-backup', version: 1, scope: 'settings', schemaVersion: 3, exportedAt, data: {...} }
+// With a passphrase, `data` is replaced by `encrypted: { salt, iterations, iv, data }` (PBKDF2 +
+// AES-GCM from common/crypto.js, as for the profile vault). The plain profile array older versions
+// exported is still read, as a 'profiles' backup at schema version 0.
+//
+// Imports are migrated to the current storage schema, checked, then compared with what is stored:
+// the preview lists every profile as added, changed, unchanged, conflicting (a different profile
+// with the same name), invalid or - when replacing - removed, and settings and price checks as
+// added, changed or removed values. Nothing is written until the preview is applied.
+
+const BACKUP_FORMAT = 'polar-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_PBKDF2_ITERATIONS = 310000;
+const PAYMENT_FIELDS = ['cardNumber', 'cvv', 'expiryMonth', 'expiryYear', 'cardBrand', 'cardLast4', 'nameOnCard', 'payment', 'paymentMethod'];
+
+const BACKUP_VALUE_TYPES = {
+  selectedProfile: 'string',
+  debugMode: 'boolean',
+  price_check_enabled: 'boolean',
+  price_check_closeTabOnFail: 'boolean'
+};
+
+const EXPORT_SCOPES = {
+  profiles: { label: 'Profiles with payment data', keys: ['profiles', 'selectedProfile'] },
+  'profiles-no-payment': { label: 'Profiles without payment data', keys: ['profiles', 'selectedProfile'] },
+  settings: { label: 'Settings only', keys: ['globalSettings', 'siteSettings', 'debugMode', 'budgets'] },
+  'price-checks': { label: 'Price-check list only', keys: ['price_check_items', 'price_check_limits', 'price_check_enabled', 'price_check_closeTabOnFail'] }
+};
+
+/**
+ * @param {string} scope - Key of EXPORT_SCOPES
+ * @returns {boolean}
+ */
+function isProfileScope(scope) {
+  return scope === 'profiles' || scope === 'profiles-no-payment';
+}
+
+/**
+ * @param {Object} profile
+ * @returns {Object} Copy without card details
+ */
+function stripPaymentData(profile) {
+  const stripped = { ...profile };
+  PAYMENT_FIELDS.forEach(field => delete stripped[field]);
+  return stripped;
+}
+
+/**
+ * Build an export from stored data
+ * @param {string} scope - Key of EXPORT_SCOPES
+ * @param {Object} stored - Storage values for the scope's keys, profiles already opened from the vault
+ * @returns {Object} Unencrypted backup
+ */
+function createBackup(scope, stored) {
+  if (!EXPORT_SCOPES[scope]) {
+    throw new Error('Unknown export scope: ' + scope);
+  }
+  const data = {};
+  EXPORT_SCOPES[scope].keys.forEach(key => {
+    if (stored[key] !== undefined) {
+      data[key] = JSON.parse(JSON.stringify(stored[key]));
+    }
+  });
+  if (isProfileScope(scope)) {
+    data.profiles = (data.profiles || []).map(profile => (scope === 'profiles' ? profile : stripPaymentData(profile)));
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    scope,
+    schemaVersion: globalThis.autocheckoutStorageSchema.STORAGE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data
+  };
+}
+
+/**
+ * Replace a backup's data with its encrypted form
+ * @param {Object} backup - From createBackup
+ * @param {string} passphrase
+ * @returns {Promise<Object>}
+ */
+async function encryptBackup(backup, passphrase) {
+  const { bytesToBase64, derivePassphraseKey, encryptJson } = globalThis.autocheckoutCrypto;
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await derivePassphraseKey(passphrase, salt, BACKUP_PBKDF2_ITERATIONS);
+  const sealed = await encryptJson(key, backup.data);
+  const { data, ...envelope } = backup;
+  return {
+    ...envelope,
+    encrypted: {
+      salt: bytesToBase64(salt),
+      iterations: BACKUP_PBKDF2_ITERATIONS,
+      iv: sealed.iv,
+      data: sealed.data
+    }
+  };
+}
+
+/**
+ * @param {Object} encrypted - The backup's `encrypted` field
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Backup data
+ */
+async function decryptBackupData(encrypted, passphrase) {
+  const { base64ToBytes, decryptJson, derivePassphraseKey } = globalThis.autocheckoutCrypto;
+  try {
+    const key = await derivePassphraseKey(passphrase, base64ToBytes(encrypted.salt), encrypted.iterations);
+    return await decryptJson(key, { iv: encrypted.iv, data: encrypted.data });
+  } catch (e) {
+    throw new Error('Wrong passphrase, or the file is damaged.');
+  }
+}
+
+/**
+ * Parse, decrypt, migrate and check an export file
+ * @param {string} text - File contents or pasted JSON
+ * @param {string} [passphrase] - For encrypted files
+ * @returns {Promise<{scope: string, encrypted: boolean, exportedAt: string|null, data: Object}>}
+ *   Errors for encrypted files without a passphrase have `needsPassphrase`
+ */
+async function readBackup(text, passphrase) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Not valid JSON.');
+  }
+  let backup = parsed;
+  if (Array.isArray(parsed)) {
+    backup = { format: BACKUP_FORMAT, version: BACKUP_VERSION, scope: 'profiles', schemaVersion: 0, exportedAt: null, data: { profiles: parsed } };
+  }
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('Not a Polar export file.');
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    throw new Error('Export file version ' + backup.version + ' is not supported by this version of the extension.');
+  }
+  if (!EXPORT_SCOPES[backup.scope]) {
+    throw new Error('Unknown export scope: ' + backup.scope);
+  }
+  let data = backup.data;
+  if (backup.encrypted) {
+    if (!passphrase) {
+      const error = new Error('This export is encrypted. Enter its passphrase.');
+      error.needsPassphrase = true;
+      throw error;
+    }
+    data = await decryptBackupData(backup.encrypted, passphrase);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Export file has no data.');
+  }
+  return {
+    scope: backup.scope,
+    encrypted: !!backup.encrypted,
+    exportedAt: backup.exportedAt || null,
+    data: checkBackupData(backup.scope, Number.isInteger(backup.schemaVersion) ? backup.schemaVersion : 0, data)
+  };
+}
+
+/**
+ * Bring backup data up to the current storage schema and check the shape of every key in its scope
+ * @param {string} scope
+ * @param {number} schemaVersion - Schema the export was made with
+ * @param {Object} data
+ * @returns {Object} Migrated data, only the scope's keys
+ */
+function checkBackupData(scope, schemaVersion, data) {
+  const keys = EXPORT_SCOPES[scope].keys;
+  const unknown = Object.keys(data).filter(key => !keys.includes(key));
+  if (unknown.length > 0) {
+    throw new Error('Unexpected data in a "' + EXPORT_SCOPES[scope].label + '" export: ' + unknown.join(', '));
+  }
+  if (isProfileScope(scope) && !Array.isArray(data.profiles)) {
+    throw new Error('Export has no profile list.');
+  }
+  const objectKeys = ['globalSettings', 'siteSettings', 'budgets', 'price_check_items', 'price_check_limits'];
+  objectKeys.forEach(key => {
+    if (data[key] !== undefined && (data[key] === null || typeof data[key] !== 'object' || Array.isArray(data[key]))) {
+      throw new Error(key + ' must be an object.');
+    }
+  });
+  const wanted = {};
+  keys.forEach(key => {
+    if (data[key] !== undefined) {
+      wanted[key] = data[key];
+    }
+  });
+  // Migrations only change the keys they own, so the ones outside this scope are dropped again
+  const migrated = globalThis.autocheckoutStorageSchema.migrateStorageData({ ...wanted, schemaVersion }).data;
+  const checked = {};
+  keys.forEach(key => {
+    if (wanted[key] !== undefined) {
+      checked[key] = migrated[key];
+    }
+  });
+  Object.entries(BACKUP_VALUE_TYPES).forEach(([key, type]) => {
+    if (checked[key] !== undefined && typeof checked[key] !== type) {
+      throw new Error(key + ' must be a ' + type + '.');
+    }
+  });
+  Object.entries(checked.price_check_items || {}).forEach(([sku, maxPrice]) => {
+    if (typeof maxPrice !== 'number' || !Number.isFinite(maxPrice) || maxPrice <= 0) {
+      throw new Error('Price check for ' + sku + ' must be a positive number.');
+    }
+  });
+  Object.entries(checked.price_check_limits || {}).forEach(([limit, amount]) => {
+    if (amount !== null && (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0)) {
+      throw new Error('Price check limit ' + limit + ' must be a number or null.');
+    }
+  });
+  if (isProfileScope(scope) && wanted.profiles.length !== checked.profiles.length) {
+    // Migrations drop entries that are not objects; keep them so the preview can list them
+    checked.profiles = wanted.profiles.map(profile => (profile !== null && typeof profile === 'object' ? checked.profiles.shift() : profile));
+  }
+  return checked;
+}
+
+/**
+ * @param {Object} profile
+ * @returns {string} Name used to spot the same profile under another id
+ */
+function profileMatchName(profile) {
+  return String(profile.name || '').trim().toLowerCase();
+}
+
+/**
+ * Compare imported profiles with the stored ones
+ * @param {Object[]} existing - Stored profiles, opened from the vault where possible
+ * @param {Object[]} incoming - From readBackup
+ * @param {Object} options
+ * @param {boolean} options.withoutPayment - Card details come from the stored profile with the same id
+ * @param {boolean} options.replace - Stored profiles missing from the import are removed
+ * @returns {Object[]} Entries { status, profile, existing, fields, reason, apply }:
+ *   status 'added', 'changed', 'unchanged', 'conflict', 'invalid' or 'removed'; apply is the default choice
+ */
+function diffProfiles(existing, incoming, options = {}) {
+  const validator = window.autocheckoutProfileValidator;
+  const byId = new Map(existing.map(profile => [profile.id, profile]));
+  const seenIds = new Set();
+  const entries = incoming.map((candidate, index) => {
+    const label = candidate && candidate.name ? candidate.name : '#' + (index + 1);
+    if (candidate === null || typeof candidate !== 'object') {
+      return { status: 'invalid', profile: null, label, reason: 'Not a profile object', apply: false };
+    }
+    if (candidate.id && seenIds.has(candidate.id)) {
+      return { status: 'invalid', profile: null, label, reason: 'Same id as an earlier profile in the file', apply: false };
+    }
+    let profile = candidate;
+    const match = candidate.id ? byId.get(candidate.id) : null;
+    // Records exported from a vault stay sealed; they only need an id to be usable
+    if (candidate.sealed) {
+      if (!candidate.id) {
+        return { status: 'invalid', profile: null, label, reason: 'Sealed record without an id', apply: false };
+      }
+    } else {
+      if (options.withoutPayment && match && !match.sealed) {
+        PAYMENT_FIELDS.forEach(field => {
+          if (profile[field] === undefined && match[field] !== undefined) {
+            profile = { ...profile, [field]: match[field] };
+          }
+        });
+      }
+      const validation = validator.validateProfile(profile);
+      if (!validation.valid) {
+        let reason = validator.describeProfileErrors(validation.errors);
+        if (options.withoutPayment && !match) {
+          reason = 'No stored profile to take card details from';
+        } else if (options.withoutPayment && match.sealed) {
+          reason = 'Unlock the vault to take card details from the stored profile';
+        }
+        return { status: 'invalid', profile: null, label, reason, apply: false };
+      }
+      profile = validation.profile;
+    }
+    if (profile.id) {
+      seenIds.add(profile.id);
+    }
+    if (match) {
+      const fields = match.sealed && !profile.sealed
+        ? ['stored profile is locked in the vault']
+        : Array.from(new Set(Object.keys(match).concat(Object.keys(profile))))
+          .filter(field => JSON.stringify(match[field]) !== JSON.stringify(profile[field]));
+      if (fields.length === 0) {
+        return { status: 'unchanged', profile, existing: match, label, fields, apply: false };
+      }
+      return { status: 'changed', profile, existing: match, label, fields, apply: true };
+    }
+    const namesake = existing.find(stored => profileMatchName(stored) && profileMatchName(stored) === profileMatchName(profile));
+    if (namesake) {
+      return { status: 'conflict', profile, existing: namesake, label, reason: 'Another stored profile has this name', apply: false };
+    }
+    return { status: 'added', profile, label, apply: true };
+  });
+  if (options.replace) {
+    // A stored profile is only removed when the file has nothing under its id, not even an invalid record
+    const kept = new Set(incoming.filter(candidate => candidate && candidate.id).map(candidate => candidate.id));
+    entries.filter(entry => entry.status === 'conflict').forEach(entry => kept.add(entry.existing.id));
+    existing.filter(profile => !kept.has(profile.id)).forEach(profile => {
+      entries.push({ status: 'removed', profile: null, existing: profile, label: profile.name || profile.id, apply: true });
+    });
+  }
+  return entries;
+}
+
+/**
+ * Stored profiles after applying the chosen preview entries. A chosen conflict overwrites the
+ * stored profile with the same name (keeping its id); new profiles without an id get one.
+ * @param {Object[]} stored - Stored profile records, as they are in storage
+ * @param {Object[]} entries - From diffProfiles, with `apply` as chosen
+ * @returns {{profiles: Object[], written: Object[]}} All records, and the imported ones among them
+ */
+function mergeImportedProfiles(stored, entries) {
+  const profiles = stored.slice();
+  const written = [];
+  entries.filter(entry => entry.apply).forEach(entry => {
+    if (entry.status === 'removed') {
+      const index = profiles.findIndex(profile => profile.id === entry.existing.id);
+      if (index !== -1) {
+        profiles.splice(index, 1);
+      }
+      return;
+    }
+    const profile = { ...entry.profile };
+    if (entry.status === 'conflict') {
+      profile.id = entry.existing.id;
+    } else if (!profile.id) {
+      profile.id = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+    const index = profiles.findIndex(existing => existing.id === profile.id);
+    if (index === -1) {
+      profiles.push(profile);
+    } else {
+      profiles[index] = profile;
+    }
+    written.push(profile);
+  });
+  return { profiles, written };
+}
+
+/**
+ * List the values an import would change
+ * @param {Object} current - Stored values of the scope's keys
+ * @param {Object} incoming - Values from the import
+ * @param {Object} options
+ * @param {boolean} options.replace - Values missing from the import are removed
+ * @returns {Object[]} Entries { path, status: 'added'|'changed'|'removed', from, to }
+ */
+function diffValues(current, incoming, options = {}) {
+  const changes = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const walk = (path, from, to) => {
+    if (isObject(from) && isObject(to)) {
+      Object.keys(to).forEach(key => walk(path.concat(key), from[key], to[key]));
+      if (options.replace) {
+        Object.keys(from).filter(key => !(key in to)).forEach(key => walk(path.concat(key), from[key], undefined));
+      }
+      return;
+    }
+    if (to === undefined) {
+      if (from !== undefined) {
+        changes.push({ path: path.join('.'), status: 'removed', from, to });
+      }
+      return;
+    }
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path: path.join('.'), status: from === undefined ? 'added' : 'changed', from, to });
+    }
+  };
+  Object.keys(incoming).forEach(key => walk([key], current[key], incoming[key]));
+  return changes;
+}
+
+/**
+ * Stored values after an import of settings or price checks
+ * @param {Object} current - Stored values of the scope's keys
+ * @param {Object} incoming - Values from the import
+ * @param {Object} options
+ * @param {boolean} options.replace - Take the imported values as they are instead of merging them in
+ * @returns {Object} Values to save
+ */
+function mergeImportedValues(current, incoming, options = {}) {
+  if (options.replace) {
+    return JSON.parse(JSON.stringify(incoming));
+  }
+  const merge = (from, to) => {
+    if (from === null || typeof from !== 'object' || Array.isArray(from) || to === null || typeof to !== 'object' || Array.isArray(to)) {
+      return to;
+    }
+    const merged = { ...from };
+    Object.keys(to).forEach(key => {
+      merged[key] = merge(from[key], to[key]);
+    });
+    return merged;
+  };
+  const values = {};
+  Object.keys(incoming).forEach(key => {
+    values[key] = merge(current[key], incoming[key]);
+  });
+  return values;
+}
+
+window.autocheckoutBackup = {
+  EXPORT_SCOPES,
+  isProfileScope,
+  createBackup,
+  encryptBackup,
+  readBackup,
+  diffProfiles,
+  mergeImportedProfiles,
+  diffValues,
+  mergeImportedValues
+};
+
+console.log("common/backup.js: Script loaded.");
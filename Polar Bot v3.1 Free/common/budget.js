@@ -0,0 +1,186 @@
+// common/budget.js - Spending caps checked before an order is submitted (Attaches to globalThis.autocheckoutBudget)
+// Loaded by the options page, injected into Target pages after storage.js and imported by the
+// service worker, which evaluates the caps (see background/order-history.js). Spending is worked
+// out from the order history: attempts with outcome 'placed' count as money spent, and so do
+// attempts still in progress that passed the budget check, until they finish or their
+// reservation runs out.
+
+// How long a submitted attempt holds its amount against the caps without finishing (`var` so the
+// script can be injected into a page more than once)
+var BUDGET_RESERVATION_MS = 30 * 60 * 1000;
+
+/**
+ * Budget settings with defaults filled in
+ * @returns {Promise<Object>} - Promise resolving to the budget settings:
+ *   enabled, monthlyMax, skuMaxQuantity, skuWindowDays and profiles ({ [profileId]: { dailyMax, weeklyMax } }).
+ *   A null limit means no limit.
+ */
+async function getBudgetSettings() {
+  const data = await getFromStorage('budgets');
+  return withBudgetDefaults(data.budgets);
+}
+
+/**
+ * Fill in defaults for budget settings read from storage
+ * @param {Object} [budgets] - Stored budget settings
+ * @returns {Object} See getBudgetSettings
+ */
+function withBudgetDefaults(budgets) {
+  return {
+    enabled: false,
+    monthlyMax: null,
+    skuMaxQuantity: null,
+    skuWindowDays: 7,
+    profiles: {},
+    ...(budgets || {})
+  };
+}
+
+/**
+ * Save the budget settings
+ * @param {Object} budgets - See getBudgetSettings
+ * @returns {Promise<void>}
+ */
+function saveBudgetSettings(budgets) {
+  return saveToStorage({ budgets });
+}
+
+/**
+ * Start of the day, week (Monday) and month containing a time, in local time
+ * @param {number} now - Timestamp
+ * @returns {{day: number, week: number, month: number}}
+ */
+function getBudgetPeriodStarts(now) {
+  const day = new Date(now);
+  day.setHours(0, 0, 0, 0);
+  const week = new Date(day);
+  week.setDate(week.getDate() - ((week.getDay() + 6) % 7));
+  const month = new Date(day);
+  month.setDate(1);
+  return { day: day.getTime(), week: week.getTime(), month: month.getTime() };
+}
+
+/**
+ * Whether the amount of an order record is known: the review step's order total, else the
+ * product price
+ * @param {Object} record - Order record
+ * @returns {boolean}
+ */
+function hasRecordSpend(record) {
+  return typeof record.orderTotal === 'number' || typeof record.price === 'number';
+}
+
+/**
+ * Amount charged for an order record (0 when neither total nor price was captured)
+ * @param {Object} record - Order record
+ * @returns {number}
+ */
+function getRecordSpend(record) {
+  if (typeof record.orderTotal === 'number') {
+    return record.orderTotal;
+  }
+  return typeof record.price === 'number' ? record.price * (record.quantity || 1) : 0;
+}
+
+/**
+ * Whether an order record counts against the caps: placed, or submitted and not finished yet
+ * @param {Object} record - Order record
+ * @param {number} now - Current time
+ * @returns {boolean}
+ */
+function countsAsSpend(record, now) {
+  if (record.outcome === 'placed') {
+    return true;
+  }
+  return record.outcome === 'in-progress' && typeof record.budgetReservedAt === 'number' &&
+    now - record.budgetReservedAt < BUDGET_RESERVATION_MS;
+}
+
+/**
+ * Check an order about to be submitted against the budget rules
+ * @param {Object} budgets - Budget settings (see getBudgetSettings)
+ * @param {Array} orderHistory - Order records (see getOrderHistory in storage.js)
+ * @param {Object} attempt - The order about to be placed: { id, profileId, profileName, tcin, price, quantity, orderTotal }
+ * @param {number} [now] - Current time
+ * @returns {{allowed: boolean, violations: Array<string>}}
+ */
+function evaluateBudget(budgets, orderHistory, attempt, now = Date.now()) {
+  const violations = [];
+  if (!budgets || !budgets.enabled) {
+    return { allowed: true, violations };
+  }
+
+  const spending = orderHistory.filter(record => record.id !== attempt.id && countsAsSpend(record, now));
+  const starts = getBudgetPeriodStarts(now);
+  const cost = getRecordSpend(attempt);
+  const costKnown = hasRecordSpend(attempt);
+  const spentSince = (records, since) => records
+    .filter(record => record.startedAt >= since)
+    .reduce((sum, record) => sum + getRecordSpend(record), 0);
+  const money = amount => '$' + amount.toFixed(2);
+  // A cap can't be checked without the price, so an order of unknown price never goes past one
+  const checkLimit = (label, spent, limit) => {
+    if (!costKnown) {
+      violations.push(`${label} ${money(limit)} (spent ${money(spent)}, this order's price is unknown)`);
+    } else if (spent + cost > limit) {
+      violations.push(`${label} ${money(limit)} (spent ${money(spent)}, this order ${money(cost)})`);
+    }
+  };
+
+  if (budgets.monthlyMax !== null && budgets.monthlyMax !== undefined) {
+    checkLimit('monthly ceiling', spentSince(spending, starts.month), budgets.monthlyMax);
+  }
+
+  const profileLimits = (budgets.profiles || {})[attempt.profileId] || {};
+  const profileOrders = spending.filter(record => record.profileId === attempt.profileId);
+  const profileLabel = attempt.profileName || attempt.profileId;
+  if (profileLimits.dailyMax !== null && profileLimits.dailyMax !== undefined) {
+    checkLimit(`daily limit for ${profileLabel}:`, spentSince(profileOrders, starts.day), profileLimits.dailyMax);
+  }
+  if (profileLimits.weeklyMax !== null && profileLimits.weeklyMax !== undefined) {
+    checkLimit(`weekly limit for ${profileLabel}:`, spentSince(profileOrders, starts.week), profileLimits.weeklyMax);
+  }
+
+  if (budgets.skuMaxQuantity !== null && budgets.skuMaxQuantity !== undefined && attempt.tcin) {
+    const windowDays = budgets.skuWindowDays || 7;
+    const since = now - windowDays * 24 * 60 * 60 * 1000;
+    const bought = spending
+      .filter(record => record.tcin === attempt.tcin && record.startedAt >= since)
+      .reduce((sum, record) => sum + (record.quantity || 1), 0);
+    if (bought + (attempt.quantity || 1) > budgets.skuMaxQuantity) {
+      violations.push(`max ${budgets.skuMaxQuantity} of TCIN ${attempt.tcin} per ${windowDays} days (bought ${bought}, this order ${attempt.quantity || 1})`);
+    }
+  }
+
+  return { allowed: violations.length === 0, violations };
+}
+
+/**
+ * Check an order about to be submitted against the budget rules and, if it may go ahead, hold its
+ * amount against the caps until the attempt finishes. The background does both in one order
+ * history write, so two tabs submitting at once can't both fit under the same cap.
+ * @param {string|null} recordId - The attempt's order record, if it has one
+ * @param {Object} attempt - See evaluateBudget; checked as is when there is no record. A known
+ *   orderTotal is saved on the record first.
+ * @param {boolean} [reserve] - False to only check (dry runs)
+ * @returns {Promise<{allowed: boolean, violations: Array<string>}>}
+ */
+async function reserveBudget(recordId, attempt, reserve = true) {
+  const response = await globalThis.autocheckoutMessages.sendMessage('reserveOrderBudget', { recordId, attempt, reserve });
+  return { allowed: response.allowed, violations: response.violations };
+}
+
+globalThis.autocheckoutBudget = {
+  BUDGET_RESERVATION_MS,
+  getBudgetSettings,
+  withBudgetDefaults,
+  saveBudgetSettings,
+  getBudgetPeriodStarts,
+  hasRecordSpend,
+  getRecordSpend,
+  countsAsSpend,
+  evaluateBudget,
+  reserveBudget
+};
+
+console.log("common/budget.js: Script loaded.");
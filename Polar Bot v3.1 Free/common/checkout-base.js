@@ -1 +1,774 @@
-function _0x1d15(){const _0xa75378=['buttonClickTracking',':\x20Received\x20activation\x20command.','isEnabled','4892970dDRHBW','297618SfBoEI','9350747MkZLnx','value','type','cleanup','debugLog','intervals','5cLAIHJ','CheckoutBase\x20requires\x20a\x20siteName\x20in\x20constructor','globalSettings','action',':\x20Error\x20loading\x20profile\x20data:',':\x20Received\x20page\x20detection\x20command:\x20','runtime',':\x20Intervals\x20cleared.','getProfiles','4824102IXukUB','currentStep','7005528cQvEXR','6376288FWHboR','checkoutInProgress','.\x20Subclass\x20should\x20implement\x20this.','storage',':\x20Received\x20setting\x20update:\x20','length','enabled','5sMSNYQ','status-waiting','onActivate','-interval-tracked','observers','profile','detectCurrentPage','1839495MGcSYz','profileSelected','inputFillingTracking','36UAszJt','warn','disconnect','function',':\x20Enabled\x20state\x20updated\x20via\x20setting:\x20','site','onActivate()\x20called\x20on\x20CheckoutBase\x20for\x20',':\x20Attempted\x20to\x20track\x20invalid\x20interval\x20ID.','utils','onSettingsUpdated','siteName','siteSettings'];_0x1d15=function(){return _0xa75378;};return _0x1d15();}const _0x4076c0=_0x4830;function _0x4830(_0x51c884,_0x26d38c){const _0x1d15a0=_0x1d15();return _0x4830=function(_0x483032,_0x3a9d63){_0x483032=_0x483032-0x145;let _0xffd4c3=_0x1d15a0[_0x483032];return _0xffd4c3;},_0x4830(_0x51c884,_0x26d38c);}(function(_0x5c8f97,_0x3951dc){const _0x2a9350=_0x4830,_0x2aef19=_0x5c8f97();while(!![]){try{const _0xfa4b8f=-parseInt(_0x2a9350(0x175))/0x1*(-parseInt(_0x2a9350(0x16e))/0x2)+-parseInt(_0x2a9350(0x15b))/0x3+parseInt(_0x2a9350(0x14c))/0x4+-parseInt(_0x2a9350(0x154))/0x5*(parseInt(_0x2a9350(0x14a))/0x6)+-parseInt(_0x2a9350(0x16f))/0x7+-parseInt(_0x2a9350(0x14d))/0x8+-parseInt(_0x2a9350(0x15e))/0x9*(-parseInt(_0x2a9350(0x16d))/0xa);if(_0xfa4b8f===_0x3951dc)break;else _0x2aef19['push'](_0x2aef19['shift']());}catch(_0x202490){_0x2aef19['push'](_0x2aef19['shift']());}}}(_0x1d15,0xdc5b0));class CheckoutBase{constructor(_0x491263){const _0x1457a7=_0x4830;if(!_0x491263)throw new Error(_0x1457a7(0x176));this['siteName']=_0x491263,this['isEnabled']=![],this['siteSettings']={},this['globalSettings']={},this[_0x1457a7(0x14e)]=![],this['currentStep']='',this['profile']=null,this[_0x1457a7(0x158)]=[],this['intervals']=[],this['buttonClickTracking']={},this[_0x1457a7(0x15d)]={},this['utils']={'sleep':sleep,'waitForElement':waitForElement,'findElementWithSelectors':findElementWithSelectors,'clickElement':clickElement,'fillField':fillField,'updateStatus':updateStatus,'debugLog':debugLog,'getFromStorage':getFromStorage,'saveToStorage':saveToStorage,'getProfiles':getProfiles},this[_0x1457a7(0x150)]={'getFromStorage':getFromStorage,'saveToStorage':saveToStorage,'getSiteSettings':getSiteSettings,'updateSiteSettings':updateSiteSettings,'getProfiles':getProfiles,'saveProfile':saveProfile,'deleteProfile':deleteProfile},this['finder']={'findButtonByText':findButtonByText,'findElementWithSelectors':findElementWithSelectors,'fillFieldBySelectors':fillFieldBySelectors,'createElementWatcher':createElementWatcher,'createButtonWatcher':createButtonWatcher,'isElementVisible':isElementVisible,'isElementDisabled':isElementDisabled};}async['init'](){const _0x17d2d2=_0x4830;console['log']('Initializing\x20'+this[_0x17d2d2(0x168)]+'\x20checkout\x20system');try{await this['loadSettings'](),this['setupListeners'](),this['detectCurrentPage']();}catch(_0x3a5a43){console['error']('Error\x20during\x20'+this['siteName']+'\x20initialization:',_0x3a5a43),this[_0x17d2d2(0x166)]['updateStatus']('Error\x20initializing\x20'+this['siteName']+':\x20'+_0x3a5a43['message'],'status-waiting');}}async['loadSettings'](){const _0x16eaa4=_0x4830,_0x43a282={'TEXfn':_0x16eaa4(0x153)},_0x5ba0cf=await this[_0x16eaa4(0x150)]['getFromStorage']([_0x43a282['TEXfn'],'siteSettings','globalSettings']);this[_0x16eaa4(0x16c)]=_0x5ba0cf['enabled']||![],_0x5ba0cf[_0x16eaa4(0x169)]&&_0x5ba0cf['siteSettings'][this[_0x16eaa4(0x168)]]?(this['siteSettings']=_0x5ba0cf['siteSettings'][this[_0x16eaa4(0x168)]],this[_0x16eaa4(0x16c)]&&(this['isEnabled']=this['siteSettings']['enabled']!==undefined?this['siteSettings']['enabled']:![])):(this['siteSettings']={},this[_0x16eaa4(0x16c)]=![],console['warn']('No\x20settings\x20found\x20for\x20site:\x20'+this[_0x16eaa4(0x168)])),this['globalSettings']=_0x5ba0cf[_0x16eaa4(0x177)]||{'autoSubmit':!![],'randomizeDelay':![]},this[_0x16eaa4(0x166)]['debugLog'](this['siteName']+'-settings-loaded',{'isEnabledGlobally':_0x5ba0cf['enabled']||![],'isEnabledForSite':this['isEnabled'],'siteSettings':this['siteSettings'],'globalSettings':this[_0x16eaa4(0x177)]}),await this['loadProfileData']();}async['loadProfileData'](){const _0x57aa66=_0x4830;try{const _0xcf97a6=await this[_0x57aa66(0x150)][_0x57aa66(0x149)]();this['profile']=_0xcf97a6['selectedProfile'],!this[_0x57aa66(0x159)]?console[_0x57aa66(0x15f)](this[_0x57aa66(0x168)]+':\x20No\x20profile\x20selected\x20or\x20found.'):this['utils']['debugLog'](this['siteName']+'-profile-loaded',{'profileName':this['profile']['name']});}catch(_0x12b1f5){console['error'](this['siteName']+_0x57aa66(0x145),_0x12b1f5),this['profile']=null;}}['setupListeners'](){const _0x23514a=_0x4830,_0x242347={'kIuKe':function(_0x104e8,_0x32efa3){return _0x104e8===_0x32efa3;},'QAALW':_0x23514a(0x15c)};this['messageListener']&&chrome[_0x23514a(0x147)]['onMessage']['removeListener'](this['messageListener']),this['messageListener']=(_0xf366f8,_0x50d80d,_0x453e88)=>{const _0x7fb6c7=_0x23514a;let _0x325e28=![];if(_0xf366f8[_0x7fb6c7(0x178)]==='activateSite'&&_0x242347['kIuKe'](_0xf366f8[_0x7fb6c7(0x163)],this['siteName'])){console['log'](this['siteName']+_0x7fb6c7(0x16b));const _0x24dac2=this['isEnabled'];this['isEnabled']=!![],this['siteSettings']=_0xf366f8[_0x7fb6c7(0x169)]||this['siteSettings'],this[_0x7fb6c7(0x169)]['enabled']!==undefined&&(this['isEnabled']=this[_0x7fb6c7(0x169)][_0x7fb6c7(0x153)]),!_0x24dac2&&this['isEnabled']&&(this['utils']['debugLog'](this[_0x7fb6c7(0x168)]+'-activated',{'siteSettings':this[_0x7fb6c7(0x169)]}),this[_0x7fb6c7(0x156)]());}_0xf366f8['action']==='detectPage'&&_0xf366f8['site']===this['siteName']&&(console['log'](this['siteName']+_0x7fb6c7(0x146)+_0xf366f8['type']),this['detectPage'](_0xf366f8[_0x7fb6c7(0x171)]));if(_0xf366f8['action']==='toggleStatus'){console['log'](this[_0x7fb6c7(0x168)]+':\x20Received\x20global\x20toggle\x20command:\x20'+_0xf366f8['enabled']);const _0x1a4fde=_0xf366f8['enabled'],_0x13c1b9=this['siteSettings']?.['enabled']??![],_0x31d061=this['isEnabled'];this[_0x7fb6c7(0x16c)]=_0x1a4fde&&_0x13c1b9,this['utils'][_0x7fb6c7(0x173)](this['siteName']+'-toggled',{'global':_0x1a4fde,'site':_0x13c1b9,'now':this['isEnabled'],'was':_0x31d061});if(_0x31d061&&!this['isEnabled'])this[_0x7fb6c7(0x172)]();else!_0x31d061&&this['isEnabled']&&this[_0x7fb6c7(0x156)]();}_0xf366f8[_0x7fb6c7(0x178)]==='updateSiteSetting'&&_0xf366f8['site']===this['siteName']&&(console['log'](this['siteName']+_0x7fb6c7(0x151)+_0xf366f8['setting']+'='+_0xf366f8[_0x7fb6c7(0x170)]),this[_0x7fb6c7(0x169)][_0xf366f8['setting']]=_0xf366f8['value'],_0xf366f8['setting']==='enabled'&&this['storage']['getFromStorage'](_0x7fb6c7(0x153))['then'](_0x2afe4e=>{const _0x2e7c79=_0x7fb6c7,_0x20d1a7=_0x2afe4e['enabled']??![],_0x24bbf0=this['isEnabled'];this['isEnabled']=_0x20d1a7&&this['siteSettings'][_0x2e7c79(0x153)],console['log'](this['siteName']+_0x2e7c79(0x162)+this['isEnabled']);if(_0x24bbf0&&!this[_0x2e7c79(0x16c)])this[_0x2e7c79(0x172)]();else{if(!_0x24bbf0&&this['isEnabled'])this['onActivate']();}}),this[_0x7fb6c7(0x167)]());_0xf366f8['action']==='updateGlobalSetting'&&(console['log'](this[_0x7fb6c7(0x168)]+':\x20Received\x20global\x20setting\x20update:\x20'+_0xf366f8['setting']+'='+_0xf366f8['value']),this[_0x7fb6c7(0x177)][_0xf366f8['setting']]=_0xf366f8['value'],this['onSettingsUpdated']());(_0xf366f8['action']==='profileUpdated'||_0xf366f8[_0x7fb6c7(0x178)]===_0x242347['QAALW'])&&(console['log'](this[_0x7fb6c7(0x168)]+':\x20Received\x20profile\x20update/selection\x20command.'),this['loadProfileData']());if(_0x325e28)return!![];},chrome['runtime']['onMessage']['addListener'](this['messageListener']),console['log'](this['siteName']+':\x20Message\x20listeners\x20set\x20up.');}[_0x4076c0(0x172)](){const _0x281c85=_0x4076c0,_0x5559fd={'eWYyK':function(_0x5d28c5,_0x240f87){return _0x5d28c5(_0x240f87);}};console['log'](this['siteName']+':\x20Cleaning\x20up\x20processes'),this['utils']['updateStatus'](this['siteName']+':\x20Disabled',_0x281c85(0x155)),this[_0x281c85(0x14e)]=![],this[_0x281c85(0x14b)]='',this[_0x281c85(0x16a)]={},this[_0x281c85(0x15d)]={},this[_0x281c85(0x158)]['forEach'](_0x5f463d=>{const _0x1332ae=_0x281c85;if(_0x5f463d&&typeof _0x5f463d['disconnect']==='function')try{_0x5f463d['disconnect']();}catch(_0x17b5c9){console[_0x1332ae(0x15f)]('Error\x20disconnecting\x20observer:',_0x17b5c9);}}),this[_0x281c85(0x158)]=[],console['log'](this['siteName']+':\x20Observers\x20disconnected.'),this['intervals']['forEach'](_0x981d1e=>{_0x5559fd['eWYyK'](clearInterval,_0x981d1e);}),this[_0x281c85(0x174)]=[],console['log'](this[_0x281c85(0x168)]+_0x281c85(0x148)),typeof this['onCleanup']===_0x281c85(0x161)&&this['onCleanup']();}['onActivate'](){const _0x499749=_0x4076c0;console['warn'](_0x499749(0x164)+this[_0x499749(0x168)]+_0x499749(0x14f)),this[_0x499749(0x16c)]?(console['log'](this['siteName']+':\x20Activated.\x20Detecting\x20page.'),this['detectCurrentPage']()):(console['log'](this['siteName']+':\x20Activation\x20requested\x20but\x20still\x20disabled.'),this['utils']['updateStatus'](this['siteName']+':\x20Disabled','status-waiting'));}['onSettingsUpdated'](){const _0x470b13=_0x4076c0;this['utils'][_0x470b13(0x173)](this[_0x470b13(0x168)]+':\x20Settings\x20updated',{'siteSettings':this['siteSettings'],'globalSettings':this['globalSettings']});}[_0x4076c0(0x15a)](){throw new Error('detectCurrentPage()\x20must\x20be\x20implemented\x20by\x20'+this['siteName']+'\x20subclass');}['detectPage'](_0x5330ad){throw new Error('detectPage(pageType)\x20must\x20be\x20implemented\x20by\x20'+this['siteName']+'\x20subclass');}async['startCheckoutProcess'](){throw new Error('startCheckoutProcess()\x20must\x20be\x20implemented\x20by\x20'+this['siteName']+'\x20subclass');}async['continueCheckoutProcess'](){throw new Error('continueCheckoutProcess()\x20must\x20be\x20implemented\x20by\x20'+this['siteName']+'\x20subclass');}['trackButtonClick'](_0x663dc0,clicked=!![]){const _0xe7d7cf=_0x4076c0;this['utils']['debugLog'](this['siteName']+'-click-track',{'button':_0x663dc0,'status':clicked}),this[_0xe7d7cf(0x16a)][_0x663dc0]=clicked;}['hasButtonBeenClicked'](_0x146dd7){const _0x4d5fef=_0x4076c0;return this[_0x4d5fef(0x16a)][_0x146dd7]===!![];}['trackInputFilling'](_0x3b5b31,_0x22ee66=!![]){const _0x2216d4={'ewqLX':'filling'};this['utils']['debugLog'](this['siteName']+'-input-track',{'input':_0x3b5b31,'status':_0x22ee66?_0x2216d4['ewqLX']:'idle'}),this['inputFillingTracking'][_0x3b5b31]=_0x22ee66;}['isInputBeingFilled'](_0x4e7c6e){return this['inputFillingTracking'][_0x4e7c6e]===!![];}['trackObserver'](_0x172ab8){const _0x16da93=_0x4076c0;_0x172ab8&&typeof _0x172ab8[_0x16da93(0x160)]===_0x16da93(0x161)?(this['observers']['push'](_0x172ab8),this[_0x16da93(0x166)]['debugLog'](this[_0x16da93(0x168)]+'-observer-tracked',{'count':this['observers'][_0x16da93(0x152)]})):console['warn'](this['siteName']+':\x20Attempted\x20to\x20track\x20invalid\x20observer.');}['trackInterval'](_0xc7fe74){const _0x15c6eb=_0x4076c0;_0xc7fe74?(this[_0x15c6eb(0x174)]['push'](_0xc7fe74),this['utils'][_0x15c6eb(0x173)](this['siteName']+_0x15c6eb(0x157),{'id':_0xc7fe74,'count':this['intervals']['length']})):console['warn'](this[_0x15c6eb(0x168)]+_0x15c6eb(0x165));}}console['log']('common/checkout-base.js:\x20Script\x20loaded,\x20CheckoutBase\x20class\x20defined.');
\ No newline at end of file
+// common/checkout-base.js - Base checkout class and the declarative checkout flow (state machine)
+// Assumes utils.js, element-finder.js and storage.js have already been injected
+
+/**
+ * Declarative checkout state machine.
+ *
+ * A flow definition lists every state a site's checkout can be in and the events that move
+ * between them:
+ *
+ *   {
+ *     initial: 'idle',
+ *     any: { fail: 'failed' },                  // Transitions allowed from every state
+ *     states: {
+ *       idle: { on: { start: 'product' } },
+ *       product: {
+ *         step: 'check-stock',                  // Step shown in the popup's timeline (states can share one)
+ *         startsRun: true,                      // Entering it starts a new run in the tab's timeline
+ *         timeoutMs: 30000,                     // Sends 'timeout' if the state is not left in time
+ *         enter: (detail, flow) => {},          // Entry action
+ *         exit: (detail, flow) => {},           // Exit action
+ *         on: { addToCart: { target: 'cart', guard: (detail, flow) => true } }
+ *       },
+ *       failed: { failsStep: true },           // Entering it ends the current step as failed
+ *       ...
+ *     }
+ *   }
+ *
+ * A paused flow (see pause()) rejects every event and its state timer stops until unpause().
+ *
+ * Every accepted or rejected event is recorded in a transition log (see getLog()). Accepted
+ * transitions also build a step timeline (see getTimeline()), which is sent to the background
+ * (background/step-timeline.js) so the popup can show where every automated tab is.
+ */
+class CheckoutFlow {
+  /**
+   * @param {string} siteName - Site the flow belongs to (used in logs)
+   * @param {Object} definition - Flow definition (see class comment)
+   */
+  constructor(siteName, definition) {
+    if (!definition || !definition.states || !definition.states[definition.initial]) {
+      throw new Error(`CheckoutFlow for ${siteName} needs an initial state that exists in states`);
+    }
+    this.siteName = siteName;
+    this.definition = definition;
+    this.maxLogEntries = definition.maxLogEntries || 100;
+    this.listeners = [];
+    this.validate();
+    this.reset('created');
+  }
+
+  /**
+   * Make sure every transition points at a declared state
+   */
+  validate() {
+    const states = this.definition.states;
+    const check = (from, transitions) => {
+      Object.entries(transitions || {}).forEach(([event, transition]) => {
+        const target = typeof transition === 'string' ? transition : transition.target;
+        if (!states[target]) {
+          throw new Error(`CheckoutFlow for ${this.siteName}: '${from}' --${event}--> unknown state '${target}'`);
+        }
+      });
+    };
+    check('*', this.definition.any);
+    Object.entries(states).forEach(([name, state]) => check(name, state.on));
+  }
+
+  /** @returns {string} Current state name */
+  get state() {
+    return this.currentState;
+  }
+
+  /** @returns {string|null} Timeline step of the current state; null while idle or finished */
+  get step() {
+    return this.definition.states[this.currentState].step || null;
+  }
+
+  /**
+   * @param {...string} states - State names
+   * @returns {boolean} True if the flow is in one of the given states
+   */
+  is(...states) {
+    return states.includes(this.currentState);
+  }
+
+  /**
+   * Look up the transition an event would take from the current state
+   * @param {string} event
+   * @returns {{target: string, guard: Function|undefined}|null}
+   */
+  findTransition(event) {
+    const stateDef = this.definition.states[this.currentState];
+    const transition = (stateDef.on && stateDef.on[event]) || (this.definition.any && this.definition.any[event]);
+    if (!transition) return null;
+    return typeof transition === 'string' ? { target: transition } : transition;
+  }
+
+  /**
+   * @param {string} event
+   * @param {Object} [detail]
+   * @returns {boolean} True if the event would be accepted right now
+   */
+  can(event, detail = {}) {
+    const transition = this.findTransition(event);
+    return !!transition && (!transition.guard || !!transition.guard(detail, this));
+  }
+
+  /**
+   * Send an event to the flow
+   * @param {string} event - Event name
+   * @param {Object} [detail] - Passed to guards and entry/exit actions, and kept in the log
+   * @returns {boolean} True if the transition happened
+   */
+  send(event, detail = {}) {
+    const from = this.currentState;
+    if (this.paused) {
+      this.record({ from, to: null, event, detail, rejected: 'paused' });
+      console.warn(`[${this.siteName} flow] '${event}' rejected while paused in state '${from}'`);
+      return false;
+    }
+    const transition = this.findTransition(event);
+    if (!transition) {
+      this.record({ from, to: null, event, detail, rejected: 'no transition' });
+      console.warn(`[${this.siteName} flow] '${event}' rejected in state '${from}'`);
+      return false;
+    }
+    if (transition.guard && !transition.guard(detail, this)) {
+      this.record({ from, to: transition.target, event, detail, rejected: 'guard' });
+      console.warn(`[${this.siteName} flow] '${event}' blocked by guard in state '${from}'`);
+      return false;
+    }
+
+    this.runAction(this.definition.states[from].exit, from, detail);
+    this.clearStateTimer();
+    this.currentState = transition.target;
+    this.visits[transition.target] = (this.visits[transition.target] || 0) + 1;
+    if (typeof setRunLogContext === 'function') {
+      setRunLogContext({ site: this.siteName, step: transition.target });
+    }
+    const entry = this.record({ from, to: transition.target, event, detail, visit: this.visits[transition.target] });
+    console.log(`[${this.siteName} flow] ${from} -> ${transition.target} (${event})`);
+    this.recordStep(entry);
+
+    this.startStateTimer();
+    this.runAction(this.definition.states[transition.target].enter, transition.target, detail);
+    this.listeners.forEach(listener => {
+      try { listener(entry, this); } catch (e) { console.warn("Flow listener error:", e); }
+    });
+    return true;
+  }
+
+  /**
+   * Return to the initial state and clear the log
+   * @param {string} [reason]
+   */
+  reset(reason = 'reset') {
+    this.clearStateTimer();
+    if (this.timeline) {
+      const running = this.getRunningStep();
+      if (running) {
+        this.endStep(running, 'stopped', { at: Date.now(), detail: { reason: `Stopped (${reason})` } });
+        this.reportTimeline(false);
+      }
+    }
+    this.paused = false;
+    this.timeline = [];
+    this.timelineId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.currentState = this.definition.initial;
+    this.visits = { [this.definition.initial]: 1 };
+    this.log = [];
+    this.record({ from: null, to: this.currentState, event: reason });
+  }
+
+  /**
+   * Hold the flow in its current state: events are rejected and the state timer stops
+   * @param {string} [reason]
+   * @returns {boolean} True if the flow was running and is now paused
+   */
+  pause(reason = 'pause') {
+    if (this.paused || this.currentState === this.definition.initial) return false;
+    this.paused = true;
+    this.clearStateTimer();
+    this.record({ from: this.currentState, to: this.currentState, event: 'pause', detail: { reason } });
+    this.reportTimeline(false);
+    return true;
+  }
+
+  /**
+   * Let a paused flow take events again; the state timer starts over
+   * @param {string} [reason]
+   * @returns {boolean} True if the flow was paused
+   */
+  unpause(reason = 'unpause') {
+    if (!this.paused) return false;
+    this.paused = false;
+    this.record({ from: this.currentState, to: this.currentState, event: 'unpause', detail: { reason } });
+    this.startStateTimer();
+    this.reportTimeline(false);
+    return true;
+  }
+
+  /**
+   * Subscribe to accepted transitions
+   * @param {Function} listener - Called with (logEntry, flow)
+   */
+  onTransition(listener) {
+    this.listeners.push(listener);
+  }
+
+  /** @returns {Array<Object>} Copy of the transition log, oldest first */
+  getLog() {
+    return this.log.slice();
+  }
+
+  /**
+   * @returns {Array<Object>} Copy of this page's step timeline, oldest first:
+   *   { step, state, status, startedAt, endedAt, retries, selector, error }. status is 'running',
+   *   'done', 'failed' or 'stopped' (the flow was reset while the step ran).
+   */
+  getTimeline() {
+    return this.timeline.map(step => ({ ...step }));
+  }
+
+  /** @private */
+  getRunningStep() {
+    const last = this.timeline[this.timeline.length - 1];
+    return last && last.status === 'running' ? last : null;
+  }
+
+  /**
+   * Move the step timeline along for an accepted transition. Staying in the same step (or
+   * entering one of its states again) counts as a retry; a state without a step ends the
+   * current one. An event with detail.interrupted ends the current step as stopped.
+   * @private
+   */
+  recordStep(entry) {
+    const stepName = this.definition.states[entry.to].step || null;
+    const running = this.getRunningStep();
+    if (running && running.step === stepName) {
+      if (entry.from === entry.to || entry.visit > 1) {
+        running.retries++;
+      }
+      running.state = entry.to;
+    } else {
+      if (running) {
+        const status = this.definition.states[entry.to].failsStep ? 'failed' : entry.detail && entry.detail.interrupted ? 'stopped' : 'done';
+        this.endStep(running, status, entry);
+      }
+      if (stepName) {
+        this.timeline.push({
+          step: stepName, state: entry.to, status: 'running', startedAt: entry.at, endedAt: null,
+          retries: 0, selector: null, error: null
+        });
+      }
+    }
+    this.reportTimeline(!!this.definition.states[entry.to].startsRun && entry.from !== entry.to);
+  }
+
+  /** @private */
+  endStep(step, status, entry) {
+    step.status = status;
+    step.endedAt = entry.at;
+    if (status !== 'done') {
+      step.error = (entry.detail && entry.detail.reason) || null;
+    }
+    if (typeof lastSelectorMatch !== 'undefined' && lastSelectorMatch && lastSelectorMatch.at >= step.startedAt) {
+      step.selector = lastSelectorMatch.selector;
+    }
+  }
+
+  /**
+   * Send this page's timeline to the background
+   * @param {boolean} restart - A new run started in this tab; earlier pages' steps are dropped
+   * @private
+   */
+  reportTimeline(restart) {
+    if (typeof canSendExtensionMessages !== 'function' || !canSendExtensionMessages()) return;
+    const running = this.getRunningStep();
+    if (running && typeof lastSelectorMatch !== 'undefined' && lastSelectorMatch && lastSelectorMatch.at >= running.startedAt) {
+      running.selector = lastSelectorMatch.selector;
+    }
+    globalThis.autocheckoutMessages.sendMessage('stepTimeline', {
+      site: this.siteName,
+      pageId: this.timelineId,
+      state: this.currentState,
+      paused: this.paused,
+      steps: this.getTimeline(),
+      restart: restart
+    }).catch(() => {});
+  }
+
+  /** @private */
+  record(entry) {
+    const logEntry = Object.assign({ at: Date.now() }, entry);
+    this.log.push(logEntry);
+    if (this.log.length > this.maxLogEntries) {
+      this.log.shift();
+    }
+    if (typeof runLog === 'function') {
+      const summary = `${this.siteName} flow: ${logEntry.from || '-'} -> ${logEntry.to || '-'} (${logEntry.event})`;
+      runLog(logEntry.rejected ? 'warn' : 'info', logEntry.rejected ? `${summary} rejected: ${logEntry.rejected}` : summary, logEntry);
+    }
+    return logEntry;
+  }
+
+  /** @private */
+  runAction(action, stateName, detail) {
+    if (typeof action !== 'function') return;
+    try {
+      action(detail, this);
+    } catch (error) {
+      console.error(`[${this.siteName} flow] Action for state '${stateName}' failed:`, error);
+    }
+  }
+
+  /** @private */
+  startStateTimer() {
+    const stateName = this.currentState;
+    const timeoutMs = this.definition.states[stateName].timeoutMs;
+    if (!timeoutMs) return;
+    this.stateTimer = setTimeout(() => {
+      this.stateTimer = null;
+      if (this.currentState !== stateName) return;
+      this.send('timeout', { timedOut: true, reason: `Timed out in ${stateName} after ${timeoutMs / 1000}s` });
+    }, timeoutMs);
+  }
+
+  /** @private */
+  clearStateTimer() {
+    if (this.stateTimer) {
+      clearTimeout(this.stateTimer);
+      this.stateTimer = null;
+    }
+  }
+}
+
+class CheckoutBase {
+  /**
+   * @param {string} siteName - Site key used in settings and messages (e.g. 'target')
+   */
+  constructor(siteName) {
+    if (!siteName) {
+      throw new Error("CheckoutBase requires a siteName in constructor");
+    }
+    this.siteName = siteName;
+    this.isEnabled = false;
+    this.siteSettings = {};
+    this.globalSettings = {};
+    this.checkoutInProgress = false;
+    this.flow = null;
+    this.profile = null;
+    this.pausedPageType = "";
+    this.observers = [];
+    this.intervals = [];
+    this.buttonClickTracking = {};
+    this.inputFillingTracking = {};
+    this.checkoutControlHandlers = {
+      onPause: () => this.pauseCheckout(),
+      onResume: () => this.resumeCheckout(),
+      onAbort: () => this.abortCheckout()
+    };
+    this.utils = {
+      sleep: sleep,
+      waitForElement: waitForElement,
+      findElementWithSelectors: findElementWithSelectors,
+      clickElement: clickElement,
+      fillField: fillField,
+      updateStatus: updateStatus,
+      debugLog: debugLog,
+      getFromStorage: getFromStorage,
+      saveToStorage: saveToStorage,
+      getProfiles: getProfiles
+    };
+    this.storage = {
+      getFromStorage: getFromStorage,
+      saveToStorage: saveToStorage,
+      getSiteSettings: getSiteSettings,
+      updateSiteSettings: updateSiteSettings,
+      getProfiles: getProfiles,
+      saveProfile: saveProfile,
+      deleteProfile: deleteProfile
+    };
+    this.finder = {
+      findButtonByText: findButtonByText,
+      findElementWithSelectors: findElementWithSelectors,
+      fillFieldBySelectors: fillFieldBySelectors,
+      createElementWatcher: createElementWatcher,
+      createButtonWatcher: createButtonWatcher,
+      isElementVisible: isElementVisible,
+      isElementDisabled: isElementDisabled
+    };
+  }
+
+  /**
+   * Declare the checkout flow for this site. Subclasses call this from their constructor.
+   * @param {Object} definition - CheckoutFlow definition
+   * @returns {CheckoutFlow}
+   */
+  defineFlow(definition) {
+    this.flow = new CheckoutFlow(this.siteName, definition);
+    this.flow.onTransition(() => syncCheckoutControls(this.flow, this.checkoutControlHandlers));
+    return this.flow;
+  }
+
+  /** @returns {string} Current flow state, or '' if no flow was declared */
+  get currentStep() {
+    return this.flow ? this.flow.state : '';
+  }
+
+  async init() {
+    console.log("Initializing " + this.siteName + " checkout system");
+    try {
+      await this.loadSettings();
+      this.setupListeners();
+      this.detectCurrentPage();
+    } catch (error) {
+      console.error("Error during " + this.siteName + " initialization:", error);
+      this.utils.updateStatus("Error initializing " + this.siteName + ": " + error.message, "status-waiting");
+    }
+  }
+
+  /** @returns {Object|null} This site's adapter from sites/registry.js */
+  getSiteAdapter() {
+    return globalThis.autocheckoutSites ? globalThis.autocheckoutSites.getSiteAdapter(this.siteName) : null;
+  }
+
+  /** @returns {string} Page type of the current URL by the site adapter's pages, or '' */
+  getCurrentPageType() {
+    const adapter = this.getSiteAdapter();
+    return adapter ? globalThis.autocheckoutSites.getSitePageType(adapter, window.location.href) : "";
+  }
+
+  /**
+   * Apply the installed selector pack to the selector sets the site adapter declares
+   * @returns {Promise<Object|null>} The applied pack, or null
+   */
+  async loadSiteSelectorPack() {
+    const adapter = this.getSiteAdapter();
+    if (!adapter || !adapter.selectorPack || typeof loadSelectorPack !== "function") {
+      return null;
+    }
+    return loadSelectorPack(adapter.selectorPack.site, window[adapter.selectorPack.selectors]);
+  }
+
+  async loadSettings() {
+    // The site toggle arms a site; the old global "enabled" flag is migrated into it (see common/storage-schema.js)
+    const data = await this.storage.getSiteSettings(this.siteName);
+    this.siteSettings = data.siteSettings;
+    this.isEnabled = this.siteSettings.enabled === true;
+    this.globalSettings = Object.keys(data.globalSettings).length > 0 ? data.globalSettings : {
+      autoSubmit: true,
+      randomizeDelay: false
+    };
+    this.utils.debugLog(this.siteName + "-settings-loaded", {
+      isEnabledForSite: this.isEnabled,
+      siteSettings: this.siteSettings,
+      globalSettings: this.globalSettings
+    });
+    await this.loadProfileData();
+  }
+
+  async loadProfileData() {
+    try {
+      const profileData = await this.storage.getProfiles();
+      this.profile = profileData.selectedProfile;
+      if (!this.profile) {
+        console.warn(this.siteName + ": No profile selected or found.");
+      } else {
+        this.utils.debugLog(this.siteName + "-profile-loaded", {
+          profileName: this.profile.name
+        });
+      }
+    } catch (error) {
+      console.error(this.siteName + ": Error loading profile data:", error);
+      this.profile = null;
+    }
+  }
+
+  setupListeners() {
+    if (this.messageListener) {
+      chrome.runtime.onMessage.removeListener(this.messageListener);
+    }
+    this.messageListener = (message, sender, sendResponse) => {
+      let asyncResponse = false;
+      const rejection = globalThis.autocheckoutMessages.checkIncomingMessage(message);
+      if (rejection) {
+        sendResponse({ success: false, error: rejection });
+        return false;
+      }
+      if (message.action === "activateSite" && message.site === this.siteName) {
+        console.log(this.siteName + ": Received activation command.");
+        const wasEnabled = this.isEnabled;
+        this.isEnabled = true;
+        this.siteSettings = message.siteSettings || this.siteSettings;
+        if (this.siteSettings.enabled !== undefined) {
+          this.isEnabled = this.siteSettings.enabled;
+        }
+        if (!wasEnabled && this.isEnabled) {
+          this.utils.debugLog(this.siteName + "-activated", {
+            siteSettings: this.siteSettings
+          });
+          this.onActivate();
+        }
+      }
+      if (message.action === "detectPage" && message.site === this.siteName) {
+        console.log(this.siteName + ": Received page detection command: " + message.type);
+        this.detectPage(message.type);
+      }
+      if (message.action === "toggleStatus") {
+        console.log(this.siteName + ": Received global toggle command: " + message.enabled);
+        const globalEnabled = message.enabled;
+        const siteEnabled = this.siteSettings?.enabled ?? false;
+        const wasEnabled = this.isEnabled;
+        this.isEnabled = globalEnabled && siteEnabled;
+        this.utils.debugLog(this.siteName + "-toggled", {
+          global: globalEnabled,
+          site: siteEnabled,
+          now: this.isEnabled,
+          was: wasEnabled
+        });
+        if (wasEnabled && !this.isEnabled) {
+          this.cleanup();
+        } else if (!wasEnabled && this.isEnabled) {
+          this.onActivate();
+        }
+      }
+      if (message.action === "updateSiteSetting" && message.site === this.siteName) {
+        // { siteSettings: {...} } from the popup and scheduler, or a single { setting, value }
+        const changes = message.siteSettings || { [message.setting]: message.value };
+        console.log(this.siteName + ": Received setting update:", changes);
+        Object.assign(this.siteSettings, changes);
+        if (changes.enabled !== undefined) {
+          const wasEnabled = this.isEnabled;
+          this.isEnabled = this.siteSettings.enabled === true;
+          console.log(this.siteName + ": Enabled state updated via setting: " + this.isEnabled);
+          if (wasEnabled && !this.isEnabled) {
+            this.cleanup();
+          } else if (!wasEnabled && this.isEnabled) {
+            this.onActivate();
+          }
+        }
+        this.onSettingsUpdated();
+      }
+      if (message.action === "updateGlobalSetting") {
+        const changes = message.globalSettings || { [message.setting]: message.value };
+        console.log(this.siteName + ": Received global setting update:", changes);
+        Object.assign(this.globalSettings, changes);
+        this.onSettingsUpdated();
+      }
+      if (message.action === "profileUpdated" || message.action === "profileSelected") {
+        console.log(this.siteName + ": Received profile update/selection command.");
+        this.loadProfileData();
+      }
+      this.handleFlowMessage(message, sendResponse);
+      if (asyncResponse) {
+        return true;
+      }
+      // Acknowledge commands; only the first response counts, so getCheckoutFlow keeps its own
+      sendResponse({ success: true });
+    };
+    chrome.runtime.onMessage.addListener(this.messageListener);
+    console.log(this.siteName + ": Message listeners set up.");
+  }
+
+  /**
+   * Answer the messages about this page's checkout flow: getCheckoutFlow (state and log for the
+   * popup) and controlCheckout (pause, resume, abort)
+   * @param {Object} message
+   * @param {Function} sendResponse
+   * @returns {boolean} True if the message was answered
+   */
+  handleFlowMessage(message, sendResponse) {
+    if (message.action === "getCheckoutFlow" && this.flow) {
+      sendResponse({ state: this.flow.state, log: this.flow.getLog() });
+      return true;
+    }
+    if (message.action === "controlCheckout") {
+      sendResponse(this.controlCheckout(message.command));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} [reason] - Recorded in the flow log
+   */
+  cleanup(reason = "cleanup") {
+    console.log(this.siteName + ": Cleaning up processes");
+    this.utils.updateStatus(this.siteName + ": Disabled", "status-waiting");
+    this.checkoutInProgress = false;
+    if (this.flow) {
+      this.flow.reset(reason);
+    }
+    // Calls held by a pause never return; the checkout they belonged to is gone
+    setCheckoutPaused(false, true);
+    hideCheckoutControls();
+    this.buttonClickTracking = {};
+    this.inputFillingTracking = {};
+    this.observers.forEach(observer => {
+      if (observer && typeof observer.disconnect === "function") {
+        try {
+          observer.disconnect();
+        } catch (error) {
+          console.warn("Error disconnecting observer:", error);
+        }
+      }
+    });
+    this.observers = [];
+    console.log(this.siteName + ": Observers disconnected.");
+    this.intervals.forEach(intervalId => {
+      clearInterval(intervalId);
+    });
+    this.intervals = [];
+    console.log(this.siteName + ": Intervals cleared.");
+    if (typeof this.onCleanup === "function") {
+      this.onCleanup();
+    }
+  }
+
+  /**
+   * Hold the running checkout step: the flow rejects events and the checkout helpers
+   * (sleep, clickElement, fillField) wait until it is resumed
+   * @returns {boolean} True if a running checkout was paused
+   */
+  pauseCheckout() {
+    if (!this.flow || !this.flow.step || !this.flow.pause("Paused by user")) {
+      return false;
+    }
+    setCheckoutPaused(true);
+    this.pausedPageType = this.getCurrentPageType();
+    this.utils.updateStatus("Paused at " + this.flow.step, "status-waiting");
+    syncCheckoutControls(this.flow, this.checkoutControlHandlers);
+    return true;
+  }
+
+  /**
+   * Carry on with the held step if the page is still the one it was running on, otherwise
+   * drop it and detect the page again
+   * @returns {boolean} True if a paused checkout was resumed
+   */
+  resumeCheckout() {
+    if (!this.flow || !this.flow.paused) {
+      return false;
+    }
+    if (this.getCurrentPageType() === this.pausedPageType) {
+      this.flow.unpause("Resumed by user");
+      setCheckoutPaused(false);
+      this.utils.updateStatus("Resumed at " + this.flow.step, "status-running");
+      syncCheckoutControls(this.flow, this.checkoutControlHandlers);
+      return true;
+    }
+    this.cleanup("resume");
+    this.detectCurrentPage();
+    return true;
+  }
+
+  /**
+   * Stop the running checkout for good
+   * @returns {boolean} True if there was a checkout to abort
+   */
+  abortCheckout() {
+    if (!this.flow || !this.flow.step) {
+      return false;
+    }
+    console.warn(this.siteName + ": Checkout aborted by user in state " + this.flow.state);
+    this.cleanup("abort");
+    this.utils.updateStatus("Checkout aborted", "status-waiting");
+    return true;
+  }
+
+  /**
+   * Run a controlCheckout command from the popup, the keyboard shortcut or the in-page control
+   * @param {string} command - 'pause', 'resume', 'toggle-pause' or 'abort'
+   * @returns {Object} Response for the sender
+   */
+  controlCheckout(command) {
+    const commands = {
+      pause: () => this.pauseCheckout(),
+      resume: () => this.resumeCheckout(),
+      "toggle-pause": () => (this.flow && this.flow.paused ? this.resumeCheckout() : this.pauseCheckout()),
+      abort: () => this.abortCheckout()
+    };
+    if (!commands[command]) {
+      return { success: false, error: "Unknown checkout command '" + command + "'" };
+    }
+    if (!commands[command]()) {
+      const state = this.flow ? this.flow.state : "";
+      return { success: false, error: "Nothing to " + command + " in state '" + state + "'", state, paused: !!(this.flow && this.flow.paused) };
+    }
+    return { success: true, state: this.flow.state, paused: this.flow.paused };
+  }
+
+  onActivate() {
+    console.warn("onActivate() called on CheckoutBase for " + this.siteName + ". Subclass should implement this.");
+    if (this.isEnabled) {
+      console.log(this.siteName + ": Activated. Detecting page.");
+      this.detectCurrentPage();
+    } else {
+      console.log(this.siteName + ": Activation requested but still disabled.");
+      this.utils.updateStatus(this.siteName + ": Disabled", "status-waiting");
+    }
+  }
+
+  onSettingsUpdated() {
+    this.utils.debugLog(this.siteName + ": Settings updated", {
+      siteSettings: this.siteSettings,
+      globalSettings: this.globalSettings
+    });
+  }
+
+  detectCurrentPage() {
+    throw new Error("detectCurrentPage() must be implemented by " + this.siteName + " subclass");
+  }
+
+  detectPage(pageType) {
+    throw new Error("detectPage(pageType) must be implemented by " + this.siteName + " subclass");
+  }
+
+  async startCheckoutProcess() {
+    throw new Error("startCheckoutProcess() must be implemented by " + this.siteName + " subclass");
+  }
+
+  async continueCheckoutProcess() {
+    throw new Error("continueCheckoutProcess() must be implemented by " + this.siteName + " subclass");
+  }
+
+  trackButtonClick(buttonName, clicked = true) {
+    this.utils.debugLog(this.siteName + "-click-track", {
+      button: buttonName,
+      status: clicked
+    });
+    this.buttonClickTracking[buttonName] = clicked;
+  }
+
+  hasButtonBeenClicked(buttonName) {
+    return this.buttonClickTracking[buttonName] === true;
+  }
+
+  trackInputFilling(inputName, filling = true) {
+    this.utils.debugLog(this.siteName + "-input-track", {
+      input: inputName,
+      status: filling ? "filling" : "idle"
+    });
+    this.inputFillingTracking[inputName] = filling;
+  }
+
+  isInputBeingFilled(inputName) {
+    return this.inputFillingTracking[inputName] === true;
+  }
+
+  trackObserver(observer) {
+    if (observer && typeof observer.disconnect === "function") {
+      this.observers.push(observer);
+      this.utils.debugLog(this.siteName + "-observer-tracked", {
+        count: this.observers.length
+      });
+    } else {
+      console.warn(this.siteName + ": Attempted to track invalid observer.");
+    }
+  }
+
+  trackInterval(intervalId) {
+    if (intervalId) {
+      this.intervals.push(intervalId);
+      this.utils.debugLog(this.siteName + "-interval-tracked", {
+        id: intervalId,
+        count: this.intervals.length
+      });
+    } else {
+      console.warn(this.siteName + ": Attempted to track invalid interval ID.");
+    }
+  }
+}
+console.log("common/checkout-base.js: Script loaded, CheckoutBase class defined.");
@@ -0,0 +1,104 @@
+// common/checkout-controls.js - In-page pause/resume/abort control for a running checkout (Attaches to window.autocheckoutCheckoutControls)
+// The site content script shows it while its checkout flow is running and hides it when the flow
+// finishes. The panel lives in a shadow root, so the page's styles don't reach it and the site
+// lookups (findButtonByText scans the page's buttons) never see its buttons. The popup and the
+// keyboard shortcut send the same commands through the controlCheckout message.
+
+// `var` so the scripts can be injected into a page more than once.
+var CHECKOUT_CONTROLS_HOST_ID = 'polar-checkout-controls';
+var checkoutControlsHandlers = null;
+
+/**
+ * @returns {ShadowRoot|null} The panel's shadow root, if the panel is on the page
+ */
+function getCheckoutControlsRoot() {
+  const host = document.getElementById(CHECKOUT_CONTROLS_HOST_ID);
+  return host ? host.shadowRoot : null;
+}
+
+/**
+ * Show the control panel (created on first use)
+ * @param {Object} handlers - { onPause, onResume, onAbort }, called when the buttons are clicked
+ */
+function showCheckoutControls(handlers) {
+  checkoutControlsHandlers = handlers;
+  if (getCheckoutControlsRoot() || !document.body) {
+    return;
+  }
+  const host = document.createElement('div');
+  host.id = CHECKOUT_CONTROLS_HOST_ID;
+  const root = host.attachShadow({ mode: 'open' });
+  root.innerHTML = `
+    <style>
+      .panel { position: fixed; right: 16px; bottom: 16px; z-index: 2147483647; display: flex; align-items: center; gap: 8px;
+        padding: 8px 10px; border-radius: 8px; background: #0a0c1b; color: #c8cbf6; font: 12px sans-serif;
+        box-shadow: 0 2px 10px rgba(0, 0, 0, 0.4); }
+      .panel.paused { outline: 2px solid #a3a7d4; }
+      .label { max-width: 220px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      button { padding: 3px 10px; border: none; border-radius: 4px; background: #374082; color: #fff; font: bold 12px sans-serif; cursor: pointer; }
+      button.abort { background: #f04747; }
+    </style>
+    <div class="panel" role="region" aria-label="Checkout controls">
+      <span class="label">Checkout running</span>
+      <button class="toggle" type="button">Pause</button>
+      <button class="abort" type="button">Abort</button>
+    </div>
+  `;
+  root.querySelector('.toggle').addEventListener('click', () => {
+    const paused = root.querySelector('.panel').classList.contains('paused');
+    const handler = checkoutControlsHandlers && (paused ? checkoutControlsHandlers.onResume : checkoutControlsHandlers.onPause);
+    if (handler) handler();
+  });
+  root.querySelector('.abort').addEventListener('click', () => {
+    if (checkoutControlsHandlers && checkoutControlsHandlers.onAbort) checkoutControlsHandlers.onAbort();
+  });
+  document.body.appendChild(host);
+}
+
+/**
+ * Show the current step and whether the checkout is paused
+ * @param {{step: string, paused: boolean}} status
+ */
+function updateCheckoutControls(status) {
+  const root = getCheckoutControlsRoot();
+  if (!root) {
+    return;
+  }
+  root.querySelector('.panel').classList.toggle('paused', status.paused);
+  root.querySelector('.label').textContent = (status.paused ? 'Paused at ' : 'Running: ') + status.step;
+  root.querySelector('.toggle').textContent = status.paused ? 'Resume' : 'Pause';
+}
+
+/**
+ * Take the control panel off the page
+ */
+function hideCheckoutControls() {
+  const host = document.getElementById(CHECKOUT_CONTROLS_HOST_ID);
+  if (host) {
+    host.remove();
+  }
+  checkoutControlsHandlers = null;
+}
+
+/**
+ * Show the panel while a checkout flow is in one of its steps, hide it otherwise
+ * @param {CheckoutFlow} flow - See common/checkout-base.js
+ * @param {Object} handlers - See showCheckoutControls
+ */
+function syncCheckoutControls(flow, handlers) {
+  if (!flow.step) {
+    hideCheckoutControls();
+    return;
+  }
+  showCheckoutControls(handlers);
+  updateCheckoutControls({ step: flow.step, paused: flow.paused });
+}
+
+window.autocheckoutCheckoutControls = {
+  showCheckoutControls,
+  updateCheckoutControls,
+  hideCheckoutControls,
+  syncCheckoutControls
+};
+
+console.log("common/checkout-controls.js: Script loaded.");
@@ -0,0 +1,79 @@
+// common/crypto.js - Passphrase encryption shared by the profile vault and encrypted exports
+// (Attaches to globalThis.autocheckoutCrypto)
+// Imported by the service worker (background/vault.js) and loaded by the options page
+// (common/backup.js). A key is derived from the passphrase with PBKDF2 (SHA-256) and values are
+// sealed with AES-GCM 256 under a fresh 12-byte IV; bytes are stored as base64.
+
+/**
+ * Encode bytes as base64 for storage
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode a base64 string from storage
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt - Random per vault or export
+ * @param {number} iterations - PBKDF2 iteration count
+ * @param {boolean} [extractable] - True to be able to export the key (the vault keeps it for the session)
+ * @returns {Promise<CryptoKey>}
+ */
+async function derivePassphraseKey(passphrase, salt, iterations, extractable = false) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    extractable,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a JSON-serialisable value
+ * @param {CryptoKey} key
+ * @param {any} value
+ * @returns {Promise<{iv: string, data: string}>}
+ */
+async function encryptJson(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipherText = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(cipherText)) };
+}
+
+/**
+ * Decrypt a value produced by encryptJson
+ * @param {CryptoKey} key
+ * @param {{iv: string, data: string}} box
+ * @returns {Promise<any>}
+ */
+async function decryptJson(key, box) {
+  const plainText = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(box.iv) }, key, base64ToBytes(box.data));
+  return JSON.parse(new TextDecoder().decode(plainText));
+}
+
+globalThis.autocheckoutCrypto = {
+  bytesToBase64,
+  base64ToBytes,
+  derivePassphraseKey,
+  encryptJson,
+  decryptJson
+};
+
+console.log("common/crypto.js: Script loaded.");
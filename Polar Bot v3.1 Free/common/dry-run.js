@@ -0,0 +1,227 @@
+// common/dry-run.js - Dry run rehearsals: walk a checkout without submitting (Attaches to window.autocheckoutDryRun)
+// Assumes utils.js and storage.js have already been injected.
+//
+// While a rehearsal is active the site content script runs every checkout step, but instead of the
+// final clicks (place order, CVV confirm, card verify) it records the element and outlines it on
+// the page. The report collects per-step timings and which elements were found or missing. It is
+// kept in sessionStorage so it survives the product -> checkout navigation, and saved to
+// chrome.storage.local (dryRunReports) when the rehearsal finishes.
+
+// `var` so the scripts can be injected into a page more than once.
+var DRY_RUN_SESSION_KEY = 'polar_dry_run';
+var dryRunReport = null;
+
+/**
+ * @returns {boolean} True while a rehearsal is running in this tab
+ */
+function isDryRunActive() {
+  return !!dryRunReport;
+}
+
+function saveDryRunSession() {
+  try {
+    window.sessionStorage.setItem(DRY_RUN_SESSION_KEY, JSON.stringify(dryRunReport));
+  } catch (e) {
+    console.warn('Could not keep dry run report in sessionStorage:', e);
+  }
+}
+
+/**
+ * Start a new rehearsal report
+ * @param {string} site - Site name
+ * @param {Object} [details] - Known so far (tcin, title, profileId, profileName)
+ * @returns {Object} The report
+ */
+function beginDryRun(site, details = {}) {
+  const now = Date.now();
+  dryRunReport = {
+    id: now.toString(36) + Math.random().toString(36).substr(2, 5),
+    site: site,
+    tcin: null,
+    title: null,
+    profileId: null,
+    profileName: null,
+    ...details,
+    startedAt: now,
+    finishedAt: null,
+    durationMs: null,
+    outcome: 'in-progress',
+    reason: null,
+    steps: [], // { name, page, at (ms since start), durationMs }
+    elements: [] // { key, label, step, found, visible, disabled, wouldClick, note, at }
+  };
+  saveDryRunSession();
+  console.log(`Dry run started for ${site} - nothing will be submitted`);
+  runLog('info', 'Dry run started', { site: site, tcin: dryRunReport.tcin });
+  return dryRunReport;
+}
+
+/**
+ * Pick up the rehearsal an earlier page in this tab started
+ * @param {string} site - Site name
+ * @returns {Object|null} The report, or null if none is running
+ */
+function resumeDryRun(site) {
+  if (dryRunReport) {
+    return dryRunReport;
+  }
+  try {
+    const saved = JSON.parse(window.sessionStorage.getItem(DRY_RUN_SESSION_KEY));
+    if (saved && saved.site === site && saved.outcome === 'in-progress') {
+      dryRunReport = saved;
+      console.log('Dry run continuing on ' + window.location.pathname);
+    }
+  } catch (e) {
+    console.warn('Could not read dry run report from sessionStorage:', e);
+  }
+  return dryRunReport;
+}
+
+/**
+ * Mark the start of a checkout step; the previous step's duration ends here
+ * @param {string} name - Step (flow state) name
+ */
+function recordDryRunStep(name) {
+  if (!dryRunReport) {
+    return;
+  }
+  const at = Date.now() - dryRunReport.startedAt;
+  const previous = dryRunReport.steps[dryRunReport.steps.length - 1];
+  if (previous && previous.durationMs === null) {
+    previous.durationMs = at - previous.at;
+  }
+  dryRunReport.steps.push({ name: name, page: window.location.pathname, at: at, durationMs: null });
+  saveDryRunSession();
+}
+
+/**
+ * Record whether an element the checkout needs was found. Elements the real run would click to
+ * submit are outlined on the page instead.
+ * @param {string} key - Element key (same keys as the selector engine, e.g. 'cvv.confirm')
+ * @param {string} label - Readable name
+ * @param {Element|null} element - What the step found
+ * @param {Object} [options]
+ * @param {boolean} [options.wouldClick] - The real run clicks this element to submit
+ * @param {string} [options.note] - Extra context for the report (e.g. why it was not looked for)
+ */
+function recordDryRunElement(key, label, element, options = {}) {
+  if (!dryRunReport) {
+    return;
+  }
+  const entry = {
+    key: key,
+    label: label,
+    step: dryRunReport.steps.length > 0 ? dryRunReport.steps[dryRunReport.steps.length - 1].name : null,
+    found: !!element,
+    visible: element ? isElementVisible(element) : false,
+    disabled: element ? isElementDisabled(element) : null,
+    wouldClick: options.wouldClick === true,
+    note: options.note || null,
+    at: Date.now() - dryRunReport.startedAt
+  };
+  dryRunReport.elements.push(entry);
+  saveDryRunSession();
+  if (element && entry.wouldClick) {
+    highlightDryRunTarget(element, label);
+    console.log(`Dry run: would click ${label} - click withheld`);
+    runLog('info', 'Dry run: click withheld on ' + label, { key: key, visible: entry.visible, disabled: entry.disabled });
+  } else if (!element) {
+    runLog('info', 'Dry run: ' + label + ' not found', { key: key, note: entry.note });
+  }
+}
+
+/**
+ * Outline an element the rehearsal did not click. Works for elements in same-origin iframes too.
+ * @param {Element} element
+ * @param {string} label - Shown above the outline
+ */
+function highlightDryRunTarget(element, label) {
+  try {
+    const doc = element.ownerDocument;
+    const view = doc.defaultView;
+    const rect = element.getBoundingClientRect();
+    const outline = doc.createElement('div');
+    outline.setAttribute('data-polar-dry-run', '');
+    Object.assign(outline.style, {
+      position: 'absolute',
+      left: (rect.left + view.scrollX - 4) + 'px',
+      top: (rect.top + view.scrollY - 4) + 'px',
+      width: (rect.width + 8) + 'px',
+      height: (rect.height + 8) + 'px',
+      border: '3px dashed #e53935',
+      borderRadius: '4px',
+      background: 'rgba(229, 57, 53, 0.12)',
+      boxSizing: 'border-box',
+      pointerEvents: 'none', // The button stays usable by hand
+      zIndex: '2147483647'
+    });
+    const tag = doc.createElement('div');
+    tag.textContent = 'Dry run - would click: ' + label;
+    Object.assign(tag.style, {
+      position: 'absolute',
+      left: '0',
+      bottom: '100%',
+      marginBottom: '2px',
+      padding: '2px 6px',
+      background: '#e53935',
+      color: '#fff',
+      font: 'bold 12px sans-serif',
+      whiteSpace: 'nowrap',
+      borderRadius: '3px'
+    });
+    outline.appendChild(tag);
+    doc.body.appendChild(outline);
+  } catch (error) {
+    console.warn('Could not highlight dry run target:', error);
+  }
+}
+
+/**
+ * Close the rehearsal and store its report
+ * @param {string} outcome - 'rehearsed', 'failed' or 'cancelled'
+ * @param {string} [reason] - Why it stopped early
+ * @returns {Promise<Object|null>} - Promise resolving to the stored report
+ */
+async function finishDryRun(outcome, reason) {
+  if (!dryRunReport) {
+    return null;
+  }
+  const report = dryRunReport;
+  dryRunReport = null;
+  try {
+    window.sessionStorage.removeItem(DRY_RUN_SESSION_KEY);
+  } catch (e) {}
+  report.finishedAt = Date.now();
+  report.durationMs = report.finishedAt - report.startedAt;
+  report.outcome = outcome;
+  report.reason = reason || null;
+  const lastStep = report.steps[report.steps.length - 1];
+  if (lastStep && lastStep.durationMs === null) {
+    lastStep.durationMs = report.durationMs - lastStep.at;
+  }
+  const missing = report.elements.filter(entry => !entry.found && !entry.note).map(entry => entry.key);
+  console.log(`Dry run ${outcome} in ${report.durationMs}ms - ${report.elements.length - missing.length} elements found, ${missing.length} missing`);
+  runLog(outcome === 'rehearsed' ? 'info' : 'warn', 'Dry run ' + outcome, {
+    durationMs: report.durationMs,
+    reason: report.reason,
+    missing: missing
+  });
+  try {
+    await addDryRunReport(report);
+  } catch (error) {
+    console.warn('Could not save dry run report:', error);
+  }
+  return report;
+}
+
+window.autocheckoutDryRun = {
+  isDryRunActive,
+  beginDryRun,
+  resumeDryRun,
+  recordDryRunStep,
+  recordDryRunElement,
+  highlightDryRunTarget,
+  finishDryRun
+};
+
+console.log("common/dry-run.js: Script loaded.");
@@ -1 +1,358 @@
-const _0xf22148=_0x28f5;(function(_0x4a2741,_0x29162f){const _0x1a91f3=_0x28f5,_0x596dd9=_0x4a2741();while(!![]){try{const _0x14d802=-parseInt(_0x1a91f3(0x16e))/0x1+parseInt(_0x1a91f3(0x172))/0x2+-parseInt(_0x1a91f3(0x169))/0x3+-parseInt(_0x1a91f3(0x15d))/0x4+parseInt(_0x1a91f3(0x15b))/0x5*(parseInt(_0x1a91f3(0x168))/0x6)+parseInt(_0x1a91f3(0x171))/0x7*(-parseInt(_0x1a91f3(0x170))/0x8)+-parseInt(_0x1a91f3(0x167))/0x9*(-parseInt(_0x1a91f3(0x165))/0xa);if(_0x14d802===_0x29162f)break;else _0x596dd9['push'](_0x596dd9['shift']());}catch(_0x2b8135){_0x596dd9['push'](_0x596dd9['shift']());}}}(_0x5ba1,0x71142));function _0x5ba1(){const _0x4ac118=['querySelector','tbKBy','getAttribute','10gnLDki','input','14820228qZfNBE','178026pZYNVh','1786857odVOdu','opacity','zkrhS','log','HMkVX','541322SQrQAw','trim','532888gPPgnm','56widqDO','934652CMXyKi','body','display','error','125ZgTpbl','getComputedStyle','2891176ledxTE','width','dispatchEvent','Error\x20filling\x20field\x20with\x20selectors\x20[','toLowerCase'];_0x5ba1=function(){return _0x4ac118;};return _0x5ba1();}function findButtonByText(_0x59c909,_0x4597ed=!![]){const _0x53b61d=Array['from'](document['querySelectorAll']('button'));for(const _0xd14f85 of _0x59c909){const _0x3ef9a6=_0x53b61d['find'](_0x4e381a=>{const _0xdd0f76=_0x28f5,_0x22381a=_0x4e381a['textContent'][_0xdd0f76(0x16f)]()['toLowerCase']();return _0x4597ed?_0x22381a['includes'](_0xd14f85['toLowerCase']()):_0x22381a===_0xd14f85[_0xdd0f76(0x161)]();});if(_0x3ef9a6)return _0x3ef9a6;}return null;}function findElementWithSelectors(_0x4469cc){for(const _0x39f989 of _0x4469cc){const _0x46fe62=document['querySelector'](_0x39f989);if(_0x46fe62)return _0x46fe62;}return null;}async function fillFieldBySelectors(_0x300c5c,value){const _0x18ff6e=_0x28f5;if(!value)return![];const _0x31eca0=findElementWithSelectors(_0x300c5c);if(!_0x31eca0)return![];try{return _0x31eca0['focus'](),await sleep(0x64),_0x31eca0['value']='',_0x31eca0[_0x18ff6e(0x15f)](new Event('input',{'bubbles':!![]})),await sleep(0x64),_0x31eca0['value']=value,_0x31eca0[_0x18ff6e(0x15f)](new Event(_0x18ff6e(0x166),{'bubbles':!![]})),_0x31eca0['dispatchEvent'](new Event('change',{'bubbles':!![]})),!![];}catch(_0x31d917){return console[_0x18ff6e(0x175)](_0x18ff6e(0x160)+_0x300c5c['join'](',\x20')+']:',_0x31d917),![];}}function _0x28f5(_0x23ae4d,_0x3f935c){const _0x5ba151=_0x5ba1();return _0x28f5=function(_0x28f51d,_0x43ed60){_0x28f51d=_0x28f51d-0x15b;let _0x17a0b9=_0x5ba151[_0x28f51d];return _0x17a0b9;},_0x28f5(_0x23ae4d,_0x3f935c);}function createElementWatcher(_0x431f26){const _0x545c2e=_0x28f5,_0xf7d070={'NxJIi':function(_0x22b588,_0x3eafb5){return _0x22b588(_0x3eafb5);}},{elementActions:elementActions={},shouldObserve:shouldObserve=()=>!![],subtree:subtree=!![],debounceMs:debounceMs=0x64}=_0x431f26;let _0x4159c7=null;const _0x46bdc2=new MutationObserver(_0x332ab9=>{const _0x3a9594={'HMkVX':function(_0x2f100a,_0x10d596){return _0xf7d070['NxJIi'](_0x2f100a,_0x10d596);}};if(!shouldObserve())return;_0x4159c7&&clearTimeout(_0x4159c7),_0x4159c7=setTimeout(()=>{const _0x10188e=_0x28f5;for(const [_0x4398db,_0x46a57d]of Object['entries'](elementActions)){const _0x1d4b2a=document[_0x10188e(0x162)](_0x4398db);_0x1d4b2a&&_0x3a9594[_0x10188e(0x16d)](_0x46a57d,_0x1d4b2a);}},debounceMs);});return _0x46bdc2['observe'](document[_0x545c2e(0x173)],{'childList':!![],'subtree':subtree,'attributes':!![]}),_0x46bdc2;}function createButtonWatcher(_0x2a19f8){const _0x486ff1=_0x28f5,_0x243997={'tbKBy':function(_0x416987){return _0x416987();},'zkrhS':function(_0x3a7702,_0x4f4bc2){return _0x3a7702(_0x4f4bc2);}},{selector:_0x42ad00,onClick:_0x36716a,isEnabled:isEnabled=()=>!![],buttonType:buttonType='generic'}=_0x2a19f8;return _0x243997[_0x486ff1(0x16b)](createElementWatcher,{'elementActions':{[_0x42ad00]:_0x52e494=>{const _0x2ae8f1=_0x486ff1;_0x243997[_0x2ae8f1(0x163)](isEnabled)&&_0x36716a(_0x52e494,buttonType);}},'shouldObserve':isEnabled});}function isElementVisible(_0x5a48f7){const _0x35ca00=_0x28f5;if(!_0x5a48f7)return![];const style=window[_0x35ca00(0x15c)](_0x5a48f7);if(style[_0x35ca00(0x174)]==='none'||style['visibility']==='hidden'||style[_0x35ca00(0x16a)]==='0')return![];const _0x4dc587=_0x5a48f7['getBoundingClientRect']();return _0x4dc587[_0x35ca00(0x15e)]>0x0&&_0x4dc587['height']>0x0;}function isElementDisabled(_0x44fa48){const _0x13a622=_0x28f5;if(!_0x44fa48)return!![];return _0x44fa48['disabled']===!![]||_0x44fa48[_0x13a622(0x164)]('aria-disabled')==='true'||_0x44fa48['classList']['contains']('disabled');}window['elementFinder']={'findButtonByText':findButtonByText,'findElementWithSelectors':findElementWithSelectors,'fillFieldBySelectors':fillFieldBySelectors,'createElementWatcher':createElementWatcher,'createButtonWatcher':createButtonWatcher,'isElementVisible':isElementVisible,'isElementDisabled':isElementDisabled},console[_0xf22148(0x16c)]('common/element-finder.js:\x20Script\x20loaded.');
\ No newline at end of file
+/**
+ * Find the first button whose text contains (or equals) one of the given strings
+ * @param {string[]} texts - Button texts to look for, in priority order
+ * @param {boolean} partialMatch - Match on contained text instead of the whole text
+ * @returns {HTMLButtonElement|null}
+ */
+function findButtonByText(texts, partialMatch = true) {
+  const buttons = Array.from(document.querySelectorAll("button"));
+  for (const text of texts) {
+    const button = buttons.find(candidate => {
+      const buttonText = candidate.textContent.trim().toLowerCase();
+      if (partialMatch) {
+        return buttonText.includes(text.toLowerCase());
+      } else {
+        return buttonText === text.toLowerCase();
+      }
+    });
+    if (button) {
+      return button;
+    }
+  }
+  return null;
+}
+
+// Last logged result per selector list, so polling observers only log when a match changes.
+// `var` so the scripts can be injected into a page more than once.
+var selectorMatchSnapshots = new Map();
+// Most recent visible match of any list, shown as the matched selector of the current checkout step
+// (see CheckoutFlow.recordStep in checkout-base.js)
+var lastSelectorMatch = null;
+
+/**
+ * Describe a matched element for the run log without any of its text or input values
+ * @param {Element} element
+ * @returns {Object}
+ */
+function describeElementForLog(element) {
+  return {
+    tag: element.tagName.toLowerCase(),
+    id: element.id || null,
+    dataTest: element.getAttribute("data-test"),
+    name: element.getAttribute("name"),
+    type: element.getAttribute("type"),
+    visible: isElementVisible(element),
+    disabled: isElementDisabled(element)
+  };
+}
+
+/**
+ * Record which selector of a list matched (debug-level run log entry)
+ * @param {string[]} selectors - Selector list that was searched
+ * @param {number} index - Index of the matching selector, -1 for no match
+ * @param {Element|null} element - Matched element
+ */
+function logSelectorMatch(selectors, index, element) {
+  if (index !== -1 && isElementVisible(element)) {
+    lastSelectorMatch = { selector: selectors[index], at: Date.now() };
+  }
+  if (typeof runLog !== "function") {
+    return;
+  }
+  const key = selectors.join("|");
+  const snapshot = index === -1 ? "none" : index + ":" + describeElementForLog(element).visible;
+  if (selectorMatchSnapshots.get(key) === snapshot) {
+    return;
+  }
+  selectorMatchSnapshots.set(key, snapshot);
+  runLog("debug", index === -1 ? "Selector miss" : "Selector match", {
+    selectors: selectors,
+    matched: index === -1 ? null : selectors[index],
+    index: index,
+    element: index === -1 ? null : describeElementForLog(element)
+  });
+}
+
+/**
+ * Return the first element matched by a list of selectors. Lists with hints registered
+ * (common/selector-engine.js) also fall back to scored candidates when no selector matches.
+ * @param {string[]} selectors - CSS selectors in priority order
+ * @returns {Element|null}
+ */
+function findElementWithSelectors(selectors) {
+  const hints = typeof getSelectorHints === "function" ? getSelectorHints(selectors) : null;
+  if (hints) {
+    const result = findElementByHints(selectors, hints);
+    if (result.strategy === "selector" || !result.element) { // Fallback matches are logged by the engine
+      logSelectorMatch(selectors, selectors.indexOf(result.selector), result.element);
+    } else {
+      lastSelectorMatch = { selector: result.strategy + " fallback", at: Date.now() };
+    }
+    return result.element;
+  }
+  for (let index = 0; index < selectors.length; index++) {
+    const element = document.querySelector(selectors[index]);
+    if (element) {
+      logSelectorMatch(selectors, index, element);
+      return element;
+    }
+  }
+  logSelectorMatch(selectors, -1, null);
+  return null;
+}
+
+/**
+ * Fill the first input matched by a list of selectors
+ * @param {string[]} selectors - CSS selectors in priority order
+ * @param {string} value - Value to enter
+ * @returns {Promise<boolean>} - True if a field was filled
+ */
+async function fillFieldBySelectors(selectors, value) {
+  await waitWhileCheckoutPaused();
+  if (!value) {
+    return false;
+  }
+  const element = findElementWithSelectors(selectors);
+  if (!element) {
+    return false;
+  }
+  try {
+    element.focus();
+    await sleep(100);
+    element.value = "";
+    element.dispatchEvent(new Event("input", {
+      bubbles: true
+    }));
+    await sleep(100);
+    element.value = value;
+    element.dispatchEvent(new Event("input", {
+      bubbles: true
+    }));
+    element.dispatchEvent(new Event("change", {
+      bubbles: true
+    }));
+    return true;
+  } catch (error) {
+    console.error("Error filling field with selectors [" + selectors.join(", ") + "]:", error);
+    return false;
+  }
+}
+
+// --- Shared page observer ---
+// waitForElement() and the watchers register selector watches here instead of polling or running
+// an observer each. One MutationObserver per document runs the watches after every batch of DOM
+// changes: each selector is looked up once per batch however many watches use it, and each
+// watch's predicate (visible, enabled, ...) decides whether its callback fires, so a node is acted
+// on in the batch that shows it. The observer is disconnected while nothing is watched.
+// `var` keeps the registry of an earlier injection, so a page never ends up with two observers.
+var elementWatchRegistry = elementWatchRegistry || { observer: null, watches: new Map() };
+// Attributes that can make a matched element visible or enabled
+var WATCHED_ATTRIBUTES = ["class", "style", "hidden", "disabled", "aria-disabled", "aria-hidden", "open"];
+
+/**
+ * Run every registered watch against the page as it is now
+ */
+function runElementWatches() {
+  for (const [selector, watches] of elementWatchRegistry.watches) {
+    const element = document.querySelector(selector);
+    if (!element) {
+      continue;
+    }
+    // Copied, since a callback may stop its own watch or others
+    for (const watch of Array.from(watches)) {
+      if (watches.has(watch) && watch.isReady(element)) {
+        watch.onMatch(element);
+      }
+    }
+  }
+}
+
+/**
+ * Call onMatch with the selector's first element after each DOM change that leaves it ready
+ * @param {string} selector - CSS selector
+ * @param {Function} onMatch - Called with the element
+ * @param {Function} [isReady] - Predicate the element must pass, e.g. isElementVisible
+ * @returns {Function} - Stops the watch
+ */
+function watchElement(selector, onMatch, isReady = () => true) {
+  document.querySelector(selector); // An invalid selector throws here, before anything is registered
+  const registry = elementWatchRegistry;
+  const watch = { onMatch, isReady };
+  if (!registry.watches.has(selector)) {
+    registry.watches.set(selector, new Set());
+  }
+  registry.watches.get(selector).add(watch);
+  if (!registry.observer) {
+    registry.observer = new MutationObserver(runElementWatches);
+    registry.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: WATCHED_ATTRIBUTES
+    });
+  }
+  return () => {
+    const watches = registry.watches.get(selector);
+    if (!watches || !watches.delete(watch)) {
+      return;
+    }
+    if (watches.size === 0) {
+      registry.watches.delete(selector);
+    }
+    if (registry.watches.size === 0 && registry.observer) {
+      registry.observer.disconnect();
+      registry.observer = null;
+    }
+  };
+}
+
+/**
+ * Wait for an element to appear (and pass isReady)
+ * @param {string} selector - CSS selector
+ * @param {number} [timeout] - Maximum wait in ms
+ * @param {Function} [isReady] - Predicate the element must pass, e.g. isElementVisible
+ * @returns {Promise<Element|null>} - The element, or null once the timeout passes
+ */
+async function waitForElement(selector, timeout = 5000, isReady = () => true) {
+  const current = document.querySelector(selector);
+  let element = current && isReady(current) ? current : null;
+  if (!element) {
+    element = await new Promise(resolve => {
+      const timer = setTimeout(() => {
+        stop();
+        console.log("Element not found within timeout: " + selector);
+        resolve(null);
+      }, timeout);
+      const stop = watchElement(selector, found => {
+        stop();
+        clearTimeout(timer);
+        resolve(found);
+      }, isReady);
+    });
+  }
+  await waitWhileCheckoutPaused();
+  return element;
+}
+
+/**
+ * Run an action for each selector whose element is ready after a DOM change. Only changes made
+ * after the call trigger actions; check() runs them against the page as it is.
+ * @param {Object} options
+ * @param {Object<string, Function>} options.elementActions - Selector -> action(element), in priority order
+ * @param {Function} options.shouldObserve - Return false to skip actions for now
+ * @param {Function} options.isReady - Predicate an element must pass (default: any match)
+ * @param {number} options.debounceMs - Run an action at most once per this many ms: the first
+ *   match starts the wait and the action then gets the element as it is (default 0: every batch).
+ *   Unlike waiting for the DOM to go quiet, this still acts on a page that never stops changing.
+ * @returns {{check: Function, disconnect: Function}}
+ */
+function createElementWatcher(options) {
+  const {
+    elementActions = {},
+    shouldObserve = () => true,
+    isReady = () => true,
+    debounceMs = 0
+  } = options;
+  // shouldObserve first: it is cheap, and isReady may have to look at styles
+  const ready = element => shouldObserve() && isReady(element);
+  const timers = new Map(); // selector -> pending action
+  const debounce = (selector, action) => {
+    if (debounceMs <= 0) {
+      return action;
+    }
+    return () => {
+      if (timers.has(selector)) {
+        return;
+      }
+      timers.set(selector, setTimeout(() => {
+        timers.delete(selector);
+        const element = document.querySelector(selector);
+        if (element && ready(element)) {
+          action(element);
+        }
+      }, debounceMs));
+    };
+  };
+  const stops = Object.entries(elementActions).map(([selector, action]) => watchElement(selector, debounce(selector, action), ready));
+  return {
+    check() {
+      for (const [selector, action] of Object.entries(elementActions)) {
+        const element = document.querySelector(selector);
+        if (element && ready(element)) {
+          action(element);
+        }
+      }
+    },
+    disconnect() {
+      stops.forEach(stop => stop());
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+}
+
+/**
+ * Watch for a button and call onClick with it whenever it is visible and enabled
+ * @param {Object} options
+ * @param {string} options.selector - Button selector
+ * @param {Function} options.onClick - Called with (button, buttonType)
+ * @param {Function} options.isEnabled - Return false to pause the watcher
+ * @param {string} options.buttonType - Name passed to onClick
+ * @returns {{check: Function, disconnect: Function}}
+ */
+function createButtonWatcher(options) {
+  const {
+    selector,
+    onClick,
+    isEnabled = () => true,
+    buttonType = "generic"
+  } = options;
+  return createElementWatcher({
+    elementActions: {
+      [selector]: button => onClick(button, buttonType)
+    },
+    shouldObserve: isEnabled,
+    isReady: button => isElementVisible(button) && !isElementDisabled(button)
+  });
+}
+
+/**
+ * @param {Element} element
+ * @returns {boolean} True if the element is rendered with a size and not hidden by style
+ */
+function isElementVisible(element) {
+  if (!element) {
+    return false;
+  }
+  const style = window.getComputedStyle(element);
+  if (style.display === "none" || style.visibility === "hidden" || style.opacity === "0") {
+    return false;
+  }
+  const rect = element.getBoundingClientRect();
+  return rect.width > 0 && rect.height > 0;
+}
+
+/**
+ * @param {Element} element
+ * @returns {boolean} True if the element is missing or disabled (attribute, aria or class)
+ */
+function isElementDisabled(element) {
+  if (!element) {
+    return true;
+  }
+  return element.disabled === true || element.getAttribute("aria-disabled") === "true" || element.classList.contains("disabled");
+}
+
+window.elementFinder = {
+  findButtonByText: findButtonByText,
+  findElementWithSelectors: findElementWithSelectors,
+  fillFieldBySelectors: fillFieldBySelectors,
+  waitForElement: waitForElement,
+  watchElement: watchElement,
+  createElementWatcher: createElementWatcher,
+  createButtonWatcher: createButtonWatcher,
+  isElementVisible: isElementVisible,
+  isElementDisabled: isElementDisabled
+};
+
+console.log("common/element-finder.js: Script loaded.");
@@ -0,0 +1,20 @@
+// common/html.js - HTML helpers for the extension pages (Attaches to window.autocheckoutHtml)
+// Loaded by the options and logs pages before their own scripts.
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value
+ * @returns {string} - Empty for null or undefined
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return value.toString().replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#039;");
+}
+
+window.autocheckoutHtml = {
+  escapeHtml
+};
+
+console.log("common/html.js: Script loaded.");
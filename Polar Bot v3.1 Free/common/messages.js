@@ -0,0 +1,508 @@
+// common/messages.js - Message protocol between background, extension pages and content scripts
+// (Attaches to globalThis.autocheckoutMessages)
+// Imported by the service worker, loaded by the popup, options and logs pages, and injected into
+// site pages with the other common scripts, so it only relies on globalThis and chrome.runtime.
+//
+// Every message is declared in MESSAGE_DEFINITIONS:
+//
+//   detectPage: {
+//     from: ['background'],                  // Who may send it: 'background', 'extension' (popup, options, logs), 'content'
+//     to: ['tab'],                           // Who handles it: 'background', 'extension' or 'tab' (content scripts)
+//     payload: { site: 'string', type: 'string' },
+//     response: { success: 'boolean' },      // null for messages nobody answers
+//     timeoutMs: 5000,                       // null to wait as long as it takes
+//     retries: 2,                            // Extra attempts while nobody is listening yet or it timed out
+//     retryDelayMs: 800                      // Doubles with every attempt
+//   }
+//
+// Field types are 'string', 'number', 'boolean', 'object', 'array' or 'any', '|' for either and a
+// trailing '?' for optional fields. Payload fields that are not declared are allowed.
+//
+// sendMessage / sendTabMessage build the message, wait for the response and reject with an Error
+// carrying `code` ('invalid', 'timeout', 'no-receiver', 'context-invalidated', 'failed') and `action`.
+// A response of { success: false, error } rejects with code 'failed'.
+//
+// In strict mode every message is checked against its definition: sending a malformed message,
+// or one from a context not in `from` or over a channel not in `to` (sendTabMessage reaches
+// 'tab', sendMessage 'background' and 'extension'), throws, and checkIncomingMessage() rejects
+// malformed ones. Strict mode is on in an unpacked install (no update_url in the manifest) while
+// debug mode is on in the options page, so switching debug mode off turns it off, and store
+// installs never have it.
+
+// `var` so the scripts can be injected into a page more than once.
+// Set by refreshMessageStrictMode() once storage answers; messages sent before that are not checked
+var MESSAGE_STRICT_MODE = false;
+var MESSAGE_RESULT = { success: 'boolean', error: 'string?' };
+var DEFAULT_MESSAGE_TIMEOUT_MS = 5000;
+var MESSAGE_RETRY_DELAY_MS = 500;
+
+var MESSAGE_DEFINITIONS = {
+  // --- Proxy (background.js) ---
+  applyProxy: { from: ['extension'], to: ['background'], payload: { proxyConfig: 'object' }, response: MESSAGE_RESULT },
+  clearProxy: { from: ['extension'], to: ['background'], payload: {}, response: MESSAGE_RESULT },
+
+  // --- Status from content scripts ---
+  updateBadge: { from: ['content'], to: ['background'], payload: { text: 'string', color: 'string?' }, response: null },
+  updateStatus: { from: ['content'], to: ['extension'], payload: { text: 'string', class: 'string?' }, response: null },
+
+  // --- Sites (background.js) ---
+  pageDetected: { from: ['content'], to: ['background'], payload: { site: 'string', type: 'string' }, response: null },
+  getSiteSettings: {
+    from: ['content', 'extension'], to: ['background'], payload: { site: 'string' },
+    response: { siteSettings: 'object|null?', globalSettings: 'object?' }
+  },
+  getProfileDataForCheckout: {
+    from: ['content'], to: ['background'], payload: {},
+    response: { profileData: 'object?', error: 'string?' }
+  },
+
+  // --- Settings and profiles changed in an extension page; background passes them on to site tabs ---
+  profileUpdated: { from: ['extension', 'background'], to: ['background', 'tab'], payload: {}, response: null },
+  profileSelected: { from: ['extension', 'background'], to: ['background', 'tab'], payload: { profileId: 'string' }, response: null },
+  globalSettingsUpdated: { from: ['extension'], to: ['background'], payload: { settings: 'object' }, response: null },
+
+  // --- Content script control ---
+  activateSite: { from: ['background'], to: ['tab'], payload: { site: 'string', siteSettings: 'object' }, response: { success: 'boolean' } },
+  detectPage: {
+    from: ['background'], to: ['tab'], payload: { site: 'string', type: 'string' },
+    response: { success: 'boolean' }, retries: 2, retryDelayMs: 800
+  },
+  toggleStatus: { from: ['extension'], to: ['tab'], payload: { enabled: 'boolean' }, response: { success: 'boolean' } },
+  updateSiteSetting: {
+    // { siteSettings: {...} }, or a single { setting, value }
+    from: ['extension', 'background'], to: ['tab'],
+    payload: { site: 'string', siteSettings: 'object?', setting: 'string?', value: 'any?' },
+    response: { success: 'boolean' }
+  },
+  updateGlobalSetting: {
+    from: ['extension', 'background'], to: ['tab'],
+    payload: { globalSettings: 'object?', setting: 'string?', value: 'any?' },
+    response: { success: 'boolean' }
+  },
+  getCheckoutFlow: { from: ['extension'], to: ['tab'], payload: {}, response: { state: 'string', log: 'array' } },
+  controlCheckout: {
+    // command: 'pause', 'resume', 'toggle-pause' or 'abort'
+    from: ['extension', 'background'], to: ['tab'], payload: { command: 'string' },
+    response: { success: 'boolean', error: 'string?', state: 'string?', paused: 'boolean?' }
+  },
+  vaultLocked: { from: ['background'], to: ['tab'], payload: {}, response: { success: 'boolean' } },
+
+  // --- Vault (background/vault.js) ---
+  vaultStatus: {
+    from: ['extension', 'content'], to: ['background'], payload: {},
+    response: { ...MESSAGE_RESULT, configured: 'boolean?', unlocked: 'boolean?', expiresAt: 'number|null?', sessionMinutes: 'number?' }
+  },
+  vaultSetup: {
+    from: ['extension'], to: ['background'], payload: { passphrase: 'string', sessionMinutes: 'number|string?' },
+    response: { ...MESSAGE_RESULT, sealedCount: 'number?', expiresAt: 'number?' }, timeoutMs: 30000
+  },
+  vaultUnlock: {
+    from: ['extension'], to: ['background'], payload: { passphrase: 'string' },
+    response: { ...MESSAGE_RESULT, sealedCount: 'number?', expiresAt: 'number?' }, timeoutMs: 30000
+  },
+  vaultLock: { from: ['extension'], to: ['background'], payload: {}, response: MESSAGE_RESULT },
+  vaultUpdateSettings: {
+    from: ['extension'], to: ['background'], payload: { sessionMinutes: 'number|string' },
+    response: { ...MESSAGE_RESULT, sessionMinutes: 'number?' }
+  },
+  vaultGetProfile: { from: ['extension'], to: ['background'], payload: { profileId: 'string' }, response: { ...MESSAGE_RESULT, profile: 'object?' } },
+  vaultSaveProfile: {
+    from: ['extension'], to: ['background'], payload: { profile: 'object', isNew: 'boolean?' },
+    response: { ...MESSAGE_RESULT, profileId: 'string?' }
+  },
+  vaultSealProfiles: {
+    from: ['extension'], to: ['background'], payload: { profiles: 'array' },
+    response: { ...MESSAGE_RESULT, profiles: 'array?' }, timeoutMs: 30000
+  },
+  vaultOpenCheckoutProfile: {
+    from: ['content'], to: ['background'], payload: { profileId: 'string', site: 'string?' },
+    response: { ...MESSAGE_RESULT, profile: 'object?' }, timeoutMs: 10000
+  },
+  vaultReleaseCheckoutProfile: { from: ['content'], to: ['background'], payload: {}, response: MESSAGE_RESULT },
+
+  // --- Run log (background/run-log.js) ---
+  runLog: { from: ['content'], to: ['background'], payload: { entry: 'object' }, response: MESSAGE_RESULT },
+  getRunLog: { from: ['extension'], to: ['background'], payload: {}, response: { ...MESSAGE_RESULT, entries: 'array?' } },
+  clearRunLog: { from: ['extension'], to: ['background'], payload: {}, response: MESSAGE_RESULT },
+
+  // --- Order history (background/order-history.js) ---
+  addOrderRecord: { from: ['content'], to: ['background'], payload: { record: 'object' }, response: { ...MESSAGE_RESULT, record: 'object?' } },
+  updateOrderRecord: {
+    from: ['content'], to: ['background'], payload: { recordId: 'string', changes: 'object' },
+    response: { ...MESSAGE_RESULT, record: 'object|null?' }
+  },
+  reserveOrderBudget: {
+    from: ['content'], to: ['background'], payload: { recordId: 'string|null', attempt: 'object', reserve: 'boolean?' },
+    response: { ...MESSAGE_RESULT, allowed: 'boolean?', violations: 'array?' }
+  },
+  clearOrderHistory: { from: ['extension'], to: ['background'], payload: {}, response: MESSAGE_RESULT },
+
+  // --- Step timelines (background/step-timeline.js) ---
+  stepTimeline: {
+    from: ['content'], to: ['background'],
+    payload: { site: 'string', pageId: 'string', state: 'string', paused: 'boolean?', steps: 'array', restart: 'boolean?' },
+    response: MESSAGE_RESULT
+  },
+  getStepTimelines: { from: ['extension'], to: ['background'], payload: {}, response: { ...MESSAGE_RESULT, timelines: 'array?' } },
+  clearStepTimelines: { from: ['extension'], to: ['background'], payload: {}, response: MESSAGE_RESULT },
+
+  // --- Notifications (background/notifications.js) ---
+  notifyOutcome: {
+    from: ['content'], to: ['background'], payload: { event: 'string', details: 'object?' },
+    response: { ...MESSAGE_RESULT, delivered: 'boolean?' }, timeoutMs: 15000
+  },
+  getNotificationSettings: { from: ['extension'], to: ['background'], payload: {}, response: { ...MESSAGE_RESULT, settings: 'object?' } },
+  saveNotificationSettings: {
+    from: ['extension'], to: ['background'], payload: { settings: 'object' },
+    response: { ...MESSAGE_RESULT, settings: 'object?' }
+  },
+  sendTestNotification: {
+    from: ['extension'], to: ['background'], payload: { settings: 'object?' },
+    response: { ...MESSAGE_RESULT, desktop: 'boolean?', webhookStatus: 'number|null?' }, timeoutMs: 15000
+  },
+
+  // --- Activation schedules (background/scheduler.js) ---
+  getActivationSchedules: {
+    from: ['extension'], to: ['background'], payload: {},
+    response: { ...MESSAGE_RESULT, schedules: 'array?', active: 'object|null?', nextChangeAt: 'number|null?' }
+  },
+  saveActivationSchedule: {
+    from: ['extension'], to: ['background'], payload: { schedule: 'object' },
+    response: { ...MESSAGE_RESULT, schedule: 'object?', active: 'object|null?' }, timeoutMs: 10000
+  },
+  deleteActivationSchedule: {
+    from: ['extension'], to: ['background'], payload: { scheduleId: 'string' },
+    response: { ...MESSAGE_RESULT, active: 'object|null?' }, timeoutMs: 10000
+  },
+
+  // --- Restock monitor (background/restock-monitor.js) ---
+  getRestockMonitor: {
+    from: ['extension'], to: ['background'], payload: {},
+    response: { ...MESSAGE_RESULT, settings: 'object?', results: 'object?', running: 'boolean?', minIntervalMinutes: 'number?' }
+  },
+  saveRestockMonitorSettings: {
+    from: ['extension'], to: ['background'], payload: { settings: 'object' },
+    response: { ...MESSAGE_RESULT, settings: 'object?' }
+  },
+  // A round loads every watched product page one after another
+  checkRestockNow: { from: ['extension'], to: ['background'], payload: {}, response: { ...MESSAGE_RESULT, results: 'object?' }, timeoutMs: null }
+};
+
+/**
+ * Whether messages are checked against their definitions (see refreshMessageStrictMode)
+ * @returns {boolean}
+ */
+function isMessageStrictMode() {
+  return MESSAGE_STRICT_MODE === true;
+}
+
+/**
+ * @returns {boolean} True for an extension loaded unpacked; the web store adds update_url
+ */
+function isUnpackedInstall() {
+  try {
+    return !('update_url' in chrome.runtime.getManifest());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turn strict mode on for an unpacked install with debug mode on (stored debugMode, on unless
+ * switched off), and off otherwise
+ * @returns {Promise<boolean>} Whether strict mode is on
+ */
+async function refreshMessageStrictMode() {
+  if (!isUnpackedInstall() || typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+    MESSAGE_STRICT_MODE = false;
+    return false;
+  }
+  try {
+    const data = await chrome.storage.local.get('debugMode');
+    MESSAGE_STRICT_MODE = data.debugMode !== false;
+  } catch (error) {
+    // Storage is gone along with the extension context; nothing is sent from here any more
+  }
+  return MESSAGE_STRICT_MODE;
+}
+
+/**
+ * Which context this script runs in, as named in the definitions' `from`
+ * @returns {string} 'background', 'extension' or 'content'
+ */
+function getMessageContext() {
+  if (typeof window === 'undefined') {
+    return 'background';
+  }
+  return window.location.href.startsWith(chrome.runtime.getURL('')) ? 'extension' : 'content';
+}
+
+/**
+ * @param {*} value
+ * @param {string} type - e.g. 'string', 'object|null?'
+ * @returns {boolean}
+ */
+function matchesMessageType(value, type) {
+  const optional = type.endsWith('?');
+  if (value === undefined) {
+    return optional;
+  }
+  return type.replace(/\?$/, '').split('|').some(option => {
+    if (option === 'any') return true;
+    if (option === 'null') return value === null;
+    if (option === 'array') return Array.isArray(value);
+    if (option === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    return typeof value === option;
+  });
+}
+
+/**
+ * @param {Object} schema - Field name to type
+ * @param {Object} value
+ * @returns {string[]} Fields that do not match, described
+ */
+function checkMessageFields(schema, value) {
+  return Object.entries(schema)
+    .filter(([field, type]) => !matchesMessageType(value[field], type))
+    .map(([field, type]) => `${field} should be ${type.replace(/\?$/, '')}${value[field] === undefined ? ' (missing)' : ''}`);
+}
+
+/**
+ * Check a message against its definition
+ * @param {Object} message - { action, ...payload }
+ * @returns {string[]} Problems, empty for a valid message
+ */
+function validateMessage(message) {
+  if (!message || typeof message.action !== 'string') {
+    return ['Message has no action'];
+  }
+  const definition = MESSAGE_DEFINITIONS[message.action];
+  if (!definition) {
+    return ['Unknown message action: ' + message.action];
+  }
+  return checkMessageFields(definition.payload, message);
+}
+
+/**
+ * Check that this context may send a message over a channel
+ * @param {string} action
+ * @param {string[]} receivers - Who the channel reaches ('tab', or 'background' and 'extension')
+ * @returns {string[]} Problems, empty when the definition allows it
+ */
+function validateMessageRoute(action, receivers) {
+  const definition = MESSAGE_DEFINITIONS[action];
+  const context = getMessageContext();
+  const problems = [];
+  if (!definition.from.includes(context)) {
+    problems.push(`${action} is not sent from ${context} (only ${definition.from.join(', ')})`);
+  }
+  if (!receivers.some(receiver => definition.to.includes(receiver))) {
+    problems.push(`${action} is handled by ${definition.to.join(', ')}, not ${receivers.join(' or ')}`);
+  }
+  return problems;
+}
+
+/**
+ * Check a response against the definition of the message it answers
+ * @param {string} action
+ * @param {*} response
+ * @returns {string[]} Problems, empty for a valid response
+ */
+function validateMessageResponse(action, response) {
+  const definition = MESSAGE_DEFINITIONS[action];
+  if (!definition || !definition.response) {
+    return [];
+  }
+  if (!response || typeof response !== 'object') {
+    return ['Response is not an object'];
+  }
+  // A failed response only has to carry the error
+  if (response.success === false) {
+    return typeof response.error === 'string' ? [] : ['Failed response has no error message'];
+  }
+  return checkMessageFields(definition.response, response);
+}
+
+/**
+ * For message listeners: in strict mode, reject messages that do not match their definition
+ * @param {Object} message
+ * @returns {string|null} Reason to reject the message, or null to handle it
+ */
+function checkIncomingMessage(message) {
+  if (!isMessageStrictMode()) {
+    return null;
+  }
+  const problems = validateMessage(message);
+  if (problems.length === 0) {
+    return null;
+  }
+  console.warn(`[Messages] Rejected malformed ${message && message.action}: ${problems.join('; ')}`);
+  return 'Malformed message: ' + problems.join('; ');
+}
+
+/**
+ * Build a message from its action and payload (validated in strict mode)
+ * @param {string} action
+ * @param {Object} payload
+ * @param {string[]} receivers - See validateMessageRoute
+ * @returns {Object}
+ */
+function createMessage(action, payload, receivers) {
+  const message = { action, ...payload };
+  if (!MESSAGE_DEFINITIONS[action]) {
+    throw createMessageError('Unknown message action: ' + action, 'invalid', action);
+  }
+  if (isMessageStrictMode()) {
+    const problems = validateMessage(message).concat(validateMessageRoute(action, receivers));
+    if (problems.length > 0) {
+      throw createMessageError(`Malformed ${action}: ${problems.join('; ')}`, 'invalid', action);
+    }
+  }
+  return message;
+}
+
+/**
+ * @param {string} text
+ * @param {string} code
+ * @param {string} action
+ * @returns {Error}
+ */
+function createMessageError(text, code, action) {
+  const error = new Error(text);
+  error.code = code;
+  error.action = action;
+  return error;
+}
+
+/**
+ * Turn a chrome.runtime error into a protocol error
+ * @param {Error} error
+ * @param {string} action
+ * @returns {Error}
+ */
+function toMessageError(error, action) {
+  if (error.code) {
+    return error;
+  }
+  const text = error.message || String(error);
+  let code = 'failed';
+  if (/Receiving end does not exist|Could not establish connection/i.test(text)) {
+    code = 'no-receiver';
+  } else if (/Extension context invalidated/i.test(text)) {
+    code = 'context-invalidated';
+  } else if (/message port closed/i.test(text)) {
+    code = 'no-response';
+  }
+  return createMessageError(`${action}: ${text}`, code, action);
+}
+
+/**
+ * Send with the definition's timeout and retries
+ * @param {Function} send - Returns the chrome.*.sendMessage promise
+ * @param {Object} message
+ * @param {Object} options - timeoutMs, retries, retryDelayMs (override the definition)
+ * @returns {Promise<*>} Response
+ */
+async function deliverMessage(send, message, options) {
+  const definition = MESSAGE_DEFINITIONS[message.action];
+  const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : (definition.timeoutMs !== undefined ? definition.timeoutMs : DEFAULT_MESSAGE_TIMEOUT_MS);
+  const retries = options.retries !== undefined ? options.retries : definition.retries || 0;
+  const retryDelayMs = options.retryDelayMs || definition.retryDelayMs || MESSAGE_RETRY_DELAY_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    let timer = null;
+    try {
+      const sent = send();
+      // Nobody answers these; delivery is all there is to wait for
+      if (!definition.response) {
+        await sent.catch(error => {
+          if (toMessageError(error, message.action).code !== 'no-response') throw error;
+        });
+        return undefined;
+      }
+      const timeout = timeoutMs ? new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(createMessageError(`${message.action}: no response within ${timeoutMs / 1000}s`, 'timeout', message.action)), timeoutMs);
+      }) : null;
+      const response = await (timeout ? Promise.race([sent, timeout]) : sent);
+      if (response && response.success === false) {
+        throw createMessageError(response.error || `${message.action} failed`, 'failed', message.action);
+      }
+      if (isMessageStrictMode()) {
+        const problems = validateMessageResponse(message.action, response);
+        if (problems.length > 0) {
+          console.warn(`[Messages] Unexpected response to ${message.action}: ${problems.join('; ')}`);
+        }
+      }
+      return response;
+    } catch (error) {
+      const messageError = toMessageError(error, message.action);
+      const canRetry = messageError.code === 'no-receiver' || messageError.code === 'timeout';
+      if (!canRetry || attempt >= retries) {
+        throw messageError;
+      }
+      console.log(`[Messages] ${message.action} attempt ${attempt + 1}/${retries + 1} failed (${messageError.code}), retrying`);
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs * Math.pow(2, attempt)));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Send a message to the background service worker (or open extension pages) and wait for the response
+ * @param {string} action - Key of MESSAGE_DEFINITIONS
+ * @param {Object} [payload]
+ * @param {Object} [options] - timeoutMs, retries, retryDelayMs
+ * @returns {Promise<*>} Response (undefined for messages without one)
+ */
+function sendMessage(action, payload = {}, options = {}) {
+  let message;
+  try {
+    message = createMessage(action, payload, ['background', 'extension']);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  return deliverMessage(() => chrome.runtime.sendMessage(message), message, options);
+}
+
+/**
+ * Send a message to the content scripts of a tab and wait for the response
+ * @param {number} tabId
+ * @param {string} action - Key of MESSAGE_DEFINITIONS
+ * @param {Object} [payload]
+ * @param {Object} [options] - timeoutMs, retries, retryDelayMs
+ * @returns {Promise<*>} Response (undefined for messages without one)
+ */
+function sendTabMessage(tabId, action, payload = {}, options = {}) {
+  let message;
+  try {
+    message = createMessage(action, payload, ['tab']);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  return deliverMessage(() => chrome.tabs.sendMessage(tabId, message), message, options);
+}
+
+refreshMessageStrictMode();
+// Follow the debug mode switch in the options page
+if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.debugMode) {
+      refreshMessageStrictMode();
+    }
+  });
+}
+
+globalThis.autocheckoutMessages = {
+  MESSAGE_DEFINITIONS,
+  isMessageStrictMode,
+  refreshMessageStrictMode,
+  validateMessage,
+  validateMessageResponse,
+  checkIncomingMessage,
+  createMessage,
+  sendMessage,
+  sendTabMessage
+};
+
+console.log("common/messages.js: Script loaded.");
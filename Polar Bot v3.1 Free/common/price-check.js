@@ -0,0 +1,131 @@
+// common/price-check.js - Price rules checked again on the final review step (Attaches to window.autocheckoutPriceCheck)
+// Assumes storage.js has already been injected. The product page check only sees the listed
+// price; this one reads the order summary, so a raised shipping charge, a wrong quantity or items
+// added to the order are caught before the order is submitted.
+//
+// Rules: price_check_items (SKU/TCIN -> max unit price) and price_check_limits (maxOrderTotal,
+// maxShipping; null means no limit), all only while price_check_enabled is on.
+
+/**
+ * Price check settings with defaults filled in
+ * @returns {Promise<Object>} - Promise resolving to { enabled, closeTabOnFail, items, limits: { maxOrderTotal, maxShipping } }
+ */
+async function getPriceCheckSettings() {
+  const data = await getFromStorage(['price_check_enabled', 'price_check_closeTabOnFail', 'price_check_items', 'price_check_limits']);
+  return {
+    enabled: data.price_check_enabled === true,
+    closeTabOnFail: data.price_check_closeTabOnFail === true,
+    items: data.price_check_items || {},
+    limits: {
+      maxOrderTotal: null,
+      maxShipping: null,
+      ...(data.price_check_limits || {})
+    }
+  };
+}
+
+/**
+ * Read a money amount from page text
+ * @param {string} text - e.g. "$1,024.99", "Free"
+ * @returns {number|null} Amount in dollars, 0 for free, or null when there is no amount
+ */
+function parseMoney(text) {
+  const value = String(text || '').trim();
+  if (/^free\b/i.test(value)) {
+    return 0;
+  }
+  const match = value.replace(/,/g, '').match(/\$?\s*(\d+(?:\.\d{1,2})?)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Check an order summary against the price rules
+ * @param {Object} settings - See getPriceCheckSettings
+ * @param {Object|null} summary - Parsed review step: { items: [{ tcin, title, unitPrice, quantity }], subtotal, shipping, tax, total }.
+ *   Amounts that could not be read are null.
+ * @param {Object} expected - The order being placed: { tcin, quantity }
+ * @returns {{allowed: boolean, violations: Array<string>, total: number|null}}
+ */
+function evaluateOrderSummary(settings, summary, expected = {}) {
+  const violations = [];
+  if (!settings || !settings.enabled) {
+    return { allowed: true, violations, total: null };
+  }
+
+  const limits = settings.limits || {};
+  const items = summary && Array.isArray(summary.items) ? summary.items : [];
+  const money = amount => '$' + amount.toFixed(2);
+  const hasLimit = limit => limit !== null && limit !== undefined;
+  const ruled = items.filter(item => item.tcin && item.tcin in settings.items);
+  const needsSummary = hasLimit(limits.maxOrderTotal) || hasLimit(limits.maxShipping) ||
+    (expected.tcin && expected.tcin in settings.items);
+  if (!summary || items.length === 0) {
+    // Never submit under a rule that could not be checked
+    if (needsSummary) {
+      violations.push('could not read the order summary');
+    }
+    return { allowed: violations.length === 0, violations, total: null };
+  }
+
+  ruled.forEach(item => {
+    const maxPrice = settings.items[item.tcin];
+    if (item.unitPrice === null) {
+      violations.push(`could not read the price of TCIN ${item.tcin}`);
+    } else if (item.unitPrice > maxPrice) {
+      violations.push(`TCIN ${item.tcin} costs ${money(item.unitPrice)} each, over the max ${money(maxPrice)}`);
+    }
+  });
+
+  if (expected.tcin && expected.quantity) {
+    const line = items.find(item => item.tcin === expected.tcin);
+    if (line && line.quantity !== null && line.quantity !== expected.quantity) {
+      violations.push(`quantity is ${line.quantity} instead of ${expected.quantity}`);
+    }
+  }
+
+  if (hasLimit(limits.maxShipping)) {
+    if (summary.shipping === null || summary.shipping === undefined) {
+      violations.push('could not read the shipping charge');
+    } else if (summary.shipping > limits.maxShipping) {
+      violations.push(`shipping ${money(summary.shipping)} is over the max ${money(limits.maxShipping)}`);
+    }
+  }
+
+  // Fall back to adding up the summary when the page shows no total
+  let total = typeof summary.total === 'number' ? summary.total : null;
+  if (total === null && items.every(item => item.unitPrice !== null)) {
+    total = items.reduce((sum, item) => sum + item.unitPrice * (item.quantity || 1), 0) +
+      (summary.shipping || 0) + (summary.tax || 0);
+  }
+  if (hasLimit(limits.maxOrderTotal)) {
+    if (total === null) {
+      violations.push('could not read the order total');
+    } else if (total > limits.maxOrderTotal) {
+      const others = expected.tcin ? items.filter(item => item.tcin !== expected.tcin).length : 0;
+      violations.push(`order total ${money(total)} is over the max ${money(limits.maxOrderTotal)}` +
+        (others > 0 ? ` (includes ${others} other item${others === 1 ? '' : 's'})` : ''));
+    }
+  }
+
+  return { allowed: violations.length === 0, violations, total };
+}
+
+/**
+ * Load the price check settings and check an order summary
+ * @param {Object|null} summary - See evaluateOrderSummary
+ * @param {Object} expected - See evaluateOrderSummary
+ * @returns {Promise<{allowed: boolean, violations: Array<string>, total: number|null, settings: Object}>}
+ */
+async function checkOrderSummary(summary, expected) {
+  const settings = await getPriceCheckSettings();
+  return { ...evaluateOrderSummary(settings, summary, expected), settings };
+}
+
+window.autocheckoutPriceCheck = {
+  getPriceCheckSettings,
+  parseMoney,
+  evaluateOrderSummary,
+  checkOrderSummary
+};
+
+console.log("common/price-check.js: Script loaded.");
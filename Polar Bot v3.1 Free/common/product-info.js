@@ -0,0 +1,128 @@
+// common/product-info.js - Reads product details from a product page (Attaches to window.autocheckoutProductInfo)
+// Assumes element-finder.js has already been injected. The checkout content script saves the result
+// to the product cache (see saveProductInfo in storage.js), which the popup's price check list shows.
+//
+// Product pages carry schema.org Product data in script[type="application/ld+json"]; what the page
+// shows wins over it where both exist (the buy box price and stock are current, the JSON-LD can lag).
+// The TCIN comes from the URL, then meta[name="productId"], the JSON-LD sku, then [data-tcin].
+
+// `var` so the scripts can be injected into a page more than once.
+var SCHEMA_AVAILABILITY = {
+  InStock: 'in-stock',
+  InStoreOnly: 'in-stock',
+  OnlineOnly: 'in-stock',
+  LimitedAvailability: 'in-stock',
+  PreOrder: 'pre-order',
+  BackOrder: 'out-of-stock',
+  OutOfStock: 'out-of-stock',
+  SoldOut: 'out-of-stock',
+  Discontinued: 'out-of-stock'
+};
+
+/**
+ * Find the schema.org Product in the page's JSON-LD blocks
+ * @param {Document} doc
+ * @returns {Object|null}
+ */
+function findProductJsonLd(doc) {
+  const isProduct = node => node && [].concat(node['@type']).includes('Product');
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch (error) {
+      continue; // Another script's malformed block
+    }
+    const nodes = [].concat(data).flatMap(node => (node && node['@graph'] ? [].concat(node['@graph']) : [node]));
+    const product = nodes.find(isProduct);
+    if (product) {
+      return product;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {*} image - schema.org image: a URL, an ImageObject, or a list of either
+ * @returns {string|null} The first image URL
+ */
+function readJsonLdImage(image) {
+  const first = [].concat(image || [])[0];
+  if (!first) {
+    return null;
+  }
+  return typeof first === 'string' ? first : first.url || first.contentUrl || null;
+}
+
+/**
+ * @param {*} offers - schema.org Offer, AggregateOffer or a list of offers
+ * @returns {{price: number|null, availability: string|null}}
+ */
+function readJsonLdOffer(offers) {
+  const offer = [].concat(offers || [])[0];
+  if (!offer) {
+    return { price: null, availability: null };
+  }
+  const price = parseFloat(offer.price ?? offer.lowPrice);
+  const schemaAvailability = String(offer.availability || '').split('/').pop();
+  return {
+    price: isNaN(price) ? null : price,
+    availability: SCHEMA_AVAILABILITY[schemaAvailability] || null
+  };
+}
+
+/**
+ * Read the product details shown on the current product page
+ * @param {Object} productPageSelectors - Site selectors (outOfStock and addToCart for the stock state)
+ * @param {Document} [doc]
+ * @returns {{tcin: string|null, title: string|null, image: string|null, brand: string|null,
+ *   price: number|null, availability: string, url: string}} availability is 'in-stock',
+ *   'out-of-stock', 'pre-order' or 'unknown'
+ */
+function readProductInfo(productPageSelectors, doc = document) {
+  const product = findProductJsonLd(doc) || {};
+  const offer = readJsonLdOffer(product.offers);
+  const text = selector => {
+    const element = doc.querySelector(selector);
+    return element ? element.textContent.trim() || null : null;
+  };
+  const attribute = (selector, name) => {
+    const element = doc.querySelector(selector);
+    return element ? element.getAttribute(name) || null : null;
+  };
+
+  const urlMatch = doc.location.pathname.match(/\/A-(\d+)/);
+  const tcin = (urlMatch && urlMatch[1]) ||
+    attribute('meta[name="productId"]', 'content') ||
+    (product.sku ? String(product.sku) : null) ||
+    attribute('[data-tcin]', 'data-tcin');
+
+  const shownPrice = parseFloat((text('[data-test="product-price"]') || '').replace(/[^0-9.]/g, ''));
+
+  let availability = null;
+  const oosElement = findElementWithSelectors(productPageSelectors.outOfStock);
+  const addToCart = findElementWithSelectors(productPageSelectors.addToCart);
+  if (oosElement && isElementVisible(oosElement)) {
+    availability = 'out-of-stock';
+  } else if (addToCart && isElementVisible(addToCart) && !isElementDisabled(addToCart)) {
+    availability = 'in-stock';
+  }
+
+  const brand = product.brand && typeof product.brand === 'object' ? product.brand.name : product.brand;
+  return {
+    tcin: tcin || null,
+    title: text('[data-test="product-title"]') || product.name || attribute('meta[property="og:title"]', 'content'),
+    image: readJsonLdImage(product.image) || attribute('meta[property="og:image"]', 'content'),
+    brand: brand || null,
+    price: isNaN(shownPrice) ? offer.price : shownPrice,
+    availability: availability || offer.availability || 'unknown',
+    url: doc.location.href
+  };
+}
+
+window.autocheckoutProductInfo = {
+  findProductJsonLd,
+  readProductInfo
+};
+
+console.log("common/product-info.js: Script loaded.");
@@ -0,0 +1,337 @@
+// common/profile-validator.js - Billing profile checks and normalization (Attaches to window.autocheckoutProfileValidator)
+// Used by the options page form and import, and by saveProfile in storage.js, so a profile is
+// checked the same way however it gets saved. Content scripts only read profiles and never need this.
+//
+// Normalized values: card number as digits only, expiry as 'MM' / 'YYYY', state as the two-letter
+// USPS code, ZIP as '12345' or '12345-6789', phone as '(555) 555-0123', email trimmed and lowercased.
+//
+// Optional fulfillment preferences: profile.fulfillment = { order, pickupStore, skus }, where order
+// lists the options the checkout may select in the order they are tried ('shipping', 'pickup',
+// 'delivery'; empty takes whatever the product page offers first), pickupStore limits pickup to a
+// store whose name contains that text, and skus maps a TCIN to its own order.
+
+const PROFILE_REQUIRED_FIELDS = ['name', 'firstName', 'lastName', 'address1', 'city', 'state', 'zip', 'phone', 'email', 'cardNumber', 'expiryMonth', 'expiryYear', 'cvv'];
+
+const FULFILLMENT_OPTIONS = ['shipping', 'pickup', 'delivery'];
+
+// Checked in order; the first prefix that matches decides the brand
+const CARD_BRANDS = [
+  { id: 'amex', name: 'American Express', prefix: /^3[47]/, lengths: [15], cvvLength: 4 },
+  { id: 'visa', name: 'Visa', prefix: /^4/, lengths: [13, 16, 19], cvvLength: 3 },
+  { id: 'mastercard', name: 'Mastercard', prefix: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16], cvvLength: 3 },
+  { id: 'discover', name: 'Discover', prefix: /^(6011|64[4-9]|65)/, lengths: [16, 17, 18, 19], cvvLength: 3 },
+  { id: 'diners', name: 'Diners Club', prefix: /^(30[0-5]|36|38|39)/, lengths: [14, 16, 17, 18, 19], cvvLength: 3 },
+  { id: 'jcb', name: 'JCB', prefix: /^35(2[89]|[3-8]\d)/, lengths: [16, 17, 18, 19], cvvLength: 3 }
+];
+
+// USPS codes, including DC, territories and military (AA, AE, AP)
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+  SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+  PR: 'Puerto Rico', VI: 'Virgin Islands', GU: 'Guam', AS: 'American Samoa', MP: 'Northern Mariana Islands',
+  AA: 'Armed Forces Americas', AE: 'Armed Forces Europe', AP: 'Armed Forces Pacific'
+};
+
+// First three ZIP digits used by each state, as inclusive [from, to] ranges
+const STATE_ZIP_PREFIXES = {
+  AL: [[350, 369]], AK: [[995, 999]], AZ: [[850, 865]], AR: [[716, 729]], CA: [[900, 961]],
+  CO: [[800, 816]], CT: [[60, 69]], DE: [[197, 199]], DC: [[200, 200], [202, 205], [569, 569]],
+  FL: [[320, 349]], GA: [[300, 319], [398, 399]], HI: [[967, 968]], ID: [[832, 838]], IL: [[600, 629]],
+  IN: [[460, 479]], IA: [[500, 528]], KS: [[660, 679]], KY: [[400, 427]], LA: [[700, 715]],
+  ME: [[39, 49]], MD: [[206, 219]], MA: [[10, 27], [55, 55]], MI: [[480, 499]], MN: [[550, 567]],
+  MS: [[386, 397]], MO: [[630, 658]], MT: [[590, 599]], NE: [[680, 693]], NV: [[889, 898]],
+  NH: [[30, 38]], NJ: [[70, 89]], NM: [[870, 884]], NY: [[5, 5], [63, 63], [100, 149]],
+  NC: [[270, 289]], ND: [[580, 588]], OH: [[430, 459]], OK: [[730, 749]], OR: [[970, 979]],
+  PA: [[150, 196]], RI: [[28, 29]], SC: [[290, 299]], SD: [[570, 577]], TN: [[370, 385]],
+  TX: [[733, 733], [750, 799], [885, 885]], UT: [[840, 847]], VT: [[50, 59]], VA: [[201, 201], [220, 246]],
+  WA: [[980, 994]], WV: [[247, 268]], WI: [[530, 549]], WY: [[820, 831], [834, 834]],
+  PR: [[6, 7], [9, 9]], VI: [[8, 8]], GU: [[969, 969]], AS: [[967, 967]], MP: [[969, 969]],
+  AA: [[340, 340]], AE: [[90, 98]], AP: [[962, 966]]
+};
+
+/**
+ * Luhn checksum used by every card network
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function passesLuhnCheck(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+/**
+ * @param {string} cardNumber - Digits, spaces and dashes allowed
+ * @returns {Object|null} Entry of CARD_BRANDS, or null for an unknown brand
+ */
+function detectCardBrand(cardNumber) {
+  const digits = String(cardNumber || '').replace(/[\s-]/g, '');
+  return CARD_BRANDS.find(brand => brand.prefix.test(digits)) || null;
+}
+
+/**
+ * @param {string} state - Code or full name, any case
+ * @returns {string} Two-letter code, or '' when it is not a US state or territory
+ */
+function normalizeState(state) {
+  const text = String(state || '').trim().replace(/\./g, '');
+  if (US_STATES[text.toUpperCase()]) {
+    return text.toUpperCase();
+  }
+  const lower = text.toLowerCase();
+  return Object.keys(US_STATES).find(code => US_STATES[code].toLowerCase() === lower) || '';
+}
+
+/**
+ * @param {string} zip
+ * @returns {string} '12345' or '12345-6789', or '' when it is not a ZIP code
+ */
+function normalizeZip(zip) {
+  const digits = String(zip || '').trim();
+  const match = /^(\d{5})(?:[\s-]?(\d{4}))?$/.exec(digits);
+  if (!match) {
+    return '';
+  }
+  return match[2] ? match[1] + '-' + match[2] : match[1];
+}
+
+/**
+ * @param {string} state - Two-letter code
+ * @param {string} zip - Normalized ZIP
+ * @returns {boolean} Whether the ZIP is used in that state
+ */
+function isZipInState(state, zip) {
+  const ranges = STATE_ZIP_PREFIXES[state];
+  if (!ranges) {
+    return false;
+  }
+  const prefix = Number(zip.slice(0, 3));
+  return ranges.some(([from, to]) => prefix >= from && prefix <= to);
+}
+
+/**
+ * @param {string} phone - Any formatting, optional leading +1
+ * @returns {string} '(555) 555-0123', or '' when it is not a US phone number
+ */
+function normalizePhone(phone) {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    digits = digits.slice(1);
+  }
+  if (!/^[2-9]\d{2}[2-9]\d{6}$/.test(digits)) {
+    return '';
+  }
+  return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+/**
+ * @param {*} order - Fulfillment options, in order of preference
+ * @returns {string[]|null} Lowercased options without repeats, or null if one is unknown
+ */
+function normalizeFulfillmentOrder(order) {
+  if (!Array.isArray(order)) {
+    return null;
+  }
+  const options = [...new Set(order.map(option => String(option).trim().toLowerCase()).filter(Boolean))];
+  return options.every(option => FULFILLMENT_OPTIONS.includes(option)) ? options : null;
+}
+
+/**
+ * @param {Object} fulfillment - See the comment at the top of this file
+ * @returns {{value?: Object, error?: string}}
+ */
+function normalizeFulfillment(fulfillment) {
+  if (typeof fulfillment !== 'object' || Array.isArray(fulfillment)) {
+    return { error: 'Fulfillment preferences must be an object.' };
+  }
+  const allowed = FULFILLMENT_OPTIONS.join(', ');
+  const order = normalizeFulfillmentOrder(fulfillment.order || []);
+  if (!order) {
+    return { error: `Fulfillment options must be ${allowed}.` };
+  }
+  const pickupStore = String(fulfillment.pickupStore || '').trim();
+  if (pickupStore.length > 100) {
+    return { error: 'Pickup store name is too long.' };
+  }
+  const skus = {};
+  for (const [tcin, skuOrder] of Object.entries(fulfillment.skus || {})) {
+    if (!/^\d{5,10}$/.test(tcin)) {
+      return { error: 'Not a TCIN: ' + tcin };
+    }
+    const options = normalizeFulfillmentOrder(skuOrder);
+    if (!options || options.length === 0) {
+      return { error: `TCIN ${tcin}: fulfillment options must be ${allowed}.` };
+    }
+    skus[tcin] = options;
+  }
+  return { value: { order, pickupStore, skus } };
+}
+
+/**
+ * Check a profile and return a normalized copy. Sealed vault records are not checked.
+ * @param {Object} profile - Profile as saved by the options page (flat fields)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Date the expiry is compared against
+ * @returns {{valid: boolean, errors: Object<string, string>, profile: Object}}
+ *   errors maps profile fields to a message; profile is the normalized copy (with cardBrand)
+ */
+function validateProfile(profile, options = {}) {
+  const now = options.now || new Date();
+  const errors = {};
+  const normalized = { ...(profile || {}) };
+
+  ['name', 'firstName', 'lastName', 'address1', 'address2', 'city'].forEach(field => {
+    if (normalized[field] !== undefined && normalized[field] !== null) {
+      normalized[field] = String(normalized[field]).trim();
+    }
+  });
+  PROFILE_REQUIRED_FIELDS.forEach(field => {
+    if (normalized[field] === undefined || normalized[field] === null || String(normalized[field]).trim() === '') {
+      errors[field] = 'Required.';
+    }
+  });
+
+  // Card number, brand and CVV
+  const cardNumber = String(normalized.cardNumber || '').replace(/[\s-]/g, '');
+  let brand = null;
+  if (!errors.cardNumber) {
+    brand = detectCardBrand(cardNumber);
+    if (!/^\d+$/.test(cardNumber)) {
+      errors.cardNumber = 'Card number can only contain digits.';
+    } else if (brand && !brand.lengths.includes(cardNumber.length)) {
+      errors.cardNumber = `${brand.name} numbers are ${brand.lengths.join(' or ')} digits long.`;
+    } else if (!brand && (cardNumber.length < 12 || cardNumber.length > 19)) {
+      errors.cardNumber = 'Card number must be 12 to 19 digits.';
+    } else if (!passesLuhnCheck(cardNumber)) {
+      errors.cardNumber = 'Card number is not valid (check the digits).';
+    }
+    normalized.cardNumber = cardNumber;
+  }
+  normalized.cardBrand = brand ? brand.id : '';
+  if (!errors.cvv) {
+    const cvv = String(normalized.cvv).trim();
+    const cvvLengths = brand ? [brand.cvvLength] : [3, 4];
+    if (!/^\d+$/.test(cvv) || !cvvLengths.includes(cvv.length)) {
+      errors.cvv = brand ? `${brand.name} CVV is ${brand.cvvLength} digits.` : 'CVV must be 3 or 4 digits.';
+    }
+    normalized.cvv = cvv;
+  }
+
+  // Expiry, valid through the last day of its month
+  if (!errors.expiryMonth) {
+    const month = Number(String(normalized.expiryMonth).trim());
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      errors.expiryMonth = 'Month must be 01 to 12.';
+    } else {
+      normalized.expiryMonth = String(month).padStart(2, '0');
+    }
+  }
+  if (!errors.expiryYear) {
+    const yearText = String(normalized.expiryYear).trim();
+    if (!/^(\d{2}|\d{4})$/.test(yearText)) {
+      errors.expiryYear = 'Year must be YYYY.';
+    } else {
+      normalized.expiryYear = yearText.length === 2 ? '20' + yearText : yearText;
+    }
+  }
+  if (!errors.expiryMonth && !errors.expiryYear) {
+    const expiresAt = new Date(Number(normalized.expiryYear), Number(normalized.expiryMonth), 1);
+    if (expiresAt <= now) {
+      errors.expiryYear = 'Card has expired.';
+    } else if (Number(normalized.expiryYear) > now.getFullYear() + 20) {
+      errors.expiryYear = 'Expiry year is too far in the future.';
+    }
+  }
+
+  // Address
+  if (!errors.state) {
+    const state = normalizeState(normalized.state);
+    if (!state) {
+      errors.state = 'Not a US state (use e.g. MN or Minnesota).';
+    } else {
+      normalized.state = state;
+    }
+  }
+  if (!errors.zip) {
+    const zip = normalizeZip(normalized.zip);
+    if (!zip) {
+      errors.zip = 'ZIP must be 12345 or 12345-6789.';
+    } else {
+      normalized.zip = zip;
+      if (!errors.state && !isZipInState(normalized.state, zip)) {
+        errors.zip = `ZIP ${zip} is not in ${US_STATES[normalized.state]}.`;
+      }
+    }
+  }
+
+  // Contact
+  if (!errors.phone) {
+    const phone = normalizePhone(normalized.phone);
+    if (!phone) {
+      errors.phone = 'Phone must be a 10-digit US number.';
+    } else {
+      normalized.phone = phone;
+    }
+  }
+  if (!errors.email) {
+    const email = String(normalized.email).trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/.test(email) || email.length > 254) {
+      errors.email = 'Not a valid email address.';
+    } else {
+      normalized.email = email;
+    }
+  }
+
+  // Fulfillment preferences (optional)
+  if (normalized.fulfillment !== undefined && normalized.fulfillment !== null) {
+    const fulfillment = normalizeFulfillment(normalized.fulfillment);
+    if (fulfillment.error) {
+      errors.fulfillment = fulfillment.error;
+    } else {
+      normalized.fulfillment = fulfillment.value;
+    }
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors, profile: normalized };
+}
+
+/**
+ * One line listing every error, for messages outside the form
+ * @param {Object<string, string>} errors - From validateProfile
+ * @returns {string}
+ */
+function describeProfileErrors(errors) {
+  return Object.entries(errors).map(([field, message]) => field + ': ' + message).join(' ');
+}
+
+window.autocheckoutProfileValidator = {
+  PROFILE_REQUIRED_FIELDS,
+  FULFILLMENT_OPTIONS,
+  CARD_BRANDS,
+  US_STATES,
+  passesLuhnCheck,
+  detectCardBrand,
+  normalizeState,
+  normalizeZip,
+  normalizePhone,
+  isZipInState,
+  normalizeFulfillment,
+  validateProfile,
+  describeProfileErrors
+};
+
+console.log("common/profile-validator.js: Script loaded.");
@@ -0,0 +1,366 @@
+// common/selector-engine.js - Scored element lookup with ranked fallbacks (Attaches to window.selectorEngine)
+//
+// Site selector files register extra signals ("hints") for their selector lists with
+// registerSelectorHints(). findElementWithSelectors() in element-finder.js hands registered lists
+// to findElementByHints(), which:
+//   1. tries the configured selectors in order (same element as before when one matches), and
+//      rates the match by how specific the selector is plus how many hint signals agree with it;
+//   2. when none match, ranks fallback strategies (data-test, aria-label, text, role, structure),
+//      trying the one that worked last time for this element key first;
+//   3. records the result per key in chrome.storage.local (selectorHealth), which the popup
+//      summarizes per checkout step.
+// A result is "degraded" when only low-confidence selectors or fallbacks matched, so a broken
+// selector shows up before a drop instead of during it.
+
+// `var` so the scripts can be injected into a page more than once.
+var selectorEngineState = {
+  hints: new Map(), // selector list -> hints
+  stored: {}, // site -> key -> health record as last saved (for remembered strategies)
+  health: {}, // site -> key -> health records updated by lookups on this page
+  snapshots: {}, // key -> last reported status, so polling only writes when something changes
+  flushTimer: null
+};
+
+var SELECTOR_HEALTH_STORAGE_KEY = "selectorHealth";
+
+/**
+ * Attach hints to a selector list so lookups with it go through the engine
+ * @param {string[]} selectors - Selector list from a site selectors file
+ * @param {Object} hints
+ * @param {string} hints.site - Site name (e.g. 'target')
+ * @param {string} hints.key - Stable element key (e.g. 'cvv.input')
+ * @param {string} hints.step - Checkout step the element belongs to (flow state name)
+ * @param {string} [hints.label] - Name shown in the popup and the run log
+ * @param {string[]} [hints.tags] - Element tags a fallback may return (default any)
+ * @param {string[]} [hints.dataTest] - Expected data-test values
+ * @param {string[]} [hints.ariaLabel] - Text the aria-label should contain
+ * @param {string[]} [hints.text] - Visible text (placeholder/label for inputs) it should contain
+ * @param {string} [hints.role] - Expected ARIA role (implicit roles count)
+ * @param {string[]} [hints.within] - Containers the element is expected in
+ * @param {number} [hints.minConfidence] - Lowest fallback confidence that may be returned (default 0.5)
+ * @returns {string[]} The same selector list
+ */
+function registerSelectorHints(selectors, hints) {
+  selectorEngineState.hints.set(selectors, {
+    label: hints.key,
+    tags: [],
+    dataTest: [],
+    ariaLabel: [],
+    text: [],
+    role: null,
+    within: [],
+    minConfidence: 0.5,
+    ...hints
+  });
+  return selectors;
+}
+
+/**
+ * @param {string[]} selectors
+ * @returns {Object|null} Hints registered for a selector list
+ */
+function getSelectorHints(selectors) {
+  return selectorEngineState.hints.get(selectors) || null;
+}
+
+/**
+ * querySelectorAll that treats an invalid selector as no match
+ * @param {string} selector
+ * @param {ParentNode} [root]
+ * @returns {Element[]}
+ */
+function queryAllSafe(selector, root = document) {
+  try {
+    return Array.from(root.querySelectorAll(selector));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * How much a selector on its own says about the element it matches
+ * @param {string} selector
+ * @returns {number} 0.7 for an id or exact data-test, 0.45 for other named attributes, 0.2 otherwise
+ */
+function getSelectorWeight(selector) {
+  if (/^[a-z]*#[\w-]+$/i.test(selector) || /\[data-test="[^"]+"\]/.test(selector)) {
+    return 0.7;
+  }
+  if (/\[(data-test|name|id|aria-label|placeholder)[\^*$]?=/.test(selector)) {
+    return 0.45;
+  }
+  return 0.2;
+}
+
+/**
+ * Text a user would read for an element: placeholder and label for form fields, text otherwise
+ * @param {Element} element
+ * @returns {string} Lowercased text
+ */
+function getElementReadableText(element) {
+  if (/^(input|select|textarea)$/i.test(element.tagName)) {
+    const labels = element.labels ? Array.from(element.labels).map(label => label.textContent) : [];
+    return [element.getAttribute("placeholder") || ""].concat(labels).join(" ").trim().toLowerCase();
+  }
+  return (element.textContent || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * @param {Element} element
+ * @returns {string|null} Explicit role, or the implicit one for common controls
+ */
+function getElementRole(element) {
+  const role = element.getAttribute("role");
+  if (role) {
+    return role.toLowerCase();
+  }
+  const tag = element.tagName.toLowerCase();
+  if (tag === "button" || (tag === "input" && /^(button|submit)$/i.test(element.type))) {
+    return "button";
+  }
+  if (tag === "input" && element.type === "checkbox") {
+    return "checkbox";
+  }
+  if (tag === "input" || tag === "textarea") {
+    return "textbox";
+  }
+  if (tag === "select") {
+    return "combobox";
+  }
+  if (tag === "form") {
+    return "form";
+  }
+  return null;
+}
+
+/**
+ * Score how well an element fits the hints
+ * @param {Element} element
+ * @param {Object} hints - See registerSelectorHints
+ * @returns {{score: number, signals: string[]}}
+ */
+function scoreElementForHints(element, hints) {
+  const signals = [];
+  let score = 0;
+  const includesAny = (value, needles) => !!value && needles.some(needle => value.includes(needle.toLowerCase()));
+
+  const dataTest = element.getAttribute("data-test");
+  if (dataTest && hints.dataTest.some(value => value.toLowerCase() === dataTest.toLowerCase())) {
+    score += 0.45;
+    signals.push("data-test");
+  }
+  if (includesAny((element.getAttribute("aria-label") || "").toLowerCase(), hints.ariaLabel)) {
+    score += 0.25;
+    signals.push("aria-label");
+  }
+  const text = hints.text.length > 0 ? getElementReadableText(element) : "";
+  if (includesAny(text, hints.text)) {
+    // The whole text matching is worth more than a word somewhere in a longer label
+    score += hints.text.some(needle => needle.toLowerCase() === text) ? 0.35 : 0.25;
+    signals.push("text");
+  }
+  if (hints.role && getElementRole(element) === hints.role) {
+    score += 0.1;
+    signals.push("role");
+  }
+  if (hints.within.length > 0 && hints.within.some(container => {
+    try {
+      return !!element.closest(container);
+    } catch (e) {
+      return false;
+    }
+  })) {
+    score += 0.1;
+    signals.push("structure");
+  }
+  if (isElementVisible(element)) {
+    score += 0.05;
+    signals.push("visible");
+  }
+  return { score: Math.round(score * 100) / 100, signals };
+}
+
+/**
+ * Candidates a fallback strategy looks at
+ * @param {string} strategy - data-test, aria-label, text, role or structure
+ * @param {Object} hints
+ * @returns {Element[]}
+ */
+function getStrategyCandidates(strategy, hints) {
+  const tagSelector = hints.tags.length > 0 ? hints.tags.join(", ") : "*";
+  switch (strategy) {
+    case "data-test":
+      return hints.dataTest.flatMap(value => queryAllSafe("[data-test=\"" + value + "\"]"));
+    case "aria-label":
+      return hints.ariaLabel.length > 0 ? queryAllSafe("[aria-label]").filter(element => element.matches(tagSelector)) : [];
+    case "text":
+      // Visible text needs a tag list, scanning every element of the page is too slow for polling
+      return hints.text.length > 0 && hints.tags.length > 0 ? queryAllSafe(tagSelector) : [];
+    case "role":
+      return hints.role ? queryAllSafe("[role=\"" + hints.role + "\"]") : [];
+    case "structure":
+      return hints.within.flatMap(container => queryAllSafe(container).flatMap(root => queryAllSafe(tagSelector, root)));
+    default:
+      return [];
+  }
+}
+
+var SELECTOR_FALLBACK_STRATEGIES = ["data-test", "aria-label", "text", "role", "structure"];
+
+/**
+ * Find the element for a hinted selector list
+ * @param {string[]} selectors - Configured selectors in priority order
+ * @param {Object} hints - See registerSelectorHints
+ * @returns {{element: Element|null, status: string, confidence: number, strategy: string|null,
+ *   selector: string|null, signals: string[]}} status is healthy, degraded or missing
+ */
+function findElementByHints(selectors, hints) {
+  let result = null;
+
+  // 1. Configured selectors, in their own order
+  for (const selector of selectors) {
+    const element = queryAllSafe(selector)[0];
+    if (element) {
+      const { score, signals } = scoreElementForHints(element, hints);
+      const weight = getSelectorWeight(selector);
+      const confidence = Math.min(1, Math.round((weight + score) * 100) / 100);
+      result = {
+        element,
+        // A generic selector (type, class) is a fallback however well the element fits
+        status: confidence >= 0.7 && weight > 0.2 ? "healthy" : "degraded",
+        confidence,
+        strategy: "selector",
+        selector,
+        signals
+      };
+      break;
+    }
+  }
+
+  // 2. Fallbacks, the one that worked last time first
+  if (!result) {
+    const remembered = getSelectorHealthRecord(hints)?.strategy;
+    const strategies = SELECTOR_FALLBACK_STRATEGIES.slice().sort((a, b) => (b === remembered) - (a === remembered));
+    for (const strategy of strategies) {
+      let best = null;
+      getStrategyCandidates(strategy, hints).forEach(element => {
+        if (!isElementVisible(element)) {
+          return;
+        }
+        const { score, signals } = scoreElementForHints(element, hints);
+        if (!best || score > best.confidence) {
+          best = { element, confidence: Math.min(1, score), signals };
+        }
+      });
+      if (best && best.confidence >= hints.minConfidence) {
+        result = { ...best, status: "degraded", strategy, selector: null };
+        break;
+      }
+    }
+  }
+
+  if (!result) {
+    result = { element: null, status: "missing", confidence: 0, strategy: null, selector: null, signals: [] };
+  }
+  recordSelectorHealth(hints, result);
+  return result;
+}
+
+/**
+ * @param {Object} hints
+ * @returns {Object|undefined} Stored health record for a hinted element
+ */
+function getSelectorHealthRecord(hints) {
+  return (selectorEngineState.health[hints.site] || {})[hints.key] || (selectorEngineState.stored[hints.site] || {})[hints.key];
+}
+
+/**
+ * Update the health record for a lookup; writes are batched and only made when the outcome changes
+ * @param {Object} hints
+ * @param {Object} result - From findElementByHints
+ */
+function recordSelectorHealth(hints, result) {
+  const snapshot = [result.status, result.strategy, result.selector].join("|");
+  if (selectorEngineState.snapshots[hints.key] === snapshot) {
+    return;
+  }
+  const previous = selectorEngineState.snapshots[hints.key];
+  selectorEngineState.snapshots[hints.key] = snapshot;
+
+  const siteHealth = selectorEngineState.health[hints.site] || {};
+  const record = { ...(getSelectorHealthRecord(hints) || {}) };
+  const now = Date.now();
+  record.key = hints.key;
+  record.label = hints.label;
+  record.step = hints.step;
+  record.status = result.status;
+  record.checkedAt = now;
+  if (result.element) {
+    // Found: remember how, so the next fallback search starts with what worked
+    record.lastFoundAt = now;
+    record.lastFoundStatus = result.status;
+    record.confidence = Math.round(result.confidence * 100) / 100;
+    record.strategy = result.strategy;
+    record.selector = result.selector;
+    record.signals = result.signals;
+  }
+  siteHealth[hints.key] = record;
+  selectorEngineState.health[hints.site] = siteHealth;
+
+  if (typeof runLog === "function") {
+    if (result.status === "degraded") {
+      runLog("warn", "Selector degraded: " + hints.label, {
+        key: hints.key,
+        strategy: result.strategy,
+        selector: result.selector,
+        confidence: record.confidence,
+        signals: result.signals
+      });
+    } else if (result.status === "healthy" && previous && previous.startsWith("degraded")) {
+      runLog("info", "Selector healthy again: " + hints.label, { key: hints.key, selector: result.selector });
+    }
+  }
+
+  if (!selectorEngineState.flushTimer) {
+    selectorEngineState.flushTimer = setTimeout(flushSelectorHealth, 1000);
+  }
+}
+
+/**
+ * Merge the records this page changed into storage (other tabs write their own keys too)
+ * @returns {Promise<void>}
+ */
+async function flushSelectorHealth() {
+  selectorEngineState.flushTimer = null;
+  try {
+    const data = await getFromStorage(SELECTOR_HEALTH_STORAGE_KEY);
+    const stored = data[SELECTOR_HEALTH_STORAGE_KEY] || {};
+    Object.keys(selectorEngineState.health).forEach(site => {
+      stored[site] = { ...(stored[site] || {}), ...selectorEngineState.health[site] };
+    });
+    await saveToStorage({ [SELECTOR_HEALTH_STORAGE_KEY]: stored });
+  } catch (error) {
+    console.error("Error saving selector health:", error);
+  }
+}
+
+/**
+ * Load remembered strategies from storage (lookups before this finishes just start from scratch)
+ * @returns {Promise<void>}
+ */
+async function loadSelectorHealth() {
+  const data = await getFromStorage(SELECTOR_HEALTH_STORAGE_KEY);
+  selectorEngineState.stored = data[SELECTOR_HEALTH_STORAGE_KEY] || {};
+}
+
+loadSelectorHealth();
+
+window.selectorEngine = {
+  registerSelectorHints: registerSelectorHints,
+  getSelectorHints: getSelectorHints,
+  findElementByHints: findElementByHints,
+  scoreElementForHints: scoreElementForHints,
+  flushSelectorHealth: flushSelectorHealth
+};
+
+console.log("common/selector-engine.js: Script loaded.");
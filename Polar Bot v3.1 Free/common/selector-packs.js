@@ -0,0 +1,253 @@
+// common/selector-packs.js - Versioned selector packs that override a site's built-in selectors (Attaches to window.autocheckoutSelectorPacks)
+// Assumes storage.js has already been injected. Used by the content scripts (load, apply, check
+// against the page) and by the options page (validate before import).
+//
+// A pack is JSON like:
+//   {
+//     "format": "polar-selector-pack",
+//     "schemaVersion": 1,
+//     "site": "target",
+//     "version": "2024.11.02",
+//     "selectors": { "checkoutPageSelectors": { "cvvVerification": { "input": ["#enter-cvv"] } } }
+//   }
+// "selectors" mirrors the site's selectors file (sites/<site>/selectors.js) and only needs the
+// entries it changes. Lists replace the whole built-in list.
+
+// `var` so the scripts can be injected into a page more than once.
+var SELECTOR_PACK_FORMAT = 'polar-selector-pack';
+var SELECTOR_PACK_SCHEMA_VERSION = 1;
+var builtInSelectorSets = new Map(); // selector sets -> copy of the selectors shipped with the extension
+
+/**
+ * @param {string} selector
+ * @returns {boolean} True if the browser accepts the selector
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Parse pack JSON
+ * @param {string} text
+ * @returns {Object}
+ */
+function parseSelectorPack(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('Selector pack is not valid JSON: ' + error.message);
+  }
+}
+
+/**
+ * Check a pack against the schema and the shape of the built-in selectors
+ * @param {Object} pack - Parsed pack
+ * @param {string} site - Site the pack is meant for
+ * @param {Object} builtIn - Built-in selector sets (see getBuiltInSelectors)
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+function validateSelectorPack(pack, site, builtIn) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return { valid: false, errors: ['Selector pack must be a JSON object.'] };
+  }
+  if (pack.format !== SELECTOR_PACK_FORMAT) {
+    errors.push(`format must be "${SELECTOR_PACK_FORMAT}".`);
+  }
+  if (pack.schemaVersion !== SELECTOR_PACK_SCHEMA_VERSION) {
+    errors.push(`schemaVersion ${pack.schemaVersion} is not supported (expected ${SELECTOR_PACK_SCHEMA_VERSION}).`);
+  }
+  if (pack.site !== site) {
+    errors.push(`site is "${pack.site}", expected "${site}".`);
+  }
+  if (typeof pack.version !== 'string' || !pack.version.trim()) {
+    errors.push('version must be a non-empty string.');
+  }
+  if (!pack.selectors || typeof pack.selectors !== 'object' || Object.keys(pack.selectors).length === 0) {
+    errors.push('selectors must be an object with at least one entry.');
+    return { valid: false, errors };
+  }
+
+  const checkSelector = (selector, path) => {
+    if (typeof selector !== 'string' || !selector.trim()) {
+      errors.push(`${path} must be a non-empty string.`);
+    } else if (!isValidSelector(selector)) {
+      errors.push(`${path} is not a valid CSS selector: ${selector}`);
+    }
+  };
+  const checkEntries = (overrides, defaults, path) => {
+    Object.keys(overrides).forEach(key => {
+      const entryPath = path ? path + '.' + key : key;
+      const value = overrides[key];
+      const builtInValue = defaults[key];
+      if (builtInValue === undefined) {
+        errors.push(`${entryPath} is not a known selector.`);
+      } else if (Array.isArray(builtInValue)) {
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push(`${entryPath} must be a non-empty list of selectors.`);
+        } else {
+          value.forEach((selector, index) => checkSelector(selector, `${entryPath}[${index}]`));
+        }
+      } else if (typeof builtInValue === 'string') {
+        checkSelector(value, entryPath);
+      } else if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${entryPath} must be an object.`);
+      } else {
+        checkEntries(value, builtInValue, entryPath);
+      }
+    });
+  };
+  checkEntries(pack.selectors, builtIn, 'selectors');
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Copy of the selectors as shipped, taken before the first pack is applied
+ * @param {Object} selectorSets - The site's selector sets (e.g. window.targetSelectors)
+ * @returns {Object}
+ */
+function getBuiltInSelectors(selectorSets) {
+  if (!builtInSelectorSets.has(selectorSets)) {
+    builtInSelectorSets.set(selectorSets, JSON.parse(JSON.stringify(selectorSets)));
+  }
+  return builtInSelectorSets.get(selectorSets);
+}
+
+/**
+ * Read a dotted path ('checkoutPageSelectors.cvvVerification.input')
+ * @param {Object} object
+ * @param {string} path
+ * @returns {*}
+ */
+function getSelectorPath(object, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+/**
+ * Overwrite selectors in place. Lists are updated rather than replaced, so code (and the selector
+ * engine's hints) holding on to a list sees the new selectors.
+ * @param {Object} target - Selector sets to change
+ * @param {Object} source - Entries to copy in
+ */
+function copySelectorsInto(target, source) {
+  Object.keys(source).forEach(key => {
+    if (Array.isArray(target[key])) {
+      target[key].splice(0, target[key].length, ...source[key]);
+    } else if (target[key] && typeof target[key] === 'object') {
+      copySelectorsInto(target[key], source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+}
+
+/**
+ * Reset a site's selectors to the built-in ones, then apply a pack on top
+ * @param {Object|null} pack - Validated pack, or null for the built-in selectors only
+ * @param {Object} selectorSets - The site's selector sets
+ */
+function applySelectorPack(pack, selectorSets) {
+  copySelectorsInto(selectorSets, JSON.parse(JSON.stringify(getBuiltInSelectors(selectorSets))));
+  if (pack) {
+    copySelectorsInto(selectorSets, pack.selectors);
+  }
+}
+
+/**
+ * Apply the stored pack for a site. A pack that no longer validates (e.g. after an extension
+ * update renamed a selector) is rolled back first.
+ * @param {string} site - Site name
+ * @param {Object} selectorSets - The site's selector sets
+ * @returns {Promise<Object|null>} - Promise resolving to the applied pack, or null for built-in selectors
+ */
+async function loadSelectorPack(site, selectorSets) {
+  let state = await getSelectorPackState(site);
+  while (state.active) {
+    const { valid, errors } = validateSelectorPack(state.active.pack, site, getBuiltInSelectors(selectorSets));
+    if (valid) {
+      break;
+    }
+    console.warn(`Selector pack ${site} v${state.active.pack.version} rolled back: ${errors[0]}`);
+    if (typeof runLog === 'function') {
+      runLog('warn', 'Selector pack rolled back: failed validation', { version: state.active.pack.version, errors });
+    }
+    state = await rollBackSelectorPack(site, 'Failed validation: ' + errors[0]);
+  }
+  const pack = state.active ? state.active.pack : null;
+  applySelectorPack(pack, selectorSets);
+  if (pack) {
+    console.log(`Selector pack ${site} v${pack.version} applied (from ${state.active.source})`);
+    if (typeof runLog === 'function') {
+      runLog('info', 'Selector pack applied', { version: pack.version, source: state.active.source });
+    }
+  }
+  return pack;
+}
+
+/**
+ * Watch the current page for a while and roll the pack back if an element it overrides can only
+ * be found with the built-in selectors
+ * @param {string} site - Site name
+ * @param {Object} selectorSets - The site's selector sets
+ * @param {Object} pack - Pack applied by loadSelectorPack
+ * @param {string[]} probePaths - Selector paths that must match on this page (e.g. 'productPageSelectors.addToCart')
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - How long to keep checking while elements are still loading
+ * @param {number} [options.intervalMs] - Delay between checks
+ * @returns {Promise<boolean>} - False if the pack was rolled back
+ */
+async function verifySelectorPack(site, selectorSets, pack, probePaths, options = {}) {
+  const { timeoutMs = 10000, intervalMs = 1000 } = options;
+  const overridden = probePaths.filter(path => getSelectorPath(pack.selectors, path) !== undefined);
+  if (overridden.length === 0) {
+    return true;
+  }
+  const builtIn = getBuiltInSelectors(selectorSets);
+  const matches = selectors => [].concat(selectors).some(selector => {
+    try {
+      return !!document.querySelector(selector);
+    } catch (e) {
+      return false;
+    }
+  });
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    const failedPath = overridden.find(path => !matches(getSelectorPath(pack.selectors, path)) && matches(getSelectorPath(builtIn, path)));
+    if (failedPath) {
+      const reason = `${failedPath} matched nothing on ${window.location.pathname} while the built-in selectors did`;
+      console.warn(`Selector pack ${site} v${pack.version} rolled back: ${reason}`);
+      if (typeof runLog === 'function') {
+        runLog('warn', 'Selector pack rolled back: failed on page', { version: pack.version, path: failedPath });
+      }
+      let state = await getSelectorPackState(site);
+      // Another pack may have been installed since this page loaded; that one gets its own check
+      if (state.active && state.active.pack.version === pack.version) {
+        state = await rollBackSelectorPack(site, reason);
+      }
+      applySelectorPack(state.active ? state.active.pack : null, selectorSets);
+      return false;
+    }
+    if (overridden.every(path => matches(getSelectorPath(pack.selectors, path))) || Date.now() >= deadline) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+window.autocheckoutSelectorPacks = {
+  SELECTOR_PACK_FORMAT,
+  SELECTOR_PACK_SCHEMA_VERSION,
+  parseSelectorPack,
+  validateSelectorPack,
+  getBuiltInSelectors,
+  applySelectorPack,
+  loadSelectorPack,
+  verifySelectorPack
+};
+
+console.log("common/selector-packs.js: Script loaded.");
@@ -0,0 +1,185 @@
+// common/storage-schema.js - Versioned shape of chrome.storage.local (Attaches to globalThis.autocheckoutStorageSchema)
+// Imported by the service worker, which runs migrateStoredData() from chrome.runtime.onInstalled
+// (install and every update). Uses the site registry for site setting defaults when it is loaded.
+//
+// The stored `schemaVersion` says which migrations have run. Each migration takes the whole
+// storage snapshot from the version before it and changes it in place; the runner then writes
+// only the keys that changed, in one set() and one remove(), with the new schemaVersion. A
+// migration that throws leaves storage untouched and is tried again on the next update.
+//
+// Shapes seen in the wild, oldest first:
+//   0  no schemaVersion. A global `enabled` flag armed Target (and its presence meant "remember
+//      the ON/OFF state"), site settings could be missing or hold strings, profiles could keep
+//      the card under `payment` or `paymentMethod`, price check limits could be strings
+//   1  site toggles only (siteSettings.<site>.enabled), globalSettings.rememberState
+//   2  flat profiles: cardNumber, cvv, expiryMonth, expiryYear (and nameOnCard and any other card
+//      detail) on the profile itself
+//   3  price_check_items maps SKU/TCIN -> number, price check flags are booleans
+// Adding a migration: append it to STORAGE_MIGRATIONS; STORAGE_SCHEMA_VERSION follows.
+
+const PROFILE_PAYMENT_FIELDS = ['cardNumber', 'cvv', 'expiryMonth', 'expiryYear'];
+const DEFAULT_GLOBAL_SETTINGS = { autoSubmit: true, randomizeDelay: false };
+
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move the legacy global enabled flag to the Target site toggle',
+    migrate(data) {
+      const siteSettings = isPlainObject(data.siteSettings) ? data.siteSettings : {};
+      if (data.enabled !== undefined) {
+        const target = isPlainObject(siteSettings.target) ? siteSettings.target : {};
+        if (target.enabled === undefined) {
+          target.enabled = data.enabled === true;
+        }
+        siteSettings.target = target;
+        data.globalSettings = { ...(isPlainObject(data.globalSettings) ? data.globalSettings : {}), rememberState: true };
+        delete data.enabled;
+      }
+      data.siteSettings = siteSettings;
+    }
+  },
+  {
+    version: 2,
+    description: 'Flatten profile payment details and repair the selected profile',
+    migrate(data) {
+      const profiles = Array.isArray(data.profiles) ? data.profiles.filter(isPlainObject) : [];
+      profiles.forEach((profile, index) => {
+        if (!profile.id) {
+          profile.id = 'migrated-' + Date.now().toString(36) + '-' + index;
+        }
+        // Sealed profiles only keep id, name and the vault envelope; the vault flattens them when opened
+        if (!profile.sealed) {
+          flattenProfilePayment(profile);
+        }
+      });
+      data.profiles = profiles;
+      if (!profiles.some(profile => profile.id === data.selectedProfile)) {
+        data.selectedProfile = profiles.length > 0 ? profiles[0].id : '';
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Store price check limits as numbers',
+    migrate(data) {
+      const items = {};
+      Object.entries(isPlainObject(data.price_check_items) ? data.price_check_items : {}).forEach(([tcin, maxPrice]) => {
+        const price = parseFloat(String(maxPrice).replace(/[$,\s]/g, ''));
+        if (tcin.trim() && Number.isFinite(price) && price > 0) {
+          items[tcin.trim()] = price;
+        }
+      });
+      data.price_check_items = items;
+      data.price_check_enabled = data.price_check_enabled === true || data.price_check_enabled === 'true';
+      data.price_check_closeTabOnFail = data.price_check_closeTabOnFail === true || data.price_check_closeTabOnFail === 'true';
+    }
+  }
+];
+
+const STORAGE_SCHEMA_VERSION = STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Move the card details of a schema 0 profile from `payment` or `paymentMethod` onto the profile.
+ * Every field is kept; one the profile already has a value for is left alone.
+ * @param {Object} profile - Changed in place
+ * @returns {Object} The profile
+ */
+function flattenProfilePayment(profile) {
+  const isEmpty = value => value === undefined || value === null || value === '';
+  ['payment', 'paymentMethod'].forEach(key => {
+    if (isPlainObject(profile[key])) {
+      Object.entries(profile[key]).forEach(([field, value]) => {
+        if (isEmpty(profile[field]) && !isEmpty(value)) {
+          profile[field] = PROFILE_PAYMENT_FIELDS.includes(field) ? String(value) : value;
+        }
+      });
+    }
+    delete profile[key];
+  });
+  return profile;
+}
+
+/**
+ * Fill in settings that are missing at any version, and coerce site settings to the registry's types
+ * @param {Object} data - Storage snapshot, changed in place
+ */
+function applyStorageDefaults(data) {
+  data.profiles = Array.isArray(data.profiles) ? data.profiles : [];
+  data.selectedProfile = typeof data.selectedProfile === 'string' ? data.selectedProfile : '';
+  data.debugMode = typeof data.debugMode === 'boolean' ? data.debugMode : true;
+  data.globalSettings = { ...DEFAULT_GLOBAL_SETTINGS, ...(isPlainObject(data.globalSettings) ? data.globalSettings : {}) };
+  const registry = globalThis.autocheckoutSites;
+  const siteSettings = isPlainObject(data.siteSettings) ? data.siteSettings : {};
+  if (registry) {
+    registry.getSiteAdapters().forEach(adapter => {
+      siteSettings[adapter.id] = registry.normalizeSiteSettings(adapter.id, {
+        ...registry.getDefaultSiteSettings(adapter.id),
+        ...(isPlainObject(siteSettings[adapter.id]) ? siteSettings[adapter.id] : {})
+      });
+    });
+  }
+  data.siteSettings = siteSettings;
+}
+
+/**
+ * Bring a storage snapshot up to STORAGE_SCHEMA_VERSION
+ * @param {Object} data - Everything in chrome.storage.local; not changed
+ * @returns {{data: Object, from: number, to: number, applied: string[]}} Migrated copy and what ran
+ */
+function migrateStorageData(data) {
+  const migrated = JSON.parse(JSON.stringify(data || {}));
+  const from = Number.isInteger(migrated.schemaVersion) ? migrated.schemaVersion : 0;
+  if (from > STORAGE_SCHEMA_VERSION) {
+    throw new Error(`Stored data is schema version ${from}, newer than this extension (${STORAGE_SCHEMA_VERSION})`);
+  }
+  const applied = [];
+  STORAGE_MIGRATIONS.filter(migration => migration.version > from).forEach(migration => {
+    migration.migrate(migrated);
+    applied.push(migration.version + ': ' + migration.description);
+  });
+  applyStorageDefaults(migrated);
+  migrated.schemaVersion = STORAGE_SCHEMA_VERSION;
+  return { data: migrated, from, to: STORAGE_SCHEMA_VERSION, applied };
+}
+
+/**
+ * Migrate chrome.storage.local in place, writing only the keys that changed
+ * @returns {Promise<{from: number, to: number, applied: string[]}>}
+ */
+async function migrateStoredData() {
+  const stored = await chrome.storage.local.get(null);
+  const { data, from, to, applied } = migrateStorageData(stored);
+  const changes = {};
+  Object.keys(data).forEach(key => {
+    if (JSON.stringify(data[key]) !== JSON.stringify(stored[key])) {
+      changes[key] = data[key];
+    }
+  });
+  // schemaVersion goes in with the rest, so an interrupted write is simply migrated again
+  if (Object.keys(changes).length > 0) {
+    await chrome.storage.local.set(changes);
+  }
+  const removed = Object.keys(stored).filter(key => !(key in data));
+  if (removed.length > 0) {
+    await chrome.storage.local.remove(removed);
+  }
+  return { from, to, applied };
+}
+
+globalThis.autocheckoutStorageSchema = {
+  STORAGE_SCHEMA_VERSION,
+  STORAGE_MIGRATIONS,
+  flattenProfilePayment,
+  migrateStorageData,
+  migrateStoredData
+};
+
+console.log("common/storage-schema.js: Script loaded.");
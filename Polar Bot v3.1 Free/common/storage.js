@@ -1,319 +1,624 @@
-// common/storage.js - Storage management utilities (Attaches to window.autocheckoutStorage)
-
-/**
- * Get value(s) from storage
- * @param {string|string[]|null} keys - Key, array of keys, or null to retrieve all
- * @returns {Promise<Object>} - Promise resolving to object with keys
- */
-function getFromStorage(keys) {
-  return new Promise((resolve, reject) => {
-    if (chrome.storage && chrome.storage.local) {
-        chrome.storage.local.get(keys, (result) => {
-         if (chrome.runtime.lastError) {
-            console.error("Storage get error:", chrome.runtime.lastError);
-            reject(chrome.runtime.lastError);
-         } else {
-            resolve(result);
-         }
-        });
-    } else {
-        console.error("chrome.storage.local not available in this context.");
-        reject(new Error("Storage API not available"));
-    }
-  });
-}
-
-/**
- * Save value(s) to storage
- * @param {Object} data - Object with key/value pairs to save
- * @returns {Promise<void>} - Promise resolving when data is saved
- */
-function saveToStorage(data) {
-  return new Promise((resolve, reject) => {
-     if (chrome.storage && chrome.storage.local) {
-        chrome.storage.local.set(data, () => {
-         if (chrome.runtime.lastError) {
-            console.error("Storage set error:", chrome.runtime.lastError);
-            reject(chrome.runtime.lastError);
-         } else {
-            resolve();
-         }
-        });
-    } else {
-        console.error("chrome.storage.local not available in this context.");
-        reject(new Error("Storage API not available"));
-    }
-  });
-}
-
-/**
- * Get site-specific settings
- * @param {string} site - Site name (e.g. 'target')
- * @returns {Promise<Object>} - Promise resolving to site settings and global settings
- */
-async function getSiteSettings(site) {
-  const data = await getFromStorage(['siteSettings', 'globalSettings']);
-  const siteSettings = data.siteSettings && data.siteSettings[site] ?
-    data.siteSettings[site] : {};
-
-  return {
-    siteSettings,
-    globalSettings: data.globalSettings || {}
-  };
-}
-
-/**
- * Update site-specific settings
- * @param {string} site - Site name (e.g. 'target')
- * @param {Object} settings - New settings for the site
- * @returns {Promise<void>} - Promise resolving when settings are saved
- */
-async function updateSiteSettings(site, settings) {
-  // Ensure partial updates work correctly by getting existing settings first
-  const data = await getFromStorage('siteSettings');
-  const allSiteSettings = data.siteSettings || {}; // Use a different variable name
-
-  // Merge existing site settings with new settings
-  allSiteSettings[site] = {
-    ...(allSiteSettings[site] || {}), // Start with existing or empty object
-    ...settings
-  };
-
-  return saveToStorage({ siteSettings: allSiteSettings }); // Save the entire siteSettings object back
-}
-
-
-/**
- * Get all profiles and the selected profile ID/object
- * @returns {Promise<{profiles: Array, selectedProfile: Object|null, selectedProfileId: string|null}>}
- */
-async function getProfiles() {
-  try {
-    console.log("storage.js: Beginning profile data retrieval");
-    const data = await getFromStorage(['profiles', 'selectedProfile']);
-    
-    // Log what we retrieved
-    console.log("storage.js: Raw storage data retrieved:", 
-                data ? "Data present" : "No data", 
-                "profiles array:", Array.isArray(data.profiles) ? `length ${data.profiles?.length}` : "not an array",
-                "selectedProfile:", data.selectedProfile ? `ID ${data.selectedProfile}` : "none");
-    
-    const profiles = data.profiles || [];
-    const selectedProfileId = data.selectedProfile || null; // Ensure it's null if not set
-
-    let selectedProfile = null;
-    let profileWasFixed = false;
-    
-    // First check if there are any profiles
-    if (profiles.length === 0) {
-      console.warn("storage.js: No profiles found in storage, this will result in placeholder data being used");
-      return { profiles, selectedProfile: null, selectedProfileId: null };
-    }
-    
-    // Check if we have a selected profile ID and try to find it in profiles
-    if (selectedProfileId && profiles.length > 0) {
-      selectedProfile = profiles.find(p => p.id === selectedProfileId);
-      
-      // We'll validate payment info after checking all possible locations
-      if (selectedProfile) {
-        console.log("storage.js: Selected profile found, will validate payment details later");
-      }
-      
-      // Fallback if ID is invalid but profiles exist
-      if (!selectedProfile && profiles.length > 0) {
-        console.warn(`storage.js: Selected profile ID ${selectedProfileId} not found, using first profile as fallback.`);
-        selectedProfile = profiles[0];
-        // Actually update storage to fix the selected ID (this was previously commented out)
-        await saveToStorage({ selectedProfile: profiles[0].id });
-        console.log(`storage.js: Updated selected profile ID to ${profiles[0].id}`);
-        profileWasFixed = true;
-      }
-    } else if (!selectedProfileId && profiles.length > 0) {
-      // Default to first profile if none selected
-      console.log("storage.js: No profile selected, defaulting to the first profile.");
-      selectedProfile = profiles[0];
-      // Actually save this default selection back to storage (this was previously commented out)
-      await saveToStorage({ selectedProfile: profiles[0].id });
-      console.log(`storage.js: Set selected profile ID to first profile: ${profiles[0].id}`);
-      profileWasFixed = true;
-    }
-
-    // Final validation check - support all possible payment data structures
-    if (selectedProfile) {
-      // Check all possible payment data locations
-      const hasPaymentMethod = selectedProfile.paymentMethod && selectedProfile.paymentMethod.cardNumber;
-      const hasPayment = selectedProfile.payment && selectedProfile.payment.cardNumber;
-      const hasDirectCard = selectedProfile.cardNumber;
-      
-      // Only show warning if no payment data found in any location
-      if (!hasPaymentMethod && !hasPayment && !hasDirectCard) {
-        console.warn("storage.js: Selected profile exists but has no payment details");
-      } else {
-        // Payment data exists in at least one location
-        // Determine which structure to use for logging
-        if (hasPaymentMethod) {
-          const maskedCard = selectedProfile.paymentMethod.cardNumber.substring(0, 4) + "..." + 
-                            selectedProfile.paymentMethod.cardNumber.substring(selectedProfile.paymentMethod.cardNumber.length - 4);
-          console.log(`storage.js: Successfully retrieved selected profile with card ${maskedCard} (paymentMethod structure)`);
-        } else if (hasPayment) {
-          const maskedCard = selectedProfile.payment.cardNumber.substring(0, 4) + "..." + 
-                            selectedProfile.payment.cardNumber.substring(selectedProfile.payment.cardNumber.length - 4);
-          console.log(`storage.js: Successfully retrieved selected profile with card ${maskedCard} (payment structure)`);
-        } else if (hasDirectCard) {
-          const maskedCard = selectedProfile.cardNumber.substring(0, 4) + "..." + 
-                            selectedProfile.cardNumber.substring(selectedProfile.cardNumber.length - 4);
-          console.log(`storage.js: Successfully retrieved selected profile with card ${maskedCard} (direct structure)`);
-        }
-      }
-    }
-
-    // Detailed profile validation before returning
-    if (selectedProfile) {
-      const cardData = {};
-      
-      // Check all possible payment data structures
-      if (selectedProfile.payment && selectedProfile.payment.cardNumber) {
-        cardData.structure = "payment";
-        cardData.cardNumber = selectedProfile.payment.cardNumber;
-        cardData.cvv = selectedProfile.payment.cvv;
-      } else if (selectedProfile.paymentMethod && selectedProfile.paymentMethod.cardNumber) {
-        cardData.structure = "paymentMethod";
-        cardData.cardNumber = selectedProfile.paymentMethod.cardNumber;
-        cardData.cvv = selectedProfile.paymentMethod.cvv;
-      } else if (selectedProfile.cardNumber) {
-        cardData.structure = "direct";
-        cardData.cardNumber = selectedProfile.cardNumber;
-        cardData.cvv = selectedProfile.cvv;
-      }
-      
-      // If payment data found, add it to the profile in a standardized location
-      if (cardData.cardNumber) {
-        console.log(`storage.js: Found valid payment data in '${cardData.structure}' structure`);
-        
-        // Ensure the profile has a standardized payment structure regardless of original format
-        if (!selectedProfile.payment) {
-          selectedProfile.payment = {};
-        }
-        if (!selectedProfile.paymentMethod) {
-          selectedProfile.paymentMethod = {};
-        }
-        
-        // Duplicate data to all locations to ensure compatibility with all code paths
-        selectedProfile.cardNumber = cardData.cardNumber;
-        selectedProfile.cvv = cardData.cvv;
-        selectedProfile.payment.cardNumber = cardData.cardNumber;
-        selectedProfile.payment.cvv = cardData.cvv;
-        selectedProfile.paymentMethod.cardNumber = cardData.cardNumber;
-        selectedProfile.paymentMethod.cvv = cardData.cvv;
-      } else {
-        console.warn("storage.js: No valid payment data found in any profile structure location");
-      }
-    }
-    
-    return {
-      profiles,
-      selectedProfile, // The actual profile object (or null)
-      selectedProfileId: profileWasFixed ? profiles[0].id : selectedProfileId, // Return updated ID if we fixed it
-      profileWasFixed, // Flag to indicate we made changes
-      paymentDataFound: selectedProfile && (
-        (selectedProfile.payment && selectedProfile.payment.cardNumber) ||
-        (selectedProfile.paymentMethod && selectedProfile.paymentMethod.cardNumber) ||
-        selectedProfile.cardNumber
-      )
-    };
-  } catch (error) {
-    console.error("storage.js: Error retrieving profiles:", error);
-    // Return empty data in case of error to avoid crashes
-    return {
-      profiles: [],
-      selectedProfile: null,
-      selectedProfileId: null,
-      error: error.message
-    };
-  }
-}
-
-/**
- * Create or update a profile
- * @param {Object} profile - Profile to save
- * @param {boolean} isNew - Whether this is a new profile
- * @returns {Promise<string>} - Promise resolving to profile ID
- */
-async function saveProfile(profile, isNew = false) {
-  const data = await getFromStorage('profiles');
-  let profiles = data.profiles || [];
-
-  // Generate ID for new profiles or if ID is missing
-  if (isNew || !profile.id) {
-    profile.id = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-  }
-
-  // Update existing or add new
-  const index = profiles.findIndex(p => p.id === profile.id);
-  if (index !== -1) {
-    profiles[index] = profile;
-  } else {
-    profiles.push(profile);
-  }
-
-  await saveToStorage({ profiles });
-
-  // If this is the first profile saved, or if no profile is currently selected,
-  // set this one as selected.
-  const currentSelection = await getFromStorage('selectedProfile');
-  if (profiles.length === 1 || !currentSelection.selectedProfile) {
-    await saveToStorage({ selectedProfile: profile.id });
-  }
-
-  return profile.id;
-}
-
-/**
- * Delete a profile
- * @param {string} profileId - ID of profile to delete
- * @returns {Promise<void>} - Promise resolving when profile is deleted
- */
-async function deleteProfile(profileId) {
-  const data = await getFromStorage(['profiles', 'selectedProfile']);
-  let profiles = data.profiles || [];
-  const selectedProfileId = data.selectedProfile;
-
-  // Filter out the profile to delete
-  const initialLength = profiles.length;
-  profiles = profiles.filter(p => p.id !== profileId);
-
-  // Check if a profile was actually deleted
-  if (profiles.length === initialLength) {
-      console.warn(`Profile with ID ${profileId} not found for deletion.`);
-      return; // Nothing to do
-  }
-
-
-  // Prepare data to update storage
-  const updateData = { profiles };
-
-  // If the deleted profile was the selected one, select a new one
-  if (selectedProfileId === profileId) {
-    if (profiles.length > 0) {
-      updateData.selectedProfile = profiles[0].id; // Select the first remaining
-    } else {
-      updateData.selectedProfile = ''; // No profiles left, clear selection
-    }
-  }
-
-  return saveToStorage(updateData);
-}
-
-// Attach all functions to the window object
-window.autocheckoutStorage = {
-  getFromStorage,
-  saveToStorage,
-  getSiteSettings,
-  updateSiteSettings,
-  getProfiles,
-  saveProfile,
-  deleteProfile
-};
-
-// No longer need to attach to window or dispatch event when using executeScript
-console.log("common/storage.js: Script loaded.");
+// common/storage.js - Storage management utilities (Attaches to window.autocheckoutStorage)
+
+/**
+ * Get value(s) from storage
+ * @param {string|string[]|null} keys - Key, array of keys, or null to retrieve all
+ * @returns {Promise<Object>} - Promise resolving to object with keys
+ */
+function getFromStorage(keys) {
+  return new Promise((resolve, reject) => {
+    if (chrome.storage && chrome.storage.local) {
+        chrome.storage.local.get(keys, (result) => {
+         if (chrome.runtime.lastError) {
+            console.error("Storage get error:", chrome.runtime.lastError);
+            reject(chrome.runtime.lastError);
+         } else {
+            resolve(result);
+         }
+        });
+    } else {
+        console.error("chrome.storage.local not available in this context.");
+        reject(new Error("Storage API not available"));
+    }
+  });
+}
+
+/**
+ * Save value(s) to storage
+ * @param {Object} data - Object with key/value pairs to save
+ * @returns {Promise<void>} - Promise resolving when data is saved
+ */
+function saveToStorage(data) {
+  return new Promise((resolve, reject) => {
+     if (chrome.storage && chrome.storage.local) {
+        chrome.storage.local.set(data, () => {
+         if (chrome.runtime.lastError) {
+            console.error("Storage set error:", chrome.runtime.lastError);
+            reject(chrome.runtime.lastError);
+         } else {
+            resolve();
+         }
+        });
+    } else {
+        console.error("chrome.storage.local not available in this context.");
+        reject(new Error("Storage API not available"));
+    }
+  });
+}
+
+// How long safeGetStorage waits for chrome.storage before giving up. A page whose extension was
+// reloaded or updated can be left with a storage API that never calls back.
+// `var` so the scripts can be injected into a page more than once.
+var SAFE_STORAGE_TIMEOUT_MS = 3000;
+
+/**
+ * Get value(s) from storage without ever rejecting, for callers that can go on with nothing
+ * @param {string|string[]|null} keys - Key, array of keys, or null to retrieve all
+ * @param {number} [timeout] - Maximum wait in ms
+ * @returns {Promise<Object>} - Promise resolving to object with keys, or {} on any failure or timeout
+ */
+function safeGetStorage(keys, timeout = SAFE_STORAGE_TIMEOUT_MS) {
+  return new Promise(resolve => {
+    if (typeof chrome === "undefined" || !chrome.storage || !chrome.storage.local) {
+      console.warn("Storage API not available for safe access");
+      resolve({});
+      return;
+    }
+    const timer = setTimeout(() => {
+      console.warn("Safe storage access timed out for keys: " + JSON.stringify(keys));
+      resolve({});
+    }, timeout);
+    try {
+      chrome.storage.local.get(keys, (result) => {
+        clearTimeout(timer);
+        if (chrome.runtime.lastError) {
+          console.warn("Safe storage access error:", chrome.runtime.lastError);
+          resolve({});
+        } else {
+          resolve(result || {});
+        }
+      });
+    } catch (error) {
+      // "Extension context invalidated" is thrown here once the extension is reloaded
+      clearTimeout(timer);
+      console.error("Error in safeGetStorage:", error);
+      resolve({});
+    }
+  });
+}
+
+/**
+ * Get site-specific settings
+ * With the site registry loaded (sites/registry.js), missing settings come from the adapter's
+ * settings schema and stored values are coerced to their declared types.
+ * @param {string} site - Site name (e.g. 'target')
+ * @returns {Promise<Object>} - Promise resolving to site settings and global settings
+ */
+async function getSiteSettings(site) {
+  const data = await getFromStorage(['siteSettings', 'globalSettings']);
+  const storedSettings = data.siteSettings && data.siteSettings[site] ?
+    data.siteSettings[site] : {};
+  const registry = globalThis.autocheckoutSites;
+  const siteSettings = registry ?
+    registry.normalizeSiteSettings(site, { ...registry.getDefaultSiteSettings(site), ...storedSettings }) : storedSettings;
+
+  return {
+    siteSettings,
+    globalSettings: data.globalSettings || {}
+  };
+}
+
+/**
+ * Update site-specific settings
+ * @param {string} site - Site name (e.g. 'target')
+ * @param {Object} settings - New settings for the site (coerced by the site registry when it is loaded)
+ * @returns {Promise<void>} - Promise resolving when settings are saved
+ */
+async function updateSiteSettings(site, settings) {
+  // Ensure partial updates work correctly by getting existing settings first
+  const data = await getFromStorage('siteSettings');
+  const allSiteSettings = data.siteSettings || {}; // Use a different variable name
+  const registry = globalThis.autocheckoutSites;
+
+  // Merge existing site settings with new settings
+  allSiteSettings[site] = {
+    ...(allSiteSettings[site] || {}), // Start with existing or empty object
+    ...(registry ? registry.normalizeSiteSettings(site, settings) : settings)
+  };
+
+  return saveToStorage({ siteSettings: allSiteSettings }); // Save the entire siteSettings object back
+}
+
+
+/**
+ * Send a request to the profile vault in the background service worker
+ * @param {Object} message - Vault message (action + payload)
+ * @returns {Promise<Object>} - Promise resolving to the vault response
+ */
+async function sendVaultMessage(message) {
+  const { action, ...payload } = message;
+  const response = await globalThis.autocheckoutMessages.sendMessage(action, payload);
+  if (!response || !response.success) {
+    throw new Error(response?.error || "No response from vault");
+  }
+  return response;
+}
+
+/**
+ * Check whether a stored profile record is sealed in the vault
+ * @param {Object} profile - Profile record from storage
+ * @returns {boolean}
+ */
+function isSealedProfile(profile) {
+  return !!(profile && profile.sealed);
+}
+
+/**
+ * Check whether the profile vault has been set up
+ * @returns {Promise<boolean>}
+ */
+async function isVaultConfigured() {
+  const data = await getFromStorage('vault');
+  return !!data.vault;
+}
+
+/**
+ * Get the decrypted version of a sealed profile for a checkout.
+ * The background only grants this while the site is enabled and the vault is unlocked.
+ * @param {string} profileId - ID of the sealed profile
+ * @param {string} site - Site requesting the profile (e.g. 'target')
+ * @returns {Promise<Object>} - Promise resolving to the plaintext profile
+ */
+async function openSealedProfile(profileId, site) {
+  const response = await sendVaultMessage({ action: 'vaultOpenCheckoutProfile', profileId, site });
+  return response.profile;
+}
+
+/**
+ * Tell the vault this tab no longer holds a decrypted profile
+ * @returns {Promise<void>}
+ */
+async function releaseSealedProfile() {
+  try {
+    await sendVaultMessage({ action: 'vaultReleaseCheckoutProfile' });
+  } catch (error) {
+    console.warn("storage.js: Could not release vault checkout lease:", error.message);
+  }
+}
+
+/**
+ * Seal a list of plaintext profiles if the vault is set up (used by imports)
+ * @param {Array} profiles - Profiles to seal
+ * @returns {Promise<Array>} - Sealed records, or the profiles unchanged without a vault
+ */
+async function sealProfiles(profiles) {
+  if (!(await isVaultConfigured())) {
+    return profiles;
+  }
+  const response = await sendVaultMessage({ action: 'vaultSealProfiles', profiles });
+  return response.profiles;
+}
+
+/**
+ * Get all profiles and the selected profile ID/object.
+ * Sealed vault records are returned as-is (id, name, cardLast4); use openSealedProfile to decrypt.
+ * @returns {Promise<{profiles: Array, selectedProfile: Object|null, selectedProfileId: string|null}>}
+ */
+async function getProfiles() {
+  try {
+    console.log("storage.js: Beginning profile data retrieval");
+    const data = await getFromStorage(['profiles', 'selectedProfile']);
+    
+    // Log what we retrieved
+    console.log("storage.js: Raw storage data retrieved:", 
+                data ? "Data present" : "No data", 
+                "profiles array:", Array.isArray(data.profiles) ? `length ${data.profiles?.length}` : "not an array",
+                "selectedProfile:", data.selectedProfile ? `ID ${data.selectedProfile}` : "none");
+    
+    const profiles = data.profiles || [];
+    const selectedProfileId = data.selectedProfile || null; // Ensure it's null if not set
+
+    let selectedProfile = null;
+    let profileWasFixed = false;
+    
+    // First check if there are any profiles
+    if (profiles.length === 0) {
+      console.warn("storage.js: No profiles found in storage, this will result in placeholder data being used");
+      return { profiles, selectedProfile: null, selectedProfileId: null };
+    }
+    
+    // Check if we have a selected profile ID and try to find it in profiles
+    if (selectedProfileId && profiles.length > 0) {
+      selectedProfile = profiles.find(p => p.id === selectedProfileId);
+      
+      // We'll validate payment info after checking all possible locations
+      if (selectedProfile) {
+        console.log("storage.js: Selected profile found, will validate payment details later");
+      }
+      
+      // Fallback if ID is invalid but profiles exist
+      if (!selectedProfile && profiles.length > 0) {
+        console.warn(`storage.js: Selected profile ID ${selectedProfileId} not found, using first profile as fallback.`);
+        selectedProfile = profiles[0];
+        // Actually update storage to fix the selected ID (this was previously commented out)
+        await saveToStorage({ selectedProfile: profiles[0].id });
+        console.log(`storage.js: Updated selected profile ID to ${profiles[0].id}`);
+        profileWasFixed = true;
+      }
+    } else if (!selectedProfileId && profiles.length > 0) {
+      // Default to first profile if none selected
+      console.log("storage.js: No profile selected, defaulting to the first profile.");
+      selectedProfile = profiles[0];
+      // Actually save this default selection back to storage (this was previously commented out)
+      await saveToStorage({ selectedProfile: profiles[0].id });
+      console.log(`storage.js: Set selected profile ID to first profile: ${profiles[0].id}`);
+      profileWasFixed = true;
+    }
+
+    // Sealed profiles carry no readable payment data until opened through the vault
+    if (isSealedProfile(selectedProfile)) {
+      console.log("storage.js: Selected profile is sealed in the vault");
+      return {
+        profiles,
+        selectedProfile,
+        selectedProfileId: selectedProfile.id,
+        profileWasFixed,
+        paymentDataFound: false,
+        sealed: true
+      };
+    }
+
+    // Card details are kept on the profile itself (schema 2, see storage-schema.js)
+    if (selectedProfile) {
+      if (selectedProfile.cardNumber) {
+        const maskedCard = selectedProfile.cardNumber.substring(0, 4) + "..." +
+                          selectedProfile.cardNumber.substring(selectedProfile.cardNumber.length - 4);
+        console.log(`storage.js: Successfully retrieved selected profile with card ${maskedCard}`);
+      } else {
+        console.warn("storage.js: Selected profile exists but has no payment details");
+      }
+    }
+
+    return {
+      profiles,
+      selectedProfile, // The actual profile object (or null)
+      selectedProfileId: profileWasFixed ? profiles[0].id : selectedProfileId, // Return updated ID if we fixed it
+      profileWasFixed, // Flag to indicate we made changes
+      paymentDataFound: !!(selectedProfile && selectedProfile.cardNumber)
+    };
+  } catch (error) {
+    console.error("storage.js: Error retrieving profiles:", error);
+    // Return empty data in case of error to avoid crashes
+    return {
+      profiles: [],
+      selectedProfile: null,
+      selectedProfileId: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Create or update a profile. When the vault is set up the profile is sealed by the
+ * background service worker, which requires the vault to be unlocked.
+ * The profile is checked and normalized with profile-validator.js first (it must be loaded too);
+ * an invalid profile is rejected with an Error whose fieldErrors maps fields to messages.
+ * @param {Object} profile - Profile to save (normalized in place)
+ * @param {boolean} isNew - Whether this is a new profile
+ * @returns {Promise<string>} - Promise resolving to profile ID
+ */
+async function saveProfile(profile, isNew = false) {
+  const validator = globalThis.autocheckoutProfileValidator;
+  if (!validator) {
+    throw new Error('profile-validator.js is not loaded, cannot check the profile');
+  }
+  const result = validator.validateProfile(profile);
+  if (!result.valid) {
+    const error = new Error('Profile is not valid. ' + validator.describeProfileErrors(result.errors));
+    error.fieldErrors = result.errors;
+    throw error;
+  }
+  Object.assign(profile, result.profile);
+
+  if (await isVaultConfigured()) {
+    const response = await sendVaultMessage({ action: 'vaultSaveProfile', profile, isNew });
+    profile.id = response.profileId;
+    return response.profileId;
+  }
+
+  const data = await getFromStorage('profiles');
+  let profiles = data.profiles || [];
+
+  // Generate ID for new profiles or if ID is missing
+  if (isNew || !profile.id) {
+    profile.id = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+  }
+
+  // Update existing or add new
+  const index = profiles.findIndex(p => p.id === profile.id);
+  if (index !== -1) {
+    profiles[index] = profile;
+  } else {
+    profiles.push(profile);
+  }
+
+  await saveToStorage({ profiles });
+
+  // If this is the first profile saved, or if no profile is currently selected,
+  // set this one as selected.
+  const currentSelection = await getFromStorage('selectedProfile');
+  if (profiles.length === 1 || !currentSelection.selectedProfile) {
+    await saveToStorage({ selectedProfile: profile.id });
+  }
+
+  return profile.id;
+}
+
+/**
+ * Delete a profile (works on sealed records too, no vault key needed)
+ * @param {string} profileId - ID of profile to delete
+ * @returns {Promise<void>} - Promise resolving when profile is deleted
+ */
+async function deleteProfile(profileId) {
+  const data = await getFromStorage(['profiles', 'selectedProfile']);
+  let profiles = data.profiles || [];
+  const selectedProfileId = data.selectedProfile;
+
+  // Filter out the profile to delete
+  const initialLength = profiles.length;
+  profiles = profiles.filter(p => p.id !== profileId);
+
+  // Check if a profile was actually deleted
+  if (profiles.length === initialLength) {
+      console.warn(`Profile with ID ${profileId} not found for deletion.`);
+      return; // Nothing to do
+  }
+
+
+  // Prepare data to update storage
+  const updateData = { profiles };
+
+  // If the deleted profile was the selected one, select a new one
+  if (selectedProfileId === profileId) {
+    if (profiles.length > 0) {
+      updateData.selectedProfile = profiles[0].id; // Select the first remaining
+    } else {
+      updateData.selectedProfile = ''; // No profiles left, clear selection
+    }
+  }
+
+  return saveToStorage(updateData);
+}
+
+/**
+ * Get the order history, newest attempt first
+ * @returns {Promise<Array>} - Promise resolving to the order records
+ */
+async function getOrderHistory() {
+  const data = await getFromStorage('orderHistory');
+  return data.orderHistory || [];
+}
+
+/**
+ * Record the start of a checkout attempt in the order history
+ * @param {Object} record - What is known when the attempt starts
+ *   (site, tcin, title, price, quantity, profileId, profileName, fulfillment)
+ * @returns {Promise<Object>} - Promise resolving to the stored record
+ */
+async function addOrderRecord(record) {
+  // Written by the background, one change at a time (see background/order-history.js)
+  const response = await globalThis.autocheckoutMessages.sendMessage('addOrderRecord', { record });
+  return response.record;
+}
+
+/**
+ * Update an order record. Setting an outcome other than 'in-progress' also stamps finishedAt.
+ * @param {string} recordId - ID returned by addOrderRecord
+ * @param {Object} changes - Fields to update (e.g. outcome, failedStep, error, fulfillment)
+ * @returns {Promise<Object|null>} - Promise resolving to the updated record, or null if it is gone
+ */
+async function updateOrderRecord(recordId, changes) {
+  const response = await globalThis.autocheckoutMessages.sendMessage('updateOrderRecord', { recordId, changes });
+  return response.record;
+}
+
+/**
+ * Delete the whole order history
+ * @returns {Promise<void>}
+ */
+async function clearOrderHistory() {
+  await globalThis.autocheckoutMessages.sendMessage('clearOrderHistory');
+}
+
+/**
+ * Get the dry run reports (see common/dry-run.js), newest first
+ * @returns {Promise<Array>} - Promise resolving to the reports
+ */
+async function getDryRunReports() {
+  const data = await getFromStorage('dryRunReports');
+  return data.dryRunReports || [];
+}
+
+/**
+ * Store a finished dry run report
+ * @param {Object} report - Report built by common/dry-run.js
+ * @returns {Promise<boolean>}
+ */
+async function addDryRunReport(report) {
+  const maxReports = 20; // Oldest reports are dropped past this
+  const dryRunReports = await getDryRunReports();
+  dryRunReports.unshift(report);
+  return saveToStorage({ dryRunReports: dryRunReports.slice(0, maxReports) });
+}
+
+/**
+ * Delete all dry run reports
+ * @returns {Promise<boolean>}
+ */
+function clearDryRunReports() {
+  return saveToStorage({ dryRunReports: [] });
+}
+
+/**
+ * Get the product details seen on product pages, by TCIN/SKU
+ * @returns {Promise<Object>} - Promise resolving to { [tcin]: { tcin, site, title, image, brand, price, availability, url, seenAt } }
+ */
+async function getProductCache() {
+  const data = await getFromStorage('productCache');
+  return data.productCache || {};
+}
+
+/**
+ * Store what a product page showed. Fields that were not found keep their last seen value.
+ * @param {Object} product - Details read from the page; needs a tcin
+ * @returns {Promise<Object>} - Promise resolving to the stored entry
+ */
+async function saveProductInfo(product) {
+  const maxProducts = 500; // Products not seen for the longest are dropped past this
+  const productCache = await getProductCache();
+  const entry = { ...(productCache[product.tcin] || {}) };
+  Object.entries(product).forEach(([field, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      entry[field] = value;
+    }
+  });
+  entry.seenAt = Date.now();
+  productCache[product.tcin] = entry;
+  const tcins = Object.keys(productCache);
+  if (tcins.length > maxProducts) {
+    tcins
+      .sort((a, b) => productCache[a].seenAt - productCache[b].seenAt)
+      .slice(0, tcins.length - maxProducts)
+      .forEach(tcin => delete productCache[tcin]);
+  }
+  await saveToStorage({ productCache });
+  return entry;
+}
+
+/**
+ * Selector pack state for a site (packs are validated by common/selector-packs.js before they get here)
+ * @param {string} site - Site name (e.g. 'target')
+ * @returns {Promise<Object>} - Promise resolving to { active, previous, url, lastRollback }.
+ *   active/previous are { pack, source, installedAt } or null; lastRollback is { version, reason, at } or null.
+ */
+async function getSelectorPackState(site) {
+  const data = await getFromStorage('selectorPacks');
+  return {
+    active: null,
+    previous: null,
+    url: '',
+    lastRollback: null,
+    ...((data.selectorPacks || {})[site] || {})
+  };
+}
+
+/**
+ * Save the selector pack state for a site
+ * @param {string} site - Site name
+ * @param {Object} state - See getSelectorPackState
+ * @returns {Promise<boolean>}
+ */
+async function saveSelectorPackState(site, state) {
+  const data = await getFromStorage('selectorPacks');
+  const selectorPacks = data.selectorPacks || {};
+  selectorPacks[site] = state;
+  return saveToStorage({ selectorPacks });
+}
+
+/**
+ * Make a pack the active one for its site. The pack it replaces is kept for rollback.
+ * @param {Object} pack - Validated selector pack
+ * @param {string} source - Where it came from: 'paste', 'file' or the URL it was fetched from
+ * @returns {Promise<Object>} - Promise resolving to the new state
+ */
+async function installSelectorPack(pack, source) {
+  const state = await getSelectorPackState(pack.site);
+  state.previous = state.active;
+  state.active = { pack, source, installedAt: Date.now() };
+  await saveSelectorPackState(pack.site, state);
+  return state;
+}
+
+/**
+ * Go back to the previous pack (or the built-in selectors when there is none). With no active
+ * pack this restores the one removeSelectorPack set aside.
+ * @param {string} site - Site name
+ * @param {string} reason - Why, shown on the options page
+ * @returns {Promise<Object>} - Promise resolving to the new state
+ */
+async function rollBackSelectorPack(site, reason) {
+  const state = await getSelectorPackState(site);
+  if (!state.active && !state.previous) {
+    return state;
+  }
+  if (state.active) {
+    state.lastRollback = { version: state.active.pack.version, reason, at: Date.now() };
+  }
+  state.active = state.previous;
+  state.previous = null;
+  await saveSelectorPackState(site, state);
+  return state;
+}
+
+/**
+ * Stop using a pack and go back to the built-in selectors (the removed pack is kept for rollback)
+ * @param {string} site - Site name
+ * @returns {Promise<Object>} - Promise resolving to the new state
+ */
+async function removeSelectorPack(site) {
+  const state = await getSelectorPackState(site);
+  if (state.active) {
+    state.previous = state.active;
+    state.active = null;
+    await saveSelectorPackState(site, state);
+  }
+  return state;
+}
+
+/**
+ * Set the URL a site's selector pack is updated from
+ * @param {string} site - Site name
+ * @param {string} url - http(s) URL, or '' for none
+ * @returns {Promise<Object>} - Promise resolving to the new state
+ */
+async function setSelectorPackUrl(site, url) {
+  const state = await getSelectorPackState(site);
+  state.url = url;
+  await saveSelectorPackState(site, state);
+  return state;
+}
+
+// Attach all functions to the window object
+window.autocheckoutStorage = {
+  getFromStorage,
+  saveToStorage,
+  safeGetStorage,
+  getSiteSettings,
+  updateSiteSettings,
+  getProfiles,
+  saveProfile,
+  deleteProfile,
+  sendVaultMessage,
+  isSealedProfile,
+  isVaultConfigured,
+  openSealedProfile,
+  releaseSealedProfile,
+  sealProfiles,
+  getOrderHistory,
+  addOrderRecord,
+  updateOrderRecord,
+  clearOrderHistory,
+  getDryRunReports,
+  addDryRunReport,
+  clearDryRunReports,
+  getProductCache,
+  saveProductInfo,
+  getSelectorPackState,
+  installSelectorPack,
+  rollBackSelectorPack,
+  removeSelectorPack,
+  setSelectorPackUrl
+};
+
+// No longer need to attach to window or dispatch event when using executeScript
+console.log("common/storage.js: Script loaded.");
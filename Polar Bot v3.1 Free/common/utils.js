@@ -1 +1,418 @@
-function _0x214b(_0x1916b5,_0xb1e4b4){const _0x83437b=_0x8343();return _0x214b=function(_0x214bf8,_0x59b1f8){_0x214bf8=_0x214bf8-0x18e;let _0x36fb22=_0x83437b[_0x214bf8];return _0x36fb22;},_0x214b(_0x1916b5,_0xb1e4b4);}const _0xf19d0a=_0x214b;function _0x8343(){const _0xfedecf=['local','ERR','scrollIntoView','Error\x20filling\x20field:','log','MouseEvent\x20click\x20successful\x20on\x20','common/utils.js:\x20Script\x20loaded.','profiles','662637FrnAOa','auto','3922552mHYsKb','11901688AOAQor','sendMessage','\x20not\x20found,\x20using\x20first\x20profile\x20as\x20fallback.','floor','Direct\x20click\x20failed\x20on\x20','catch','24051fXtTXM','6YHRRPT','dispatchEvent','center','4404390MqPBXT','warn','debugLog','#FF0000','KarnU','Status\x20update:','focus','7tkMbsM','input','storage','length','Storage\x20get\x20error:','set','runtime','Wwwmd','KJnrK','querySelector','Jkvrl','toLowerCase','change','lastError','8|5|3|6|4|2|1|7|0','selectedProfile','get','Clicking\x20','PEhnB','status-waiting','676525KawbXg','19312452aKSuQV'];_0x8343=function(){return _0xfedecf;};return _0x8343();}(function(_0x28de8a,_0x4bc0a8){const _0x48c3be=_0x214b,_0x409f2f=_0x28de8a();while(!![]){try{const _0x2a08fe=parseInt(_0x48c3be(0x1bd))/0x1+-parseInt(_0x48c3be(0x195))/0x2*(-parseInt(_0x48c3be(0x194))/0x3)+-parseInt(_0x48c3be(0x1bf))/0x4+-parseInt(_0x48c3be(0x1b3))/0x5+parseInt(_0x48c3be(0x198))/0x6+parseInt(_0x48c3be(0x19f))/0x7*(-parseInt(_0x48c3be(0x18e))/0x8)+parseInt(_0x48c3be(0x1b4))/0x9;if(_0x2a08fe===_0x4bc0a8)break;else _0x409f2f['push'](_0x409f2f['shift']());}catch(_0x3a2612){_0x409f2f['push'](_0x409f2f['shift']());}}}(_0x8343,0xeb16f),console['log']('common/utils.js:\x20Script\x20start\x20executing.'));function sleep(_0x105c45,_0x547ce9=![],_0x4aa091=0.3){if(_0x547ce9){const _0x4bf518=_0x105c45*(0x1-_0x4aa091),_0x5cd7bd=_0x105c45*(0x1+_0x4aa091);_0x105c45=Math['floor'](Math['random']()*(_0x5cd7bd-_0x4bf518+0x1))+_0x4bf518;}return new Promise(_0x2476aa=>setTimeout(_0x2476aa,_0x105c45));}async function waitForElement(_0x34fdbd,_0x595c3f=0x1388,_0x233064=0x64){const _0x19872e=_0x214b,_0x103980=Date['now']();while(Date['now']()-_0x103980<_0x595c3f){const _0x28d7c7=document[_0x19872e(0x1a8)](_0x34fdbd);if(_0x28d7c7)return _0x28d7c7;await sleep(_0x233064);}return console['log']('Element\x20not\x20found\x20within\x20timeout:\x20'+_0x34fdbd),null;}async function findElementWithSelectors(_0x556a37,_0x2687e4=0x1388){for(const _0x2215ba of _0x556a37){const _0x24954a=await waitForElement(_0x2215ba,_0x2687e4/_0x556a37['length']);if(_0x24954a)return{'element':_0x24954a,'selector':_0x2215ba};}return{'element':null,'selector':null};}async function clickElement(_0x5e900d,_0x13c846='button'){const _0x53d653=_0x214b,_0x39cf16={'PEhnB':'click','AapcR':function(_0x52e612,_0x4113d8){return _0x52e612(_0x4113d8);}};if(!_0x5e900d)return![];console['log'](_0x53d653(0x1b0)+_0x13c846+':\x20'+_0x5e900d['textContent']?.['trim']()),_0x5e900d[_0x53d653(0x1b7)]({'behavior':_0x53d653(0x1be),'block':_0x53d653(0x197)}),await sleep(0x64);try{return _0x5e900d['click'](),console[_0x53d653(0x1b9)]('Direct\x20click\x20successful\x20on\x20'+_0x13c846),!![];}catch(_0x1f33ae){console[_0x53d653(0x1b9)](_0x53d653(0x192)+_0x13c846+':',_0x1f33ae);try{return _0x5e900d['dispatchEvent'](new MouseEvent(_0x39cf16[_0x53d653(0x1b1)],{'bubbles':!![],'cancelable':!![],'view':window})),console['log'](_0x53d653(0x1ba)+_0x13c846),!![];}catch(_0x5cd1c7){console[_0x53d653(0x1b9)]('MouseEvent\x20click\x20failed\x20on\x20'+_0x13c846+':',_0x5cd1c7);try{return _0x5e900d[_0x53d653(0x19e)](),await _0x39cf16['AapcR'](sleep,0x64),_0x5e900d[_0x53d653(0x196)](new KeyboardEvent('keydown',{'key':'Enter','code':'Enter','keyCode':0xd,'which':0xd,'bubbles':!![]})),console[_0x53d653(0x1b9)]('Focus\x20+\x20Enter\x20click\x20successful\x20on\x20'+_0x13c846),!![];}catch(_0x1fbf48){return console[_0x53d653(0x1b9)]('All\x20click\x20methods\x20failed\x20on\x20'+_0x13c846+':',_0x1fbf48),![];}}}}async function fillField(_0x3eaa56,value){const _0x276cdf=_0x214b;if(!_0x3eaa56||value===null||value===undefined)return![];try{const _0x4c15b6=_0x276cdf(0x1ad)['split']('|');let _0x18d988=0x0;while(!![]){switch(_0x4c15b6[_0x18d988++]){case'0':return!![];case'1':_0x3eaa56[_0x276cdf(0x196)](new Event(_0x276cdf(0x1a0),{'bubbles':!![]}));continue;case'2':_0x3eaa56['value']=value;continue;case'3':_0x3eaa56['value']='';continue;case'4':await sleep(0x64);continue;case'5':await sleep(0x64);continue;case'6':_0x3eaa56['dispatchEvent'](new Event('input',{'bubbles':!![]}));continue;case'7':_0x3eaa56[_0x276cdf(0x196)](new Event(_0x276cdf(0x1ab),{'bubbles':!![]}));continue;case'8':_0x3eaa56['focus']();continue;}break;}}catch(_0x388e8b){return console['error'](_0x276cdf(0x1b8),_0x388e8b),![];}}function updateStatus(_0x1cfbf4,className){const _0x33d37a=_0x214b;console['log'](_0x33d37a(0x19d),_0x1cfbf4);try{typeof chrome!=='undefined'&&chrome['runtime']&&chrome['runtime']['id']&&setTimeout(()=>{const _0x129881=_0x33d37a;try{const _0x3943c9=chrome['runtime']['sendMessage']({'action':'updateStatus','text':_0x1cfbf4,'class':className})['catch'](()=>{});setTimeout(()=>{const _0x4966e8=_0x214b;try{_0x3943c9&&typeof _0x3943c9[_0x4966e8(0x193)]==='function'&&_0x3943c9['catch'](()=>{});}catch(_0x5a4a4a){}},0x3e8);let _0x14c361='';if(className==='status-running')_0x14c361='ON';if(className===_0x129881(0x1b2)&&_0x1cfbf4[_0x129881(0x1aa)]()['includes']('error'))_0x14c361='ERR';if(className==='status-complete')_0x14c361='OK';setTimeout(()=>{const _0x5a4526=_0x129881;try{chrome[_0x5a4526(0x1a5)][_0x5a4526(0x18f)]({'action':'updateBadge','text':_0x14c361,'color':_0x14c361===_0x5a4526(0x1b6)?_0x5a4526(0x19b):'#cc0000'})['catch'](()=>{});}catch(_0x21fa57){}},0x64);}catch(_0x532b27){}},0x0);}catch(_0x69120){}}function debugLog(_0x3688d6,_0x213083){const _0x52f9fe=_0x214b;try{console[_0x52f9fe(0x1b9)]('DEBUG\x20['+_0x3688d6+']:',_0x213083),typeof chrome!=='undefined'&&chrome[_0x52f9fe(0x1a5)]&&chrome['runtime']['id']&&setTimeout(()=>{const _0x263ee9=_0x52f9fe,_0x2e9643={'kGrLK':function(_0x33dd20,_0x2bf147){return _0x33dd20(_0x2bf147);},'Wwwmd':'OEuEU'};try{const _0x4298a8=chrome['runtime']['sendMessage']({'action':_0x263ee9(0x19a),'context':_0x3688d6,'data':_0x213083})['catch'](()=>{});setTimeout(()=>{const _0x3b7f1d=_0x263ee9;if('tSYTn'===_0x2e9643[_0x3b7f1d(0x1a6)])_0x2e9643['kGrLK'](_0x4fd098,_0x1611ba),chrome['runtime']['lastError']?(_0x2f9f9f['error']('Storage\x20get\x20error:',chrome['runtime']['lastError']),_0xff2a7b({})):_0x555b07(_0x74496||{});else try{_0x4298a8&&typeof _0x4298a8['catch']==='function'&&_0x4298a8[_0x3b7f1d(0x193)](()=>{});}catch(_0x284497){}},0x3e8);}catch(_0x77a714){}},0x0);}catch(_0x37d776){}}function getFromStorage(_0x32365a){const _0x424fcb={'cHAPZ':function(_0x1be9cb,_0x19c33c){return _0x1be9cb===_0x19c33c;},'OUwAc':function(_0x1b3149,_0x22be45){return _0x1b3149(_0x22be45);},'ZXmpA':'chrome.storage.local\x20is\x20not\x20available,\x20using\x20fallback\x20empty\x20object.'};return new Promise((_0xb2074,_0x907c2d)=>{const _0x45af5a=_0x214b;try{if(typeof chrome!=='undefined'&&chrome['storage']&&chrome['storage'][_0x45af5a(0x1b5)]){const _0x17470f=setTimeout(()=>{const _0x3920fa=_0x45af5a;_0x424fcb['cHAPZ']('KarnU',_0x3920fa(0x19c))?(console['warn']('Storage\x20get\x20timeout\x20for\x20keys:\x20'+JSON['stringify'](_0x32365a)),_0xb2074({})):(_0xb129de=_0x440cf4['find'](_0x570ca0=>_0x570ca0['id']===_0x40738f),!_0x1bed90&&_0x2decaf['length']>0x0&&(_0x53fd1c[_0x3920fa(0x199)]('Selected\x20profile\x20ID\x20'+_0x1b1d1a+'\x20not\x20found,\x20using\x20first\x20profile\x20as\x20fallback.'),_0x4b8b6d=_0x58f10a[0x0]));},0xbb8);try{chrome[_0x45af5a(0x1a1)]['local'][_0x45af5a(0x1af)](_0x32365a,_0x59ab44=>{const _0x39b93d=_0x45af5a;clearTimeout(_0x17470f),chrome['runtime']['lastError']?(console['error'](_0x39b93d(0x1a3),chrome[_0x39b93d(0x1a5)]['lastError']),_0x424fcb['OUwAc'](_0xb2074,{})):_0xb2074(_0x59ab44||{});});}catch(_0x16458e){clearTimeout(_0x17470f),console['error']('Error\x20calling\x20storage\x20API:',_0x16458e),_0xb2074({});}}else console[_0x45af5a(0x199)](_0x424fcb['ZXmpA']),_0xb2074({});}catch(_0x5b1de8){console['error']('Unexpected\x20error\x20in\x20getFromStorage:',_0x5b1de8),_0xb2074({});}});}function saveToStorage(_0xde0982){const _0x687215={'DYbhq':function(_0x48c90b,_0x30308a){return _0x48c90b(_0x30308a);}};return new Promise(_0x5837fa=>{const _0x1d93ec=_0x214b,_0xc520b4={'KJnrK':function(_0xf5cde3,_0x58afa9){return _0xf5cde3+_0x58afa9;}};try{const _0x2d9d39=JSON['parse'](JSON['stringify'](_0xde0982||{}));if(typeof chrome!=='undefined'&&chrome['storage']&&chrome['storage']['local']){const _0x5f8c3b=setTimeout(()=>{console['warn']('Storage\x20save\x20timeout\x20-\x20operation\x20may\x20not\x20have\x20completed'),_0x5837fa(![]);},0xbb8);try{chrome['storage'][_0x1d93ec(0x1b5)][_0x1d93ec(0x1a4)](_0x2d9d39,()=>{const _0x472771=_0x1d93ec;_0x687215['DYbhq'](clearTimeout,_0x5f8c3b),chrome['runtime'][_0x472771(0x1ac)]?(console['error']('Storage\x20set\x20error:',chrome[_0x472771(0x1a5)][_0x472771(0x1ac)]),_0x5837fa(![])):_0x5837fa(!![]);});}catch(_0x1773db){if('cAQkJ'==='cAQkJ')clearTimeout(_0x5f8c3b),console['error']('Error\x20calling\x20storage.set\x20API:',_0x1773db),_0x5837fa(![]);else{if(_0x13a9b0){const _0x25ba72=_0x35c97f*(0x1-_0x50ffa2),_0x3431cc=_0x22a10a*(0x1+_0x2719aa);_0xeb5701=_0xc520b4[_0x1d93ec(0x1a7)](_0x4b1286[_0x1d93ec(0x191)](_0xbec154['random']()*(_0x3431cc-_0x25ba72+0x1)),_0x25ba72);}return new _0x564bfe(_0x29ba4d=>_0x20234a(_0x29ba4d,_0x2f623b));}}}else'flBXW'==='NLOIL'?_0x5f3a02[_0x1d93ec(0x193)](()=>{}):(console['warn']('chrome.storage.local\x20is\x20not\x20available,\x20save\x20operation\x20failed'),_0x5837fa(![]));}catch(_0x104cde){console['error']('Unexpected\x20error\x20in\x20saveToStorage:',_0x104cde),_0x5837fa(![]);}});}async function getProfiles(){const _0x699504=_0x214b,_0x1e4cdc={'Jkvrl':_0x699504(0x1bc)},_0x3ceb83=await getFromStorage([_0x1e4cdc[_0x699504(0x1a9)],_0x699504(0x1ae)]),_0x383a1b=_0x3ceb83['profiles']||[],_0x3cc398=_0x3ceb83['selectedProfile'];let _0x302cdd=null;if(_0x3cc398&&_0x383a1b['length']>0x0)_0x302cdd=_0x383a1b['find'](_0x1c7457=>_0x1c7457['id']===_0x3cc398),!_0x302cdd&&_0x383a1b['length']>0x0&&(console[_0x699504(0x199)]('Selected\x20profile\x20ID\x20'+_0x3cc398+_0x699504(0x190)),_0x302cdd=_0x383a1b[0x0]);else _0x383a1b[_0x699504(0x1a2)]>0x0&&(console[_0x699504(0x1b9)]('No\x20profile\x20selected,\x20defaulting\x20to\x20the\x20first\x20profile.'),_0x302cdd=_0x383a1b[0x0]);return{'profiles':_0x383a1b,'selectedProfile':_0x302cdd};}console[_0xf19d0a(0x1b9)](_0xf19d0a(0x1bb));
\ No newline at end of file
+console.log("common/utils.js: Script start executing.");
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @param {boolean} randomize - Vary the delay by +/- variance
+ * @param {number} variance - Fraction of ms to vary by when randomizing
+ * @returns {Promise<void>}
+ */
+function sleep(ms, randomize = false, variance = 0.3) {
+  if (randomize) {
+    const min = ms * (1 - variance);
+    const max = ms * (1 + variance);
+    ms = Math.floor(Math.random() * (max - min + 1)) + min;
+  }
+  return new Promise(resolve => setTimeout(resolve, ms)).then(waitWhileCheckoutPaused);
+}
+
+// --- Pause ---
+// While the checkout is paused, sleep(), clickElement() and fillField() wait before going on, so
+// the running step stops at its next delay, click or field. `var` so the scripts can be injected
+// into a page more than once.
+var checkoutPause = { paused: false, waiting: [] };
+
+/**
+ * Pause or resume the checkout helpers on this page
+ * @param {boolean} paused
+ * @param {boolean} [abandon] - When resuming, leave the calls that are waiting pending for good
+ *   (the step they belong to is started over instead of carrying on)
+ */
+function setCheckoutPaused(paused, abandon = false) {
+  checkoutPause.paused = paused;
+  if (!paused) {
+    const waiting = checkoutPause.waiting;
+    checkoutPause.waiting = [];
+    if (!abandon) {
+      waiting.forEach(resolve => resolve());
+    }
+  }
+}
+
+/** @returns {boolean} True while the checkout on this page is paused */
+function isCheckoutPaused() {
+  return checkoutPause.paused;
+}
+
+/**
+ * @returns {Promise<void>} - Resolves right away, or once the checkout is resumed
+ */
+function waitWhileCheckoutPaused() {
+  if (!checkoutPause.paused) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => checkoutPause.waiting.push(resolve));
+}
+
+/**
+ * Wait for the first of several selectors to match (each gets an equal share of the timeout)
+ * @param {string[]} selectors - CSS selectors in priority order
+ * @param {number} timeout - Total wait in ms
+ * @returns {Promise<{element: Element|null, selector: string|null}>}
+ */
+async function findElementWithSelectors(selectors, timeout = 5000) {
+  for (const selector of selectors) {
+    const element = await waitForElement(selector, timeout / selectors.length);
+    if (element) {
+      return {
+        element: element,
+        selector: selector
+      };
+    }
+  }
+  return {
+    element: null,
+    selector: null
+  };
+}
+
+/**
+ * Click an element, falling back to a synthetic MouseEvent and then focus + Enter
+ * @param {Element} element - Element to click
+ * @param {string} description - Name used in logs
+ * @returns {Promise<boolean>} - True if one of the click methods worked
+ */
+async function clickElement(element, description = "button") {
+  await waitWhileCheckoutPaused();
+  if (!element) {
+    return false;
+  }
+  console.log("Clicking " + description + ": " + element.textContent?.trim());
+  element.scrollIntoView({
+    behavior: "auto",
+    block: "center"
+  });
+  await sleep(100);
+  try {
+    element.click();
+    console.log("Direct click successful on " + description);
+    runLog("info", "Clicked " + description);
+    return true;
+  } catch (error) {
+    console.log("Direct click failed on " + description + ":", error);
+    try {
+      element.dispatchEvent(new MouseEvent("click", {
+        bubbles: true,
+        cancelable: true,
+        view: window
+      }));
+      console.log("MouseEvent click successful on " + description);
+      runLog("info", "Clicked " + description + " (MouseEvent)");
+      return true;
+    } catch (mouseError) {
+      console.log("MouseEvent click failed on " + description + ":", mouseError);
+      try {
+        element.focus();
+        await sleep(100);
+        element.dispatchEvent(new KeyboardEvent("keydown", {
+          key: "Enter",
+          code: "Enter",
+          keyCode: 13,
+          which: 13,
+          bubbles: true
+        }));
+        console.log("Focus + Enter click successful on " + description);
+        runLog("info", "Clicked " + description + " (Enter key)");
+        return true;
+      } catch (keyError) {
+        console.log("All click methods failed on " + description + ":", keyError);
+        runLog("error", "All click methods failed on " + description, { error: keyError.message });
+        return false;
+      }
+    }
+  }
+}
+
+/**
+ * Fill an input and fire the events frameworks listen for
+ * @param {HTMLInputElement} element - Input to fill
+ * @param {string} value - Value to enter
+ * @returns {Promise<boolean>} - True if the field was filled
+ */
+async function fillField(element, value) {
+  await waitWhileCheckoutPaused();
+  if (!element || value === null || value === undefined) {
+    return false;
+  }
+  try {
+    element.focus();
+    await sleep(100);
+    element.value = "";
+    element.dispatchEvent(new Event("input", {
+      bubbles: true
+    }));
+    await sleep(100);
+    element.value = value;
+    element.dispatchEvent(new Event("input", {
+      bubbles: true
+    }));
+    element.dispatchEvent(new Event("change", {
+      bubbles: true
+    }));
+    return true;
+  } catch (error) {
+    console.error("Error filling field:", error);
+    return false;
+  }
+}
+
+/**
+ * Show a status in the popup and set the tab badge
+ * @param {string} text - Status text
+ * @param {string} className - status-running, status-waiting or status-complete
+ */
+function updateStatus(text, className) {
+  console.log("Status update:", text);
+  const isError = className === "status-waiting" && /error|blocked/i.test(text);
+  runLog(isError ? "error" : "info", "Status: " + text, { status: className });
+  if (!canSendExtensionMessages()) {
+    return;
+  }
+  let badgeText = "";
+  if (className === "status-running") {
+    badgeText = "ON";
+  }
+  if (className === "status-waiting" && text.toLowerCase().includes("error")) {
+    badgeText = "ERR";
+  }
+  if (className === "status-complete") {
+    badgeText = "OK";
+  }
+  // Nobody listens for updateStatus while the popup is closed; that is fine
+  globalThis.autocheckoutMessages.sendMessage("updateStatus", { text: text, class: className }).catch(() => {});
+  globalThis.autocheckoutMessages.sendMessage("updateBadge", { text: badgeText, color: badgeText === "ERR" ? "#FF0000" : "#cc0000" }).catch(() => {});
+}
+
+/**
+ * Whether the extension is still there to talk to (it goes away when it is reloaded or updated)
+ * @returns {boolean}
+ */
+function canSendExtensionMessages() {
+  return typeof chrome !== "undefined" && !!chrome.runtime && !!chrome.runtime.id && !!globalThis.autocheckoutMessages;
+}
+
+// --- Run log ---
+// Structured entries go to the background service worker (background/run-log.js), which keeps
+// them after the tab closes. `var` so the scripts can be injected into a page more than once.
+var runLogContext = { site: null, step: null, tcin: null };
+
+/**
+ * Set fields attached to every following run log entry from this page
+ * @param {Object} changes - Any of site, step, tcin
+ */
+function setRunLogContext(changes) {
+  Object.assign(runLogContext, changes);
+}
+
+/**
+ * Copy log data with payment and contact details masked
+ * @param {*} data - Anything JSON-serializable
+ * @returns {*}
+ */
+function redactLogData(data) {
+  const sensitiveKey = /card|cvv|cvc|security|passphrase|password|expir|phone|email|address|zip|firstName|lastName|cookie|token/i;
+  const redact = (value, key) => {
+    if (key && sensitiveKey.test(key) && value !== null && typeof value !== "object") {
+      return "[redacted]";
+    }
+    if (typeof value === "string") {
+      // Anything that looks like a card number, even under a harmless key
+      return value.replace(/\b(?:\d[ -]?){12,18}\d\b/g, "[redacted]");
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item));
+    }
+    if (value && typeof value === "object") {
+      const copy = {};
+      Object.keys(value).forEach(childKey => {
+        copy[childKey] = redact(value[childKey], childKey);
+      });
+      return copy;
+    }
+    return value;
+  };
+  try {
+    return redact(JSON.parse(JSON.stringify(data === undefined ? null : data)));
+  } catch (e) {
+    return String(data);
+  }
+}
+
+/**
+ * Send a structured entry to the run log
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - What happened
+ * @param {*} [data] - Extra details (redacted before sending)
+ */
+function runLog(level, message, data) {
+  if (!canSendExtensionMessages()) {
+    return;
+  }
+  // Sent right away (not from a timer) so entries still go out when the tab is about to close
+  globalThis.autocheckoutMessages.sendMessage("runLog", {
+    entry: {
+      at: Date.now(),
+      level: level,
+      message: message,
+      data: data === undefined ? null : redactLogData(data),
+      site: runLogContext.site,
+      step: runLogContext.step,
+      tcin: runLogContext.tcin,
+      url: window.location.href
+    }
+  }).catch(() => {});
+}
+
+/**
+ * Debug output: page console plus a debug-level run log entry (kept while debug mode is on)
+ * @param {string} context - Where the message comes from
+ * @param {*} data - Details
+ */
+function debugLog(context, data) {
+  try {
+    console.log("DEBUG [" + context + "]:", data);
+    runLog("debug", context, data);
+  } catch (e) {}
+}
+
+// --- Outcome notifications ---
+// The background worker (background/notifications.js) turns these into desktop notifications and
+// webhook posts, depending on which events are switched on in the options page.
+
+/**
+ * Report how a checkout attempt ended
+ * @param {string} event - 'success', 'out-of-stock', 'price-check', 'payment-error' or 'stall'
+ * @param {Object} [details] - Product and failure details (redacted before sending)
+ */
+function notifyOutcome(event, details = {}) {
+  console.log("Outcome notification: " + event);
+  if (!canSendExtensionMessages()) {
+    return;
+  }
+  // Sent right away for the same reason as runLog: price check failures may close the tab
+  globalThis.autocheckoutMessages.sendMessage("notifyOutcome", {
+    event: event,
+    details: redactLogData({
+      site: runLogContext.site,
+      tcin: runLogContext.tcin,
+      url: window.location.href,
+      ...details
+    })
+  }).catch(error => console.warn("Outcome notification not delivered:", error.message));
+}
+
+/**
+ * Get value(s) from storage, resolving to {} on any failure
+ * @param {string|string[]|null} keys
+ * @returns {Promise<Object>}
+ */
+function getFromStorage(keys) {
+  return new Promise(resolve => {
+    try {
+      if (typeof chrome !== "undefined" && chrome.storage && chrome.storage.local) {
+        const timeout = setTimeout(() => {
+          console.warn("Storage get timeout for keys: " + JSON.stringify(keys));
+          resolve({});
+        }, 3000);
+        try {
+          chrome.storage.local.get(keys, result => {
+            clearTimeout(timeout);
+            if (chrome.runtime.lastError) {
+              console.error("Storage get error:", chrome.runtime.lastError);
+              resolve({});
+            } else {
+              resolve(result || {});
+            }
+          });
+        } catch (error) {
+          clearTimeout(timeout);
+          console.error("Error calling storage API:", error);
+          resolve({});
+        }
+      } else {
+        console.warn("chrome.storage.local is not available, using fallback empty object.");
+        resolve({});
+      }
+    } catch (error) {
+      console.error("Unexpected error in getFromStorage:", error);
+      resolve({});
+    }
+  });
+}
+
+/**
+ * Save value(s) to storage
+ * @param {Object} data - Key/value pairs
+ * @returns {Promise<boolean>} - True if saved
+ */
+function saveToStorage(data) {
+  return new Promise(resolve => {
+    try {
+      const copy = JSON.parse(JSON.stringify(data || {}));
+      if (typeof chrome !== "undefined" && chrome.storage && chrome.storage.local) {
+        const timeout = setTimeout(() => {
+          console.warn("Storage save timeout - operation may not have completed");
+          resolve(false);
+        }, 3000);
+        try {
+          chrome.storage.local.set(copy, () => {
+            clearTimeout(timeout);
+            if (chrome.runtime.lastError) {
+              console.error("Storage set error:", chrome.runtime.lastError);
+              resolve(false);
+            } else {
+              resolve(true);
+            }
+          });
+        } catch (error) {
+          clearTimeout(timeout);
+          console.error("Error calling storage.set API:", error);
+          resolve(false);
+        }
+      } else {
+        console.warn("chrome.storage.local is not available, save operation failed");
+        resolve(false);
+      }
+    } catch (error) {
+      console.error("Unexpected error in saveToStorage:", error);
+      resolve(false);
+    }
+  });
+}
+
+/**
+ * Get all profiles and the selected profile
+ * @returns {Promise<{profiles: Array, selectedProfile: Object|null}>}
+ */
+async function getProfiles() {
+  const data = await getFromStorage(["profiles", "selectedProfile"]);
+  const profiles = data.profiles || [];
+  const selectedProfileId = data.selectedProfile;
+  let selectedProfile = null;
+  if (selectedProfileId && profiles.length > 0) {
+    selectedProfile = profiles.find(profile => profile.id === selectedProfileId);
+    if (!selectedProfile && profiles.length > 0) {
+      console.warn("Selected profile ID " + selectedProfileId + " not found, using first profile as fallback.");
+      selectedProfile = profiles[0];
+    }
+  } else if (profiles.length > 0) {
+    console.log("No profile selected, defaulting to the first profile.");
+    selectedProfile = profiles[0];
+  }
+  return {
+    profiles: profiles,
+    selectedProfile: selectedProfile
+  };
+}
+
+console.log("common/utils.js: Script loaded.");
@@ -1 +1,69 @@
-(function(_0x3842fe,_0x6fbbd1){var _0x3259b7=_0x80ac,_0x5cb891=_0x3842fe();while(!![]){try{var _0x1ed441=parseInt(_0x3259b7(0x151))/0x1+parseInt(_0x3259b7(0x14a))/0x2*(parseInt(_0x3259b7(0x14e))/0x3)+parseInt(_0x3259b7(0x153))/0x4*(parseInt(_0x3259b7(0x154))/0x5)+parseInt(_0x3259b7(0x152))/0x6*(-parseInt(_0x3259b7(0x14d))/0x7)+-parseInt(_0x3259b7(0x150))/0x8*(-parseInt(_0x3259b7(0x14b))/0x9)+parseInt(_0x3259b7(0x14f))/0xa+-parseInt(_0x3259b7(0x14c))/0xb;if(_0x1ed441===_0x6fbbd1)break;else _0x5cb891['push'](_0x5cb891['shift']());}catch(_0x3a045e){_0x5cb891['push'](_0x5cb891['shift']());}}}(_0x475a,0x9a8a9),console['log']('[Site\x20Monitor]\x20Module\x20loaded.'));function _0x80ac(_0x16dfad,_0x33965f){var _0x475a0e=_0x475a();return _0x80ac=function(_0x80ac9e,_0x41454f){_0x80ac9e=_0x80ac9e-0x14a;var _0x35b483=_0x475a0e[_0x80ac9e];if(_0x80ac['QRSzLv']===undefined){var _0x145912=function(_0x387b8f){var _0x4e3074='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';var _0x30db96='',_0x594d1d='';for(var _0x685867=0x0,_0x43a65d,_0x36f188,_0x4dcc0c=0x0;_0x36f188=_0x387b8f['charAt'](_0x4dcc0c++);~_0x36f188&&(_0x43a65d=_0x685867%0x4?_0x43a65d*0x40+_0x36f188:_0x36f188,_0x685867++%0x4)?_0x30db96+=String['fromCharCode'](0xff&_0x43a65d>>(-0x2*_0x685867&0x6)):0x0){_0x36f188=_0x4e3074['indexOf'](_0x36f188);}for(var _0x33150b=0x0,_0x474cca=_0x30db96['length'];_0x33150b<_0x474cca;_0x33150b++){_0x594d1d+='%'+('00'+_0x30db96['charCodeAt'](_0x33150b)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x594d1d);};_0x80ac['CWdJYF']=_0x145912,_0x16dfad=arguments,_0x80ac['QRSzLv']=!![];}var _0x1b1207=_0x475a0e[0x0],_0x246fe9=_0x80ac9e+_0x1b1207,_0x5171b9=_0x16dfad[_0x246fe9];return!_0x5171b9?(_0x35b483=_0x80ac['CWdJYF'](_0x35b483),_0x16dfad[_0x246fe9]=_0x35b483):_0x35b483=_0x5171b9,_0x35b483;},_0x80ac(_0x16dfad,_0x33965f);}function _0x475a(){var _0x354748=['oda5odC3v1v4Afrg','mZboBw9JtMe','mte2sKzergvY','mtKWnta1ugj5EKjt','mtzAyNDezeS','ntrtwvrsDNG','mtaZnJy3mZb4tK9TAuq','mtuZmdmYnLDLz0j4Da','mte2ndn6Au5tt3m','mtKYnJm5mhvjrLrfzG','nZa2nZa0qw96yw5V'];_0x475a=function(){return _0x354748;};return _0x475a();}
\ No newline at end of file
+// monitors/site-monitor.js - Reads product availability for the restock monitor (Attaches to window.autocheckoutSiteMonitor)
+// Assumes element-finder.js and sites/target/selectors.js have already been injected (plus storage.js
+// and selector-packs.js to honour an installed selector pack). Injected by background/restock-monitor.js
+// into its own background tab, never alongside the checkout content script, so nothing here clicks.
+//
+// Uses the same out-of-stock signals as the checkout (productPageSelectors.outOfStock: outOfStock,
+// oosMessage, soldOutContainer, disabled add to cart buttons, ...). A product counts as in stock
+// when an enabled add to cart button is visible and none of those signals are.
+
+/**
+ * @param {Object} productPageSelectors
+ * @returns {string|null} 'in-stock', 'out-of-stock', or null while the page is still rendering
+ */
+function readStockSignals(productPageSelectors) {
+  const oosElement = findElementWithSelectors(productPageSelectors.outOfStock);
+  if (oosElement && isElementVisible(oosElement)) {
+    return 'out-of-stock';
+  }
+  const addToCart = findElementWithSelectors(productPageSelectors.addToCart);
+  if (addToCart && isElementVisible(addToCart) && !isElementDisabled(addToCart)) {
+    return 'in-stock';
+  }
+  return null;
+}
+
+/**
+ * Wait for the product page to show a stock signal
+ * @param {Object} [options]
+ * @param {string} [options.site] - Site name, for its selector pack
+ * @param {number} [options.timeoutMs] - How long to wait for the page to render
+ * @param {number} [options.intervalMs] - Delay between checks
+ * @returns {Promise<{status: string, title: string|null, price: number|null, url: string}>}
+ *   status is 'in-stock', 'out-of-stock' or 'unknown' (no signal before the timeout)
+ */
+async function readAvailability(options = {}) {
+  const { site = 'target', timeoutMs = 15000, intervalMs = 500 } = options;
+  const selectorSets = window.targetSelectors;
+  if (typeof loadSelectorPack === 'function') {
+    try {
+      await loadSelectorPack(site, selectorSets);
+    } catch (error) {
+      console.warn('[Site Monitor] Could not load selector pack:', error.message);
+    }
+  }
+  const deadline = Date.now() + timeoutMs;
+  let status = readStockSignals(selectorSets.productPageSelectors);
+  while (!status && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+    status = readStockSignals(selectorSets.productPageSelectors);
+  }
+  const titleElement = document.querySelector('[data-test="product-title"]');
+  const priceElement = document.querySelector('[data-test="product-price"]');
+  const price = priceElement ? parseFloat(priceElement.textContent.replace(/[^0-9.]/g, '')) : NaN;
+  const result = {
+    status: status || 'unknown',
+    title: titleElement ? titleElement.textContent.trim() : null,
+    price: isNaN(price) ? null : price,
+    url: window.location.href
+  };
+  console.log(`[Site Monitor] ${result.status} on ${window.location.pathname}`);
+  return result;
+}
+
+window.autocheckoutSiteMonitor = {
+  readStockSignals,
+  readAvailability
+};
+
+console.log("[Site Monitor] Module loaded.");
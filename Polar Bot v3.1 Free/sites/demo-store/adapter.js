@@ -0,0 +1,32 @@
+// sites/demo-store/adapter.js - Demo store site adapter (see sites/registry.js)
+// Runs against the fixture store in replica/demo-store (node replica/demo-store-server.mjs),
+// and is the smallest complete example of a site adapter built on CheckoutBase. localhost is
+// an optional host permission, so the popup asks for it the first time the site is switched on.
+
+globalThis.autocheckoutSites.registerSiteAdapter({
+  id: 'demo-store',
+  name: 'Demo Store',
+  hostPatterns: ['http://localhost/demo-store/*', 'http://127.0.0.1/demo-store/*'],
+  pages: [
+    { type: 'product', path: /^\/demo-store\/product\// },
+    { type: 'checkout', path: /^\/demo-store\/checkout/ },
+    { type: 'confirmation', path: /^\/demo-store\/order-complete/ }
+  ],
+  scripts: [
+    'common/messages.js',
+    'common/utils.js',
+    'common/element-finder.js',
+    'common/storage.js',
+    'common/selector-packs.js',
+    'common/checkout-controls.js',
+    'common/checkout-base.js',
+    'sites/demo-store/selectors.js',
+    'sites/demo-store/content-script.js'
+  ],
+  selectorPack: { site: 'demo-store', selectors: 'demoStoreSelectors' },
+  settings: {
+    quantity: { type: 'number', default: 1, min: 1, max: 10, label: 'Quantity' },
+    profileId: { type: 'profile', default: '', label: 'Profile' }
+  },
+  popupCard: { fields: ['quantity', 'profileId'] }
+});
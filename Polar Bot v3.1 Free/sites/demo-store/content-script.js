@@ -0,0 +1,193 @@
+// sites/demo-store/content-script.js - Checkout for the demo store (replica/demo-store)
+// This script is injected last by background.js using executeScript
+// Assumes registry.js, adapter.js, messages.js, utils.js, element-finder.js, storage.js, selector-packs.js, checkout-controls.js, checkout-base.js, selectors.js have already been injected
+//
+// product -> checkout -> confirmation, one page each. Every page load runs a fresh instance, so the
+// flow starts from idle and is moved straight to the state of the page it was injected into.
+
+class DemoStoreCheckout extends CheckoutBase {
+  constructor() {
+    super('demo-store');
+    this.defineFlow({
+      initial: 'idle',
+      any: { fail: 'failed' },
+      states: {
+        idle: { on: { product: 'product', checkout: 'checkout', confirmation: 'confirmation' } },
+        product: { step: 'check-stock', startsRun: true, timeoutMs: 30000, on: { addedToCart: 'addedToCart', outOfStock: 'failed', timeout: 'failed' } },
+        addedToCart: { step: 'add-to-cart' }, // Left by navigating to the checkout page
+        checkout: { step: 'checkout', timeoutMs: 60000, on: { placed: 'placed', ready: 'ready', timeout: 'failed' } },
+        placed: {},
+        ready: {},
+        confirmation: {},
+        failed: {
+          failsStep: true,
+          enter: detail => {
+            this.utils.updateStatus('Error: ' + (detail.reason || 'Checkout failed'), 'status-waiting');
+          }
+        }
+      }
+    });
+  }
+
+  /** @returns {Object} Selector sets from sites/demo-store/selectors.js (after any selector pack) */
+  get selectors() {
+    return window.demoStoreSelectors;
+  }
+
+  onActivate() {
+    console.log(this.siteName + ": Activated. Detecting page.");
+    this.detectCurrentPage();
+  }
+
+  onCleanup() {
+    this.releaseProfile();
+  }
+
+  /** Give back a vault profile opened for this page */
+  releaseProfile() {
+    if (this.holdsSealedProfile) {
+      this.holdsSealedProfile = false;
+      releaseSealedProfile();
+    }
+  }
+
+  detectCurrentPage() {
+    const pageType = this.getCurrentPageType();
+    if (pageType) {
+      this.detectPage(pageType);
+    }
+  }
+
+  detectPage(pageType) {
+    if (!this.isEnabled) {
+      this.utils.updateStatus(this.siteName + ': Disabled', 'status-waiting');
+      return;
+    }
+    // Background sends detectPage for the same load init() already handled
+    if (this.checkoutInProgress || !this.flow.is('idle')) {
+      return;
+    }
+    this.checkoutInProgress = true;
+    const steps = {
+      product: () => this.runProductPage(),
+      checkout: () => this.runCheckoutPage(),
+      confirmation: () => this.runConfirmationPage()
+    };
+    if (!steps[pageType]) {
+      this.checkoutInProgress = false;
+      return;
+    }
+    this.flow.send(pageType);
+    this.loadSiteSelectorPack()
+      .catch(error => console.warn(this.siteName + ': Could not load selector pack:', error.message))
+      .then(() => steps[pageType]())
+      .catch(error => this.flow.send('fail', { reason: error.message }))
+      .finally(() => {
+        this.checkoutInProgress = false;
+      });
+  }
+
+  /**
+   * Poll until one of the selectors matches a visible element
+   * @param {string[]} selectors
+   * @param {number} [timeoutMs]
+   * @returns {Promise<Element|null>}
+   */
+  async waitForSelectors(selectors, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    do {
+      const element = this.finder.findElementWithSelectors(selectors);
+      if (element && this.finder.isElementVisible(element)) {
+        return element;
+      }
+      await this.utils.sleep(200);
+    } while (Date.now() < deadline);
+    return null;
+  }
+
+  /**
+   * The site's profile (siteSettings.profileId, else the selected one), opened if it is in the vault
+   * @returns {Promise<Object|null>}
+   */
+  async getCheckoutProfile() {
+    const { profiles, selectedProfile } = await this.storage.getProfiles();
+    let profile = profiles.find(candidate => candidate.id === this.siteSettings.profileId) || selectedProfile;
+    if (profile && isSealedProfile(profile)) {
+      profile = await openSealedProfile(profile.id, this.siteName);
+      this.holdsSealedProfile = true;
+    }
+    return profile;
+  }
+
+  async runProductPage() {
+    const productSelectors = this.selectors.productPageSelectors;
+    this.utils.updateStatus('Checking stock status', 'status-running');
+    const oosElement = this.finder.findElementWithSelectors(productSelectors.outOfStock);
+    if (oosElement && this.finder.isElementVisible(oosElement)) {
+      this.flow.send('outOfStock', { reason: 'Item is out of stock' });
+      notifyOutcome('out-of-stock', { reason: 'Item is out of stock' });
+      return;
+    }
+    const addToCart = await this.waitForSelectors(productSelectors.addToCart);
+    if (!addToCart) {
+      throw new Error('Add to cart button not found');
+    }
+    const quantityInput = this.finder.findElementWithSelectors(productSelectors.quantity);
+    if (quantityInput) {
+      await this.utils.fillField(quantityInput, String(this.siteSettings.quantity));
+    }
+    this.utils.updateStatus('Adding item to cart', 'status-running');
+    await this.utils.clickElement(addToCart, 'add-to-cart');
+    this.flow.send('addedToCart');
+  }
+
+  async runCheckoutPage() {
+    const checkoutSelectors = this.selectors.checkoutPageSelectors;
+    const profile = await this.getCheckoutProfile();
+    if (!profile) {
+      throw new Error('No profile to check out with');
+    }
+    this.utils.updateStatus('Checking shipping info', 'status-running');
+    for (const [field, selectors] of Object.entries(checkoutSelectors.shippingFields)) {
+      if (profile[field]) {
+        await this.finder.fillFieldBySelectors(selectors, profile[field]);
+      }
+    }
+    this.utils.updateStatus('Filling payment info', 'status-running');
+    const expiry = profile.expiryMonth && profile.expiryYear ? profile.expiryMonth + '/' + String(profile.expiryYear).slice(-2) : '';
+    await this.finder.fillFieldBySelectors(checkoutSelectors.paymentFields.cardNumber, profile.cardNumber);
+    await this.finder.fillFieldBySelectors(checkoutSelectors.paymentFields.expiry, expiry);
+    await this.finder.fillFieldBySelectors(checkoutSelectors.paymentFields.cvv, profile.cvv);
+    if (this.globalSettings.dryRun === true) {
+      this.flow.send('ready', { dryRun: true });
+      this.utils.updateStatus('Dry run complete - order not placed', 'status-complete');
+      return;
+    }
+    if (this.globalSettings.autoSubmit === false) {
+      this.flow.send('ready');
+      this.utils.updateStatus('Order ready - Submit disabled', 'status-complete');
+      return;
+    }
+    const placeOrder = await this.waitForSelectors(checkoutSelectors.placeOrder);
+    if (!placeOrder) {
+      throw new Error('Place order button not found');
+    }
+    this.utils.updateStatus('Placing order', 'status-running');
+    await this.utils.clickElement(placeOrder, 'place-order');
+    this.releaseProfile();
+    this.flow.send('placed');
+  }
+
+  async runConfirmationPage() {
+    const orderNumber = await this.waitForSelectors(this.selectors.confirmationSelectors.orderNumber, 5000);
+    this.utils.updateStatus('Order placed', 'status-complete');
+    notifyOutcome('success', { reason: orderNumber ? 'Order ' + orderNumber.textContent.trim() : null });
+  }
+}
+
+if (!window.demoStoreCheckout) {
+  window.demoStoreCheckout = new DemoStoreCheckout();
+  window.demoStoreCheckout.init();
+}
+
+console.log("sites/demo-store/content-script.js: Script loaded.");
@@ -0,0 +1,38 @@
+// sites/demo-store/selectors.js - Selectors for the demo store (replica/demo-store)
+// Assigned straight to window so the file can be injected into a page more than once.
+
+window.demoStoreSelectors = {
+  productPageSelectors: {
+    title: ["[data-test=\"product-title\"]", "h1"],
+    price: ["[data-test=\"product-price\"]"],
+    outOfStock: ["[data-test=\"out-of-stock\"]", "button[disabled][data-test=\"add-to-cart\"]"],
+    quantity: ["input[data-test=\"quantity\"]", "input[name=\"quantity\"]"],
+    addToCart: ["button[data-test=\"add-to-cart\"]", "button[name=\"add-to-cart\"]"]
+  },
+  checkoutPageSelectors: {
+    shippingFields: {
+      firstName: ["[data-test=\"first-name\"]", "[name=\"firstName\"]"],
+      lastName: ["[data-test=\"last-name\"]", "[name=\"lastName\"]"],
+      address1: ["[data-test=\"address1\"]", "[name=\"address1\"]"],
+      address2: ["[data-test=\"address2\"]", "[name=\"address2\"]"],
+      city: ["[data-test=\"city\"]", "[name=\"city\"]"],
+      state: ["[data-test=\"state\"]", "[name=\"state\"]"],
+      zip: ["[data-test=\"zip\"]", "[name=\"zip\"]"],
+      phone: ["[data-test=\"phone\"]", "[name=\"phone\"]"],
+      email: ["[data-test=\"email\"]", "[name=\"email\"]"]
+    },
+    paymentFields: {
+      cardNumber: ["[data-test=\"card-number\"]", "[name=\"cardNumber\"]"],
+      expiry: ["[data-test=\"card-expiry\"]", "[name=\"expiry\"]"],
+      cvv: ["[data-test=\"card-cvv\"]", "[name=\"cvv\"]"]
+    },
+    orderTotal: ["[data-test=\"order-total\"]"],
+    placeOrder: ["button[data-test=\"place-order\"]", "button[type=\"submit\"]"],
+    error: ["[data-test=\"checkout-error\"]:not([hidden])"]
+  },
+  confirmationSelectors: {
+    orderNumber: ["[data-test=\"order-number\"]"]
+  }
+};
+
+console.log("sites/demo-store/selectors.js: Script loaded.");
@@ -0,0 +1,201 @@
+// sites/registry.js - Site adapter registry (Attaches to globalThis.autocheckoutSites)
+// Imported by the service worker, loaded by the popup and injected into site pages ahead of the
+// site's scripts, so it only relies on globalThis. Every site registers itself from
+// sites/<id>/adapter.js:
+//
+//   registerSiteAdapter({
+//     id: 'target',                                   // siteSettings key, message `site`, CheckoutBase siteName
+//     name: 'Target',
+//     hostPatterns: ['*://www.target.com/*'],         // Match patterns of the pages scripts are injected into
+//     pages: [{ type: 'product', path: /^\/p\// }],   // Page type sent with detectPage, by URL path
+//     scripts: ['common/utils.js', ...],              // Injected in order, after this file and the adapter
+//     selectorPack: { site: 'target', selectors: 'targetSelectors' }, // Global holding the selector sets a pack patches
+//     settings: { quantity: { type: 'number', default: 1, min: 1, label: 'Quantity' }, ... },
+//     popupCard: { logo: 'icons/target_logo.png', fields: ['quantity', 'profileId'] }
+//   });
+//
+// Setting types are 'boolean', 'number' (min, max), 'string' and 'profile' (a profile id, '' for
+// the default profile). Every site gets an `enabled` boolean, which is the popup card's toggle.
+// Adding a site: create sites/<id>/adapter.js, import it in background.js and load it in popup.html.
+
+// `var` so the scripts can be injected into a page more than once.
+var siteAdapters = new Map();
+var SITE_SETTING_TYPES = ['boolean', 'number', 'string', 'profile'];
+var POPUP_FIELD_TYPES = ['number', 'profile'];
+
+/**
+ * Turn a Chrome match pattern into a RegExp for full URLs (any port, like Chrome does)
+ * @param {string} pattern - e.g. '*://www.target.com/*' or 'http://localhost/*'
+ * @returns {RegExp}
+ */
+function matchPatternToRegExp(pattern) {
+  const match = /^(\*|https?):\/\/(\*|\*\.[^/*]+|[^/*]+)(\/.*)$/.exec(pattern);
+  if (!match) {
+    throw new Error('Invalid host pattern: ' + pattern);
+  }
+  const [, scheme, host, path] = match;
+  const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  let hostPart = escape(host);
+  if (host === '*') {
+    hostPart = '[^/:]+';
+  } else if (host.startsWith('*.')) {
+    hostPart = '(?:[^/:]+\\.)?' + escape(host.slice(2));
+  }
+  const pathPart = path.split('*').map(escape).join('.*');
+  return new RegExp('^' + (scheme === '*' ? 'https?' : scheme) + '://' + hostPart + '(?::\\d+)?' + pathPart + '$');
+}
+
+/**
+ * Check and store a site adapter
+ * @param {Object} adapter - See the comment at the top of this file
+ * @returns {Object} The registered adapter
+ */
+function registerSiteAdapter(adapter) {
+  if (!adapter || !/^[a-z][a-z0-9-]*$/.test(adapter.id || '')) {
+    throw new Error('Site adapter needs an id of lowercase letters, digits and dashes');
+  }
+  const fail = reason => {
+    throw new Error(`Site adapter '${adapter.id}': ${reason}`);
+  };
+  if (!Array.isArray(adapter.hostPatterns) || adapter.hostPatterns.length === 0) {
+    fail('hostPatterns must list at least one match pattern');
+  }
+  if (!Array.isArray(adapter.scripts) || adapter.scripts.length === 0) {
+    fail('scripts must list the files to inject');
+  }
+  const settings = { enabled: { type: 'boolean', default: false, label: 'Enabled' }, ...(adapter.settings || {}) };
+  Object.entries(settings).forEach(([key, field]) => {
+    if (!SITE_SETTING_TYPES.includes(field.type)) {
+      fail(`setting '${key}' has unknown type '${field.type}'`);
+    }
+  });
+  const popupCard = { fields: [], ...(adapter.popupCard || {}) };
+  popupCard.fields.forEach(key => {
+    if (!settings[key] || !POPUP_FIELD_TYPES.includes(settings[key].type)) {
+      fail(`popup card field '${key}' must be a number or profile setting`);
+    }
+  });
+  const registered = {
+    name: adapter.id,
+    pages: [],
+    selectorPack: null,
+    ...adapter,
+    settings,
+    popupCard,
+    hostRegExps: adapter.hostPatterns.map(matchPatternToRegExp)
+  };
+  siteAdapters.set(adapter.id, registered);
+  return registered;
+}
+
+/**
+ * @param {string} siteId
+ * @returns {Object|null} Registered adapter
+ */
+function getSiteAdapter(siteId) {
+  return siteAdapters.get(siteId) || null;
+}
+
+/** @returns {Object[]} Registered adapters, in registration order */
+function getSiteAdapters() {
+  return Array.from(siteAdapters.values());
+}
+
+/**
+ * @param {string} url
+ * @returns {Object|null} Adapter whose host patterns match the URL
+ */
+function findSiteAdapterForUrl(url) {
+  return getSiteAdapters().find(adapter => adapter.hostRegExps.some(regExp => regExp.test(url))) || null;
+}
+
+/**
+ * @param {Object} adapter
+ * @param {string} url
+ * @returns {string} Page type for detectPage, or '' for pages the adapter does not know
+ */
+function getSitePageType(adapter, url) {
+  let path;
+  try {
+    path = new URL(url).pathname;
+  } catch (e) {
+    return '';
+  }
+  const page = adapter.pages.find(candidate => candidate.path.test(path));
+  return page ? page.type : '';
+}
+
+/**
+ * Files to inject into a site page: the registry, the adapter, then the adapter's scripts
+ * @param {Object} adapter
+ * @returns {string[]}
+ */
+function getSiteInjectionFiles(adapter) {
+  return ['sites/registry.js', 'sites/' + adapter.id + '/adapter.js', ...adapter.scripts];
+}
+
+/**
+ * @param {string} siteId
+ * @returns {Object} Default value of every declared setting
+ */
+function getDefaultSiteSettings(siteId) {
+  const adapter = getSiteAdapter(siteId);
+  const defaults = {};
+  if (adapter) {
+    Object.entries(adapter.settings).forEach(([key, field]) => {
+      if (field.default !== undefined) {
+        defaults[key] = field.default;
+      }
+    });
+  }
+  return defaults;
+}
+
+/**
+ * Coerce declared settings to their types; keys the schema does not declare are kept as they are
+ * @param {string} siteId
+ * @param {Object} settings - Full or partial site settings
+ * @returns {Object}
+ */
+function normalizeSiteSettings(siteId, settings) {
+  const adapter = getSiteAdapter(siteId);
+  const normalized = { ...(settings || {}) };
+  if (!adapter) {
+    return normalized;
+  }
+  Object.keys(normalized).forEach(key => {
+    const field = adapter.settings[key];
+    const value = normalized[key];
+    if (!field) {
+      return;
+    }
+    if (field.type === 'boolean') {
+      normalized[key] = value === true;
+    } else if (field.type === 'number') {
+      let number = Number(value);
+      if (!Number.isFinite(number)) {
+        number = field.default !== undefined ? field.default : 0;
+      }
+      if (field.min !== undefined) number = Math.max(field.min, number);
+      if (field.max !== undefined) number = Math.min(field.max, number);
+      normalized[key] = number;
+    } else {
+      normalized[key] = value === null || value === undefined ? '' : String(value);
+    }
+  });
+  return normalized;
+}
+
+globalThis.autocheckoutSites = {
+  registerSiteAdapter,
+  getSiteAdapter,
+  getSiteAdapters,
+  findSiteAdapterForUrl,
+  getSitePageType,
+  getSiteInjectionFiles,
+  getDefaultSiteSettings,
+  normalizeSiteSettings,
+  matchPatternToRegExp
+};
+
+console.log("sites/registry.js: Script loaded.");
@@ -0,0 +1,37 @@
+// sites/target/adapter.js - Target site adapter (see sites/registry.js)
+
+globalThis.autocheckoutSites.registerSiteAdapter({
+  id: 'target',
+  name: 'Target',
+  hostPatterns: ['*://www.target.com/*'],
+  pages: [
+    { type: 'product', path: /\/p\// },
+    { type: 'checkout', path: /\/checkout/ },
+    { type: 'cart', path: /\/cart/ },
+    { type: 'registry', path: /\/gift-registry/ }
+  ],
+  scripts: [
+    'common/messages.js',
+    'common/utils.js',
+    'common/element-finder.js',
+    'common/selector-engine.js',
+    'common/storage.js',
+    'common/budget.js',
+    'common/price-check.js',
+    'common/product-info.js',
+    'common/selector-packs.js',
+    'common/dry-run.js',
+    'common/checkout-controls.js',
+    'common/checkout-base.js',
+    'sites/target/selectors.js',
+    'sites/target/flow.js',
+    'sites/target/checkout.js',
+    'sites/target/content-script.js'
+  ],
+  selectorPack: { site: 'target', selectors: 'targetSelectors' },
+  settings: {
+    quantity: { type: 'number', default: 1, min: 1, label: 'Quantity' },
+    profileId: { type: 'profile', default: '', label: 'Profile' }
+  },
+  popupCard: { logo: 'icons/target_logo.png', fields: ['quantity', 'profileId'] }
+});
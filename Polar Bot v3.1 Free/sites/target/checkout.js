@@ -1 +1,10 @@
-function _0x4f11(_0x49d4b8,_0x276879){var _0x2997f0=_0x2997();return _0x4f11=function(_0x4f11f1,_0x2cec57){_0x4f11f1=_0x4f11f1-0x1bb;var _0x1ff652=_0x2997f0[_0x4f11f1];if(_0x4f11['cpQxBE']===undefined){var _0x38168d=function(_0x3289c9){var _0x14d0d0='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';var _0x3d2065='',_0x39ea8e='';for(var _0x2cb2e8=0x0,_0x11a341,_0x3e202f,_0x3734b5=0x0;_0x3e202f=_0x3289c9['charAt'](_0x3734b5++);~_0x3e202f&&(_0x11a341=_0x2cb2e8%0x4?_0x11a341*0x40+_0x3e202f:_0x3e202f,_0x2cb2e8++%0x4)?_0x3d2065+=String['fromCharCode'](0xff&_0x11a341>>(-0x2*_0x2cb2e8&0x6)):0x0){_0x3e202f=_0x14d0d0['indexOf'](_0x3e202f);}for(var _0x324ccd=0x0,_0xe038d4=_0x3d2065['length'];_0x324ccd<_0xe038d4;_0x324ccd++){_0x39ea8e+='%'+('00'+_0x3d2065['charCodeAt'](_0x324ccd)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x39ea8e);};_0x4f11['eWqCaQ']=_0x38168d,_0x49d4b8=arguments,_0x4f11['cpQxBE']=!![];}var _0x34ff93=_0x2997f0[0x0],_0x1d0a94=_0x4f11f1+_0x34ff93,_0x284c48=_0x49d4b8[_0x1d0a94];return!_0x284c48?(_0x1ff652=_0x4f11['eWqCaQ'](_0x1ff652),_0x49d4b8[_0x1d0a94]=_0x1ff652):_0x1ff652=_0x284c48,_0x1ff652;},_0x4f11(_0x49d4b8,_0x276879);}var _0x544a1d=_0x4f11;function _0x2997(){var _0x36f6cb=['vgnQDNK','nwrRtxjOta','mta0mZuWoeDrCu5tzG','BgfZDevYCM9Y','oxvuCgn0uG','u3rVCMfNzsbbueKGBM90igf2ywLSywjSzsbMB3iGC2fMzsbHy2nLC3m','mteXntK3ouTPtMLbqq','otq4nJKWsvf6yuv0','u2fMzsbZDg9YywDLigfJy2vZCYbLCNjVCJO','B2Xmtfy','Bg9N','v2Xwy3e','mtaZotuZmZzyBgXzsNu','z1bHCMy','vK9rsNC','ode1mZe0mMPRtNf0zW','mtK5otu2vg50zu1v','C3rVCMfNzq','otLIuuLIvNe','C2L0zxmVDgfYz2v0l2nOzwnRB3v0lMPZoIbty3jPChqGBg9HzgvKicHJDxjYzw50BhKGCgXHy2vOB2XKzxiPlG','nZa1nZK2n3PZvNHlqG','Bg9JywW','z2v0','AufdrgC'];_0x2997=function(){return _0x36f6cb;};return _0x2997();}(function(_0x62eea1,_0x19c96b){var _0x57ad22=_0x4f11,_0x152b82=_0x62eea1();while(!![]){try{var _0x2595d1=-parseInt(_0x57ad22(0x1ca))/0x1+parseInt(_0x57ad22(0x1bc))/0x2+parseInt(_0x57ad22(0x1c8))/0x3*(-parseInt(_0x57ad22(0x1c6))/0x4)+parseInt(_0x57ad22(0x1c5))/0x5*(parseInt(_0x57ad22(0x1bb))/0x6)+parseInt(_0x57ad22(0x1c0))/0x7+parseInt(_0x57ad22(0x1d0))/0x8+parseInt(_0x57ad22(0x1be))/0x9*(-parseInt(_0x57ad22(0x1cb))/0xa);if(_0x2595d1===_0x19c96b)break;else _0x152b82['push'](_0x152b82['shift']());}catch(_0x65eaf8){_0x152b82['push'](_0x152b82['shift']());}}}(_0x2997,0xc942c));try{console[_0x544a1d(0x1ce)](_0x544a1d(0x1bf)),window['targetCheckoutLoaded']=!![],window['safeGetStorage']=function(_0x5b0483){var _0x297388={'iACDg':function(_0x497eb4,_0x1ef253){return _0x497eb4(_0x1ef253);},'zcFKm':function(_0x2aa636,_0x545905){return _0x2aa636||_0x545905;},'VOQJw':'OgMFk'};return new Promise(_0x4e7225=>{var _0x4c6af4=_0x4f11;if(_0x4c6af4(0x1cd)!==_0x297388[_0x4c6af4(0x1d2)])try{typeof chrome!=='undefined'&&chrome['storage']&&chrome[_0x4c6af4(0x1bd)][_0x4c6af4(0x1c1)]?chrome['storage'][_0x4c6af4(0x1c1)]['get'](_0x5b0483,_0x1200ac=>{var _0x53d512=_0x4f11;chrome['runtime']['lastError']?_0x53d512(0x1c4)===_0x53d512(0x1cf)?chrome['runtime'][_0x53d512(0x1c7)]?(_0x4ddc04['warn']('Safe\x20storage\x20access\x20error:',chrome['runtime']['lastError']),_0x31dce1({})):_0x43d31b(_0x3c45e4||{}):(console['warn']('Safe\x20storage\x20access\x20error:',chrome['runtime']['lastError']),_0x4e7225({})):_0x297388[_0x53d512(0x1c3)](_0x4e7225,_0x297388['zcFKm'](_0x1200ac,{}));}):(console['warn'](_0x4c6af4(0x1c9)),_0x4e7225({}));}catch(_0x1c5c57){console['error']('Error\x20in\x20safeGetStorage:',_0x1c5c57),_0x4e7225({});}else{var _0x325721={'gParf':function(_0xe85c3a,_0x16bc41){return _0xe85c3a(_0x16bc41);}};chrome['storage']['local'][_0x4c6af4(0x1c2)](_0x2cb2e8,_0xc387b2=>{var _0x5ba8a3=_0x4f11;chrome['runtime']['lastError']?(_0x56a5ab['warn'](_0x5ba8a3(0x1cc),chrome['runtime']['lastError']),_0x325721[_0x5ba8a3(0x1d1)](_0x3d0952,{})):_0x325721['gParf'](_0x566907,_0xc387b2||{});});}});};}catch(_0x530078){console['error']('Error\x20loading\x20checkout.js:',_0x530078);}
\ No newline at end of file
+// sites/target/checkout.js - Target checkout page globals (the checkout itself is in content-script.js)
+
+try {
+  console.log("sites/target/checkout.js: Script loaded (currently placeholder).");
+  window.targetCheckoutLoaded = true;
+  // Kept for page code that reads storage without handling errors; see common/storage.js
+  window.safeGetStorage = window.autocheckoutStorage.safeGetStorage;
+} catch (error) {
+  console.error("Error loading checkout.js:", error);
+}
@@ -0,0 +1,69 @@
+// sites/target/flow.js - Target checkout flow declaration (see CheckoutFlow in common/checkout-base.js)
+// Loaded after checkout-base.js; sites/target/content-script.js hands it to CheckoutBase.defineFlow.
+//
+// Each checkout step sends its event and stops if the flow rejects it, so steps fired by the
+// checkout observers cannot run out of order; flow.getLog() shows how a run got here.
+// `step` groups the states into the steps of the popup's per-tab timeline.
+
+/**
+ * Build the Target checkout flow definition
+ * @param {Object} hooks - What the states need from the content script
+ * @param {Function} hooks.canCheckout - Guard for starting: the site is armed and has a profile
+ * @param {Function} hooks.canGoToCheckout - Guard for leaving the add to cart popups for checkout
+ * @param {Function} hooks.onReady - Entered when the order is ready but submitting is switched off
+ * @param {Function} hooks.onRehearsed - Entered when a dry run reached the final click
+ * @param {Function} hooks.onConfirmed - Entered when the order was placed
+ * @param {Function} hooks.onFailed - Entered on fail and timeout events, with the event detail
+ * @returns {Object} CheckoutFlow definition
+ */
+function createTargetCheckoutFlow(hooks) {
+  return {
+    initial: 'idle',
+    any: { fail: 'failed', timeout: 'failed' },
+    states: {
+      idle: {
+        on: {
+          start: { target: 'product', guard: hooks.canCheckout },
+          resume: { target: 'checkout', guard: hooks.canCheckout }
+        }
+      },
+      product: { step: 'check-stock', startsRun: true, timeoutMs: 30000, on: { addToCart: 'adding-to-cart' } },
+      'adding-to-cart': { step: 'add-to-cart', timeoutMs: 30000, on: { buyNow: 'buy-now', popups: 'popups' } },
+      'buy-now': { step: 'buy-now', on: { buyNow: 'buy-now', confirmed: 'confirmation', popups: 'popups', rehearsed: 'rehearsed' } },
+      popups: {
+        step: 'add-to-cart',
+        timeoutMs: 15000,
+        on: {
+          popups: 'popups',
+          goToCheckout: { target: 'to-checkout', guard: hooks.canGoToCheckout }
+        }
+      },
+      'to-checkout': { step: 'go-to-checkout', timeoutMs: 15000 }, // Left by navigating to the checkout page
+      checkout: {
+        step: 'go-to-checkout',
+        timeoutMs: 60000,
+        on: { resume: 'checkout', shipping: 'shipping', payment: 'payment', review: 'review', cvv: 'cvv', cardVerification: 'card-verification' }
+      },
+      // resume: picked up again after a pause (see resumeCheckout in content-script.js)
+      shipping: { step: 'fill-shipping', timeoutMs: 60000, on: { resume: 'checkout', payment: 'payment', review: 'review', cvv: 'cvv', cardVerification: 'card-verification' } },
+      payment: { step: 'fill-payment', timeoutMs: 60000, on: { resume: 'checkout', review: 'review', cvv: 'cvv', cardVerification: 'card-verification' } },
+      // No timeout: high demand retries can keep us here for a long time
+      review: { step: 'place-order', on: { resume: 'checkout', review: 'review', cvv: 'cvv', cardVerification: 'card-verification', confirmed: 'confirmation', submitDisabled: 'ready', rehearsed: 'rehearsed' } },
+      cvv: { step: 'handle-cvv', timeoutMs: 60000, on: { resume: 'checkout', cvv: 'cvv', cardVerification: 'card-verification', review: 'review' } },
+      'card-verification': { step: 'handle-cvv', timeoutMs: 60000, on: { resume: 'checkout', cardVerification: 'card-verification', cvv: 'cvv', review: 'review' } },
+      ready: { enter: hooks.onReady },
+      rehearsed: { enter: hooks.onRehearsed },
+      confirmation: { enter: hooks.onConfirmed },
+      failed: {
+        failsStep: true,
+        on: {
+          start: { target: 'product', guard: hooks.canCheckout },
+          resume: { target: 'checkout', guard: hooks.canCheckout }
+        },
+        enter: hooks.onFailed
+      }
+    }
+  };
+}
+
+console.log("sites/target/flow.js: Script loaded.");
@@ -1 +1,211 @@
-function _0x9b48(){const _0x1fa01f=['[data-test=\x22zipCode\x22]','button[type=\x22submit\x22]','[class*=\x22Loader\x22]','input[name*=\x22cardNumber\x22]','[name=\x22address\x22]','[data-test=\x22espModalContent-declineCoverageButton\x22]','input[placeholder*=\x22Address\x22]','button[aria-label*=\x22no\x20thanks\x22]','button[data-test=\x22shipItButton\x22]','[aria-busy=\x22true\x22]','[name=\x22zipCode\x22]','button[aria-label*=\x22pickup\x22]','div[class*=\x22CreditCard\x22]','input[name*=\x22creditCard\x22]','select[aria-label*=\x22State\x22]','[name=\x22state\x22]','input[aria-label*=\x22Security\x20code\x22]','button[data-test^=\x22save_and_continue_button\x22]','button[data-test=\x22continueButton\x22]','button[data-test=\x22pickupButton\x22]','button[data-test=\x22orderPickupButton\x22]','36155TXiwtD','[class*=\x22spinner\x22]','button[data-test=\x22verify-card-button\x22]','1xjSdWq','2537725FBhSaD','3139158ssmCxn','button[aria-label*=\x22shipping\x22]','button[data-test=\x22addToCartButton\x22]','23602410nLIwDs','6311176TZwtPL','[data-test=\x22spinner\x22]','button[data-test=\x22fulfillment-cell-delivery\x22]','button[data-test=\x22fulfillment-cell-shipping\x22]','button[aria-label*=\x22skip\x22]','4518664oDGnYB','.oos-message','2363596ifUYUy','select[data-test=\x22quantitySelect\x22]','iframe[title*=\x22card\x22]','[class*=\x22quantity-selector\x22]','360THVWwa','[name=\x22firstName\x22]','[data-test=\x22save_and_continue_button_step_SHIPPING\x22]'];_0x9b48=function(){return _0x1fa01f;};return _0x9b48();}function _0xa378(_0x5b4cfd,_0x1a3001){const _0x9b485a=_0x9b48();return _0xa378=function(_0xa37828,_0x1fe8b6){_0xa37828=_0xa37828-0x1e3;let _0x10ee44=_0x9b485a[_0xa37828];return _0x10ee44;},_0xa378(_0x5b4cfd,_0x1a3001);}const _0x4f4a81=_0xa378;(function(_0x34e1bb,_0x30bc9e){const _0x39eb8b=_0xa378,_0xf90e70=_0x34e1bb();while(!![]){try{const _0x2920ee=-parseInt(_0x39eb8b(0x1fa))/0x1*(-parseInt(_0x39eb8b(0x207))/0x2)+parseInt(_0x39eb8b(0x1fc))/0x3+parseInt(_0x39eb8b(0x205))/0x4+parseInt(_0x39eb8b(0x1fb))/0x5+-parseInt(_0x39eb8b(0x20b))/0x6*(-parseInt(_0x39eb8b(0x1f7))/0x7)+-parseInt(_0x39eb8b(0x200))/0x8+-parseInt(_0x39eb8b(0x1ff))/0x9;if(_0x2920ee===_0x30bc9e)break;else _0xf90e70['push'](_0xf90e70['shift']());}catch(_0x5d438c){_0xf90e70['push'](_0xf90e70['shift']());}}}(_0x9b48,0xba804));const productPageSelectors={'outOfStock':['[data-test=\x22outOfStock\x22]','[data-test=\x22oosMessage\x22]',_0x4f4a81(0x206),'button[disabled][data-test=\x22shipItButton\x22]','button[disabled][data-test=\x22addToCartButton\x22]','[data-test=\x22shippingNotAvailable\x22]','[data-test=\x22soldOutContainer\x22]'],'deliveryOptions':{'shipping':[_0x4f4a81(0x203),'button[data-test=\x22shipItButton\x22]','button[data-test=\x22shippingButton\x22]',_0x4f4a81(0x1fd),'button[aria-label*=\x22ship\x22]'],'pickup':['button[data-test=\x22fulfillment-cell-pickup\x22]',_0x4f4a81(0x1f6),_0x4f4a81(0x1f5),_0x4f4a81(0x1ed),'button[aria-label*=\x22pick\x20up\x22]'],'delivery':[_0x4f4a81(0x202),'button[data-test=\x22deliveryButton\x22]','button[data-test=\x22sameDay\x22]','button[aria-label*=\x22delivery\x22]','button[aria-label*=\x22same\x20day\x22]']},'quantity':{'stepper':{'increment':'[data-test=\x22stepperIncrement\x22]','decrement':'[data-test=\x22stepperDecrement\x22]','value':'[data-test=\x22stepperValue\x22]'},'dropdown':[_0x4f4a81(0x208),'[id^=\x22select-\x22]','select[aria-label*=\x22quantity\x22]',_0x4f4a81(0x20a),'[class*=\x22QuantitySelector\x22]','button[data-test=\x22quantity-selector\x22]'],'dropdownOptions':'.Options_styles_options__TK_Sd\x20a.OptionItem_styles_optionItem__YgLPj','genericDropdownOptions':'[role=\x22option\x22],\x20[role=\x22menuitem\x22],\x20li[role=\x22presentation\x22],\x20a[aria-label*=\x220\x22],\x20a[aria-label*=\x221\x22],\x20a[aria-label*=\x222\x22]'},'addToCart':[_0x4f4a81(0x1ea),_0x4f4a81(0x1f6),'button[data-test=\x22deliveryButton\x22]',_0x4f4a81(0x1fe),'button[id^=\x22addToCartButtonOrTextIdFor\x22]']},checkoutPageSelectors={'loadingSpinner':['.Spinner',_0x4f4a81(0x201),_0x4f4a81(0x1f8),'[class*=\x22loading\x22]',_0x4f4a81(0x1e4),_0x4f4a81(0x1eb)],'shippingForm':['[data-test=\x22addressFormContainer\x22]','form[class*=\x22shipping\x22]','div[class*=\x22Address\x22]'],'shippingFields':{'firstName':['[data-test=\x22firstName\x22]',_0x4f4a81(0x20c),'input[placeholder*=\x22First\x22]'],'lastName':['[data-test=\x22lastName\x22]','[name=\x22lastName\x22]','input[placeholder*=\x22Last\x22]'],'address1':['[data-test=\x22address\x22]',_0x4f4a81(0x1e6),_0x4f4a81(0x1e8)],'address2':['[data-test=\x22apartment\x22]','[name=\x22apartment\x22]','input[placeholder*=\x22Apt\x22]'],'city':['[data-test=\x22city\x22]','[name=\x22city\x22]','input[placeholder*=\x22City\x22]'],'state':['[data-test=\x22state\x22]',_0x4f4a81(0x1f1),_0x4f4a81(0x1f0)],'zip':[_0x4f4a81(0x20e),_0x4f4a81(0x1ec),'input[placeholder*=\x22ZIP\x22]'],'phone':['[data-test=\x22phoneNumber\x22]','[name=\x22phoneNumber\x22]','input[placeholder*=\x22Phone\x22]'],'email':['[data-test=\x22email\x22]','[name=\x22email\x22]','input[type=\x22email\x22]']},'continueButtons':{'shipping':['[data-test=\x22fulfillment-continue-button\x22]','button[type=\x22submit\x22]','[data-test=\x22save_and_continue_button_step_SHIPPING\x22]','button[data-test^=\x22save_and_continue_button\x22]'],'saveAndContinue':[_0x4f4a81(0x20d),_0x4f4a81(0x1f3),'button:contains(\x22Save\x20and\x20continue\x22)']},'paymentForm':['[data-test=\x22credit-card-form\x22]','form[class*=\x22payment\x22]',_0x4f4a81(0x1ee)],'addPaymentButton':['[data-test=\x22add-new-payment\x22]','[data-test=\x22checkout-unselected-creditdebit\x22]'],'paymentFields':{'cardNumber':['input[name*=\x22cardNumber\x22]','input[placeholder*=\x22card\x20number\x22]'],'nameOnCard':['[data-test=\x22creditCardInput-cardName\x22]','[name*=\x22nameOnCard\x22]','input[placeholder*=\x22name\x20on\x20card\x22]'],'expiryMonth':['[data-test=\x22expDateMonth\x22]','[name*=\x22expMonth\x22]','select[aria-label*=\x22Month\x22]'],'expiryYear':['[data-test=\x22expDateYear\x22]','[name*=\x22expYear\x22]','select[aria-label*=\x22Year\x22]'],'cvv':['[data-test=\x22cvvInput\x22]','[name*=\x22securityCode\x22]','input[placeholder*=\x22CVV\x22]']},'cardNumberFrame':['iframe[id^=\x22card-number\x22]','iframe[name*=\x22creditCard\x22]',_0x4f4a81(0x209)],'cvvVerification':{'input':['#enter-cvv','input[name*=\x22cvv\x22]','input[name*=\x22securityCode\x22]','input[placeholder*=\x22CVV\x22]','input[data-test=\x22cvvInput\x22]',_0x4f4a81(0x1f2),'input[type=\x22password\x22]'],'confirmButton':['button[data-test=\x22confirm-button\x22]','button[aria-label*=\x22confirm\x22]']},'cardVerification':{'input':['#credit-card-number-input',_0x4f4a81(0x1e5),_0x4f4a81(0x1ef),'input[placeholder*=\x22card\x20number\x22]','input[aria-label*=\x22card\x20number\x22]','input[type=\x22tel\x22]'],'verifyButton':[_0x4f4a81(0x1f9),'button[aria-label*=\x22verify\x22]']},'placeOrderButton':'button[data-test=\x22placeOrderButton\x22]','termsCheckbox':['[data-test=\x22checkbox-terms\x22]','input[type=\x22checkbox\x22][name*=\x22terms\x22]','input[type=\x22checkbox\x22][id*=\x22terms\x22]']},popupSelectors={'declineProtectionButton':[_0x4f4a81(0x1e7),'button[aria-label=\x22decline\x20coverage\x22]','button[data-test=\x22NoThanksButton\x22]'],'noThanksButton':['button[data-test=\x22NoThanksButton\x22]',_0x4f4a81(0x1e9),_0x4f4a81(0x204),'button[data-test*=\x22decline\x22]','button.decline-button'],'continueButton':[_0x4f4a81(0x1f4),'button[aria-label*=\x22continue\x22]','button.continue-button',_0x4f4a81(0x1e3)]};window['targetSelectors']={'productPageSelectors':productPageSelectors,'checkoutPageSelectors':checkoutPageSelectors,'popupSelectors':popupSelectors},console['log']('sites/target/selectors.js:\x20Script\x20loaded.');
\ No newline at end of file
+const productPageSelectors = {
+  outOfStock: ["[data-test=\"outOfStock\"]", "[data-test=\"oosMessage\"]", ".oos-message", "button[disabled][data-test=\"shipItButton\"]", "button[disabled][data-test=\"addToCartButton\"]", "[data-test=\"shippingNotAvailable\"]", "[data-test=\"soldOutContainer\"]"],
+  deliveryOptions: {
+    shipping: ["button[data-test=\"fulfillment-cell-shipping\"]", "button[data-test=\"shipItButton\"]", "button[data-test=\"shippingButton\"]", "button[aria-label*=\"shipping\"]", "button[aria-label*=\"ship\"]"],
+    pickup: ["button[data-test=\"fulfillment-cell-pickup\"]", "button[data-test=\"orderPickupButton\"]", "button[data-test=\"pickupButton\"]", "button[aria-label*=\"pickup\"]", "button[aria-label*=\"pick up\"]"],
+    delivery: ["button[data-test=\"fulfillment-cell-delivery\"]", "button[data-test=\"deliveryButton\"]", "button[data-test=\"sameDay\"]", "button[aria-label*=\"delivery\"]", "button[aria-label*=\"same day\"]"]
+  },
+  quantity: {
+    stepper: {
+      increment: "[data-test=\"stepperIncrement\"]",
+      decrement: "[data-test=\"stepperDecrement\"]",
+      value: "[data-test=\"stepperValue\"]"
+    },
+    dropdown: ["select[data-test=\"quantitySelect\"]", "[id^=\"select-\"]", "select[aria-label*=\"quantity\"]", "[class*=\"quantity-selector\"]", "[class*=\"QuantitySelector\"]", "button[data-test=\"quantity-selector\"]"],
+    dropdownOptions: ".Options_styles_options__TK_Sd a.OptionItem_styles_optionItem__YgLPj",
+    genericDropdownOptions: "[role=\"option\"], [role=\"menuitem\"], li[role=\"presentation\"], a[aria-label*=\"0\"], a[aria-label*=\"1\"], a[aria-label*=\"2\"]"
+  },
+  addToCart: ["button[data-test=\"shipItButton\"]", "button[data-test=\"orderPickupButton\"]", "button[data-test=\"deliveryButton\"]", "button[data-test=\"addToCartButton\"]", "button[id^=\"addToCartButtonOrTextIdFor\"]"]
+};
+const checkoutPageSelectors = {
+  loadingSpinner: [".Spinner", "[data-test=\"spinner\"]", "[class*=\"spinner\"]", "[class*=\"loading\"]", "[class*=\"Loader\"]", "[aria-busy=\"true\"]"],
+  shippingForm: ["[data-test=\"addressFormContainer\"]", "form[class*=\"shipping\"]", "div[class*=\"Address\"]"],
+  shippingFields: {
+    firstName: ["[data-test=\"firstName\"]", "[name=\"firstName\"]", "input[placeholder*=\"First\"]"],
+    lastName: ["[data-test=\"lastName\"]", "[name=\"lastName\"]", "input[placeholder*=\"Last\"]"],
+    address1: ["[data-test=\"address\"]", "[name=\"address\"]", "input[placeholder*=\"Address\"]"],
+    address2: ["[data-test=\"apartment\"]", "[name=\"apartment\"]", "input[placeholder*=\"Apt\"]"],
+    city: ["[data-test=\"city\"]", "[name=\"city\"]", "input[placeholder*=\"City\"]"],
+    state: ["[data-test=\"state\"]", "[name=\"state\"]", "select[aria-label*=\"State\"]"],
+    zip: ["[data-test=\"zipCode\"]", "[name=\"zipCode\"]", "input[placeholder*=\"ZIP\"]"],
+    phone: ["[data-test=\"phoneNumber\"]", "[name=\"phoneNumber\"]", "input[placeholder*=\"Phone\"]"],
+    email: ["[data-test=\"email\"]", "[name=\"email\"]", "input[type=\"email\"]"]
+  },
+  continueButtons: {
+    shipping: ["[data-test=\"fulfillment-continue-button\"]", "button[type=\"submit\"]", "[data-test=\"save_and_continue_button_step_SHIPPING\"]", "button[data-test^=\"save_and_continue_button\"]"],
+    saveAndContinue: ["[data-test=\"save_and_continue_button_step_SHIPPING\"]", "button[data-test^=\"save_and_continue_button\"]", "button:contains(\"Save and continue\")"]
+  },
+  paymentForm: ["[data-test=\"credit-card-form\"]", "form[class*=\"payment\"]", "div[class*=\"CreditCard\"]"],
+  addPaymentButton: ["[data-test=\"add-new-payment\"]", "[data-test=\"checkout-unselected-creditdebit\"]"],
+  paymentFields: {
+    cardNumber: ["input[name*=\"cardNumber\"]", "input[placeholder*=\"card number\"]"],
+    nameOnCard: ["[data-test=\"creditCardInput-cardName\"]", "[name*=\"nameOnCard\"]", "input[placeholder*=\"name on card\"]"],
+    expiryMonth: ["[data-test=\"expDateMonth\"]", "[name*=\"expMonth\"]", "select[aria-label*=\"Month\"]"],
+    expiryYear: ["[data-test=\"expDateYear\"]", "[name*=\"expYear\"]", "select[aria-label*=\"Year\"]"],
+    cvv: ["[data-test=\"cvvInput\"]", "[name*=\"securityCode\"]", "input[placeholder*=\"CVV\"]"]
+  },
+  cardNumberFrame: ["iframe[id^=\"card-number\"]", "iframe[name*=\"creditCard\"]", "iframe[title*=\"card\"]"],
+  cvvVerification: {
+    input: ["#enter-cvv", "input[name*=\"cvv\"]", "input[name*=\"securityCode\"]", "input[placeholder*=\"CVV\"]", "input[data-test=\"cvvInput\"]", "input[aria-label*=\"Security code\"]", "input[type=\"password\"]"],
+    confirmButton: ["button[data-test=\"confirm-button\"]", "button[aria-label*=\"confirm\"]"]
+  },
+  cardVerification: {
+    input: ["#credit-card-number-input", "input[name*=\"cardNumber\"]", "input[name*=\"creditCard\"]", "input[placeholder*=\"card number\"]", "input[aria-label*=\"card number\"]", "input[type=\"tel\"]"],
+    verifyButton: ["button[data-test=\"verify-card-button\"]", "button[aria-label*=\"verify\"]"]
+  },
+  placeOrderButton: "button[data-test=\"placeOrderButton\"]",
+  orderSummary: {
+    items: ["[data-test=\"cartItem\"]", "[data-test=\"checkout-cart-item\"]", "[data-test*=\"cartItem-\"][data-test$=\"-container\"]"],
+    itemLink: ["a[href*=\"/A-\"]", "a[href*=\"/p/\"]"],
+    itemTitle: ["[data-test=\"cartItem-title\"]", "[data-test=\"cartItem-linked-title\"]", "a[href*=\"/p/\"]"],
+    itemPrice: ["[data-test=\"cartItem-unitPrice\"]", "[data-test=\"cartItem-price\"]", "[data-test=\"current-price\"]"],
+    itemQuantity: ["[data-test=\"cartItem-qty\"]", "select[data-test*=\"quantity\"]", "[data-test=\"cartItem-quantity\"]"],
+    subtotal: ["[data-test=\"cart-summary-subTotal\"]", "[data-test=\"checkout-subtotal\"]"],
+    shipping: ["[data-test=\"cart-summary-delivery\"]", "[data-test=\"cart-summary-shipping\"]", "[data-test=\"checkout-shipping\"]"],
+    tax: ["[data-test=\"cart-summary-tax\"]", "[data-test=\"checkout-tax\"]"],
+    total: ["[data-test=\"cart-summary-total\"]", "[data-test=\"checkout-total\"]", "[data-test=\"order-total\"]"]
+  },
+  termsCheckbox: ["[data-test=\"checkbox-terms\"]", "input[type=\"checkbox\"][name*=\"terms\"]", "input[type=\"checkbox\"][id*=\"terms\"]"]
+};
+const popupSelectors = {
+  declineProtectionButton: ["[data-test=\"espModalContent-declineCoverageButton\"]", "button[aria-label=\"decline coverage\"]", "button[data-test=\"NoThanksButton\"]"],
+  noThanksButton: ["button[data-test=\"NoThanksButton\"]", "button[aria-label*=\"no thanks\"]", "button[aria-label*=\"skip\"]", "button[data-test*=\"decline\"]", "button.decline-button"],
+  continueButton: ["button[data-test=\"continueButton\"]", "button[aria-label*=\"continue\"]", "button.continue-button", "button[type=\"submit\"]"]
+};
+
+/**
+ * Extra signals for the selector engine (common/selector-engine.js). When the lists above stop
+ * matching after a Target deploy these let it find the element another way, and the popup shows
+ * the step as degraded. Add-to-cart only falls back on its data-test, since product carousels
+ * have "Add to cart" buttons of their own.
+ */
+function registerTargetSelectorHints() {
+  const hint = (selectors, hints) => registerSelectorHints(selectors, { site: "target", ...hints });
+  const dialogs = ["[role=\"dialog\"]", "[aria-modal=\"true\"]"];
+
+  hint(productPageSelectors.addToCart, {
+    key: "product.addToCart", step: "product", label: "Add to cart button",
+    tags: ["button"], role: "button",
+    dataTest: ["shipItButton", "orderPickupButton", "deliveryButton", "addToCartButton"],
+    text: ["add to cart", "ship it", "pick it up", "deliver it"],
+    minConfidence: 0.8
+  });
+  hint(productPageSelectors.outOfStock, {
+    key: "product.outOfStock", step: "product", label: "Out of stock message",
+    dataTest: ["outOfStock", "oosMessage", "soldOutContainer", "shippingNotAvailable"]
+  });
+
+  hint(popupSelectors.declineProtectionButton, {
+    key: "popups.declineProtection", step: "popups", label: "Decline protection plan button",
+    tags: ["button"], role: "button", within: dialogs,
+    dataTest: ["espModalContent-declineCoverageButton", "NoThanksButton"],
+    ariaLabel: ["decline coverage", "no thanks"],
+    text: ["no thanks", "decline coverage"]
+  });
+  hint(popupSelectors.noThanksButton, {
+    key: "popups.noThanks", step: "popups", label: "No thanks button",
+    tags: ["button"], role: "button", within: dialogs,
+    dataTest: ["NoThanksButton"],
+    ariaLabel: ["no thanks", "skip"],
+    text: ["no thanks"]
+  });
+  hint(popupSelectors.continueButton, {
+    key: "popups.continue", step: "popups", label: "Popup continue button",
+    tags: ["button"], role: "button", within: dialogs,
+    dataTest: ["continueButton"],
+    ariaLabel: ["continue"],
+    text: ["continue"],
+    minConfidence: 0.6
+  });
+
+  hint(checkoutPageSelectors.shippingForm, {
+    key: "shipping.form", step: "shipping", label: "Shipping address form",
+    dataTest: ["addressFormContainer"]
+  });
+  const shippingFields = {
+    firstName: ["First name"], lastName: ["Last name"], address1: ["Address", "Street"], address2: ["Apt", "Suite"],
+    city: ["City"], state: ["State"], zip: ["ZIP"], phone: ["Phone"], email: ["Email"]
+  };
+  Object.keys(shippingFields).forEach(field => {
+    const selectors = checkoutPageSelectors.shippingFields[field];
+    hint(selectors, {
+      key: "shipping." + field, step: "shipping", label: "Shipping " + field + " field",
+      tags: field === "state" ? ["select", "input"] : ["input"],
+      role: field === "state" ? null : "textbox",
+      dataTest: [selectors[0].match(/data-test="([^"]+)"/)[1]],
+      ariaLabel: shippingFields[field],
+      text: shippingFields[field]
+    });
+  });
+  hint(checkoutPageSelectors.continueButtons.shipping, {
+    key: "shipping.continue", step: "shipping", label: "Shipping continue button",
+    tags: ["button"], role: "button",
+    dataTest: ["fulfillment-continue-button", "save_and_continue_button_step_SHIPPING"],
+    text: ["save and continue"]
+  });
+
+  hint(checkoutPageSelectors.paymentForm, {
+    key: "payment.form", step: "payment", label: "Payment form",
+    dataTest: ["credit-card-form"]
+  });
+  hint(checkoutPageSelectors.addPaymentButton, {
+    key: "payment.addPayment", step: "payment", label: "Add payment button",
+    tags: ["button"], role: "button",
+    dataTest: ["add-new-payment", "checkout-unselected-creditdebit"],
+    text: ["add new card", "credit/debit card"]
+  });
+
+  hint(checkoutPageSelectors.continueButtons.saveAndContinue, {
+    key: "review.saveAndContinue", step: "review", label: "Save and continue button",
+    tags: ["button"], role: "button",
+    dataTest: ["save_and_continue_button_step_SHIPPING"],
+    text: ["save and continue"]
+  });
+  hint(checkoutPageSelectors.termsCheckbox, {
+    key: "review.terms", step: "review", label: "Terms checkbox",
+    tags: ["input"], role: "checkbox",
+    dataTest: ["checkbox-terms"],
+    text: ["terms"]
+  });
+
+  hint(checkoutPageSelectors.cvvVerification.input, {
+    key: "cvv.input", step: "cvv", label: "CVV input",
+    tags: ["input"], role: "textbox", within: dialogs,
+    dataTest: ["cvvInput"],
+    ariaLabel: ["security code", "cvv"],
+    text: ["security code", "cvv"]
+  });
+  hint(checkoutPageSelectors.cvvVerification.confirmButton, {
+    key: "cvv.confirm", step: "cvv", label: "CVV confirm button",
+    tags: ["button"], role: "button", within: dialogs,
+    dataTest: ["confirm-button"],
+    ariaLabel: ["confirm"],
+    text: ["confirm"]
+  });
+  hint(checkoutPageSelectors.cardVerification.input, {
+    key: "card-verification.input", step: "card-verification", label: "Card number input",
+    tags: ["input"], role: "textbox", within: dialogs,
+    dataTest: ["credit-card-number-input"],
+    ariaLabel: ["card number"],
+    text: ["card number"]
+  });
+  hint(checkoutPageSelectors.cardVerification.verifyButton, {
+    key: "card-verification.verify", step: "card-verification", label: "Verify card button",
+    tags: ["button"], role: "button", within: dialogs,
+    dataTest: ["verify-card-button"],
+    ariaLabel: ["verify"],
+    text: ["verify"]
+  });
+}
+
+// The options page loads this file for the built-in selectors only, without the selector engine
+if (typeof registerSelectorHints === "function") {
+  registerTargetSelectorHints();
+}
+
+window.targetSelectors = {
+  productPageSelectors: productPageSelectors,
+  checkoutPageSelectors: checkoutPageSelectors,
+  popupSelectors: popupSelectors
+};
+console.log("sites/target/selectors.js: Script loaded.");
@@ -0,0 +1,153 @@
+// ui/logs/logs.js - Run log viewer: filter, download as JSON lines, clear
+// Entries are stored by background/run-log.js. Relies on common/messages.js (window.autocheckoutMessages)
+// and common/html.js (window.autocheckoutHtml)
+
+document.addEventListener("DOMContentLoaded", function () {
+  const messages = window.autocheckoutMessages;
+  const escapeHtml = window.autocheckoutHtml.escapeHtml;
+  const LEVELS = ["debug", "info", "warn", "error"];
+  const logBody = document.getElementById("log-body");
+  const logCount = document.getElementById("log-count");
+  const filterLevel = document.getElementById("filter-level");
+  const filterTab = document.getElementById("filter-tab");
+  const filterSearch = document.getElementById("filter-search");
+  const refreshBtn = document.getElementById("refresh-btn");
+  const downloadBtn = document.getElementById("download-btn");
+  const clearBtn = document.getElementById("clear-btn");
+  const successMessage = document.getElementById("success-message");
+  const errorMessage = document.getElementById("error-message");
+  let entries = [];
+
+  loadEntries();
+  refreshBtn.addEventListener("click", loadEntries);
+  downloadBtn.addEventListener("click", downloadEntries);
+  clearBtn.addEventListener("click", clearEntries);
+  [filterLevel, filterTab].forEach(filter => filter.addEventListener("change", renderEntries));
+  filterSearch.addEventListener("input", renderEntries);
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes.runLog) {
+      entries = changes.runLog.newValue || [];
+      renderEntries();
+    }
+  });
+
+  async function loadEntries() {
+    try {
+      const response = await messages.sendMessage("getRunLog");
+      entries = response.entries;
+      renderEntries();
+    } catch (error) {
+      console.error("Error loading run log:", error);
+      showError("Failed to load run log: " + error.message);
+    }
+  }
+
+  /**
+   * Entries matching the filters, newest first
+   * @returns {Array}
+   */
+  function getFilteredEntries() {
+    const minLevel = LEVELS.indexOf(filterLevel.value);
+    const tabId = filterTab.value;
+    const search = filterSearch.value.trim().toLowerCase();
+    return entries.filter(entry => {
+      if (LEVELS.indexOf(entry.level) < minLevel) return false;
+      if (tabId && String(entry.tabId) !== tabId) return false;
+      if (search) {
+        const haystack = [entry.message, entry.step, entry.tcin, entry.site].join(" ").toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+      return true;
+    }).reverse();
+  }
+
+  function updateTabFilterOptions() {
+    const selected = filterTab.value;
+    const tabIds = Array.from(new Set(entries.map(entry => entry.tabId).filter(tabId => tabId !== null)));
+    filterTab.innerHTML = "<option value=\"\">All tabs</option>" +
+      tabIds.map(tabId => "<option value=\"" + tabId + "\">Tab " + tabId + "</option>").join("");
+    filterTab.value = tabIds.map(String).includes(selected) ? selected : "";
+  }
+
+  function renderEntries() {
+    updateTabFilterOptions();
+    const visible = getFilteredEntries();
+    logCount.textContent = "Showing " + visible.length + " of " + entries.length + " entries";
+    if (visible.length === 0) {
+      logBody.innerHTML = "<tr><td colspan=\"6\" class=\"empty-state\">" + (entries.length === 0 ? "The run log is empty." : "No entries match these filters.") + "</td></tr>";
+      return;
+    }
+    logBody.innerHTML = "";
+    visible.forEach(entry => {
+      const row = document.createElement("tr");
+      row.innerHTML =
+        "<td>" + escapeHtml(new Date(entry.at).toLocaleTimeString()) + "</td>" +
+        "<td class=\"level-" + escapeHtml(entry.level) + "\">" + escapeHtml(entry.level) + "</td>" +
+        "<td>" + escapeHtml(entry.tabId === null ? "-" : entry.tabId) + "</td>" +
+        "<td>" + escapeHtml(entry.step || "-") + "</td>" +
+        "<td>" + escapeHtml(entry.tcin || "-") + "</td>" +
+        "<td>" + escapeHtml(entry.message) + "</td>";
+      if (entry.data !== null && entry.data !== undefined) {
+        // Click a row to show its data
+        row.className = "has-data";
+        row.addEventListener("click", () => {
+          const existing = row.querySelector(".log-data");
+          if (existing) {
+            existing.remove();
+            return;
+          }
+          const details = document.createElement("pre");
+          details.className = "log-data";
+          details.textContent = JSON.stringify(entry.data, null, 2);
+          row.lastElementChild.appendChild(details);
+        });
+      }
+      logBody.appendChild(row);
+    });
+  }
+
+  function downloadEntries() {
+    const visible = getFilteredEntries().reverse(); // Oldest first in the file
+    if (visible.length === 0) {
+      showError("No log entries to download.");
+      return;
+    }
+    const jsonl = visible.map(entry => JSON.stringify(entry)).join("\n") + "\n";
+    const url = URL.createObjectURL(new Blob([jsonl], { type: "application/x-ndjson" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "polar-run-log-" + new Date().toISOString().replace(/[:.]/g, "-") + ".jsonl";
+    link.click();
+    URL.revokeObjectURL(url);
+    showSuccess("Downloaded " + visible.length + " entries.");
+  }
+
+  async function clearEntries() {
+    if (!confirm("Clear the whole run log?")) {
+      return;
+    }
+    try {
+      await messages.sendMessage("clearRunLog");
+      entries = [];
+      renderEntries();
+      showSuccess("Run log cleared.");
+    } catch (error) {
+      showError("Could not clear run log: " + error.message);
+    }
+  }
+
+  function showSuccess(message) {
+    successMessage.textContent = message;
+    successMessage.style.display = "block";
+    errorMessage.style.display = "none";
+    setTimeout(() => {
+      successMessage.style.display = "none";
+    }, 3000);
+  }
+
+  function showError(message) {
+    errorMessage.textContent = message;
+    errorMessage.style.display = "block";
+    successMessage.style.display = "none";
+  }
+});
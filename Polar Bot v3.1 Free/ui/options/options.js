@@ -1 +1,1667 @@
-function _0x4fd6(_0x128ded,_0x57ea51){const _0x11ed02=_0x11ed();return _0x4fd6=function(_0x4fd675,_0x1e226f){_0x4fd675=_0x4fd675-0x14a;let _0x6263cf=_0x11ed02[_0x4fd675];return _0x6263cf;},_0x4fd6(_0x128ded,_0x57ea51);}(function(_0x37a458,_0x29960a){const _0x5292ec=_0x4fd6,_0x3ebeb3=_0x37a458();while(!![]){try{const _0x293204=parseInt(_0x5292ec(0x184))/0x1*(parseInt(_0x5292ec(0x173))/0x2)+parseInt(_0x5292ec(0x156))/0x3+-parseInt(_0x5292ec(0x16d))/0x4*(-parseInt(_0x5292ec(0x152))/0x5)+parseInt(_0x5292ec(0x163))/0x6+parseInt(_0x5292ec(0x17f))/0x7*(parseInt(_0x5292ec(0x180))/0x8)+parseInt(_0x5292ec(0x190))/0x9+-parseInt(_0x5292ec(0x160))/0xa*(parseInt(_0x5292ec(0x16a))/0xb);if(_0x293204===_0x29960a)break;else _0x3ebeb3['push'](_0x3ebeb3['shift']());}catch(_0x59ea52){_0x3ebeb3['push'](_0x3ebeb3['shift']());}}}(_0x11ed,0x2888a),document['addEventListener']('DOMContentLoaded',function(){const _0x49d3d1=_0x4fd6;console['log'](_0x49d3d1(0x19d));const _0x527a3e=document['getElementById'](_0x49d3d1(0x14a)),addProfileBtn=document['getElementById']('add-profile-btn'),_0x3a128e=document['getElementById'](_0x49d3d1(0x19f)),_0x324b16=document['getElementById']('close-modal'),_0x5e533d=document['getElementById'](_0x49d3d1(0x14c)),_0x3a063d=document[_0x49d3d1(0x191)](_0x49d3d1(0x187)),_0x542c81=document['getElementById']('profile-form'),_0x48c7d4=document[_0x49d3d1(0x191)]('modal-title'),_0x35240b=document['getElementById']('profile-id'),_0x441768=document['getElementById']('success-message'),_0x53024e=document['getElementById']('error-message'),_0x3318ac=document['getElementById']('remember-toggle'),_0xc6db1a=document['getElementById']('auto-submit-order'),addRandomDelays=document['getElementById']('add-random-delays'),_0x286cdc=document['getElementById']('debug-mode'),_0x19898a=document[_0x49d3d1(0x191)]('save-settings-btn'),_0x1bcef9=document['getElementById'](_0x49d3d1(0x161)),copyExportBtn=document['getElementById'](_0x49d3d1(0x14f)),_0x26b0e4=document['getElementById']('import-data'),_0x1dd70c=document['getElementById']('replace-existing'),_0x4d34de=document['getElementById']('import-btn'),tabs=document['querySelectorAll']('.tab'),_0x986999=document['querySelectorAll']('.tab-content');tabs['forEach'](_0x4f621a=>{_0x4f621a['addEventListener']('click',()=>{const _0x32f176=_0x4fd6,_0x4580c7=_0x4f621a['getAttribute']('data-tab');tabs['forEach'](_0xbe73b0=>_0xbe73b0['classList']['remove']('active')),_0x4f621a['classList']['add']('active'),_0x986999['forEach'](_0x59ebb1=>{const _0x21c2e0=_0x4fd6;_0x59ebb1['classList']['remove']('active'),_0x59ebb1['id']===_0x4580c7+_0x21c2e0(0x16b)&&_0x59ebb1['classList']['add']('active');}),_0x4580c7===_0x32f176(0x16e)&&updateExportData();});}),_0x28ed28(),_0x240acc(),addProfileBtn['addEventListener']('click',()=>{_0x542c81['reset'](),_0x35240b['value']='',_0x48c7d4['textContent']='Add\x20New\x20Profile',_0x31eab5();}),_0x324b16['addEventListener']('click',_0x397315),_0x5e533d[_0x49d3d1(0x18e)]('click',_0x397315),_0x3a063d['addEventListener']('click',async()=>{const _0x1051a0=_0x49d3d1;if(!_0x542c81[_0x1051a0(0x19b)]()){_0x542c81[_0x1051a0(0x18f)]();return;}await _0x73f19d();}),_0x19898a['addEventListener']('click',_0x5cf9f6),copyExportBtn['addEventListener']('click',()=>{const _0x349e18=_0x49d3d1;if(!navigator[_0x349e18(0x15a)]){try{_0x1bcef9['select'](),document[_0x349e18(0x16f)]('copy'),_0x2893ba(_0x349e18(0x18c));}catch(_0x5d1dc3){_0x3b422f('Failed\x20to\x20copy\x20profiles.');}return;}navigator['clipboard'][_0x349e18(0x157)](_0x1bcef9['value'])[_0x349e18(0x169)](()=>{_0x2893ba('Profiles\x20copied\x20to\x20clipboard!');})['catch'](_0x5a271f=>{const _0x2e145d=_0x349e18;_0x3b422f(_0x2e145d(0x18b)+_0x5a271f);});}),_0x4d34de['addEventListener']('click',_0x14ad8d);async function _0x28ed28(){const _0x2092fe=_0x49d3d1;_0x527a3e[_0x2092fe(0x185)]='<li\x20class=\x22empty-state\x22>Loading\x20profiles...</li>';try{const _0x249dba=await chrome['storage'][_0x2092fe(0x176)]['get']('profiles'),_0xf4183b=_0x249dba['profiles']||[];console['log']('Loading\x20'+_0xf4183b[_0x2092fe(0x15e)]+'\x20profiles');if(_0xf4183b['length']===0x0){_0x527a3e['innerHTML']='<li\x20class=\x22empty-state\x22>No\x20profiles\x20added\x20yet.\x20Click\x20\x22Add\x20New\x20Profile\x22\x20to\x20create\x20one.</li>';return;}_0x527a3e['innerHTML']='',_0xf4183b['forEach'](_0x4ad6b4=>{const _0xab1e35=_0x2092fe,_0x493866=document['createElement']('li');_0x493866['className']='profile-item',_0x493866[_0xab1e35(0x185)]='\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22profile-info\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22profile-name\x22>'+_0xfa0a53(_0x4ad6b4[_0xab1e35(0x18a)])+'</div>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22profile-details\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20'+_0xfa0a53(_0x4ad6b4[_0xab1e35(0x15c)])+'\x20'+_0xfa0a53(_0x4ad6b4['lastName'])+_0xab1e35(0x177)+_0x3f1f0f(_0x4ad6b4['cardNumber'])+'\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</div>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</div>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22profile-actions\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<button\x20class=\x22action-btn\x20edit\x22\x20data-id=\x22'+_0xfa0a53(_0x4ad6b4['id'])+'\x22>Edit</button>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<button\x20class=\x22action-btn\x20delete\x22\x20data-id=\x22'+_0xfa0a53(_0x4ad6b4['id'])+'\x22>Delete</button>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</div>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20',_0x527a3e['appendChild'](_0x493866);const _0x2ef48d=_0x493866['querySelector']('.edit'),deleteButton=_0x493866[_0xab1e35(0x199)]('.delete');_0x2ef48d&&_0x2ef48d[_0xab1e35(0x18e)]('click',_0x46e29b=>{_0x46f13d(_0x46e29b['target']['getAttribute']('data-id'));}),deleteButton&&deleteButton['addEventListener'](_0xab1e35(0x198),_0x59765d=>{deleteProfileHandler(_0x59765d['target']['getAttribute']('data-id'));});});}catch(_0x4d8af0){console['error']('Error\x20loading\x20profiles:',_0x4d8af0),_0x527a3e['innerHTML']='<li\x20class=\x22empty-state\x20error-message\x22>Error\x20loading\x20profiles.\x20Please\x20try\x20again.</li>',_0x3b422f('Failed\x20to\x20load\x20profiles:\x20'+_0x4d8af0['message']);}}function _0x3f1f0f(_0x8061af){const _0x29d53d=_0x49d3d1;if(!_0x8061af||typeof _0x8061af!==_0x29d53d(0x14b)||_0x8061af[_0x29d53d(0x15f)]()==='')return'No\x20Card\x20Saved';const _0x5502c0=_0x8061af['replace'](/\D/g,'');if(_0x5502c0['length']<=0x4)return _0x29d53d(0x155)+_0x5502c0;const _0x5ae996=_0x5502c0['slice'](-0x4);return'****\x20****\x20****\x20'+_0x5ae996;}function _0x31eab5(){const _0xf1e6e7=_0x49d3d1;_0x3a128e['style']['display']=_0xf1e6e7(0x179);}function _0x397315(){const _0x397990=_0x49d3d1;_0x3a128e[_0x397990(0x167)][_0x397990(0x162)]='none';}function _0x32c566(){const _0x2c3b32=_0x49d3d1;return Date['now']()['toString'](0x24)+Math['random']()[_0x2c3b32(0x168)](0x24)['substring'](0x2,0x7);}async function _0x73f19d(){const _0x4b935e=_0x49d3d1,_0x3e2b77=_0x35240b['value']||null,_0x370fa4=!_0x35240b[_0x4b935e(0x183)],_0x5abde4={'id':_0x3e2b77,'name':document['getElementById'](_0x4b935e(0x166))['value']['trim'](),'firstName':document['getElementById']('first-name')['value']['trim'](),'lastName':document['getElementById'](_0x4b935e(0x19e))['value']['trim'](),'address1':document[_0x4b935e(0x191)]('address1')[_0x4b935e(0x183)][_0x4b935e(0x15f)](),'address2':document['getElementById']('address2')['value'][_0x4b935e(0x15f)](),'city':document['getElementById'](_0x4b935e(0x171))['value'][_0x4b935e(0x15f)](),'state':document['getElementById']('state')['value']['trim'](),'zip':document[_0x4b935e(0x191)]('zip')['value']['trim'](),'phone':document['getElementById'](_0x4b935e(0x17a))['value']['trim'](),'email':document['getElementById'](_0x4b935e(0x17d))['value']['trim'](),'cardNumber':document['getElementById'](_0x4b935e(0x17b))['value'][_0x4b935e(0x159)](/\s/g,''),'expiryMonth':document['getElementById'](_0x4b935e(0x193))[_0x4b935e(0x183)]['padStart'](0x2,'0'),'expiryYear':document['getElementById']('expiry-year')['value'],'cvv':document['getElementById']('cvv')['value']['trim']()};if(!_0x5abde4['name']||!_0x5abde4['firstName']||!_0x5abde4['lastName']||!_0x5abde4['cardNumber']||!_0x5abde4['expiryMonth']||!_0x5abde4['expiryYear']||!_0x5abde4['cvv']){_0x3b422f('Please\x20fill\x20in\x20all\x20required\x20profile\x20fields.'),_0x542c81['reportValidity']();return;}console['log']('Options\x20Script:\x20Saving\x20profile\x20object:',JSON['stringify'](_0x5abde4,null,0x2));try{await _0x18f4a7(_0x5abde4,_0x370fa4),_0x397315(),await _0x28ed28(),_0x2893ba('Profile\x20'+(_0x370fa4?_0x4b935e(0x19a):'updated')+_0x4b935e(0x17c)),chrome[_0x4b935e(0x150)]['sendMessage']({'action':'profileUpdated'})['catch'](_0x5c365f=>console['warn'](_0x4b935e(0x189),_0x5c365f));}catch(_0x1db0bc){console['error']('Error\x20saving\x20profile:',_0x1db0bc),_0x3b422f('Error\x20saving\x20profile:\x20'+_0x1db0bc['message']);}}async function _0x18f4a7(_0x36899d,_0x3c42e0){const _0x1e87d5=_0x49d3d1,_0x391dba=await chrome['storage']['local']['get']('profiles');let _0x3511c2=_0x391dba[_0x1e87d5(0x197)]||[];(_0x3c42e0||!_0x36899d['id'])&&(_0x36899d['id']=_0x32c566());const _0x37a6e4=_0x3511c2['findIndex'](_0x219d40=>_0x219d40['id']===_0x36899d['id']);_0x37a6e4!==-0x1?_0x3511c2[_0x37a6e4]=_0x36899d:_0x3511c2[_0x1e87d5(0x154)](_0x36899d);await chrome['storage'][_0x1e87d5(0x176)]['set']({'profiles':_0x3511c2});const _0x2304af=await chrome['storage']['local']['get']('selectedProfile');(_0x3511c2['length']===0x1||!_0x2304af['selectedProfile'])&&(await chrome['storage']['local']['set']({'selectedProfile':_0x36899d['id']}),chrome['runtime'][_0x1e87d5(0x178)]({'action':'profileSelected','profileId':_0x36899d['id']})['catch'](_0x2b1767=>console['warn']('Could\x20not\x20notify\x20about\x20profile\x20selection:',_0x2b1767)));}async function _0x46f13d(_0x5c3412){const _0x5d0f5d=_0x49d3d1;try{const _0x4af3c2=await chrome['storage']['local']['get']('profiles'),_0x33d87e=_0x4af3c2['profiles']||[],_0x40c1ae=_0x33d87e['find'](_0x2d5b6e=>_0x2d5b6e['id']===_0x5c3412);_0x40c1ae?(_0x35240b['value']=_0x40c1ae['id'],document['getElementById']('profile-name')[_0x5d0f5d(0x183)]=_0x40c1ae['name']||'',document['getElementById']('first-name')['value']=_0x40c1ae['firstName']||'',document['getElementById']('last-name')[_0x5d0f5d(0x183)]=_0x40c1ae[_0x5d0f5d(0x175)]||'',document[_0x5d0f5d(0x191)]('address1')['value']=_0x40c1ae['address1']||'',document['getElementById']('address2')['value']=_0x40c1ae['address2']||'',document['getElementById'](_0x5d0f5d(0x171))['value']=_0x40c1ae['city']||'',document['getElementById']('state')['value']=_0x40c1ae['state']||'',document['getElementById']('zip')['value']=_0x40c1ae['zip']||'',document['getElementById']('phone')['value']=_0x40c1ae['phone']||'',document['getElementById']('email')['value']=_0x40c1ae['email']||'',document['getElementById']('card-number')['value']=_0x40c1ae['cardNumber']||'',document['getElementById']('expiry-month')['value']=_0x40c1ae['expiryMonth']||'',document['getElementById']('expiry-year')['value']=_0x40c1ae['expiryYear']||'',document['getElementById']('cvv')['value']=_0x40c1ae['cvv']||'',_0x48c7d4['textContent']='Edit\x20Profile',_0x31eab5()):(console[_0x5d0f5d(0x195)]('Profile\x20with\x20ID\x20'+_0x5c3412+'\x20not\x20found\x20for\x20editing.'),_0x3b422f(_0x5d0f5d(0x151)));}catch(_0xc42a){console[_0x5d0f5d(0x195)]('Error\x20fetching\x20profile\x20for\x20editing:',_0xc42a),_0x3b422f('Error\x20loading\x20profile\x20for\x20edit:\x20'+_0xc42a['message']);}}async function deleteProfileHandler(_0x1044df){const _0x1137d4=_0x49d3d1;if(!_0x1044df){console['error'](_0x1137d4(0x192));return;}if(confirm('Are\x20you\x20sure\x20you\x20want\x20to\x20delete\x20this\x20profile?'))try{await deleteProfileFromStorage(_0x1044df),await _0x28ed28(),_0x2893ba('Profile\x20deleted\x20successfully!'),chrome['runtime']['sendMessage']({'action':_0x1137d4(0x172)})['catch'](_0x83465a=>console['warn']('Could\x20not\x20notify\x20about\x20profile\x20deletion:',_0x83465a));}catch(_0x4dcd83){console[_0x1137d4(0x195)]('Error\x20deleting\x20profile:',_0x4dcd83),_0x3b422f('Error\x20deleting\x20profile:\x20'+_0x4dcd83['message']);}}async function deleteProfileFromStorage(_0x303fb3){const _0x23c5ff=_0x49d3d1,_0xa15744=await chrome['storage']['local'][_0x23c5ff(0x170)](['profiles','selectedProfile']);let _0x365408=_0xa15744[_0x23c5ff(0x197)]||[];const _0x2efff1=_0xa15744['selectedProfile'],_0x37321b=_0x365408[_0x23c5ff(0x15e)];_0x365408=_0x365408['filter'](_0x23b033=>_0x23b033['id']!==_0x303fb3);if(_0x365408['length']===_0x37321b){console[_0x23c5ff(0x14d)]('Profile\x20with\x20ID\x20'+_0x303fb3+'\x20not\x20found\x20for\x20deletion.');return;}const updateData={'profiles':_0x365408};_0x2efff1===_0x303fb3&&(updateData[_0x23c5ff(0x182)]=_0x365408['length']>0x0?_0x365408[0x0]['id']:''),await chrome['storage'][_0x23c5ff(0x176)]['set'](updateData),_0x2efff1===_0x303fb3&&chrome[_0x23c5ff(0x150)]['sendMessage']({'action':'profileSelected','profileId':updateData['selectedProfile']})[_0x23c5ff(0x158)](_0x4356b1=>console[_0x23c5ff(0x14d)]('Could\x20not\x20notify\x20about\x20profile\x20selection\x20after\x20delete:',_0x4356b1));}async function _0x240acc(){const _0x47d05d=_0x49d3d1;try{const _0x3144df=await chrome['storage']['local']['get'](['enabled','globalSettings','debugMode']);_0x3318ac['checked']=_0x3144df['enabled']!==undefined;const _0x347418=_0x3144df['globalSettings']||{};_0xc6db1a[_0x47d05d(0x16c)]=_0x347418['autoSubmit']!==![],addRandomDelays['checked']=_0x347418[_0x47d05d(0x186)]||![],_0x286cdc['checked']=_0x3144df['debugMode']!==undefined?_0x3144df['debugMode']:!![];}catch(_0x2f037e){console['error'](_0x47d05d(0x188),_0x2f037e),_0x3b422f(_0x47d05d(0x164)+_0x2f037e['message']);}}async function _0x5cf9f6(){const _0x1fc4e3=_0x49d3d1;try{const _0x252917={'autoSubmit':_0xc6db1a[_0x1fc4e3(0x16c)],'randomizeDelay':addRandomDelays['checked']},_0xa643a8={'globalSettings':_0x252917,'debugMode':_0x286cdc['checked']};if(_0x3318ac['checked']){const _0x3e2f1e=await chrome[_0x1fc4e3(0x14e)]['local']['get']('enabled');_0xa643a8[_0x1fc4e3(0x17e)]=_0x3e2f1e[_0x1fc4e3(0x17e)]!==undefined?_0x3e2f1e['enabled']:![];}else await chrome[_0x1fc4e3(0x14e)][_0x1fc4e3(0x176)]['remove'](_0x1fc4e3(0x17e));await chrome['storage']['local']['set'](_0xa643a8),_0x2893ba('Global\x20settings\x20saved\x20successfully!'),chrome['runtime']['sendMessage']({'action':_0x1fc4e3(0x19c),'settings':_0xa643a8})[_0x1fc4e3(0x158)](_0x21abd0=>console['warn']('Could\x20not\x20notify\x20about\x20global\x20settings\x20update:',_0x21abd0));}catch(_0x27fbce){console['error']('Error\x20saving\x20global\x20settings:',_0x27fbce),_0x3b422f('Error\x20saving\x20global\x20settings:\x20'+_0x27fbce['message']);}}async function updateExportData(){const _0x97d801=_0x49d3d1;try{const _0x49d0df=await chrome['storage'][_0x97d801(0x176)]['get']('profiles'),_0x4e96f2=_0x49d0df['profiles']||[];_0x1bcef9[_0x97d801(0x183)]=JSON['stringify'](_0x4e96f2,null,0x2);}catch(_0x591b5c){console['error']('Error\x20generating\x20export\x20data:',_0x591b5c),_0x1bcef9[_0x97d801(0x183)]='Error\x20loading\x20profiles\x20for\x20export.';}}async function _0x14ad8d(){const _0x94ad3b=_0x49d3d1;let _0x4ce36f=[];try{const _0x38c180=_0x26b0e4[_0x94ad3b(0x183)];if(!_0x38c180||_0x38c180[_0x94ad3b(0x15f)]()===''){_0x3b422f('Import\x20data\x20cannot\x20be\x20empty.');return;}_0x4ce36f=JSON['parse'](_0x38c180);if(!Array['isArray'](_0x4ce36f)){_0x3b422f('Invalid\x20profile\x20data\x20format.\x20Expected\x20an\x20array\x20of\x20profiles.');return;}const _0x2e3721=['name','firstName','lastName','cardNumber','cvv','expiryMonth','expiryYear'],_0x15beb1=_0x4ce36f['filter'](_0x4d3d8d=>{const _0x53fb32=_0x94ad3b;if(typeof _0x4d3d8d!==_0x53fb32(0x181)||_0x4d3d8d===null)return![];const _0x418a6b=_0x2e3721['every'](_0x36ee04=>_0x4d3d8d[_0x36ee04]);return _0x418a6b;}),_0xd8948c=_0x4ce36f['length']-_0x15beb1[_0x94ad3b(0x15e)];_0xd8948c>0x0&&console['warn'](_0xd8948c+_0x94ad3b(0x153));if(_0x15beb1['length']===0x0){_0x3b422f('No\x20valid\x20profiles\x20found\x20in\x20the\x20imported\x20data.\x20Ensure\x20required\x20fields\x20exist.');return;}_0x15beb1['forEach'](_0x52b20d=>{(!_0x52b20d['id']||_0x1dd70c['checked'])&&(_0x52b20d['id']=_0x32c566());});const _0x2390e7=await chrome['storage']['local']['get'](['profiles','selectedProfile']);let _0x1ec206=_0x2390e7['profiles']||[],_0x11bd65=_0x2390e7[_0x94ad3b(0x182)],_0x444368=[],_0x44eb9a='';if(_0x1dd70c['checked'])_0x444368=_0x15beb1,_0x44eb9a=_0x94ad3b(0x196)+_0x15beb1['length']+_0x94ad3b(0x194),_0x11bd65=_0x444368['length']>0x0?_0x444368[0x0]['id']:'';else{const _0x4b6d3e=new Set(_0x1ec206['map'](_0x3773a9=>_0x3773a9['id']));let addedCount=0x0;_0x15beb1[_0x94ad3b(0x165)](_0x5a75c0=>{const _0x51f77d=_0x94ad3b;!_0x4b6d3e['has'](_0x5a75c0['id'])&&(_0x1ec206['push'](_0x5a75c0),_0x4b6d3e[_0x51f77d(0x15d)](_0x5a75c0['id']),addedCount++);}),_0x444368=_0x1ec206,_0x44eb9a='Merged\x20profiles.\x20Added\x20'+addedCount+'\x20new\x20profiles.\x20Total:\x20'+_0x444368['length']+'.',!_0x11bd65&&_0x444368['length']>0x0&&(_0x11bd65=_0x444368[0x0]['id']);}await chrome['storage']['local']['set']({'profiles':_0x444368,'selectedProfile':_0x11bd65}),await _0x28ed28(),_0x2893ba(_0x44eb9a),_0x26b0e4['value']='',chrome['runtime'][_0x94ad3b(0x178)]({'action':'profileUpdated'})['catch'](_0x1c9916=>console['warn']('Could\x20not\x20notify\x20about\x20profile\x20import:',_0x1c9916)),_0x11bd65!==_0x2390e7['selectedProfile']&&chrome['runtime']['sendMessage']({'action':'profileSelected','profileId':_0x11bd65})[_0x94ad3b(0x158)](_0x160f11=>console['warn']('Could\x20not\x20notify\x20about\x20profile\x20selection\x20after\x20import:',_0x160f11));}catch(_0xe77459){console['error']('Error\x20importing\x20profiles:',_0xe77459),_0xe77459 instanceof SyntaxError?_0x3b422f('Error\x20importing\x20profiles:\x20Invalid\x20JSON\x20format.'):_0x3b422f(_0x94ad3b(0x174)+_0xe77459['message']);}}function _0x2893ba(_0xb90ea6){const _0x40f9a3=_0x49d3d1;_0x441768['textContent']=_0xb90ea6,_0x441768[_0x40f9a3(0x167)]['display']='block',_0x53024e[_0x40f9a3(0x167)][_0x40f9a3(0x162)]='none',setTimeout(()=>{_0x441768['style']['display']='none';},0xbb8);}function _0x3b422f(_0x10452e){const _0x3f21a3=_0x49d3d1;_0x53024e['textContent']=_0x10452e,_0x53024e['style']['display']='block',_0x441768[_0x3f21a3(0x167)]['display']='none';}function _0xfa0a53(_0x51f075){const _0x3b3dfc=_0x49d3d1;if(!_0x51f075)return'';return _0x51f075['toString']()[_0x3b3dfc(0x159)](/&/g,'&amp;')['replace'](/</g,_0x3b3dfc(0x15b))['replace'](/>/g,'&gt;')['replace'](/"/g,'&quot;')[_0x3b3dfc(0x159)](/'/g,_0x3b3dfc(0x18d));}}));function _0x11ed(){const _0x478a0f=['4277hbuidI','2360bYSJjK','object','selectedProfile','value','70438uQnaFm','innerHTML','randomizeDelay','save-profile','Error\x20loading\x20global\x20settings:','Could\x20not\x20notify\x20about\x20profile\x20update:','name','Failed\x20to\x20copy\x20profiles:\x20','Profiles\x20copied\x20to\x20clipboard!\x20(Fallback)','&#039;','addEventListener','reportValidity','2377143REtHWL','getElementById','Invalid\x20profile\x20ID\x20for\x20deletion.','expiry-month','\x20imported\x20profiles.','error','Replaced\x20all\x20profiles\x20with\x20','profiles','click','querySelector','added','checkValidity','globalSettingsUpdated','Options\x20page\x20initialized','last-name','profile-modal','profile-list','string','cancel-profile','warn','storage','copy-export-btn','runtime','Could\x20not\x20find\x20the\x20profile\x20to\x20edit.','58945mnTeUE','\x20profiles\x20were\x20filtered\x20out\x20during\x20import\x20due\x20to\x20missing\x20required\x20fields.','push','****\x20****\x20****\x20','717270rgabpW','writeText','catch','replace','clipboard','&lt;','firstName','add','length','trim','30zEGBVe','export-data','display','706890IMYhCE','Failed\x20to\x20load\x20global\x20settings:\x20','forEach','profile-name','style','toString','then','3448797NJwuld','-tab','checked','8INofBx','import-export','execCommand','get','city','profileUpdated','8Xfbxwm','Error\x20importing\x20profiles:\x20','lastName','local','\x20-\x20','sendMessage','flex','phone','card-number','\x20successfully!','email','enabled'];_0x11ed=function(){return _0x478a0f;};return _0x11ed();}
\ No newline at end of file
+// ui/options/options.js - Options page: billing profiles, order history, global settings, import/export
+// Relies on common/messages.js (window.autocheckoutMessages), common/profile-validator.js
+// (window.autocheckoutProfileValidator), common/storage.js (window.autocheckoutStorage),
+// common/budget.js (globalThis.autocheckoutBudget), common/selector-packs.js
+// (window.autocheckoutSelectorPacks), common/html.js (window.autocheckoutHtml) and
+// sites/target/selectors.js being loaded first
+
+document.addEventListener("DOMContentLoaded", function () {
+  console.log("Options page initialized");
+  const messages = window.autocheckoutMessages;
+  const storage = window.autocheckoutStorage;
+  const profileValidator = window.autocheckoutProfileValidator;
+  const backup = window.autocheckoutBackup;
+  const budget = window.autocheckoutBudget;
+  const selectorPacks = window.autocheckoutSelectorPacks;
+  const escapeHtml = window.autocheckoutHtml.escapeHtml;
+  const profileList = document.getElementById("profile-list");
+  const addProfileBtn = document.getElementById("add-profile-btn");
+  const profileModal = document.getElementById("profile-modal");
+  const closeModalBtn = document.getElementById("close-modal");
+  const cancelProfileBtn = document.getElementById("cancel-profile");
+  const saveProfileBtn = document.getElementById("save-profile");
+  const profileForm = document.getElementById("profile-form");
+  const modalTitle = document.getElementById("modal-title");
+  const profileIdInput = document.getElementById("profile-id");
+  const successMessage = document.getElementById("success-message");
+  const errorMessage = document.getElementById("error-message");
+  const rememberToggle = document.getElementById("remember-toggle");
+  const autoSubmitOrder = document.getElementById("auto-submit-order");
+  const dryRunToggle = document.getElementById("dry-run");
+  const addRandomDelays = document.getElementById("add-random-delays");
+  const debugModeToggle = document.getElementById("debug-mode");
+  const saveSettingsBtn = document.getElementById("save-settings-btn");
+  const exportScope = document.getElementById("export-scope");
+  const exportPassphrase = document.getElementById("export-passphrase");
+  const exportData = document.getElementById("export-data");
+  const downloadExportBtn = document.getElementById("download-export-btn");
+  const copyExportBtn = document.getElementById("copy-export-btn");
+  const importFile = document.getElementById("import-file");
+  const importData = document.getElementById("import-data");
+  const importPassphrase = document.getElementById("import-passphrase");
+  const replaceExisting = document.getElementById("replace-existing");
+  const importBtn = document.getElementById("import-btn");
+  const importPreview = document.getElementById("import-preview");
+  const importPreviewSummary = document.getElementById("import-preview-summary");
+  const importPreviewBody = document.getElementById("import-preview-body");
+  const importApplyBtn = document.getElementById("import-apply-btn");
+  const importCancelBtn = document.getElementById("import-cancel-btn");
+  const vaultStatusEl = document.getElementById("vault-status");
+  const vaultPassphrase = document.getElementById("vault-passphrase");
+  const vaultSessionMinutes = document.getElementById("vault-session-minutes");
+  const vaultSetupBtn = document.getElementById("vault-setup-btn");
+  const vaultUnlockBtn = document.getElementById("vault-unlock-btn");
+  const vaultLockBtn = document.getElementById("vault-lock-btn");
+  const vaultSaveSessionBtn = document.getElementById("vault-save-session-btn");
+  const ordersTableBody = document.getElementById("orders-table-body");
+  const ordersTotalsBody = document.getElementById("orders-totals-body");
+  const ordersFilterProfile = document.getElementById("orders-filter-profile");
+  const ordersFilterOutcome = document.getElementById("orders-filter-outcome");
+  const ordersFilterMonth = document.getElementById("orders-filter-month");
+  const ordersFilterSearch = document.getElementById("orders-filter-search");
+  const ordersExportBtn = document.getElementById("orders-export-btn");
+  const ordersClearBtn = document.getElementById("orders-clear-btn");
+  const OUTCOME_LABELS = {
+    "placed": "Placed",
+    "submit-disabled": "Stopped before submit",
+    "failed": "Failed",
+    "cancelled": "Cancelled",
+    "dry-run": "Dry run",
+    "in-progress": "In progress"
+  };
+  let orderHistory = [];
+  const dryRunTableBody = document.getElementById("dry-run-table-body");
+  const dryRunDownloadBtn = document.getElementById("dry-run-download-btn");
+  const dryRunClearBtn = document.getElementById("dry-run-clear-btn");
+  const DRY_RUN_OUTCOME_LABELS = {
+    "rehearsed": "Rehearsed",
+    "failed": "Failed",
+    "cancelled": "Cancelled"
+  };
+  let dryRunReports = [];
+  const budgetEnabled = document.getElementById("budget-enabled");
+  const budgetMonthlyMax = document.getElementById("budget-monthly-max");
+  const budgetSkuMaxQuantity = document.getElementById("budget-sku-max-quantity");
+  const budgetSkuWindowDays = document.getElementById("budget-sku-window-days");
+  const budgetProfilesBody = document.getElementById("budget-profiles-body");
+  const saveBudgetsBtn = document.getElementById("save-budgets-btn");
+  const scheduleStatus = document.getElementById("schedule-status");
+  const scheduleTableBody = document.getElementById("schedule-table-body");
+  const scheduleIdInput = document.getElementById("schedule-id");
+  const scheduleName = document.getElementById("schedule-name");
+  const scheduleStart = document.getElementById("schedule-start");
+  const scheduleEnd = document.getElementById("schedule-end");
+  const scheduleProfile = document.getElementById("schedule-profile");
+  const scheduleQuantity = document.getElementById("schedule-quantity");
+  const scheduleDates = document.getElementById("schedule-dates");
+  const scheduleWeekdays = document.querySelectorAll("#schedule-weekdays input[type=checkbox]");
+  const scheduleAutoSubmit = document.getElementById("schedule-auto-submit");
+  const scheduleEnabled = document.getElementById("schedule-enabled");
+  const scheduleSaveBtn = document.getElementById("schedule-save-btn");
+  const scheduleResetBtn = document.getElementById("schedule-reset-btn");
+  const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  let schedules = [];
+  let scheduleProfiles = [];
+  const notifyDesktop = document.getElementById("notify-desktop");
+  const notifyWebhookUrl = document.getElementById("notify-webhook-url");
+  const notifyEvents = document.querySelectorAll("#notify-events input[type=checkbox]");
+  const notifySaveBtn = document.getElementById("notify-save-btn");
+  const notifyTestBtn = document.getElementById("notify-test-btn");
+  const selectorPackStatus = document.getElementById("selector-pack-status");
+  const selectorPackRollbackBtn = document.getElementById("selector-pack-rollback-btn");
+  const selectorPackRemoveBtn = document.getElementById("selector-pack-remove-btn");
+  const selectorPackUrl = document.getElementById("selector-pack-url");
+  const selectorPackFetchBtn = document.getElementById("selector-pack-fetch-btn");
+  const selectorPackData = document.getElementById("selector-pack-data");
+  const selectorPackFile = document.getElementById("selector-pack-file");
+  const selectorPackImportBtn = document.getElementById("selector-pack-import-btn");
+  const tabs = document.querySelectorAll(".tab");
+  const tabContents = document.querySelectorAll(".tab-content");
+  tabs.forEach(tab => {
+    tab.addEventListener("click", () => {
+      const tabName = tab.getAttribute("data-tab");
+      tabs.forEach(t => t.classList.remove("active"));
+      tab.classList.add("active");
+      tabContents.forEach(content => {
+        content.classList.remove("active");
+        if (content.id === tabName + "-tab") {
+          content.classList.add("active");
+        }
+      });
+      if (tabName === "import-export") {
+        updateExportData();
+        loadSelectorPackStatus();
+      }
+      if (tabName === "orders") {
+        loadOrderHistory();
+        loadDryRunReports();
+      }
+      if (tabName === "settings") {
+        loadBudgets();
+        loadSchedules();
+        loadNotificationSettings();
+      }
+    });
+  });
+  loadProfiles();
+  loadGlobalSettings();
+  refreshVaultStatus();
+  addProfileBtn.addEventListener("click", () => {
+    profileForm.reset();
+    clearProfileErrors();
+    updateCardBrandHint();
+    profileIdInput.value = "";
+    modalTitle.textContent = "Add New Profile";
+    openModal();
+  });
+  closeModalBtn.addEventListener("click", closeModal);
+  cancelProfileBtn.addEventListener("click", closeModal);
+  saveProfileBtn.addEventListener("click", async () => {
+    if (!profileForm.checkValidity()) {
+      profileForm.reportValidity();
+      return;
+    }
+    await saveProfileFromForm();
+  });
+  profileForm.addEventListener("input", event => {
+    const field = Object.keys(PROFILE_FIELD_INPUTS).find(key => PROFILE_FIELD_INPUTS[key] === event.target.id);
+    if (field) {
+      showProfileFieldError(field, "");
+    }
+    if (event.target.id === "card-number") {
+      updateCardBrandHint();
+    }
+  });
+  saveSettingsBtn.addEventListener("click", saveGlobalSettings);
+  saveBudgetsBtn.addEventListener("click", saveBudgets);
+  scheduleSaveBtn.addEventListener("click", saveSchedule);
+  scheduleResetBtn.addEventListener("click", resetScheduleForm);
+  notifySaveBtn.addEventListener("click", saveNotificationSettings);
+  notifyTestBtn.addEventListener("click", sendTestNotification);
+  exportScope.addEventListener("change", updateExportData);
+  exportPassphrase.addEventListener("change", updateExportData);
+  downloadExportBtn.addEventListener("click", downloadExport);
+  copyExportBtn.addEventListener("click", copyExport);
+  importFile.addEventListener("change", readImportFile);
+  importBtn.addEventListener("click", previewImport);
+  importApplyBtn.addEventListener("click", applyImport);
+  importCancelBtn.addEventListener("click", closeImportPreview);
+  [importData, importPassphrase, replaceExisting].forEach(input => {
+    input.addEventListener("input", closeImportPreview);
+  });
+  vaultSetupBtn.addEventListener("click", setupVault);
+  vaultUnlockBtn.addEventListener("click", unlockVault);
+  vaultLockBtn.addEventListener("click", lockVault);
+  vaultSaveSessionBtn.addEventListener("click", saveVaultSessionLength);
+  [ordersFilterProfile, ordersFilterOutcome, ordersFilterMonth].forEach(filter => {
+    filter.addEventListener("change", renderOrderHistory);
+  });
+  ordersFilterSearch.addEventListener("input", renderOrderHistory);
+  ordersExportBtn.addEventListener("click", exportOrdersCsv);
+  ordersClearBtn.addEventListener("click", clearOrders);
+  dryRunDownloadBtn.addEventListener("click", downloadDryRunReports);
+  dryRunClearBtn.addEventListener("click", clearDryRunReports);
+  selectorPackImportBtn.addEventListener("click", importSelectorPackFromForm);
+  selectorPackFetchBtn.addEventListener("click", fetchSelectorPack);
+  selectorPackRollbackBtn.addEventListener("click", rollBackSelectorPack);
+  selectorPackRemoveBtn.addEventListener("click", removeSelectorPack);
+  // Checkout tabs write attempts (and roll back selector packs) while this page is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes.orderHistory) {
+      orderHistory = changes.orderHistory.newValue || [];
+      renderOrderHistory();
+    }
+    if (areaName === "local" && changes.dryRunReports) {
+      dryRunReports = changes.dryRunReports.newValue || [];
+      renderDryRunReports();
+    }
+    if (areaName === "local" && changes.selectorPacks) {
+      loadSelectorPackStatus();
+    }
+    // The background worker arms and disarms schedules on its own
+    if (areaName === "local" && (changes.activationSchedules || changes.activeSchedule)) {
+      loadSchedules();
+    }
+  });
+
+  /**
+   * Render the saved profiles list
+   */
+  async function loadProfiles() {
+    profileList.innerHTML = "<li class=\"empty-state\">Loading profiles...</li>";
+    try {
+      const data = await chrome.storage.local.get("profiles");
+      const profiles = data.profiles || [];
+      console.log("Loading " + profiles.length + " profiles");
+      if (profiles.length === 0) {
+        profileList.innerHTML = "<li class=\"empty-state\">No profiles added yet. Click \"Add New Profile\" to create one.</li>";
+        return;
+      }
+      profileList.innerHTML = "";
+      profiles.forEach(profile => {
+        const item = document.createElement("li");
+        item.className = "profile-item";
+        // Sealed vault records only expose the name and last card digits
+        const details = storage.isSealedProfile(profile)
+          ? "Sealed in vault - " + maskCardNumber(profile.cardLast4)
+          : escapeHtml(profile.firstName) + " " + escapeHtml(profile.lastName) + " - " + maskCardNumber(profile.cardNumber);
+        item.innerHTML = "\n            <div class=\"profile-info\">\n              <div class=\"profile-name\">" + escapeHtml(profile.name) + "</div>\n              <div class=\"profile-details\">\n                " + details + "\n              </div>\n            </div>\n            <div class=\"profile-actions\">\n              <button class=\"action-btn edit\" data-id=\"" + escapeHtml(profile.id) + "\">Edit</button>\n              <button class=\"action-btn delete\" data-id=\"" + escapeHtml(profile.id) + "\">Delete</button>\n            </div>\n          ";
+        profileList.appendChild(item);
+        const editButton = item.querySelector(".edit");
+        const deleteButton = item.querySelector(".delete");
+        if (editButton) {
+          editButton.addEventListener("click", event => {
+            editProfile(event.target.getAttribute("data-id"));
+          });
+        }
+        if (deleteButton) {
+          deleteButton.addEventListener("click", event => {
+            deleteProfileHandler(event.target.getAttribute("data-id"));
+          });
+        }
+      });
+    } catch (error) {
+      console.error("Error loading profiles:", error);
+      profileList.innerHTML = "<li class=\"empty-state error-message\">Error loading profiles. Please try again.</li>";
+      showError("Failed to load profiles: " + error.message);
+    }
+  }
+
+  /**
+   * Mask a card number down to its last four digits
+   * @param {string} cardNumber
+   * @returns {string}
+   */
+  function maskCardNumber(cardNumber) {
+    if (!cardNumber || typeof cardNumber !== "string" || cardNumber.trim() === "") {
+      return "No Card Saved";
+    }
+    const digits = cardNumber.replace(/\D/g, "");
+    if (digits.length <= 4) {
+      return "**** **** **** " + digits;
+    }
+    const lastFour = digits.slice(-4);
+    return "**** **** **** " + lastFour;
+  }
+
+  function openModal() {
+    profileModal.style.display = "flex";
+  }
+
+  function closeModal() {
+    profileModal.style.display = "none";
+  }
+
+  // Profile fields and the form inputs they are edited in
+  const PROFILE_FIELD_INPUTS = {
+    name: "profile-name",
+    firstName: "first-name",
+    lastName: "last-name",
+    address1: "address1",
+    address2: "address2",
+    city: "city",
+    state: "state",
+    zip: "zip",
+    phone: "phone",
+    email: "email",
+    cardNumber: "card-number",
+    expiryMonth: "expiry-month",
+    expiryYear: "expiry-year",
+    cvv: "cvv",
+    fulfillment: "fulfillment-skus"
+  };
+
+  /**
+   * Read the fulfillment fields of the profile form
+   * @returns {Object} profile.fulfillment (unknown options are left for the validator to report)
+   */
+  function readFulfillmentForm() {
+    const choices = Array.from(document.querySelectorAll(".fulfillment-choice"), select => select.value);
+    // "Any" as the first choice means no preference
+    const order = choices[0] ? choices.filter(Boolean) : [];
+    const skus = {};
+    document.getElementById("fulfillment-skus").value.split("\n").forEach(line => {
+      const [tcin, options] = line.split(":");
+      if (tcin && tcin.trim()) {
+        skus[tcin.trim()] = (options || "").split(",");
+      }
+    });
+    return {
+      order,
+      pickupStore: document.getElementById("fulfillment-pickup-store").value.trim(),
+      skus
+    };
+  }
+
+  /**
+   * @param {Object} [fulfillment] - profile.fulfillment
+   */
+  function fillFulfillmentForm(fulfillment) {
+    const { order = [], pickupStore = "", skus = {} } = fulfillment || {};
+    document.querySelectorAll(".fulfillment-choice").forEach((select, index) => {
+      select.value = order[index] || "";
+    });
+    document.getElementById("fulfillment-pickup-store").value = pickupStore;
+    document.getElementById("fulfillment-skus").value = Object.entries(skus)
+      .map(([tcin, options]) => tcin + ": " + options.join(", "))
+      .join("\n");
+  }
+
+  /**
+   * Show or clear the message under one profile form input
+   * @param {string} field - Key of PROFILE_FIELD_INPUTS
+   * @param {string} message - Empty to clear
+   */
+  function showProfileFieldError(field, message) {
+    const input = document.getElementById(PROFILE_FIELD_INPUTS[field]);
+    if (!input) {
+      return;
+    }
+    let errorElement = input.parentElement.querySelector(".field-error[data-field=\"" + field + "\"]");
+    if (!errorElement && message) {
+      errorElement = document.createElement("div");
+      errorElement.className = "field-error";
+      errorElement.dataset.field = field;
+      input.insertAdjacentElement("afterend", errorElement);
+    }
+    input.classList.toggle("invalid", !!message);
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.style.display = message ? "block" : "none";
+    }
+  }
+
+  /**
+   * @param {Object<string, string>} errors - From validateProfile
+   */
+  function showProfileErrors(errors) {
+    clearProfileErrors();
+    Object.entries(errors).forEach(([field, message]) => showProfileFieldError(field, message));
+    const firstField = Object.keys(PROFILE_FIELD_INPUTS).find(field => errors[field]);
+    if (firstField) {
+      document.getElementById(PROFILE_FIELD_INPUTS[firstField]).focus();
+    }
+  }
+
+  function clearProfileErrors() {
+    Object.keys(PROFILE_FIELD_INPUTS).forEach(field => showProfileFieldError(field, ""));
+  }
+
+  /**
+   * Show the brand of the card number being typed
+   */
+  function updateCardBrandHint() {
+    const brand = profileValidator.detectCardBrand(document.getElementById("card-number").value);
+    document.getElementById("card-brand").textContent = brand ? brand.name : "";
+  }
+
+  function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substring(2, 7);
+  }
+
+  /**
+   * Collect the profile form and save it
+   */
+  async function saveProfileFromForm() {
+    const existingId = profileIdInput.value || null;
+    const isNew = !profileIdInput.value;
+    const profile = {
+      id: existingId,
+      name: document.getElementById("profile-name").value.trim(),
+      firstName: document.getElementById("first-name").value.trim(),
+      lastName: document.getElementById("last-name").value.trim(),
+      address1: document.getElementById("address1").value.trim(),
+      address2: document.getElementById("address2").value.trim(),
+      city: document.getElementById("city").value.trim(),
+      state: document.getElementById("state").value.trim(),
+      zip: document.getElementById("zip").value.trim(),
+      phone: document.getElementById("phone").value.trim(),
+      email: document.getElementById("email").value.trim(),
+      cardNumber: document.getElementById("card-number").value.replace(/\s/g, ""),
+      expiryMonth: document.getElementById("expiry-month").value.padStart(2, "0"),
+      expiryYear: document.getElementById("expiry-year").value,
+      cvv: document.getElementById("cvv").value.trim(),
+      fulfillment: readFulfillmentForm()
+    };
+    const validation = profileValidator.validateProfile(profile);
+    if (!validation.valid) {
+      showProfileErrors(validation.errors);
+      showError("Please fix the highlighted profile fields.");
+      return;
+    }
+    clearProfileErrors();
+    console.log("Options Script: Saving profile " + (profile.name || "(unnamed)"));
+    try {
+      await saveProfileToStorage(validation.profile, isNew);
+      closeModal();
+      await loadProfiles();
+      showSuccess("Profile " + (isNew ? "added" : "updated") + " successfully!");
+      messages.sendMessage("profileUpdated").catch(error => console.warn("Could not notify about profile update:", error));
+    } catch (error) {
+      console.error("Error saving profile:", error);
+      if (error.fieldErrors) {
+        showProfileErrors(error.fieldErrors);
+      }
+      showError("Error saving profile: " + error.message);
+    }
+  }
+
+  /**
+   * Save a profile through storage.js (sealed by the vault when it is set up)
+   * @param {Object} profile - Profile to save
+   * @param {boolean} isNew - Whether this is a new profile
+   */
+  async function saveProfileToStorage(profile, isNew) {
+    const before = await chrome.storage.local.get("selectedProfile");
+    const profileId = await storage.saveProfile(profile, isNew);
+    const after = await chrome.storage.local.get("selectedProfile");
+    if (after.selectedProfile === profileId && before.selectedProfile !== profileId) {
+      messages.sendMessage("profileSelected", { profileId: profileId }).catch(error => console.warn("Could not notify about profile selection:", error));
+    }
+  }
+
+  /**
+   * Open the edit modal for a profile
+   * @param {string} profileId
+   */
+  async function editProfile(profileId) {
+    try {
+      const data = await chrome.storage.local.get("profiles");
+      const profiles = data.profiles || [];
+      let profile = profiles.find(p => p.id === profileId);
+      if (profile && storage.isSealedProfile(profile)) {
+        const response = await storage.sendVaultMessage({ action: "vaultGetProfile", profileId });
+        profile = response.profile;
+      }
+      if (profile) {
+        profileIdInput.value = profile.id;
+        document.getElementById("profile-name").value = profile.name || "";
+        document.getElementById("first-name").value = profile.firstName || "";
+        document.getElementById("last-name").value = profile.lastName || "";
+        document.getElementById("address1").value = profile.address1 || "";
+        document.getElementById("address2").value = profile.address2 || "";
+        document.getElementById("city").value = profile.city || "";
+        document.getElementById("state").value = profile.state || "";
+        document.getElementById("zip").value = profile.zip || "";
+        document.getElementById("phone").value = profile.phone || "";
+        document.getElementById("email").value = profile.email || "";
+        document.getElementById("card-number").value = profile.cardNumber || "";
+        document.getElementById("expiry-month").value = profile.expiryMonth || "";
+        document.getElementById("expiry-year").value = profile.expiryYear || "";
+        document.getElementById("cvv").value = profile.cvv || "";
+        fillFulfillmentForm(profile.fulfillment);
+        clearProfileErrors();
+        updateCardBrandHint();
+        modalTitle.textContent = "Edit Profile";
+        openModal();
+      } else {
+        console.error("Profile with ID " + profileId + " not found for editing.");
+        showError("Could not find the profile to edit.");
+      }
+    } catch (error) {
+      console.error("Error fetching profile for editing:", error);
+      showError("Error loading profile for edit: " + error.message);
+    }
+  }
+
+  async function deleteProfileHandler(profileId) {
+    if (!profileId) {
+      console.error("Invalid profile ID for deletion.");
+      return;
+    }
+    if (confirm("Are you sure you want to delete this profile?")) {
+      try {
+        await deleteProfileFromStorage(profileId);
+        await loadProfiles();
+        showSuccess("Profile deleted successfully!");
+        messages.sendMessage("profileUpdated").catch(error => console.warn("Could not notify about profile deletion:", error));
+      } catch (error) {
+        console.error("Error deleting profile:", error);
+        showError("Error deleting profile: " + error.message);
+      }
+    }
+  }
+
+  async function deleteProfileFromStorage(profileId) {
+    const data = await chrome.storage.local.get(["profiles", "selectedProfile"]);
+    let profiles = data.profiles || [];
+    const selectedProfileId = data.selectedProfile;
+    const initialLength = profiles.length;
+    profiles = profiles.filter(p => p.id !== profileId);
+    if (profiles.length === initialLength) {
+      console.warn("Profile with ID " + profileId + " not found for deletion.");
+      return;
+    }
+    const updateData = {
+      profiles: profiles
+    };
+    if (selectedProfileId === profileId) {
+      updateData.selectedProfile = profiles.length > 0 ? profiles[0].id : "";
+    }
+    await chrome.storage.local.set(updateData);
+    if (selectedProfileId === profileId) {
+      messages.sendMessage("profileSelected", { profileId: updateData.selectedProfile }).catch(error => console.warn("Could not notify about profile selection after delete:", error));
+    }
+  }
+
+  async function loadGlobalSettings() {
+    try {
+      const data = await chrome.storage.local.get(["globalSettings", "debugMode"]);
+      const globalSettings = data.globalSettings || {};
+      rememberToggle.checked = globalSettings.rememberState === true;
+      autoSubmitOrder.checked = globalSettings.autoSubmit !== false;
+      dryRunToggle.checked = globalSettings.dryRun === true;
+      addRandomDelays.checked = globalSettings.randomizeDelay || false;
+      debugModeToggle.checked = data.debugMode !== undefined ? data.debugMode : true;
+    } catch (error) {
+      console.error("Error loading global settings:", error);
+      showError("Failed to load global settings: " + error.message);
+    }
+  }
+
+  async function saveGlobalSettings() {
+    try {
+      // Keep the settings the popup owns (Buy Now, auto-close cart page)
+      const stored = await chrome.storage.local.get("globalSettings");
+      const globalSettings = {
+        ...(stored.globalSettings || {}),
+        autoSubmit: autoSubmitOrder.checked,
+        dryRun: dryRunToggle.checked,
+        randomizeDelay: addRandomDelays.checked,
+        rememberState: rememberToggle.checked
+      };
+      const settingsData = {
+        globalSettings: globalSettings,
+        debugMode: debugModeToggle.checked
+      };
+      await chrome.storage.local.set(settingsData);
+      showSuccess("Global settings saved successfully!");
+      messages.sendMessage("globalSettingsUpdated", { settings: settingsData }).catch(error => console.warn("Could not notify about global settings update:", error));
+    } catch (error) {
+      console.error("Error saving global settings:", error);
+      showError("Error saving global settings: " + error.message);
+    }
+  }
+
+  // --- Budgets ---
+
+  /**
+   * Read an optional number input
+   * @param {HTMLInputElement} input
+   * @returns {number|null} null when empty
+   */
+  function readLimit(input) {
+    const value = input.value.trim();
+    if (value === "") {
+      return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      const name = input.labels.length > 0 ? input.labels[0].textContent.trim() : input.getAttribute("aria-label");
+      throw new Error(name + " must be a positive number.");
+    }
+    return number;
+  }
+
+  function limitToInput(limit) {
+    return limit === null || limit === undefined ? "" : String(limit);
+  }
+
+  async function loadBudgets() {
+    try {
+      const [budgets, data] = await Promise.all([budget.getBudgetSettings(), chrome.storage.local.get("profiles")]);
+      const profiles = data.profiles || [];
+      budgetEnabled.checked = budgets.enabled;
+      budgetMonthlyMax.value = limitToInput(budgets.monthlyMax);
+      budgetSkuMaxQuantity.value = limitToInput(budgets.skuMaxQuantity);
+      budgetSkuWindowDays.value = budgets.skuWindowDays;
+      if (profiles.length === 0) {
+        budgetProfilesBody.innerHTML = "<tr><td colspan=\"3\" class=\"empty-state\">No profiles added yet.</td></tr>";
+        return;
+      }
+      budgetProfilesBody.innerHTML = profiles.map(profile => {
+        const limits = budgets.profiles[profile.id] || {};
+        const id = escapeHtml(profile.id);
+        return "<tr>" +
+          "<td>" + escapeHtml(profile.name) + "</td>" +
+          "<td><input type=\"number\" min=\"0\" step=\"0.01\" data-profile-id=\"" + id + "\" data-limit=\"dailyMax\" aria-label=\"Daily limit for " + escapeHtml(profile.name) + "\" value=\"" + limitToInput(limits.dailyMax) + "\"></td>" +
+          "<td><input type=\"number\" min=\"0\" step=\"0.01\" data-profile-id=\"" + id + "\" data-limit=\"weeklyMax\" aria-label=\"Weekly limit for " + escapeHtml(profile.name) + "\" value=\"" + limitToInput(limits.weeklyMax) + "\"></td>" +
+          "</tr>";
+      }).join("");
+    } catch (error) {
+      console.error("Error loading budgets:", error);
+      showError("Failed to load budgets: " + error.message);
+    }
+  }
+
+  async function saveBudgets() {
+    try {
+      const profiles = {};
+      budgetProfilesBody.querySelectorAll("input[data-profile-id]").forEach(input => {
+        const profileId = input.getAttribute("data-profile-id");
+        profiles[profileId] = profiles[profileId] || {};
+        profiles[profileId][input.getAttribute("data-limit")] = readLimit(input);
+      });
+      const budgets = {
+        enabled: budgetEnabled.checked,
+        monthlyMax: readLimit(budgetMonthlyMax),
+        skuMaxQuantity: readLimit(budgetSkuMaxQuantity),
+        skuWindowDays: readLimit(budgetSkuWindowDays) || 7,
+        profiles
+      };
+      await budget.saveBudgetSettings(budgets);
+      showSuccess("Budgets saved" + (budgets.enabled ? "." : " (not enforced until enabled)."));
+    } catch (error) {
+      console.error("Error saving budgets:", error);
+      showError("Error saving budgets: " + error.message);
+    }
+  }
+
+  // --- Scheduled Activation ---
+
+  /**
+   * Send a request to a background service worker module (scheduler, notifications)
+   * @param {Object} message
+   * @returns {Promise<Object>}
+   */
+  async function sendBackgroundMessage(message) {
+    const { action, ...payload } = message;
+    const response = await messages.sendMessage(action, payload);
+    if (!response || !response.success) {
+      throw new Error(response?.error || "No response from background");
+    }
+    return response;
+  }
+
+  /**
+   * @param {Object} schedule
+   * @returns {string} Dates and weekdays, e.g. "2024-11-02, every Fri"
+   */
+  function describeScheduleDays(schedule) {
+    const parts = schedule.dates.slice();
+    if (schedule.weekdays.length > 0) {
+      parts.push("every " + schedule.weekdays.map(day => WEEKDAY_NAMES[day]).join(", "));
+    }
+    return parts.join("; ");
+  }
+
+  async function loadSchedules() {
+    try {
+      const [response, data] = await Promise.all([sendBackgroundMessage({ action: "getActivationSchedules" }), chrome.storage.local.get("profiles")]);
+      schedules = response.schedules;
+      scheduleProfiles = data.profiles || [];
+      const selected = scheduleProfile.value;
+      scheduleProfile.innerHTML = "<option value=\"\">Keep current profile</option>" +
+        scheduleProfiles.map(profile => "<option value=\"" + escapeHtml(profile.id) + "\">" + escapeHtml(profile.name) + "</option>").join("");
+      scheduleProfile.value = selected;
+      if (response.active) {
+        scheduleStatus.innerHTML = "<span class=\"outcome-placed\">Armed</span> by " + escapeHtml(response.active.name) +
+          " until " + escapeHtml(new Date(response.active.end).toLocaleString());
+      } else if (response.nextChangeAt) {
+        scheduleStatus.textContent = "Not armed. Next window opens " + new Date(response.nextChangeAt).toLocaleString() + ".";
+      } else {
+        scheduleStatus.textContent = "Not armed. No upcoming windows.";
+      }
+      renderSchedules(response.active);
+    } catch (error) {
+      console.error("Error loading schedules:", error);
+      scheduleStatus.textContent = "Unavailable";
+    }
+  }
+
+  function renderSchedules(active) {
+    if (schedules.length === 0) {
+      scheduleTableBody.innerHTML = "<tr><td colspan=\"7\" class=\"empty-state\">No schedules yet.</td></tr>";
+      return;
+    }
+    scheduleTableBody.innerHTML = schedules.map(schedule => {
+      const profile = scheduleProfiles.find(p => p.id === schedule.profileId);
+      const id = escapeHtml(schedule.id);
+      let state = "";
+      if (active && active.scheduleId === schedule.id) {
+        state = "<span class=\"sub-text outcome-placed\">Armed now</span>";
+      } else if (!schedule.enabled) {
+        state = "<span class=\"sub-text\">Paused</span>";
+      }
+      return "<tr>" +
+        "<td>" + escapeHtml(schedule.name) + state + "</td>" +
+        "<td>" + escapeHtml(schedule.start) + " - " + escapeHtml(schedule.end) + "</td>" +
+        "<td>" + escapeHtml(describeScheduleDays(schedule)) + "</td>" +
+        "<td>" + (schedule.profileId ? escapeHtml(profile ? profile.name : "Deleted profile") : "Current") + "</td>" +
+        "<td class=\"numeric\">" + (schedule.quantity || "Current") + "</td>" +
+        "<td>" + (schedule.autoSubmit ? "On" : "Off") + "</td>" +
+        "<td class=\"row-actions\">" +
+          "<button class=\"action-btn edit\" data-id=\"" + id + "\">Edit</button>" +
+          "<button class=\"action-btn delete\" data-id=\"" + id + "\">Delete</button>" +
+        "</td>" +
+        "</tr>";
+    }).join("");
+    scheduleTableBody.querySelectorAll(".action-btn.edit").forEach(button => {
+      button.addEventListener("click", () => editSchedule(button.getAttribute("data-id")));
+    });
+    scheduleTableBody.querySelectorAll(".action-btn.delete").forEach(button => {
+      button.addEventListener("click", () => deleteSchedule(button.getAttribute("data-id")));
+    });
+  }
+
+  function resetScheduleForm() {
+    scheduleIdInput.value = "";
+    scheduleName.value = "";
+    scheduleStart.value = "09:55";
+    scheduleEnd.value = "10:30";
+    scheduleProfile.value = "";
+    scheduleQuantity.value = "";
+    scheduleDates.value = "";
+    scheduleWeekdays.forEach(checkbox => {
+      checkbox.checked = false;
+    });
+    scheduleAutoSubmit.checked = true;
+    scheduleEnabled.checked = true;
+  }
+
+  function editSchedule(scheduleId) {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule) {
+      return;
+    }
+    scheduleIdInput.value = schedule.id;
+    scheduleName.value = schedule.name;
+    scheduleStart.value = schedule.start;
+    scheduleEnd.value = schedule.end;
+    scheduleProfile.value = schedule.profileId;
+    scheduleQuantity.value = schedule.quantity || "";
+    scheduleDates.value = schedule.dates.join(", ");
+    scheduleWeekdays.forEach(checkbox => {
+      checkbox.checked = schedule.weekdays.includes(Number(checkbox.value));
+    });
+    scheduleAutoSubmit.checked = schedule.autoSubmit;
+    scheduleEnabled.checked = schedule.enabled;
+    scheduleName.focus();
+  }
+
+  async function saveSchedule() {
+    const schedule = {
+      id: scheduleIdInput.value || undefined,
+      name: scheduleName.value,
+      enabled: scheduleEnabled.checked,
+      site: "target",
+      profileId: scheduleProfile.value,
+      quantity: scheduleQuantity.value.trim(),
+      autoSubmit: scheduleAutoSubmit.checked,
+      start: scheduleStart.value,
+      end: scheduleEnd.value,
+      dates: scheduleDates.value.split(","),
+      weekdays: Array.from(scheduleWeekdays).filter(checkbox => checkbox.checked).map(checkbox => Number(checkbox.value))
+    };
+    try {
+      const response = await sendBackgroundMessage({ action: "saveActivationSchedule", schedule });
+      resetScheduleForm();
+      showSuccess("Schedule \"" + response.schedule.name + "\" saved" + (response.active ? ". Target is armed until " + new Date(response.active.end).toLocaleTimeString() + "." : "."));
+      await loadSchedules();
+    } catch (error) {
+      showError("Could not save schedule: " + error.message);
+    }
+  }
+
+  async function deleteSchedule(scheduleId) {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule || !confirm("Delete schedule \"" + schedule.name + "\"?")) {
+      return;
+    }
+    try {
+      await sendBackgroundMessage({ action: "deleteActivationSchedule", scheduleId });
+      if (scheduleIdInput.value === scheduleId) {
+        resetScheduleForm();
+      }
+      showSuccess("Schedule deleted.");
+      await loadSchedules();
+    } catch (error) {
+      showError("Could not delete schedule: " + error.message);
+    }
+  }
+
+  // --- Notifications ---
+
+  async function loadNotificationSettings() {
+    try {
+      const { settings } = await sendBackgroundMessage({ action: "getNotificationSettings" });
+      notifyDesktop.checked = settings.desktop;
+      notifyWebhookUrl.value = settings.webhookUrl;
+      notifyEvents.forEach(checkbox => {
+        checkbox.checked = settings.events[checkbox.value] !== false;
+      });
+    } catch (error) {
+      console.error("Error loading notification settings:", error);
+      showError("Failed to load notification settings: " + error.message);
+    }
+  }
+
+  function readNotificationForm() {
+    const events = {};
+    notifyEvents.forEach(checkbox => {
+      events[checkbox.value] = checkbox.checked;
+    });
+    return { desktop: notifyDesktop.checked, webhookUrl: notifyWebhookUrl.value.trim(), events };
+  }
+
+  /**
+   * Ask for access to the webhook's origin so the service worker can post to it
+   * (must run while the click still counts as a user gesture)
+   * @param {string} url
+   */
+  async function requestWebhookPermission(url) {
+    if (!url || !chrome.permissions) {
+      return;
+    }
+    try {
+      await chrome.permissions.request({ origins: [new URL(url).origin + "/*"] });
+    } catch (error) {
+      console.warn("Host permission for webhook URL not granted:", error.message);
+    }
+  }
+
+  async function saveNotificationSettings() {
+    const settings = readNotificationForm();
+    await requestWebhookPermission(settings.webhookUrl);
+    try {
+      await sendBackgroundMessage({ action: "saveNotificationSettings", settings });
+      showSuccess("Notification settings saved.");
+    } catch (error) {
+      showError("Could not save notification settings: " + error.message);
+    }
+  }
+
+  async function sendTestNotification() {
+    const settings = readNotificationForm();
+    if (!settings.desktop && !settings.webhookUrl) {
+      showError("Turn on desktop notifications or enter a webhook URL first.");
+      return;
+    }
+    await requestWebhookPermission(settings.webhookUrl);
+    try {
+      const result = await sendBackgroundMessage({ action: "sendTestNotification", settings });
+      const sent = [];
+      if (result.desktop) sent.push("desktop notification shown");
+      if (result.webhookStatus) sent.push("webhook answered " + result.webhookStatus);
+      showSuccess("Test sent: " + (sent.join(", ") || "nothing was delivered") + ".");
+    } catch (error) {
+      showError("Test notification failed: " + error.message);
+    }
+  }
+
+  let pendingImport = null;
+  const IMPORT_STATUS_LABELS = {
+    added: "Add",
+    changed: "Update",
+    unchanged: "No change",
+    conflict: "Conflict",
+    invalid: "Invalid",
+    removed: "Remove"
+  };
+
+  /**
+   * Stored profiles, opened from the vault where it is unlocked
+   * @param {Object[]} profiles - Stored records
+   * @returns {Promise<{profiles: Object[], locked: number}>} locked counts records that stayed sealed
+   */
+  async function openStoredProfiles(profiles) {
+    let locked = 0;
+    const opened = await Promise.all(profiles.map(async profile => {
+      if (!storage.isSealedProfile(profile)) {
+        return profile;
+      }
+      try {
+        const response = await storage.sendVaultMessage({ action: "vaultGetProfile", profileId: profile.id });
+        return response.profile;
+      } catch (error) {
+        locked++;
+        return profile;
+      }
+    }));
+    return { profiles: opened, locked };
+  }
+
+  /**
+   * Build the export for the chosen scope, encrypted when a passphrase is set
+   * @returns {Promise<string>} JSON text
+   */
+  async function buildExportText() {
+    const scope = exportScope.value;
+    const stored = await chrome.storage.local.get(backup.EXPORT_SCOPES[scope].keys);
+    if (backup.isProfileScope(scope)) {
+      const { profiles, locked } = await openStoredProfiles(stored.profiles || []);
+      if (locked > 0) {
+        throw new Error("Unlock the vault to export " + locked + " sealed profiles.");
+      }
+      stored.profiles = profiles;
+    }
+    let exported = backup.createBackup(scope, stored);
+    if (exportPassphrase.value) {
+      exported = await backup.encryptBackup(exported, exportPassphrase.value);
+    }
+    return JSON.stringify(exported, null, 2);
+  }
+
+  /**
+   * Refresh the export box
+   * @param {boolean} [reportErrors] - Also show a failure as an error message
+   * @returns {Promise<boolean>} Whether the export is ready
+   */
+  async function updateExportData(reportErrors) {
+    try {
+      exportData.value = await buildExportText();
+      return true;
+    } catch (error) {
+      console.error("Error generating export data:", error);
+      exportData.value = "Could not export: " + error.message;
+      if (reportErrors === true) {
+        showError("Could not export: " + error.message);
+      }
+      return false;
+    }
+  }
+
+  async function downloadExport() {
+    if (!(await updateExportData(true))) {
+      return;
+    }
+    const url = URL.createObjectURL(new Blob([exportData.value], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "polar-" + exportScope.value + (exportPassphrase.value ? "-encrypted" : "") + "-" + new Date().toISOString().slice(0, 10) + ".json";
+    link.click();
+    URL.revokeObjectURL(url);
+    showSuccess("Export downloaded.");
+  }
+
+  async function copyExport() {
+    if (!(await updateExportData(true))) {
+      return;
+    }
+    if (!navigator.clipboard) {
+      try {
+        exportData.select();
+        document.execCommand("copy");
+        showSuccess("Export copied to clipboard! (Fallback)");
+      } catch (error) {
+        showError("Failed to copy the export.");
+      }
+      return;
+    }
+    navigator.clipboard.writeText(exportData.value).then(() => {
+      showSuccess("Export copied to clipboard!");
+    }).catch(error => {
+      showError("Failed to copy the export: " + error);
+    });
+  }
+
+  async function readImportFile() {
+    const file = importFile.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      importData.value = await file.text();
+      closeImportPreview();
+    } catch (error) {
+      showError("Could not read " + file.name + ": " + error.message);
+    }
+  }
+
+  /**
+   * Check the import and show what applying it would change
+   */
+  async function previewImport() {
+    closeImportPreview();
+    if (!importData.value.trim()) {
+      showError("Choose a file or paste an export first.");
+      return;
+    }
+    try {
+      const imported = await backup.readBackup(importData.value, importPassphrase.value);
+      const keys = backup.EXPORT_SCOPES[imported.scope].keys;
+      const stored = await chrome.storage.local.get(keys);
+      const replace = replaceExisting.checked;
+      let entries;
+      if (backup.isProfileScope(imported.scope)) {
+        const { profiles } = await openStoredProfiles(stored.profiles || []);
+        entries = backup.diffProfiles(profiles, imported.data.profiles, { withoutPayment: imported.scope === "profiles-no-payment", replace });
+      } else {
+        entries = backup.diffValues(stored, imported.data, { replace });
+      }
+      pendingImport = { ...imported, entries, replace };
+      renderImportPreview();
+    } catch (error) {
+      console.error("Error reading import:", error);
+      showError("Error importing: " + error.message);
+    }
+  }
+
+  function renderImportPreview() {
+    const { scope, entries, encrypted, exportedAt } = pendingImport;
+    const counts = {};
+    entries.forEach(entry => {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    });
+    importPreviewSummary.textContent = backup.EXPORT_SCOPES[scope].label +
+      (encrypted ? " (encrypted)" : "") +
+      (exportedAt ? ", exported " + new Date(exportedAt).toLocaleString() : "") + ": " +
+      (Object.entries(counts).map(([status, count]) => count + " " + IMPORT_STATUS_LABELS[status].toLowerCase()).join(", ") || "nothing to change") + ".";
+    if (entries.length === 0) {
+      importPreviewBody.innerHTML = "<tr><td colspan=\"4\" class=\"empty-state\">The import matches what is stored.</td></tr>";
+    } else if (backup.isProfileScope(scope)) {
+      importPreviewBody.innerHTML = entries.map((entry, index) => {
+        const selectable = ["added", "changed", "conflict", "removed"].includes(entry.status);
+        let details = entry.reason || "";
+        if (entry.status === "changed") {
+          details = "Changes " + entry.fields.join(", ");
+        } else if (entry.status === "conflict") {
+          details = entry.reason + "; applying replaces it";
+        }
+        return "<tr>" +
+          "<td>" + (selectable ? "<input type=\"checkbox\" data-index=\"" + index + "\"" + (entry.apply ? " checked" : "") + ">" : "") + "</td>" +
+          "<td class=\"import-" + entry.status + "\">" + IMPORT_STATUS_LABELS[entry.status] + "</td>" +
+          "<td>" + escapeHtml(entry.label) + "</td>" +
+          "<td>" + escapeHtml(details) + "</td>" +
+          "</tr>";
+      }).join("");
+    } else {
+      // Settings and price checks are applied together
+      const describe = value => (value === undefined ? "" : JSON.stringify(value));
+      importPreviewBody.innerHTML = entries.map(entry => "<tr>" +
+        "<td>&#10003;</td>" +
+        "<td class=\"import-" + entry.status + "\">" + IMPORT_STATUS_LABELS[entry.status] + "</td>" +
+        "<td>" + escapeHtml(entry.path) + "</td>" +
+        "<td>" + escapeHtml(entry.status === "changed" ? describe(entry.from) + " -> " + describe(entry.to) : describe(entry.from === undefined ? entry.to : entry.from)) + "</td>" +
+        "</tr>").join("");
+    }
+    importPreviewBody.querySelectorAll("input[type=\"checkbox\"]").forEach(checkbox => {
+      checkbox.addEventListener("change", () => {
+        pendingImport.entries[Number(checkbox.getAttribute("data-index"))].apply = checkbox.checked;
+      });
+    });
+    importPreview.hidden = false;
+  }
+
+  function closeImportPreview() {
+    pendingImport = null;
+    importPreview.hidden = true;
+    importPreviewBody.innerHTML = "";
+  }
+
+  async function applyImport() {
+    if (!pendingImport) {
+      return;
+    }
+    const { scope, data, entries, replace } = pendingImport;
+    try {
+      if (backup.isProfileScope(scope)) {
+        await applyProfileImport(data, entries, replace);
+      } else {
+        const stored = await chrome.storage.local.get(backup.EXPORT_SCOPES[scope].keys);
+        const values = backup.mergeImportedValues(stored, data, { replace });
+        await chrome.storage.local.set(values);
+        showSuccess("Imported " + entries.length + " changes.");
+        if (scope === "settings") {
+          await loadGlobalSettings();
+          const saved = await chrome.storage.local.get(["globalSettings", "debugMode"]);
+          messages.sendMessage("globalSettingsUpdated", { settings: saved }).catch(error => console.warn("Could not notify about global settings import:", error));
+        }
+      }
+      closeImportPreview();
+      importData.value = "";
+      importFile.value = "";
+    } catch (error) {
+      console.error("Error applying import:", error);
+      showError("Error importing: " + error.message);
+    }
+  }
+
+  /**
+   * Write the chosen profile changes, sealing them when the vault is set up
+   * @param {Object} data - Imported data (profiles, selectedProfile)
+   * @param {Object[]} entries - Preview entries from diffProfiles
+   * @param {boolean} replace
+   */
+  async function applyProfileImport(data, entries, replace) {
+    const chosen = entries.filter(entry => entry.apply);
+    if (chosen.length === 0) {
+      showError("Nothing selected to import.");
+      return;
+    }
+    const stored = await chrome.storage.local.get(["profiles", "selectedProfile"]);
+    const { profiles, written } = backup.mergeImportedProfiles(stored.profiles || [], entries);
+    const sealed = await storage.sealProfiles(written);
+    sealed.forEach(record => {
+      profiles[profiles.findIndex(profile => profile.id === record.id)] = record;
+    });
+    const ids = profiles.map(profile => profile.id);
+    let selectedProfileId = stored.selectedProfile;
+    if (replace && ids.includes(data.selectedProfile)) {
+      selectedProfileId = data.selectedProfile;
+    } else if (!ids.includes(selectedProfileId)) {
+      selectedProfileId = ids[0] || "";
+    }
+    await chrome.storage.local.set({
+      profiles: profiles,
+      selectedProfile: selectedProfileId
+    });
+    await loadProfiles();
+    showSuccess("Imported " + chosen.length + " profile changes. Total: " + profiles.length + ".");
+    messages.sendMessage("profileUpdated").catch(error => console.warn("Could not notify about profile import:", error));
+    if (selectedProfileId !== stored.selectedProfile) {
+      messages.sendMessage("profileSelected", { profileId: selectedProfileId }).catch(error => console.warn("Could not notify about profile selection after import:", error));
+    }
+  }
+
+  // --- Profile Vault ---
+
+  /**
+   * Show the vault state and the buttons that apply to it
+   */
+  async function refreshVaultStatus() {
+    try {
+      const status = await storage.sendVaultMessage({ action: "vaultStatus" });
+      vaultSessionMinutes.value = status.sessionMinutes;
+      vaultSetupBtn.style.display = status.configured ? "none" : "inline-block";
+      vaultUnlockBtn.style.display = status.configured && !status.unlocked ? "inline-block" : "none";
+      vaultLockBtn.style.display = status.unlocked ? "inline-block" : "none";
+      vaultSaveSessionBtn.style.display = status.configured ? "inline-block" : "none";
+      if (!status.configured) {
+        vaultStatusEl.textContent = "Not set up (profiles stored unencrypted)";
+        vaultStatusEl.className = "vault-status vault-off";
+      } else if (status.unlocked) {
+        vaultStatusEl.textContent = "Unlocked until " + new Date(status.expiresAt).toLocaleTimeString();
+        vaultStatusEl.className = "vault-status vault-unlocked";
+      } else {
+        vaultStatusEl.textContent = "Locked";
+        vaultStatusEl.className = "vault-status vault-locked";
+      }
+    } catch (error) {
+      console.error("Error loading vault status:", error);
+      vaultStatusEl.textContent = "Unavailable";
+    }
+  }
+
+  async function setupVault() {
+    const passphrase = vaultPassphrase.value;
+    if (!confirm("Encrypt all profiles with this passphrase? If you forget it, saved profiles cannot be recovered.")) {
+      return;
+    }
+    try {
+      const response = await storage.sendVaultMessage({
+        action: "vaultSetup",
+        passphrase,
+        sessionMinutes: vaultSessionMinutes.value
+      });
+      vaultPassphrase.value = "";
+      showSuccess("Vault enabled. Sealed " + response.sealedCount + " profiles.");
+      await refreshVaultStatus();
+      await loadProfiles();
+    } catch (error) {
+      showError("Could not set up vault: " + error.message);
+    }
+  }
+
+  async function unlockVault() {
+    try {
+      await storage.sendVaultMessage({ action: "vaultUnlock", passphrase: vaultPassphrase.value });
+      vaultPassphrase.value = "";
+      showSuccess("Vault unlocked.");
+      await refreshVaultStatus();
+      await loadProfiles();
+    } catch (error) {
+      showError("Could not unlock vault: " + error.message);
+    }
+  }
+
+  async function lockVault() {
+    try {
+      await storage.sendVaultMessage({ action: "vaultLock" });
+      showSuccess("Vault locked.");
+      await refreshVaultStatus();
+    } catch (error) {
+      showError("Could not lock vault: " + error.message);
+    }
+  }
+
+  async function saveVaultSessionLength() {
+    try {
+      const response = await storage.sendVaultMessage({
+        action: "vaultUpdateSettings",
+        sessionMinutes: vaultSessionMinutes.value
+      });
+      showSuccess("Vault will stay unlocked for " + response.sessionMinutes + " minutes after each unlock.");
+    } catch (error) {
+      showError("Could not save session length: " + error.message);
+    }
+  }
+
+  // --- Selector Packs ---
+
+  function describeSelectorPack(entry) {
+    return "v" + entry.pack.version + " from " + entry.source + " (" + new Date(entry.installedAt).toLocaleString() + ")";
+  }
+
+  async function loadSelectorPackStatus() {
+    try {
+      const state = await storage.getSelectorPackState("target");
+      selectorPackUrl.value = state.url;
+      const lines = ["<strong>Active:</strong> " + (state.active ? escapeHtml(describeSelectorPack(state.active)) : "Built-in selectors")];
+      if (state.previous) {
+        lines.push("<strong>Previous:</strong> " + escapeHtml(describeSelectorPack(state.previous)));
+      }
+      if (state.lastRollback) {
+        lines.push("<strong>Last rollback:</strong> v" + escapeHtml(state.lastRollback.version) + " on " +
+          escapeHtml(new Date(state.lastRollback.at).toLocaleString()) + " - " + escapeHtml(state.lastRollback.reason));
+      }
+      selectorPackStatus.innerHTML = lines.join("<br>");
+      selectorPackRollbackBtn.disabled = !state.active && !state.previous;
+      selectorPackRemoveBtn.disabled = !state.active;
+    } catch (error) {
+      console.error("Error loading selector pack status:", error);
+      selectorPackStatus.textContent = "Unavailable";
+    }
+  }
+
+  /**
+   * Validate pack JSON against the built-in Target selectors and make it the active pack
+   * @param {string} text - Pack JSON
+   * @param {string} source - 'paste', 'file' or the URL it came from
+   * @returns {Promise<Object>} The installed pack
+   */
+  async function installSelectorPackText(text, source) {
+    const pack = selectorPacks.parseSelectorPack(text);
+    const builtIn = selectorPacks.getBuiltInSelectors(window.targetSelectors);
+    const { valid, errors } = selectorPacks.validateSelectorPack(pack, "target", builtIn);
+    if (!valid) {
+      throw new Error(errors.slice(0, 5).join(" ") + (errors.length > 5 ? " (" + (errors.length - 5) + " more)" : ""));
+    }
+    await storage.installSelectorPack(pack, source);
+    return pack;
+  }
+
+  async function importSelectorPackFromForm() {
+    try {
+      let text = selectorPackData.value.trim();
+      let source = "paste";
+      if (!text && selectorPackFile.files.length > 0) {
+        text = await selectorPackFile.files[0].text();
+        source = "file";
+      }
+      if (!text) {
+        showError("Paste a selector pack or choose a file first.");
+        return;
+      }
+      const pack = await installSelectorPackText(text, source);
+      selectorPackData.value = "";
+      selectorPackFile.value = "";
+      showSuccess("Selector pack v" + pack.version + " installed. Reload open Target tabs to use it.");
+      await loadSelectorPackStatus();
+    } catch (error) {
+      showError("Selector pack not imported: " + error.message);
+    }
+  }
+
+  async function fetchSelectorPack() {
+    const url = selectorPackUrl.value.trim();
+    if (!/^https?:\/\//i.test(url)) {
+      showError("Enter an http:// or https:// URL for the selector pack.");
+      return;
+    }
+    try {
+      // Asked for while the click still counts as a user gesture; a server that sends CORS headers works without it
+      if (chrome.permissions) {
+        await chrome.permissions.request({ origins: [new URL(url).origin + "/*"] }).catch(error => {
+          console.warn("Host permission for selector pack URL not granted:", error.message);
+        });
+      }
+      await storage.setSelectorPackUrl("target", url);
+      const response = await fetch(url, { cache: "no-store" });
+      if (!response.ok) {
+        throw new Error("server answered " + response.status);
+      }
+      const pack = await installSelectorPackText(await response.text(), url);
+      showSuccess("Selector pack v" + pack.version + " installed from URL. Reload open Target tabs to use it.");
+    } catch (error) {
+      showError("Could not update selector pack: " + error.message);
+    }
+    await loadSelectorPackStatus();
+  }
+
+  async function rollBackSelectorPack() {
+    try {
+      const state = await storage.rollBackSelectorPack("target", "Rolled back from the options page");
+      showSuccess(state.active ? "Rolled back to selector pack v" + state.active.pack.version + "." : "Rolled back to the built-in selectors.");
+      await loadSelectorPackStatus();
+    } catch (error) {
+      showError("Could not roll back selector pack: " + error.message);
+    }
+  }
+
+  async function removeSelectorPack() {
+    try {
+      await storage.removeSelectorPack("target");
+      showSuccess("Using the built-in selectors. The removed pack can be restored with Roll Back.");
+      await loadSelectorPackStatus();
+    } catch (error) {
+      showError("Could not remove selector pack: " + error.message);
+    }
+  }
+
+  // --- Order History ---
+
+  async function loadOrderHistory() {
+    try {
+      orderHistory = await storage.getOrderHistory();
+      renderOrderHistory();
+    } catch (error) {
+      console.error("Error loading order history:", error);
+      showError("Failed to load order history: " + error.message);
+    }
+  }
+
+  /**
+   * Records matching the current filters, newest first
+   * @returns {Array}
+   */
+  function getFilteredOrders() {
+    const profileId = ordersFilterProfile.value;
+    const outcome = ordersFilterOutcome.value;
+    const month = ordersFilterMonth.value;
+    const search = ordersFilterSearch.value.trim().toLowerCase();
+    return orderHistory.filter(record => {
+      if (profileId && record.profileId !== profileId) return false;
+      if (outcome && record.outcome !== outcome) return false;
+      if (month && getOrderMonth(record) !== month) return false;
+      if (search) {
+        const haystack = ((record.title || "") + " " + (record.tcin || "")).toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * @param {Object} record
+   * @returns {string} Month the attempt started in, as YYYY-MM (matches input[type=month])
+   */
+  function getOrderMonth(record) {
+    const date = new Date(record.startedAt);
+    return date.getFullYear() + "-" + String(date.getMonth() + 1).padStart(2, "0");
+  }
+
+  /**
+   * @param {Object} record
+   * @returns {number|null} Price times quantity, or null when the price was not captured
+   */
+  function getOrderTotal(record) {
+    return budget.hasRecordSpend(record) ? budget.getRecordSpend(record) : null;
+  }
+
+  function formatMoney(amount) {
+    return amount === null ? "-" : "$" + amount.toFixed(2);
+  }
+
+  /**
+   * Keep the profile filter in sync with the profiles seen in the history
+   */
+  function updateProfileFilterOptions() {
+    const selected = ordersFilterProfile.value;
+    const profiles = new Map();
+    orderHistory.forEach(record => {
+      if (record.profileId && !profiles.has(record.profileId)) {
+        profiles.set(record.profileId, record.profileName || record.profileId);
+      }
+    });
+    ordersFilterProfile.innerHTML = "<option value=\"\">All profiles</option>";
+    profiles.forEach((name, id) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = name;
+      ordersFilterProfile.appendChild(option);
+    });
+    ordersFilterProfile.value = profiles.has(selected) ? selected : "";
+  }
+
+  function renderOrderHistory() {
+    updateProfileFilterOptions();
+    const records = getFilteredOrders();
+    if (records.length === 0) {
+      ordersTableBody.innerHTML = "<tr><td colspan=\"7\" class=\"empty-state\">" + (orderHistory.length === 0 ? "No checkout attempts recorded yet." : "No attempts match these filters.") + "</td></tr>";
+    } else {
+      ordersTableBody.innerHTML = records.map(record => {
+        const outcome = OUTCOME_LABELS[record.outcome] || record.outcome;
+        const failure = record.outcome === "failed" || record.outcome === "cancelled"
+          ? "<span class=\"sub-text\">" + escapeHtml(record.failedStep ? "at " + record.failedStep : "") + (record.error ? ": " + escapeHtml(record.error) : "") + "</span>"
+          : "";
+        return "<tr>" +
+          "<td>" + escapeHtml(new Date(record.startedAt).toLocaleString()) + "</td>" +
+          "<td>" + escapeHtml(record.title || "Unknown product") + "<span class=\"sub-text\">" + (record.tcin ? "TCIN " + escapeHtml(record.tcin) : "") + "</span></td>" +
+          "<td>" + escapeHtml(record.profileName || "-") + "</td>" +
+          "<td>" + escapeHtml(record.fulfillment || "-") + "</td>" +
+          "<td class=\"numeric\">" + escapeHtml(record.quantity) + "</td>" +
+          "<td class=\"numeric\">" + formatMoney(getOrderTotal(record)) + "</td>" +
+          "<td><span class=\"outcome-" + escapeHtml(record.outcome) + "\">" + escapeHtml(outcome) + "</span>" + failure + "</td>" +
+          "</tr>";
+      }).join("");
+    }
+    renderOrderTotals(records);
+  }
+
+  /**
+   * Sum placed orders per profile and month
+   * @param {Array} records - Filtered records
+   */
+  function renderOrderTotals(records) {
+    const totals = new Map();
+    records.filter(record => record.outcome === "placed").forEach(record => {
+      const month = getOrderMonth(record);
+      const key = (record.profileId || "") + "|" + month;
+      if (!totals.has(key)) {
+        totals.set(key, { profileName: record.profileName || "-", month, orders: 0, units: 0, spent: 0 });
+      }
+      const total = totals.get(key);
+      total.orders++;
+      total.units += record.quantity || 1;
+      total.spent += getOrderTotal(record) || 0;
+    });
+    if (totals.size === 0) {
+      ordersTotalsBody.innerHTML = "<tr><td colspan=\"5\" class=\"empty-state\">No placed orders.</td></tr>";
+      return;
+    }
+    const rows = Array.from(totals.values()).sort((a, b) => b.month.localeCompare(a.month) || a.profileName.localeCompare(b.profileName));
+    ordersTotalsBody.innerHTML = rows.map(total => "<tr>" +
+      "<td>" + escapeHtml(total.profileName) + "</td>" +
+      "<td>" + escapeHtml(total.month) + "</td>" +
+      "<td class=\"numeric\">" + total.orders + "</td>" +
+      "<td class=\"numeric\">" + total.units + "</td>" +
+      "<td class=\"numeric\">" + formatMoney(total.spent) + "</td>" +
+      "</tr>").join("");
+  }
+
+  /**
+   * Quote a value for CSV (RFC 4180). Values a spreadsheet would run as a formula (product titles
+   * and error messages come from the page) get a leading ' so they open as plain text.
+   * @param {*} value
+   * @returns {string}
+   */
+  function toCsvField(value) {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+  }
+
+  function exportOrdersCsv() {
+    const records = getFilteredOrders();
+    if (records.length === 0) {
+      showError("No orders to export with the current filters.");
+      return;
+    }
+    const header = ["started_at", "finished_at", "site", "tcin", "title", "price", "quantity", "total", "profile_id", "profile_name", "fulfillment", "outcome", "failed_step", "error", "record_id"];
+    const lines = records.map(record => [
+      new Date(record.startedAt).toISOString(),
+      record.finishedAt ? new Date(record.finishedAt).toISOString() : "",
+      record.site,
+      record.tcin,
+      record.title,
+      typeof record.price === "number" ? record.price.toFixed(2) : "",
+      record.quantity,
+      getOrderTotal(record) === null ? "" : getOrderTotal(record).toFixed(2),
+      record.profileId,
+      record.profileName,
+      record.fulfillment,
+      record.outcome,
+      record.failedStep,
+      record.error,
+      record.id
+    ].map(toCsvField).join(","));
+    const csv = [header.join(",")].concat(lines).join("\r\n");
+    const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "polar-orders-" + new Date().toISOString().slice(0, 10) + ".csv";
+    link.click();
+    URL.revokeObjectURL(url);
+    showSuccess("Exported " + records.length + " orders.");
+  }
+
+  async function clearOrders() {
+    if (!confirm("Delete the whole order history? Export it first if you still need it.")) {
+      return;
+    }
+    try {
+      await storage.clearOrderHistory();
+      orderHistory = [];
+      renderOrderHistory();
+      showSuccess("Order history cleared.");
+    } catch (error) {
+      showError("Could not clear order history: " + error.message);
+    }
+  }
+
+  // --- Dry Runs ---
+
+  async function loadDryRunReports() {
+    try {
+      dryRunReports = await storage.getDryRunReports();
+      renderDryRunReports();
+    } catch (error) {
+      console.error("Error loading dry run reports:", error);
+      showError("Failed to load dry run reports: " + error.message);
+    }
+  }
+
+  /**
+   * @param {number|null} ms
+   * @returns {string} Seconds with one decimal
+   */
+  function formatDuration(ms) {
+    return typeof ms === "number" ? (ms / 1000).toFixed(1) + "s" : "-";
+  }
+
+  /**
+   * Step timings and element results of one report
+   * @param {Object} report
+   * @returns {string} HTML
+   */
+  function renderDryRunDetails(report) {
+    const steps = report.steps.map(step =>
+      "<li>" + escapeHtml(step.name) + " <span class=\"sub-text-inline\">" + escapeHtml(step.page) + " at " + formatDuration(step.at) + ", took " + formatDuration(step.durationMs) + "</span></li>").join("");
+    const elements = report.elements.map(entry => {
+      let result = entry.found ? (entry.visible ? "found" : "found, hidden") : (entry.note ? "not shown" : "missing");
+      if (entry.found && entry.disabled) result += ", disabled";
+      if (entry.wouldClick) result += ", click withheld";
+      return "<li><span class=\"" + (entry.found ? "outcome-placed" : entry.note ? "outcome-in-progress" : "outcome-failed") + "\">" + escapeHtml(result) + "</span> " +
+        escapeHtml(entry.label) + " <span class=\"sub-text-inline\">" + escapeHtml(entry.key) + (entry.note ? " - " + escapeHtml(entry.note) : "") + "</span></li>";
+    }).join("");
+    return "<div class=\"dry-run-details\">" +
+      "<div><strong>Steps</strong><ul>" + (steps || "<li>None recorded</li>") + "</ul></div>" +
+      "<div><strong>Elements</strong><ul>" + (elements || "<li>None recorded</li>") + "</ul></div>" +
+      "</div>";
+  }
+
+  function renderDryRunReports() {
+    if (dryRunReports.length === 0) {
+      dryRunTableBody.innerHTML = "<tr><td colspan=\"6\" class=\"empty-state\">No dry runs yet.</td></tr>";
+      return;
+    }
+    dryRunTableBody.innerHTML = "";
+    dryRunReports.forEach(report => {
+      const found = report.elements.filter(entry => entry.found).length;
+      const missing = report.elements.filter(entry => !entry.found && !entry.note).length;
+      const outcome = DRY_RUN_OUTCOME_LABELS[report.outcome] || report.outcome;
+      const row = document.createElement("tr");
+      row.className = "has-details";
+      row.innerHTML =
+        "<td>" + escapeHtml(new Date(report.startedAt).toLocaleString()) + "</td>" +
+        "<td>" + escapeHtml(report.title || "Unknown product") + "<span class=\"sub-text\">" + (report.tcin ? "TCIN " + escapeHtml(report.tcin) : "") + "</span></td>" +
+        "<td>" + escapeHtml(report.profileName || "-") + "</td>" +
+        "<td class=\"numeric\">" + formatDuration(report.durationMs) + "</td>" +
+        "<td>" + found + " found" + (missing ? ", <span class=\"outcome-failed\">" + missing + " missing</span>" : "") + "</td>" +
+        "<td><span class=\"outcome-" + (report.outcome === "rehearsed" ? "placed" : "failed") + "\">" + escapeHtml(outcome) + "</span>" +
+          (report.reason ? "<span class=\"sub-text\">" + escapeHtml(report.reason) + "</span>" : "") + "</td>";
+      // Click a row to show its steps and elements
+      row.addEventListener("click", () => {
+        const next = row.nextElementSibling;
+        if (next && next.classList.contains("dry-run-details-row")) {
+          next.remove();
+          return;
+        }
+        const detailsRow = document.createElement("tr");
+        detailsRow.className = "dry-run-details-row";
+        detailsRow.innerHTML = "<td colspan=\"6\">" + renderDryRunDetails(report) + "</td>";
+        row.after(detailsRow);
+      });
+      dryRunTableBody.appendChild(row);
+    });
+  }
+
+  function downloadDryRunReports() {
+    if (dryRunReports.length === 0) {
+      showError("No dry run reports to download.");
+      return;
+    }
+    const url = URL.createObjectURL(new Blob([JSON.stringify(dryRunReports, null, 2)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "polar-dry-runs-" + new Date().toISOString().slice(0, 10) + ".json";
+    link.click();
+    URL.revokeObjectURL(url);
+    showSuccess("Downloaded " + dryRunReports.length + " dry run reports.");
+  }
+
+  async function clearDryRunReports() {
+    if (!confirm("Delete all dry run reports?")) {
+      return;
+    }
+    try {
+      await storage.clearDryRunReports();
+      dryRunReports = [];
+      renderDryRunReports();
+      showSuccess("Dry run reports cleared.");
+    } catch (error) {
+      showError("Could not clear dry run reports: " + error.message);
+    }
+  }
+
+  function showSuccess(message) {
+    successMessage.textContent = message;
+    successMessage.style.display = "block";
+    errorMessage.style.display = "none";
+    setTimeout(() => {
+      successMessage.style.display = "none";
+    }, 3000);
+  }
+
+  function showError(message) {
+    errorMessage.textContent = message;
+    errorMessage.style.display = "block";
+    successMessage.style.display = "none";
+  }
+});
@@ -1 +1,1203 @@
-function _0x23bd(_0x5b2fdc,_0x5e42e0){const _0x31137f=_0x3113();return _0x23bd=function(_0x23bdc5,_0x381071){_0x23bdc5=_0x23bdc5-0x121;let _0x559738=_0x31137f[_0x23bdc5];return _0x559738;},_0x23bd(_0x5b2fdc,_0x5e42e0);}function _0x3113(){const _0x37b810=['add','value','Please\x20enter\x20a\x20valid\x20SKU/TCIN.','proxyConfig','toggle','Profiles\x20loaded\x20into\x20dropdown','runtime','querySelectorAll','textContent','price_check_enabled','createElement','log','map','click','catch','Updated\x20Target\x20quantity\x20from\x20storage\x20change:','port','onChanged','Storage\x20changes\x20detected:','Initial\x20toggle\x20state:','price-check-settings-btn','price-check-item-sku','classList','.site-config','SKUs\x20copied\x20to\x20clipboard!','className','Could\x20not\x20recover\x20from\x20localStorage:','Remove\x20price\x20check\x20for\x20SKU\x20\x22','empty-message','get','flex','trim','hasOwnProperty','error','14uymmjF','applyProxy','No\x20price\x20checks\x20added\x20yet.','Saving\x20quantity\x20for\x20','768GPkTSm','name','local','onclick','change','getElementById','querySelector','Setting\x20','copy-max-price-btn','Updated\x20Target\x20toggle\x20from\x20storage\x20change:','profiles','display','split','checked','addEventListener','autoCloseCartPage','storage','siteSettings','Failed\x20to\x20copy\x20SKUs\x20with\x20max\x20prices.','host','appendChild','3460984qhfVom','none','price-check-active-toggle-settings','18620954WJQqki','4910AIHkFf','clipboard','apply','toggle-active','\x20items.','set','remove','144ypjYdd','price-check-sku-input','sort','1497ZZluoM','enabled','length','useBuyNowWhenAvailable','tabs','Settings\x20loaded:','proxy-settings-section','message','568029UfhsAW','3334rODRPt','price_check_closeTabOnFail','newValue','\x20enabled\x20state:\x20','419990zynyUl','sendMessage','lastError','use-buy-now','style','target','entries','Fallback\x20handler:\x20toggle\x20changed\x20to\x20','1529328BPEOBJ','Could\x20not\x20send\x20quantity\x20update\x20to\x20tab:\x20','Updated\x20global\x20settings\x20from\x20storage\x20change','then','quantity'];_0x3113=function(){return _0x37b810;};return _0x3113();}(function(_0xd2664d,_0x465836){const _0xa7b451=_0x23bd,_0x3a3af7=_0xd2664d();while(!![]){try{const _0x30d0da=parseInt(_0xa7b451(0x160))/0x1+parseInt(_0xa7b451(0x161))/0x2*(-parseInt(_0xa7b451(0x158))/0x3)+-parseInt(_0xa7b451(0x16d))/0x4+parseInt(_0xa7b451(0x14e))/0x5*(-parseInt(_0xa7b451(0x135))/0x6)+parseInt(_0xa7b451(0x131))/0x7*(-parseInt(_0xa7b451(0x14a))/0x8)+-parseInt(_0xa7b451(0x155))/0x9*(-parseInt(_0xa7b451(0x165))/0xa)+parseInt(_0xa7b451(0x14d))/0xb;if(_0x30d0da===_0x465836)break;else _0x3a3af7['push'](_0x3a3af7['shift']());}catch(_0x1bb630){_0x3a3af7['push'](_0x3a3af7['shift']());}}}(_0x3113,0xb1aa8),document['addEventListener']('DOMContentLoaded',async function(){const _0x27ab39=_0x23bd;console['log']('Popup\x20initialized');const _0x552c79=document['getElementById']('auto-submit'),_0x42a712=document['getElementById'](_0x27ab39(0x168)),_0x3e9c08=document[_0x27ab39(0x13a)]('auto-close-oos'),statusTextElement=document['getElementById']('status-text'),statusElement=document['querySelector']('.status'),_0x272d79=document['querySelector']('.sites-config'),_0x53f76c=document['getElementById']('global-settings'),_0x19939b=document['getElementById'](_0x27ab39(0x15e)),_0xe73de5=document['getElementById']('proxy-input'),priceCheckMainView=document['getElementById']('price-check-main-view'),priceCheckSettingsView=document[_0x27ab39(0x13a)]('price-check-settings-view'),priceCheckSettingsBtn=document[_0x27ab39(0x13a)](_0x27ab39(0x123)),priceCheckBackBtn=document[_0x27ab39(0x13a)]('price-check-back-btn'),priceCheckActiveToggleMain=document[_0x27ab39(0x13a)]('price-check-active-toggle'),priceCheckStatusMain=document['getElementById']('price-check-status-main'),priceCheckStatusEl=document['getElementById']('price-check-status'),priceCheckActiveToggleSettings=document['getElementById'](_0x27ab39(0x14c)),priceCheckCloseTabToggle=document['getElementById']('price-check-close-tab-toggle'),priceCheckItemsContainer=document[_0x27ab39(0x13a)]('price-check-items-container'),priceCheckSkuInput=document['getElementById'](_0x27ab39(0x156)),priceCheckPriceInput=document['getElementById']('price-check-price-input'),priceCheckAddBtn=document['getElementById']('price-check-add-btn'),priceCheckMassInput=document['getElementById']('price-check-mass-input'),priceCheckMassAddBtn=document['getElementById']('price-check-mass-add-btn'),copySkusBtn=document[_0x27ab39(0x13a)]('copy-skus-btn'),copyMaxPriceBtn=document['getElementById'](_0x27ab39(0x13d)),_0xdf3691={};let price_check_items={},price_check_enabled=![],price_check_closeTabOnFail=![],price_check_statusTimeout;console['log']('Starting\x20initialization...'),_0x457677(),await _0x30897a(),_0x5876ed(),console['log']('Initialization\x20complete');function _0x457677(){const _0x518cf0=_0x27ab39,_0x1c9d73=_0x272d79[_0x518cf0(0x179)](_0x518cf0(0x126));_0x1c9d73['forEach'](_0x4e9fc0=>{const _0xe3f79b=_0x518cf0,_0x3c72f0=_0x4e9fc0['getAttribute']('data-site');_0x3c72f0&&(_0xdf3691[_0x3c72f0]={'toggle':_0x4e9fc0[_0xe3f79b(0x13b)]('.site-toggle'),'quantity':_0x4e9fc0['querySelector']('.site-quantity'),'profileSelect':_0x4e9fc0[_0xe3f79b(0x13b)]('.site-profile-select')});}),console['log']('Initialized\x20site\x20controls:',_0xdf3691);}function _0x5876ed(){const _0x560c14=_0x27ab39;console['log']('Setting\x20up\x20event\x20listeners...');for(const _0xa5980c in _0xdf3691){const _0x2616f8=_0xdf3691[_0xa5980c];_0x2616f8['toggle']&&_0x2616f8['toggle']['addEventListener']('change',_0x2263fa=>{const _0x399857=_0x23bd,enabled=_0x2263fa['target']['checked'];console['log'](_0x399857(0x13c)+_0xa5980c+'\x20enabled\x20to:\x20'+enabled),chrome['storage']['local']['get']('siteSettings',_0x2189aa=>{const _0x3a25fc=_0x2189aa['siteSettings']||{};if(!_0x3a25fc[_0xa5980c])_0x3a25fc[_0xa5980c]={};_0x3a25fc[_0xa5980c]['enabled']=enabled,chrome['storage']['local']['set']({'siteSettings':_0x3a25fc},()=>{const _0x41b8f1=_0x23bd;chrome['runtime']['lastError']?console['error']('Error\x20saving\x20'+_0xa5980c+'\x20enabled\x20state:',chrome['runtime']['lastError']):console['log']('Successfully\x20saved\x20'+_0xa5980c+_0x41b8f1(0x164)+enabled);});});}),_0x2616f8['quantity']&&_0x2616f8['quantity']['addEventListener']('change',_0x410561=>{const _0x2e7b1a=_0x23bd,_0x43ac3b=parseInt(_0x410561[_0x2e7b1a(0x16a)]['value'])||0x1;chrome[_0x2e7b1a(0x145)][_0x2e7b1a(0x137)]['get'](_0x2e7b1a(0x146),_0xcb0231=>{const _0x4a9a60=_0x2e7b1a,_0x3d1b83=_0xcb0231['siteSettings']||{};if(!_0x3d1b83[_0xa5980c])_0x3d1b83[_0xa5980c]={};_0x3d1b83[_0xa5980c]['quantity']=_0x43ac3b,console[_0x4a9a60(0x17d)](_0x4a9a60(0x134)+_0xa5980c+':\x20'+_0x43ac3b),chrome[_0x4a9a60(0x145)]['local']['set']({'siteSettings':_0x3d1b83},()=>{const _0x3e2f80=_0x4a9a60;chrome['runtime']['lastError']?console[_0x3e2f80(0x130)]('Error\x20saving\x20quantity:\x20'+chrome['runtime']['lastError'][_0x3e2f80(0x15f)]):(console['log']('Quantity\x20saved\x20successfully.\x20New\x20value:\x20'+_0x43ac3b),_0xa5980c==='target'&&chrome['tabs']['query']({'url':'*://*.target.com/*'},tabs=>{tabs['length']>0x0&&tabs['forEach'](_0x41523e=>{const _0xdda37e=_0x23bd;chrome[_0xdda37e(0x15c)][_0xdda37e(0x166)](_0x41523e['id'],{'action':'updateSiteSetting','site':_0xdda37e(0x16a),'siteSettings':{'quantity':_0x43ac3b}})['catch'](_0x5ba2ce=>console['warn'](_0xdda37e(0x16e)+_0x5ba2ce['message']));});}));});});}),_0x2616f8['profileSelect']&&_0x2616f8['profileSelect']['addEventListener']('change',_0x147455=>{const _0x55002f=_0x147455['target']['value'];chrome['storage']['local']['get']('siteSettings',_0x13724=>{const _0x2982b4=_0x23bd,_0x58e615=_0x13724['siteSettings']||{};if(!_0x58e615[_0xa5980c])_0x58e615[_0xa5980c]={};_0x58e615[_0xa5980c]['profileId']=_0x55002f,console['log']('Saving\x20profile\x20selection\x20for\x20'+_0xa5980c+':\x20'+_0x55002f),chrome[_0x2982b4(0x145)]['local'][_0x2982b4(0x153)]({'siteSettings':_0x58e615},()=>{const _0x510858=_0x2982b4;chrome['runtime']['lastError']?console[_0x510858(0x130)]('Error\x20saving\x20profile\x20selection:\x20'+chrome['runtime']['lastError']['message']):console['log']('Profile\x20selection\x20saved\x20successfully.\x20New\x20value:\x20'+_0x55002f);});});});}_0x552c79['addEventListener']('change',_0x318f6a=>{updateGlobalSetting('autoSubmit',_0x318f6a['target']['checked']);}),_0x42a712['addEventListener']('change',_0x3efe5e=>{const _0x9cfac8=_0x23bd;updateGlobalSetting(_0x9cfac8(0x15b),_0x3efe5e[_0x9cfac8(0x16a)][_0x9cfac8(0x142)]);}),_0x3e9c08[_0x560c14(0x143)]('change',_0x1a798b=>{const _0x359dce=_0x560c14;updateGlobalSetting(_0x359dce(0x144),_0x1a798b[_0x359dce(0x16a)]['checked']);});_0xe73de5&&(_0xe73de5[_0x560c14(0x143)]('change',handleProxyChange),_0xe73de5['addEventListener']('blur',handleProxyChange));console['log']('Setting\x20up\x20Price\x20Check\x20navigation,\x20button\x20exists:',!!priceCheckSettingsBtn);priceCheckSettingsBtn?priceCheckSettingsBtn['addEventListener'](_0x560c14(0x17f),()=>{const _0x48fc82=_0x560c14;console['log']('Price\x20Check\x20Settings\x20button\x20clicked'),_0x272d79[_0x48fc82(0x169)]['display']='none',_0x53f76c[_0x48fc82(0x169)]['display']='none',priceCheckMainView['style']['display']=_0x48fc82(0x14b),_0x19939b[_0x48fc82(0x169)][_0x48fc82(0x140)]=_0x48fc82(0x14b),statusElement[_0x48fc82(0x169)]['display']='none',priceCheckSettingsView['style']['display']='block';}):console['error']('Price\x20Check\x20Settings\x20button\x20not\x20found\x20in\x20DOM');priceCheckBackBtn&&priceCheckBackBtn['addEventListener']('click',()=>{const _0x78964f=_0x560c14;console['log']('Price\x20Check\x20Back\x20button\x20clicked'),priceCheckSettingsView['style'][_0x78964f(0x140)]='none',_0x272d79[_0x78964f(0x169)]['display']=_0x78964f(0x12d),_0x53f76c['style'][_0x78964f(0x140)]='block',priceCheckMainView['style']['display']='block',_0x19939b[_0x78964f(0x169)]['display']='block',statusElement['style']['display']='flex';});const priceCheckToggleActiveHandler=_0x415f13=>{const _0x18e903=_0x560c14,_0x4b13ee=_0x415f13[_0x18e903(0x16a)]['checked'];console['log']('Price\x20Check\x20toggle\x20changed\x20to:',_0x4b13ee),price_check_enabled=_0x4b13ee;if(priceCheckActiveToggleMain)priceCheckActiveToggleMain['checked']=_0x4b13ee;if(priceCheckActiveToggleSettings)priceCheckActiveToggleSettings['checked']=_0x4b13ee;updatePriceCheckStatusDisplay(),chrome['storage'][_0x18e903(0x137)]['set']({'price_check_enabled':_0x4b13ee});};priceCheckActiveToggleMain&&priceCheckActiveToggleMain['addEventListener'](_0x560c14(0x139),priceCheckToggleActiveHandler);priceCheckActiveToggleSettings&&priceCheckActiveToggleSettings['addEventListener']('change',priceCheckToggleActiveHandler);if(priceCheckCloseTabToggle){console['log'](_0x560c14(0x122),priceCheckCloseTabToggle['checked']);const toggleContainer=priceCheckCloseTabToggle['closest']('.toggle-wrapper')||priceCheckCloseTabToggle['parentElement'];toggleContainer?(console[_0x560c14(0x17d)]('Found\x20toggle\x20container,\x20attaching\x20click\x20handler'),toggleContainer['addEventListener'](_0x560c14(0x17f),_0xd77c44=>{const _0x38848b=_0x560c14;price_check_closeTabOnFail=!price_check_closeTabOnFail,priceCheckCloseTabToggle['checked']=price_check_closeTabOnFail,console['log']('Toggle\x20clicked!\x20New\x20state:',price_check_closeTabOnFail),console['log']('Checkbox\x20checked\x20property:',priceCheckCloseTabToggle['checked']),price_check_closeTabOnFail?toggleContainer['classList'][_0x38848b(0x172)](_0x38848b(0x151)):toggleContainer[_0x38848b(0x125)]['remove']('toggle-active'),chrome['storage']['local'][_0x38848b(0x153)]({'price_check_closeTabOnFail':price_check_closeTabOnFail},()=>{const _0x534edd=_0x38848b;chrome['runtime'][_0x534edd(0x167)]?console['error']('Error\x20saving\x20close\x20tab\x20setting:',chrome[_0x534edd(0x178)]['lastError']):(console[_0x534edd(0x17d)]('Close\x20tab\x20on\x20fail\x20setting\x20saved\x20successfully:\x20'+price_check_closeTabOnFail),chrome['storage']['local']['get'](['price_check_closeTabOnFail'],_0x4851cf=>{const _0x2f14af=_0x534edd;console['log']('Verified\x20state\x20in\x20storage:',_0x4851cf[_0x2f14af(0x162)]);}));}),_0xd77c44['preventDefault'](),_0xd77c44['stopPropagation']();}),priceCheckCloseTabToggle[_0x560c14(0x143)]('change',_0x356cdd=>{const _0xdc596c=_0x560c14;console['log']('Checkbox\x20change\x20event\x20triggered,\x20current\x20checked:',_0x356cdd['target'][_0xdc596c(0x142)]),_0x356cdd['stopPropagation']();})):(console['error']('Could\x20not\x20find\x20toggle\x20container\x20for\x20click\x20handler!'),priceCheckCloseTabToggle['addEventListener']('change',_0x2076af=>{const _0x5c5394=_0x560c14;price_check_closeTabOnFail=_0x2076af[_0x5c5394(0x16a)]['checked'],console[_0x5c5394(0x17d)](_0x5c5394(0x16c)+price_check_closeTabOnFail),chrome['storage'][_0x5c5394(0x137)]['set']({'price_check_closeTabOnFail':price_check_closeTabOnFail});}));}priceCheckAddBtn&&priceCheckAddBtn['addEventListener']('click',addPriceCheckItem),priceCheckSkuInput&&priceCheckSkuInput['addEventListener']('keydown',_0x595337=>{if(_0x595337['key']==='Enter')addPriceCheckItem();}),priceCheckMassAddBtn&&priceCheckMassAddBtn['addEventListener'](_0x560c14(0x17f),addPriceCheckItemsBulk),copySkusBtn&&copySkusBtn['addEventListener'](_0x560c14(0x17f),copySkusToClipboard),copyMaxPriceBtn&&copyMaxPriceBtn['addEventListener'](_0x560c14(0x17f),copyMaxPriceToClipboard),chrome['storage'][_0x560c14(0x183)]['addListener'](handleStorageChanges),console['log']('All\x20event\x20listeners\x20set\x20up');}function _0x4fa880(_0x2af1f0,_0x3b16a1){let _0x2f5f7b;return function(..._0x9deba1){const _0x1b3e89=_0x23bd;clearTimeout(_0x2f5f7b),_0x2f5f7b=setTimeout(()=>_0x2af1f0[_0x1b3e89(0x150)](this,_0x9deba1),_0x3b16a1);};}function handleProxyChange(_0x536e55){const _0x236eda=_0x27ab39,_0x503f10=_0x536e55['target']['value'][_0x236eda(0x12e)]();if(!_0x503f10){chrome['storage']['local']['remove']('proxyConfig',()=>{const _0x3436de=_0x236eda;chrome[_0x3436de(0x178)]['sendMessage']({'action':'clearProxy'});});return;}const _0x222905=_0x503f10['split'](':');let _0x233828=null;if(_0x222905[_0x236eda(0x15a)]===0x2)_0x233828={'host':_0x222905[0x0],'port':_0x222905[0x1]};else _0x222905['length']===0x4&&(_0x233828={'host':_0x222905[0x0],'port':_0x222905[0x1],'username':_0x222905[0x2],'password':_0x222905[0x3]});_0x233828&&chrome['storage']['local']['set']({'proxyConfig':_0x233828},()=>{const _0x765d55=_0x236eda;chrome[_0x765d55(0x178)]['sendMessage']({'action':_0x765d55(0x132),'proxyConfig':_0x233828});});}async function handleStorageChanges(changes,_0x2cc3cb){const _0xa6ee70=_0x27ab39;console['log'](_0xa6ee70(0x121),_0x2cc3cb,changes);if(_0x2cc3cb==='local'){if(changes['siteSettings']){console[_0xa6ee70(0x17d)]('siteSettings\x20changed:',changes[_0xa6ee70(0x146)][_0xa6ee70(0x163)]);const _0x3c8239=changes['siteSettings']['newValue']?.[_0xa6ee70(0x16a)];_0x3c8239&&_0xdf3691['target']&&(console['log']('Target\x20settings\x20from\x20storage\x20change:',_0x3c8239),_0xdf3691[_0xa6ee70(0x16a)][_0xa6ee70(0x176)]&&_0x3c8239[_0xa6ee70(0x12f)]('enabled')&&(_0xdf3691['target'][_0xa6ee70(0x176)]['checked']=_0x3c8239[_0xa6ee70(0x159)]===!![],console[_0xa6ee70(0x17d)](_0xa6ee70(0x13e),_0x3c8239[_0xa6ee70(0x159)])),_0xdf3691['target']['quantity']&&_0x3c8239['hasOwnProperty']('quantity')&&(_0xdf3691[_0xa6ee70(0x16a)][_0xa6ee70(0x171)]['value']=_0x3c8239['quantity'],console['log'](_0xa6ee70(0x181),_0x3c8239['quantity'])),_0xdf3691['target']['profileSelect']&&_0x3c8239[_0xa6ee70(0x12f)]('profileId')&&(_0xdf3691['target']['profileSelect'][_0xa6ee70(0x173)]=_0x3c8239['profileId'],console['log']('Updated\x20Target\x20profile\x20from\x20storage\x20change:',_0x3c8239['profileId'])));}changes['enabled']&&_0xdf3691['target']?.[_0xa6ee70(0x176)]&&(console['log']('Global\x20\x27enabled\x27\x20flag\x20changed\x20(legacy):',changes['enabled'][_0xa6ee70(0x163)]),_0xdf3691[_0xa6ee70(0x16a)]['toggle']['checked']=changes['enabled']['newValue']===!![]);if(changes['globalSettings']){const _0x5ccccc=changes['globalSettings'][_0xa6ee70(0x163)]||{};_0x552c79[_0xa6ee70(0x142)]=_0x5ccccc['autoSubmit']!==![],_0x42a712['checked']=_0x5ccccc[_0xa6ee70(0x15b)]===!![],_0x3e9c08['checked']=_0x5ccccc[_0xa6ee70(0x144)]===!![],console[_0xa6ee70(0x17d)](_0xa6ee70(0x16f));}if(changes['proxyConfig']){const _0x584401=changes[_0xa6ee70(0x175)]['newValue'];if(_0x584401){let _0x2b5c73='';_0x584401['username']&&_0x584401['password']?_0x2b5c73=_0x584401['host']+':'+_0x584401['port']+':'+_0x584401['username']+':'+_0x584401['password']:_0x2b5c73=_0x584401[_0xa6ee70(0x148)]+':'+_0x584401['port'],_0xe73de5['value']=_0x2b5c73;}else _0xe73de5['value']='';}if(changes[_0xa6ee70(0x17b)]!==undefined){price_check_enabled=changes['price_check_enabled']['newValue'];if(priceCheckActiveToggleMain)priceCheckActiveToggleMain['checked']=price_check_enabled;if(priceCheckActiveToggleSettings)priceCheckActiveToggleSettings['checked']=price_check_enabled;updatePriceCheckStatusDisplay();}if(changes[_0xa6ee70(0x162)]!==undefined){price_check_closeTabOnFail=changes['price_check_closeTabOnFail'][_0xa6ee70(0x163)];if(priceCheckCloseTabToggle)priceCheckCloseTabToggle[_0xa6ee70(0x142)]=price_check_closeTabOnFail;}changes['price_check_items']&&(price_check_items=changes['price_check_items']['newValue']||{},renderPriceCheckItems());}}async function _0x30897a(){const _0x24b46a=_0x27ab39;try{console['log']('Loading\x20settings\x20from\x20storage...');const _0x5cf41a=await chrome['storage']['local']['get'](['enabled','siteSettings','globalSettings','proxyConfig','price_check_enabled','price_check_closeTabOnFail','price_check_items','profiles','selectedProfile']);console['log'](_0x24b46a(0x15d),_0x5cf41a);if(_0xdf3691['target']&&_0xdf3691['target']['toggle']){const _0x22bb67=_0x5cf41a['siteSettings']?.['target']?.['enabled']===!![];_0xdf3691['target']['toggle']['checked']=_0x22bb67,console['log']('Loaded\x20Target\x20toggle\x20state\x20from\x20site-specific\x20settings:',_0x22bb67),_0xdf3691['target']['quantity']&&_0x5cf41a[_0x24b46a(0x146)]?.['target']?.['quantity']&&(_0xdf3691[_0x24b46a(0x16a)]['quantity']['value']=_0x5cf41a[_0x24b46a(0x146)][_0x24b46a(0x16a)][_0x24b46a(0x171)],console['log']('Loaded\x20Target\x20quantity\x20from\x20settings:',_0x5cf41a['siteSettings']['target']['quantity']));}const _0x2a7359=_0x5cf41a['globalSettings']||{};_0x552c79['checked']=_0x2a7359['autoSubmit']!==![],_0x42a712[_0x24b46a(0x142)]=_0x2a7359['useBuyNowWhenAvailable']===!![],_0x3e9c08['checked']=_0x2a7359['autoCloseCartPage']===!![];if(_0x5cf41a['proxyConfig']){const _0x422b15=_0x5cf41a[_0x24b46a(0x175)];let _0x131b9f='';_0x422b15['username']&&_0x422b15['password']?_0x131b9f=_0x422b15['host']+':'+_0x422b15[_0x24b46a(0x182)]+':'+_0x422b15['username']+':'+_0x422b15['password']:_0x131b9f=_0x422b15[_0x24b46a(0x148)]+':'+_0x422b15[_0x24b46a(0x182)],_0xe73de5[_0x24b46a(0x173)]=_0x131b9f;}price_check_enabled=_0x5cf41a['price_check_enabled']===!![],price_check_closeTabOnFail=_0x5cf41a['price_check_closeTabOnFail']===!![],price_check_items=_0x5cf41a['price_check_items']||{},console['log']('Price\x20check\x20enabled:',price_check_enabled),priceCheckActiveToggleMain&&(priceCheckActiveToggleMain['checked']=price_check_enabled),priceCheckActiveToggleSettings&&(priceCheckActiveToggleSettings['checked']=price_check_enabled),priceCheckCloseTabToggle&&(priceCheckCloseTabToggle['checked']=price_check_closeTabOnFail),updatePriceCheckStatusDisplay(),renderPriceCheckItems(),_0x5651c0(_0x5cf41a[_0x24b46a(0x13f)],_0x5cf41a['selectedProfile']),console['log']('Settings\x20loaded\x20successfully');}catch(_0x1bae66){console['error']('Error\x20loading\x20settings:',_0x1bae66);}}function _0x5651c0(_0x1b1e00,_0x18cb80){const _0x596f14=_0x27ab39;try{console['log']('Loading\x20profiles\x20for\x20dropdown...'),console['log']('Profiles\x20data:',_0x1b1e00?_0x1b1e00['length']+'\x20profiles\x20found':'no\x20profiles');const _0x4330e7=document['querySelector']('#target-profile-select');if(!_0x4330e7){console['error']('Profile\x20dropdown\x20not\x20found');return;}while(_0x4330e7['options']['length']>0x1){_0x4330e7[_0x596f14(0x154)](0x1);}if(!_0x1b1e00||!_0x1b1e00['length']){console['warn']('No\x20profiles\x20found');return;}_0x1b1e00['forEach'](_0x269d40=>{const _0xa0ddb4=_0x596f14,_0x562c08=document['createElement']('option');_0x562c08['value']=_0x269d40['id'],_0x562c08[_0xa0ddb4(0x17a)]=_0x269d40[_0xa0ddb4(0x136)]||'Profile\x20'+_0x269d40['id'],_0x4330e7['appendChild'](_0x562c08);}),console['log'](_0x596f14(0x177)),chrome['storage']['local']['get'](_0x596f14(0x146),_0x2c3258=>{const _0x3ef7c7=_0x596f14,_0x16e1a1=_0x2c3258['siteSettings']?.['target']?.['profileId'];let _0x5d5e4f=null;if(_0x16e1a1)console[_0x3ef7c7(0x17d)]('Using\x20Target\x20site-specific\x20profile\x20ID:',_0x16e1a1),_0x5d5e4f=_0x16e1a1;else _0x18cb80&&(console['log']('Falling\x20back\x20to\x20global\x20profile\x20ID:',_0x18cb80),_0x5d5e4f=_0x18cb80);if(_0x5d5e4f){_0x4330e7['value']=_0x5d5e4f,console['log']('Selected\x20profile\x20set\x20to:',_0x5d5e4f);try{localStorage['setItem']('targetProfileId',_0x5d5e4f);}catch(_0x41795b){console['warn']('Could\x20not\x20save\x20profile\x20ID\x20to\x20localStorage:',_0x41795b);}}else console['warn']('No\x20profile\x20ID\x20found\x20to\x20select');});}catch(_0x313ff7){console['error']('Error\x20loading\x20profiles\x20for\x20dropdown:',_0x313ff7);try{const _0x4a0962=localStorage['getItem']('targetProfileId');_0x4a0962&&profileDropdown&&(console[_0x596f14(0x17d)]('Recovered\x20profile\x20ID\x20from\x20localStorage:',_0x4a0962),profileDropdown['value']=_0x4a0962);}catch(_0xeb8a37){console[_0x596f14(0x130)](_0x596f14(0x129),_0xeb8a37);}}}async function updateSiteSetting(_0x470553,_0x58e729,value){const _0x143284=_0x27ab39;try{const _0x35a224=await chrome['storage'][_0x143284(0x137)][_0x143284(0x12c)]('siteSettings'),_0x64e669=_0x35a224['siteSettings']||{};if(!_0x64e669[_0x470553])_0x64e669[_0x470553]={};_0x64e669[_0x470553][_0x58e729]=value,await chrome['storage']['local']['set']({'siteSettings':_0x64e669});}catch(_0x18abdb){console['error']('Error\x20updating\x20site\x20setting\x20'+_0x470553+'.'+_0x58e729+':',_0x18abdb);}}async function updateGlobalSetting(_0x365c94,value){const _0x5569cf=_0x27ab39;try{const _0x36e2db=await chrome['storage'][_0x5569cf(0x137)][_0x5569cf(0x12c)]('globalSettings'),_0x4c2d39=_0x36e2db['globalSettings']||{};_0x4c2d39[_0x365c94]=value,await chrome['storage']['local']['set']({'globalSettings':_0x4c2d39});}catch(_0x21bed0){console['error']('Error\x20updating\x20global\x20setting\x20'+_0x365c94+':',_0x21bed0);}}function updatePriceCheckStatusDisplay(){const _0x12c613=_0x27ab39,statusText=price_check_enabled?'Active':'Inactive',statusClass=price_check_enabled?'status-online':'status-offline';console['log']('Updating\x20price\x20check\x20status\x20display:',statusText),priceCheckStatusEl&&(priceCheckStatusEl['textContent']=statusText,priceCheckStatusEl['className']=statusClass),priceCheckStatusMain&&(priceCheckStatusMain[_0x12c613(0x17a)]=statusText,priceCheckStatusMain['className']=statusClass,priceCheckStatusMain['style']['color']=price_check_enabled?'#2ECC71':'#f04747');}function addPriceCheckItem(){const _0x4578d4=_0x27ab39,_0x4e2c47=priceCheckSkuInput['value'][_0x4578d4(0x12e)]();if(!_0x4e2c47){alert(_0x4578d4(0x174));return;}const _0x124ea4=parseFloat(priceCheckPriceInput['value']['trim']());if(isNaN(_0x124ea4)||_0x124ea4<=0x0){alert('Please\x20enter\x20a\x20valid\x20maximum\x20price.');return;}price_check_items[_0x4e2c47]=_0x124ea4,chrome['storage']['local'][_0x4578d4(0x153)]({'price_check_items':price_check_items},()=>{renderPriceCheckItems(),priceCheckSkuInput['value']='',priceCheckPriceInput['value']='';});}function addPriceCheckItemsBulk(){const _0x9dc879=_0x27ab39,input=priceCheckMassInput['value']['trim']();if(!input){alert('Please\x20enter\x20data\x20in\x20the\x20SKU;maxprice\x20format.');return;}const _0x687ab9=input[_0x9dc879(0x141)]('\x0a')['filter'](_0x16bc38=>_0x16bc38['trim']());let addedCount=0x0,_0x82e544=0x0;_0x687ab9['forEach'](_0x19a049=>{const _0x28a3b9=_0x9dc879,_0x4da3f0=_0x19a049['trim']()['split'](';');if(_0x4da3f0[_0x28a3b9(0x15a)]!==0x2){_0x82e544++;return;}const _0x23a4cb=_0x4da3f0[0x0][_0x28a3b9(0x12e)](),_0x459aa7=parseFloat(_0x4da3f0[0x1]['trim']());if(!_0x23a4cb||isNaN(_0x459aa7)||_0x459aa7<=0x0){_0x82e544++;return;}price_check_items[_0x23a4cb]=_0x459aa7,addedCount++;});if(addedCount>0x0)chrome['storage']['local']['set']({'price_check_items':price_check_items},()=>{const _0x15050d=_0x9dc879;renderPriceCheckItems(),priceCheckMassInput['value']='',_0x82e544>0x0?alert('Added\x20'+addedCount+'\x20items.\x20'+_0x82e544+'\x20items\x20had\x20invalid\x20format\x20and\x20were\x20skipped.'):alert('Successfully\x20added\x20'+addedCount+_0x15050d(0x152));});else _0x82e544>0x0&&alert('No\x20valid\x20entries\x20found.\x20Please\x20use\x20the\x20format\x20SKU;maxprice\x20on\x20each\x20line.');}function copySkusToClipboard(){const _0x7126ef=_0x27ab39,_0x30f357=Object[_0x7126ef(0x16b)](price_check_items);if(_0x30f357['length']===0x0){alert('No\x20price\x20checks\x20available\x20to\x20copy.');return;}_0x30f357['sort']((_0x31122c,_0x591742)=>_0x31122c[0x0]['localeCompare'](_0x591742[0x0]));const _0x285871=_0x30f357['map'](([_0x52104d])=>_0x52104d)['join']('\x0a');navigator[_0x7126ef(0x14f)]['writeText'](_0x285871)[_0x7126ef(0x170)](()=>{const _0x528611=_0x7126ef;alert(_0x528611(0x127));})['catch'](_0x40893b=>{console['error']('Could\x20not\x20copy\x20text:\x20',_0x40893b),alert('Failed\x20to\x20copy\x20SKUs.');});}function copyMaxPriceToClipboard(){const _0x344d15=_0x27ab39,_0x541a17=Object['entries'](price_check_items);if(_0x541a17['length']===0x0){alert('No\x20price\x20checks\x20available\x20to\x20copy.');return;}_0x541a17['sort']((_0x517912,_0x11d48f)=>_0x517912[0x0]['localeCompare'](_0x11d48f[0x0]));const _0x4ead54=_0x541a17[_0x344d15(0x17e)](([_0x19a4e2,_0x5ba2af])=>_0x19a4e2+';'+_0x5ba2af)['join']('\x0a');navigator['clipboard']['writeText'](_0x4ead54)['then'](()=>{alert('SKUs\x20with\x20max\x20prices\x20copied\x20to\x20clipboard!');})[_0x344d15(0x180)](_0x5e4fd4=>{const _0x193e4a=_0x344d15;console['error']('Could\x20not\x20copy\x20text:\x20',_0x5e4fd4),alert(_0x193e4a(0x147));});}function renderPriceCheckItems(){const _0x4f543c=_0x27ab39;if(!priceCheckItemsContainer)return;priceCheckItemsContainer['innerHTML']='';const _0x229e7c=Object['entries'](price_check_items);if(_0x229e7c['length']===0x0){const _0x27912e=document[_0x4f543c(0x17c)]('p');_0x27912e[_0x4f543c(0x17a)]=_0x4f543c(0x133),_0x27912e['className']=_0x4f543c(0x12b),priceCheckItemsContainer[_0x4f543c(0x149)](_0x27912e);return;}_0x229e7c[_0x4f543c(0x157)]((_0x4bced1,_0x3f97ca)=>_0x4bced1[0x0]['localeCompare'](_0x3f97ca[0x0])),_0x229e7c['forEach'](([_0x3f3012,_0x58703f])=>{const _0x492c44=_0x4f543c,itemDiv=document['createElement']('div');itemDiv['className']='price-check-item';const itemDetails=document['createElement']('div');itemDetails['className']='price-check-item-details';const _0x222254=document['createElement']('div');_0x222254[_0x492c44(0x128)]=_0x492c44(0x124),_0x222254['textContent']='SKU:\x20'+_0x3f3012;const priceSpan=document['createElement']('div');priceSpan['className']='price-check-item-price',priceSpan['textContent']='Max\x20Price:\x20$'+_0x58703f['toFixed'](0x2),itemDetails['appendChild'](_0x222254),itemDetails['appendChild'](priceSpan);const _0x1f5d0c=document['createElement']('div');_0x1f5d0c['className']='price-check-item-actions';const _0xd1a015=document['createElement']('button');_0xd1a015['className']='price-check-item-edit',_0xd1a015[_0x492c44(0x17a)]='✎',_0xd1a015['title']='Edit\x20price',_0xd1a015['onclick']=()=>{const _0x123dc3=prompt('Edit\x20max\x20price\x20for\x20SKU\x20\x22'+_0x3f3012+'\x22:',_0x58703f['toFixed'](0x2));if(_0x123dc3!==null){const _0x4a10ea=parseFloat(_0x123dc3);!isNaN(_0x4a10ea)&&_0x4a10ea>0x0?(price_check_items[_0x3f3012]=_0x4a10ea,chrome['storage']['local']['set']({'price_check_items':price_check_items},()=>{renderPriceCheckItems();})):alert('Please\x20enter\x20a\x20valid\x20price\x20(greater\x20than\x200).');}};const deleteBtn=document[_0x492c44(0x17c)]('button');deleteBtn['className']='price-check-item-delete',deleteBtn['textContent']='×',deleteBtn['title']='Remove\x20price\x20check',deleteBtn[_0x492c44(0x138)]=()=>{const _0x1f7e16=_0x492c44;confirm(_0x1f7e16(0x12a)+_0x3f3012+'\x22?')&&(delete price_check_items[_0x3f3012],chrome['storage']['local'][_0x1f7e16(0x153)]({'price_check_items':price_check_items},()=>{renderPriceCheckItems();}));},_0x1f5d0c['appendChild'](_0xd1a015),_0x1f5d0c['appendChild'](deleteBtn),itemDiv['appendChild'](itemDetails),itemDiv['appendChild'](_0x1f5d0c),priceCheckItemsContainer['appendChild'](itemDiv);});}}));
\ No newline at end of file
+document.addEventListener("DOMContentLoaded", async function () {
+  console.log("Popup initialized");
+  const messages = window.autocheckoutMessages;
+  const autoSubmitCheckbox = document.getElementById("auto-submit");
+  const dryRunCheckbox = document.getElementById("dry-run");
+  const useBuyNowCheckbox = document.getElementById("use-buy-now");
+  const autoCloseOosCheckbox = document.getElementById("auto-close-oos");
+  const statusTextElement = document.getElementById("status-text");
+  const statusElement = document.querySelector(".status");
+  const sitesConfigContainer = document.querySelector(".sites-config");
+  const globalSettingsSection = document.getElementById("global-settings");
+  const proxySettingsSection = document.getElementById("proxy-settings-section");
+  const proxyInput = document.getElementById("proxy-input");
+  const selectorHealthSection = document.getElementById("selector-health-section");
+  const selectorHealthList = document.getElementById("selector-health-list");
+  const selectorHealthResetBtn = document.getElementById("selector-health-reset-btn");
+  const stepTimelineList = document.getElementById("step-timeline-list");
+  const stepTimelineClearBtn = document.getElementById("step-timeline-clear-btn");
+  const restockMonitorSection = document.getElementById("restock-monitor-section");
+  const restockCheckNowBtn = document.getElementById("restock-check-now-btn");
+  const restockActiveToggle = document.getElementById("restock-active-toggle");
+  const restockIntervalInput = document.getElementById("restock-interval-input");
+  const restockOpenTabCheckbox = document.getElementById("restock-open-tab");
+  const restockIncludePriceChecksCheckbox = document.getElementById("restock-include-price-checks");
+  const restockTcinInput = document.getElementById("restock-tcin-input");
+  const restockAddBtn = document.getElementById("restock-add-btn");
+  const restockMonitorList = document.getElementById("restock-monitor-list");
+  const restockLastRun = document.getElementById("restock-last-run");
+  const priceCheckMainView = document.getElementById("price-check-main-view");
+  const priceCheckSettingsView = document.getElementById("price-check-settings-view");
+  const priceCheckSettingsBtn = document.getElementById("price-check-settings-btn");
+  const priceCheckBackBtn = document.getElementById("price-check-back-btn");
+  const priceCheckActiveToggleMain = document.getElementById("price-check-active-toggle");
+  const priceCheckStatusMain = document.getElementById("price-check-status-main");
+  const priceCheckStatusEl = document.getElementById("price-check-status");
+  const priceCheckActiveToggleSettings = document.getElementById("price-check-active-toggle-settings");
+  const priceCheckCloseTabToggle = document.getElementById("price-check-close-tab-toggle");
+  const priceCheckMaxTotalInput = document.getElementById("price-check-max-total-input");
+  const priceCheckMaxShippingInput = document.getElementById("price-check-max-shipping-input");
+  const priceCheckItemsContainer = document.getElementById("price-check-items-container");
+  const priceCheckSkuInput = document.getElementById("price-check-sku-input");
+  const priceCheckPriceInput = document.getElementById("price-check-price-input");
+  const priceCheckAddBtn = document.getElementById("price-check-add-btn");
+  const priceCheckMassInput = document.getElementById("price-check-mass-input");
+  const priceCheckMassAddBtn = document.getElementById("price-check-mass-add-btn");
+  const copySkusBtn = document.getElementById("copy-skus-btn");
+  const copyMaxPriceBtn = document.getElementById("copy-max-price-btn");
+  const siteControls = {};
+  let price_check_items = {};
+  let price_check_enabled = false;
+  let price_check_closeTabOnFail = false;
+  let price_check_statusTimeout;
+  let productCache = {};
+  let stepTimelines = [];
+  let stepTimelineTimer = null;
+  const openTimelineSteps = new Set(); // Expanded failed steps, kept open across re-renders
+  let restockMonitorSettings = null;
+  let restockMonitorResults = { lastRunAt: null, items: {} };
+  console.log("Starting initialization...");
+  initializeSiteControls();
+  await loadSettings();
+  setupEventListeners();
+  console.log("Initialization complete");
+  /**
+   * Build one site card per adapter in the site registry (sites/registry.js)
+   */
+  function initializeSiteControls() {
+    globalThis.autocheckoutSites.getSiteAdapters().forEach(adapter => {
+      const siteConfig = document.createElement("div");
+      siteConfig.className = "site-config";
+      siteConfig.setAttribute("data-site", adapter.id);
+      if (adapter.popupCard.logo) {
+        const logo = document.createElement("img");
+        logo.src = "../../" + adapter.popupCard.logo;
+        logo.alt = adapter.name + " Logo";
+        logo.className = "site-logo";
+        siteConfig.appendChild(logo);
+      } else {
+        const name = document.createElement("span");
+        name.className = "site-name";
+        name.textContent = adapter.name;
+        siteConfig.appendChild(name);
+      }
+      const controlsElement = document.createElement("div");
+      controlsElement.className = "site-controls";
+      const toggleLabel = document.createElement("label");
+      toggleLabel.className = "site-toggle-switch";
+      toggleLabel.title = "Arm " + adapter.name;
+      const toggle = document.createElement("input");
+      toggle.type = "checkbox";
+      toggle.className = "site-toggle";
+      const slider = document.createElement("span");
+      slider.className = "site-slider";
+      toggleLabel.appendChild(toggle);
+      toggleLabel.appendChild(slider);
+      controlsElement.appendChild(toggleLabel);
+      const inputGroup = document.createElement("div");
+      inputGroup.className = "site-input-group";
+      const fields = {};
+      adapter.popupCard.fields.forEach(key => {
+        const field = adapter.settings[key];
+        let input;
+        if (field.type === "profile") {
+          input = document.createElement("select");
+          input.id = adapter.id + "-profile-select";
+          input.className = "site-profile-select";
+          const defaultOption = document.createElement("option");
+          defaultOption.value = "";
+          defaultOption.textContent = "Default Profile";
+          input.appendChild(defaultOption);
+        } else {
+          input = document.createElement("input");
+          input.type = "number";
+          input.id = adapter.id + "-" + key;
+          input.className = "site-number";
+          if (field.min !== undefined) input.min = field.min;
+          if (field.max !== undefined) input.max = field.max;
+          input.value = field.default !== undefined ? field.default : "";
+        }
+        input.title = field.label || key;
+        const label = document.createElement("label");
+        label.htmlFor = input.id;
+        label.className = "sr-only";
+        label.textContent = adapter.name + " " + (field.label || key);
+        inputGroup.appendChild(label);
+        inputGroup.appendChild(input);
+        fields[key] = input;
+      });
+      controlsElement.appendChild(inputGroup);
+      siteConfig.appendChild(controlsElement);
+      sitesConfigContainer.appendChild(siteConfig);
+      siteControls[adapter.id] = { adapter, toggle, fields };
+    });
+    console.log("Initialized site controls:", Object.keys(siteControls));
+  }
+  /**
+   * Ask for host access the manifest does not grant up front (e.g. localhost for the demo store)
+   * @param {Object} adapter
+   * @returns {Promise<boolean>} True if the extension may run on the site's pages
+   */
+  async function ensureSitePermission(adapter) {
+    const origins = adapter.hostPatterns;
+    try {
+      if (await chrome.permissions.contains({ origins })) {
+        return true;
+      }
+      return await chrome.permissions.request({ origins });
+    } catch (error) {
+      console.error("Could not get host access for " + adapter.name + ":", error);
+      return false;
+    }
+  }
+  function setupEventListeners() {
+    console.log("Setting up event listeners...");
+    for (const site in siteControls) {
+      const controls = siteControls[site];
+      controls.toggle.addEventListener("change", async event => {
+        const enabled = event.target.checked;
+        console.log("Setting " + site + " enabled to: " + enabled);
+        if (enabled && !(await ensureSitePermission(controls.adapter))) {
+          event.target.checked = false;
+          alert(controls.adapter.name + " needs access to its pages before it can be switched on.");
+          return;
+        }
+        await updateSiteSetting(site, "enabled", enabled);
+      });
+      Object.entries(controls.fields).forEach(([key, input]) => {
+        input.addEventListener("change", async event => {
+          const field = controls.adapter.settings[key];
+          const value = field.type === "number" ? parseInt(event.target.value) || field.default : event.target.value;
+          const saved = await updateSiteSetting(site, key, value);
+          if (saved && field.type === "number") {
+            input.value = saved[key];
+          }
+          // Open pages of the site pick the change up without a reload
+          chrome.tabs.query({
+            url: controls.adapter.hostPatterns
+          }, tabs => {
+            tabs.forEach(tab => {
+              messages.sendTabMessage(tab.id, "updateSiteSetting", {
+                site: site,
+                siteSettings: {
+                  [key]: saved ? saved[key] : value
+                }
+              }).catch(error => console.warn("Could not send " + key + " update to tab: " + error.message));
+            });
+          });
+        });
+      });
+    }
+    autoSubmitCheckbox.addEventListener("change", event => {
+      updateGlobalSetting("autoSubmit", event.target.checked);
+    });
+    dryRunCheckbox.addEventListener("change", event => {
+      updateGlobalSetting("dryRun", event.target.checked);
+    });
+    useBuyNowCheckbox.addEventListener("change", event => {
+      updateGlobalSetting("useBuyNowWhenAvailable", event.target.checked);
+    });
+    autoCloseOosCheckbox.addEventListener("change", event => {
+      updateGlobalSetting("autoCloseCartPage", event.target.checked);
+    });
+    if (proxyInput) {
+      proxyInput.addEventListener("change", handleProxyChange);
+      proxyInput.addEventListener("blur", handleProxyChange);
+    }
+    if (selectorHealthResetBtn) {
+      selectorHealthResetBtn.addEventListener("click", () => {
+        // Forgets the remembered fallback strategies too; the next lookups start from the selector lists
+        chrome.storage.local.remove("selectorHealth");
+      });
+    }
+    if (stepTimelineClearBtn) {
+      stepTimelineClearBtn.addEventListener("click", () => {
+        messages.sendMessage("clearStepTimelines").catch(error => console.error("Could not clear step timelines:", error.message));
+      });
+    }
+    if (restockActiveToggle) {
+      restockActiveToggle.addEventListener("change", event => {
+        saveRestockMonitorSettings({ enabled: event.target.checked });
+      });
+      restockIntervalInput.addEventListener("change", event => {
+        saveRestockMonitorSettings({ intervalMinutes: event.target.value });
+      });
+      restockOpenTabCheckbox.addEventListener("change", event => {
+        saveRestockMonitorSettings({ openOnRestock: event.target.checked });
+      });
+      restockIncludePriceChecksCheckbox.addEventListener("change", event => {
+        saveRestockMonitorSettings({ includePriceCheckItems: event.target.checked });
+      });
+      restockAddBtn.addEventListener("click", addRestockWatchItem);
+      restockTcinInput.addEventListener("keydown", event => {
+        if (event.key === "Enter") {
+          addRestockWatchItem();
+        }
+      });
+      restockCheckNowBtn.addEventListener("click", async () => {
+        restockCheckNowBtn.disabled = true;
+        restockCheckNowBtn.textContent = "Checking...";
+        const response = await sendRestockMonitorMessage({ action: "checkRestockNow" });
+        restockCheckNowBtn.disabled = false;
+        restockCheckNowBtn.textContent = "Check now";
+        if (response.success) {
+          restockMonitorResults = response.results;
+          renderRestockMonitor();
+        }
+      });
+    }
+    console.log("Setting up Price Check navigation, button exists:", !!priceCheckSettingsBtn);
+    if (priceCheckSettingsBtn) {
+      priceCheckSettingsBtn.addEventListener("click", () => {
+        console.log("Price Check Settings button clicked");
+        sitesConfigContainer.style.display = "none";
+        globalSettingsSection.style.display = "none";
+        selectorHealthSection.style.display = "none";
+        restockMonitorSection.style.display = "none";
+        priceCheckMainView.style.display = "none";
+        proxySettingsSection.style.display = "none";
+        statusElement.style.display = "none";
+        priceCheckSettingsView.style.display = "block";
+      });
+    } else {
+      console.error("Price Check Settings button not found in DOM");
+    }
+    if (priceCheckBackBtn) {
+      priceCheckBackBtn.addEventListener("click", () => {
+        console.log("Price Check Back button clicked");
+        priceCheckSettingsView.style.display = "none";
+        sitesConfigContainer.style.display = "flex";
+        globalSettingsSection.style.display = "block";
+        selectorHealthSection.style.display = "block";
+        restockMonitorSection.style.display = "block";
+        priceCheckMainView.style.display = "block";
+        proxySettingsSection.style.display = "block";
+        statusElement.style.display = "flex";
+      });
+    }
+    const priceCheckToggleActiveHandler = event => {
+      const enabled = event.target.checked;
+      console.log("Price Check toggle changed to:", enabled);
+      price_check_enabled = enabled;
+      if (priceCheckActiveToggleMain) {
+        priceCheckActiveToggleMain.checked = enabled;
+      }
+      if (priceCheckActiveToggleSettings) {
+        priceCheckActiveToggleSettings.checked = enabled;
+      }
+      updatePriceCheckStatusDisplay();
+      chrome.storage.local.set({
+        price_check_enabled: enabled
+      });
+    };
+    if (priceCheckActiveToggleMain) {
+      priceCheckActiveToggleMain.addEventListener("change", priceCheckToggleActiveHandler);
+    }
+    if (priceCheckActiveToggleSettings) {
+      priceCheckActiveToggleSettings.addEventListener("change", priceCheckToggleActiveHandler);
+    }
+    if (priceCheckCloseTabToggle) {
+      console.log("Initial toggle state:", priceCheckCloseTabToggle.checked);
+      const toggleContainer = priceCheckCloseTabToggle.closest(".toggle-wrapper") || priceCheckCloseTabToggle.parentElement;
+      if (toggleContainer) {
+        console.log("Found toggle container, attaching click handler");
+        toggleContainer.addEventListener("click", event => {
+          price_check_closeTabOnFail = !price_check_closeTabOnFail;
+          priceCheckCloseTabToggle.checked = price_check_closeTabOnFail;
+          console.log("Toggle clicked! New state:", price_check_closeTabOnFail);
+          console.log("Checkbox checked property:", priceCheckCloseTabToggle.checked);
+          if (price_check_closeTabOnFail) {
+            toggleContainer.classList.add("toggle-active");
+          } else {
+            toggleContainer.classList.remove("toggle-active");
+          }
+          chrome.storage.local.set({
+            price_check_closeTabOnFail: price_check_closeTabOnFail
+          }, () => {
+            if (chrome.runtime.lastError) {
+              console.error("Error saving close tab setting:", chrome.runtime.lastError);
+            } else {
+              console.log("Close tab on fail setting saved successfully: " + price_check_closeTabOnFail);
+              chrome.storage.local.get(["price_check_closeTabOnFail"], data => {
+                console.log("Verified state in storage:", data.price_check_closeTabOnFail);
+              });
+            }
+          });
+          event.preventDefault();
+          event.stopPropagation();
+        });
+        priceCheckCloseTabToggle.addEventListener("change", event => {
+          console.log("Checkbox change event triggered, current checked:", event.target.checked);
+          event.stopPropagation();
+        });
+      } else {
+        console.error("Could not find toggle container for click handler!");
+        priceCheckCloseTabToggle.addEventListener("change", event => {
+          price_check_closeTabOnFail = event.target.checked;
+          console.log("Fallback handler: toggle changed to " + price_check_closeTabOnFail);
+          chrome.storage.local.set({
+            price_check_closeTabOnFail: price_check_closeTabOnFail
+          });
+        });
+      }
+    }
+    [priceCheckMaxTotalInput, priceCheckMaxShippingInput].forEach(input => {
+      input.addEventListener("change", savePriceCheckLimits);
+    });
+    if (priceCheckAddBtn) {
+      priceCheckAddBtn.addEventListener("click", addPriceCheckItem);
+    }
+    if (priceCheckSkuInput) {
+      priceCheckSkuInput.addEventListener("keydown", event => {
+        if (event.key === "Enter") {
+          addPriceCheckItem();
+        }
+      });
+    }
+    if (priceCheckMassAddBtn) {
+      priceCheckMassAddBtn.addEventListener("click", addPriceCheckItemsBulk);
+    }
+    if (copySkusBtn) {
+      copySkusBtn.addEventListener("click", copySkusToClipboard);
+    }
+    if (copyMaxPriceBtn) {
+      copyMaxPriceBtn.addEventListener("click", copyMaxPriceToClipboard);
+    }
+    chrome.storage.onChanged.addListener(handleStorageChanges);
+    console.log("All event listeners set up");
+  }
+  function debounce(func, wait) {
+    let timeout;
+    return function (...args) {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => func.apply(this, args), wait);
+    };
+  }
+  function handleProxyChange(event) {
+    const value = event.target.value.trim();
+    if (!value) {
+      chrome.storage.local.remove("proxyConfig", () => {
+        messages.sendMessage("clearProxy").catch(error => console.error("Could not clear proxy:", error.message));
+      });
+      return;
+    }
+    const parts = value.split(":");
+    let proxyConfig = null;
+    if (parts.length === 2) {
+      proxyConfig = {
+        host: parts[0],
+        port: parts[1]
+      };
+    } else if (parts.length === 4) {
+      proxyConfig = {
+        host: parts[0],
+        port: parts[1],
+        username: parts[2],
+        password: parts[3]
+      };
+    }
+    if (proxyConfig) {
+      chrome.storage.local.set({
+        proxyConfig: proxyConfig
+      }, () => {
+        messages.sendMessage("applyProxy", { proxyConfig: proxyConfig }).catch(error => console.error("Could not apply proxy:", error.message));
+      });
+    }
+  }
+  async function handleStorageChanges(changes, areaName) {
+    console.log("Storage changes detected:", areaName, changes);
+    if (areaName === "local") {
+      if (changes.siteSettings) {
+        console.log("siteSettings changed:", changes.siteSettings.newValue);
+        showSiteSettings(changes.siteSettings.newValue || {});
+      }
+      if (changes.globalSettings) {
+        const globalSettings = changes.globalSettings.newValue || {};
+        autoSubmitCheckbox.checked = globalSettings.autoSubmit !== false;
+        dryRunCheckbox.checked = globalSettings.dryRun === true;
+        useBuyNowCheckbox.checked = globalSettings.useBuyNowWhenAvailable === true;
+        autoCloseOosCheckbox.checked = globalSettings.autoCloseCartPage === true;
+        console.log("Updated global settings from storage change");
+      }
+      if (changes.proxyConfig) {
+        const proxyConfig = changes.proxyConfig.newValue;
+        if (proxyConfig) {
+          let proxyString = "";
+          if (proxyConfig.username && proxyConfig.password) {
+            proxyString = proxyConfig.host + ":" + proxyConfig.port + ":" + proxyConfig.username + ":" + proxyConfig.password;
+          } else {
+            proxyString = proxyConfig.host + ":" + proxyConfig.port;
+          }
+          proxyInput.value = proxyString;
+        } else {
+          proxyInput.value = "";
+        }
+      }
+      if (changes.selectorHealth) {
+        renderSelectorHealth(changes.selectorHealth.newValue);
+      }
+      if (changes.price_check_enabled !== undefined) {
+        price_check_enabled = changes.price_check_enabled.newValue;
+        if (priceCheckActiveToggleMain) {
+          priceCheckActiveToggleMain.checked = price_check_enabled;
+        }
+        if (priceCheckActiveToggleSettings) {
+          priceCheckActiveToggleSettings.checked = price_check_enabled;
+        }
+        updatePriceCheckStatusDisplay();
+      }
+      if (changes.price_check_closeTabOnFail !== undefined) {
+        price_check_closeTabOnFail = changes.price_check_closeTabOnFail.newValue;
+        if (priceCheckCloseTabToggle) {
+          priceCheckCloseTabToggle.checked = price_check_closeTabOnFail;
+        }
+      }
+      if (changes.price_check_limits) {
+        showPriceCheckLimits(changes.price_check_limits.newValue);
+      }
+      if (changes.productCache) {
+        productCache = changes.productCache.newValue || {};
+        renderPriceCheckItems();
+      }
+      if (changes.price_check_items) {
+        price_check_items = changes.price_check_items.newValue || {};
+        renderPriceCheckItems();
+        renderRestockMonitor();
+      }
+      if (changes.restockMonitor && changes.restockMonitor.newValue) {
+        restockMonitorSettings = changes.restockMonitor.newValue;
+        renderRestockMonitor();
+      }
+      if (changes.restockMonitorResults) {
+        restockMonitorResults = changes.restockMonitorResults.newValue || { lastRunAt: null, items: {} };
+        renderRestockMonitor();
+      }
+    }
+    if (areaName === "session" && changes.stepTimelines) {
+      stepTimelines = Object.values(changes.stepTimelines.newValue || {});
+      renderStepTimelines();
+    }
+  }
+  async function loadSettings() {
+    try {
+      console.log("Loading settings from storage...");
+      const data = await chrome.storage.local.get(["siteSettings", "globalSettings", "proxyConfig", "price_check_enabled", "price_check_closeTabOnFail", "price_check_items", "price_check_limits", "productCache", "profiles", "selectedProfile", "selectorHealth"]);
+      console.log("Settings loaded:", data);
+      await recoverSavedProfileId(data);
+      showSiteSettings(data.siteSettings || {});
+      const globalSettings = data.globalSettings || {};
+      autoSubmitCheckbox.checked = globalSettings.autoSubmit !== false;
+      dryRunCheckbox.checked = globalSettings.dryRun === true;
+      useBuyNowCheckbox.checked = globalSettings.useBuyNowWhenAvailable === true;
+      autoCloseOosCheckbox.checked = globalSettings.autoCloseCartPage === true;
+      if (data.proxyConfig) {
+        const proxyConfig = data.proxyConfig;
+        let proxyString = "";
+        if (proxyConfig.username && proxyConfig.password) {
+          proxyString = proxyConfig.host + ":" + proxyConfig.port + ":" + proxyConfig.username + ":" + proxyConfig.password;
+        } else {
+          proxyString = proxyConfig.host + ":" + proxyConfig.port;
+        }
+        proxyInput.value = proxyString;
+      }
+      price_check_enabled = data.price_check_enabled === true;
+      price_check_closeTabOnFail = data.price_check_closeTabOnFail === true;
+      price_check_items = data.price_check_items || {};
+      productCache = data.productCache || {};
+      console.log("Price check enabled:", price_check_enabled);
+      if (priceCheckActiveToggleMain) {
+        priceCheckActiveToggleMain.checked = price_check_enabled;
+      }
+      if (priceCheckActiveToggleSettings) {
+        priceCheckActiveToggleSettings.checked = price_check_enabled;
+      }
+      if (priceCheckCloseTabToggle) {
+        priceCheckCloseTabToggle.checked = price_check_closeTabOnFail;
+      }
+      showPriceCheckLimits(data.price_check_limits);
+      updatePriceCheckStatusDisplay();
+      renderPriceCheckItems();
+      renderSelectorHealth(data.selectorHealth);
+      await loadStepTimelines();
+      loadProfilesDropdown(data.profiles, data.selectedProfile);
+      await loadRestockMonitor();
+      console.log("Settings loaded successfully");
+    } catch (error) {
+      console.error("Error loading settings:", error);
+    }
+  }
+  /**
+   * Older versions of the popup also kept the Target profile in localStorage ("targetProfileId").
+   * Put it back in the Target site settings when they no longer point at a profile, then drop it.
+   * @param {Object} data - Stored siteSettings and profiles; siteSettings is updated in place
+   * @returns {Promise<void>}
+   */
+  async function recoverSavedProfileId(data) {
+    let savedProfileId = null;
+    try {
+      savedProfileId = localStorage.getItem("targetProfileId");
+      localStorage.removeItem("targetProfileId");
+    } catch (error) {
+      console.warn("Could not read the saved profile ID from localStorage:", error);
+    }
+    const profileIds = (data.profiles || []).map(profile => profile.id);
+    const target = data.siteSettings?.target || {};
+    if (!savedProfileId || !profileIds.includes(savedProfileId) || profileIds.includes(target.profileId)) {
+      return;
+    }
+    data.siteSettings = { ...(data.siteSettings || {}), target: { ...target, profileId: savedProfileId } };
+    await chrome.storage.local.set({ siteSettings: data.siteSettings });
+    console.log("Recovered Target profile ID from localStorage:", savedProfileId);
+  }
+  /**
+   * Show stored site settings on the site cards (defaults from the site registry)
+   * @param {Object} allSiteSettings - siteSettings from storage
+   */
+  function showSiteSettings(allSiteSettings) {
+    for (const site in siteControls) {
+      const controls = siteControls[site];
+      const siteSettings = globalThis.autocheckoutSites.normalizeSiteSettings(site, {
+        ...globalThis.autocheckoutSites.getDefaultSiteSettings(site),
+        ...(allSiteSettings[site] || {})
+      });
+      controls.toggle.checked = siteSettings.enabled === true;
+      Object.entries(controls.fields).forEach(([key, input]) => {
+        // A profile select keeps the global selection until the site has its own
+        if (siteSettings[key] !== undefined && !(input.tagName === "SELECT" && !siteSettings[key])) {
+          input.value = siteSettings[key];
+        }
+      });
+    }
+  }
+  function loadProfilesDropdown(profiles, selectedProfile) {
+    try {
+      console.log("Loading profiles for dropdown...");
+      console.log("Profiles data:", profiles ? profiles.length + " profiles found" : "no profiles");
+      chrome.storage.local.get("siteSettings", data => {
+        for (const site in siteControls) {
+          const controls = siteControls[site];
+          Object.entries(controls.fields).forEach(([key, dropdown]) => {
+            if (controls.adapter.settings[key].type !== "profile") {
+              return;
+            }
+            while (dropdown.options.length > 1) {
+              dropdown.remove(1);
+            }
+            (profiles || []).forEach(profile => {
+              const option = document.createElement("option");
+              option.value = profile.id;
+              option.textContent = profile.name || "Profile " + profile.id;
+              dropdown.appendChild(option);
+            });
+            const siteProfileId = data.siteSettings?.[site]?.[key];
+            const profileIdToSelect = siteProfileId || selectedProfile || "";
+            dropdown.value = profileIdToSelect;
+            console.log("Selected " + site + " profile set to:", profileIdToSelect || "default");
+          });
+        }
+      });
+      if (!profiles || !profiles.length) {
+        console.warn("No profiles found");
+      }
+    } catch (error) {
+      console.error("Error loading profiles for dropdown:", error);
+    }
+  }
+  /**
+   * Save one site setting, coerced to the type the site adapter declares
+   * @param {string} site
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<Object|null>} - The site's saved settings, or null on failure
+   */
+  async function updateSiteSetting(site, key, value) {
+    try {
+      const data = await chrome.storage.local.get("siteSettings");
+      const siteSettings = data.siteSettings || {};
+      siteSettings[site] = {
+        ...(siteSettings[site] || {}),
+        ...globalThis.autocheckoutSites.normalizeSiteSettings(site, { [key]: value })
+      };
+      await chrome.storage.local.set({
+        siteSettings: siteSettings
+      });
+      return siteSettings[site];
+    } catch (error) {
+      console.error("Error updating site setting " + site + "." + key + ":", error);
+      return null;
+    }
+  }
+  async function updateGlobalSetting(key, value) {
+    try {
+      const data = await chrome.storage.local.get("globalSettings");
+      const globalSettings = data.globalSettings || {};
+      globalSettings[key] = value;
+      await chrome.storage.local.set({
+        globalSettings: globalSettings
+      });
+    } catch (error) {
+      console.error("Error updating global setting " + key + ":", error);
+    }
+  }
+  /**
+   * Show the worst selector status per checkout step (written by common/selector-engine.js).
+   * An element counts by how it was last found; ones never found on a page yet are "not seen".
+   * @param {Object} selectorHealth - site -> element key -> health record
+   */
+  function renderSelectorHealth(selectorHealth) {
+    if (!selectorHealthList) {
+      return;
+    }
+    const stepOrder = ["product", "popups", "shipping", "payment", "review", "cvv", "card-verification"];
+    const statusLabels = { healthy: "Healthy", "not-seen": "Not seen", degraded: "Degraded" };
+    const records = Object.values((selectorHealth || {}).target || {});
+    selectorHealthList.innerHTML = "";
+    if (records.length === 0) {
+      const emptyMessage = document.createElement("p");
+      emptyMessage.textContent = "Open a Target product or checkout page to check selectors.";
+      emptyMessage.className = "empty-message";
+      selectorHealthList.appendChild(emptyMessage);
+      return;
+    }
+    const steps = {};
+    records.forEach(record => {
+      (steps[record.step] = steps[record.step] || []).push(record);
+    });
+    Object.keys(steps).sort((a, b) => {
+      const indexA = stepOrder.indexOf(a) === -1 ? stepOrder.length : stepOrder.indexOf(a);
+      const indexB = stepOrder.indexOf(b) === -1 ? stepOrder.length : stepOrder.indexOf(b);
+      return indexA - indexB;
+    }).forEach(step => {
+      const stepRecords = steps[step];
+      const seen = stepRecords.filter(record => record.lastFoundStatus);
+      const degraded = seen.filter(record => record.lastFoundStatus === "degraded");
+      let status = "healthy";
+      if (degraded.length > 0) {
+        status = "degraded";
+      } else if (seen.length === 0) {
+        status = "not-seen";
+      }
+      const row = document.createElement("div");
+      row.className = "selector-health-row";
+      row.title = stepRecords.map(record => {
+        const detail = record.lastFoundStatus ? record.lastFoundStatus + " via " + (record.selector || record.strategy + " fallback") + " (" + Math.round(record.confidence * 100) + "%)" : "not seen yet";
+        return record.label + ": " + detail;
+      }).join("\n");
+      const stepName = document.createElement("span");
+      stepName.className = "selector-health-step";
+      stepName.textContent = step;
+      const summary = document.createElement("span");
+      summary.className = "selector-health-summary";
+      summary.textContent = seen.length + "/" + stepRecords.length + " found" + (degraded.length > 0 ? ", " + degraded.length + " degraded" : "");
+      const badge = document.createElement("span");
+      badge.className = "selector-health-badge selector-health-" + status;
+      badge.textContent = statusLabels[status];
+      row.appendChild(stepName);
+      row.appendChild(summary);
+      row.appendChild(badge);
+      selectorHealthList.appendChild(row);
+    });
+  }
+  async function loadStepTimelines() {
+    if (!stepTimelineList) {
+      return;
+    }
+    try {
+      const response = await messages.sendMessage("getStepTimelines");
+      stepTimelines = response.timelines || [];
+    } catch (error) {
+      console.error("Could not load step timelines:", error.message);
+    }
+    renderStepTimelines();
+  }
+  /**
+   * @param {number} ms
+   * @returns {string} - e.g. "0.4s", "12.3s", "2m 05s"
+   */
+  function formatStepDuration(ms) {
+    const seconds = Math.max(0, ms) / 1000;
+    if (seconds < 60) {
+      return seconds.toFixed(1) + "s";
+    }
+    return Math.floor(seconds / 60) + "m " + String(Math.floor(seconds % 60)).padStart(2, "0") + "s";
+  }
+  /**
+   * Show the step timeline of every automated tab (kept by background/step-timeline.js), running
+   * tabs first. Durations of running steps count up while the popup is open; failed steps expand
+   * to show their error.
+   */
+  function renderStepTimelines() {
+    if (!stepTimelineList) {
+      return;
+    }
+    clearInterval(stepTimelineTimer);
+    stepTimelineTimer = null;
+    stepTimelineList.innerHTML = "";
+    if (stepTimelines.length === 0) {
+      const emptyMessage = document.createElement("p");
+      emptyMessage.textContent = "Tabs show up here once a checkout starts in them.";
+      emptyMessage.className = "empty-message";
+      stepTimelineList.appendChild(emptyMessage);
+      return;
+    }
+    const isRunning = timeline => timeline.steps.some(step => step.status === "running");
+    stepTimelines.slice().sort((a, b) => isRunning(b) - isRunning(a) || b.updatedAt - a.updatedAt).forEach(timeline => {
+      const tabElement = document.createElement("div");
+      tabElement.className = "step-timeline-tab";
+      const header = document.createElement("div");
+      header.className = "step-timeline-tab-header";
+      header.title = (timeline.url || "") + "\nClick to switch to this tab";
+      header.onclick = () => {
+        chrome.tabs.update(timeline.tabId, { active: true }).catch(error => console.error("Could not switch to tab " + timeline.tabId + ":", error.message));
+      };
+      const title = document.createElement("span");
+      title.className = "step-timeline-tab-title";
+      title.textContent = timeline.title || timeline.url || "Tab " + timeline.tabId;
+      const state = document.createElement("span");
+      state.className = "step-timeline-tab-state";
+      state.textContent = "#" + timeline.tabId + " · " + timeline.state + (timeline.paused ? " · paused" : "");
+      header.appendChild(title);
+      header.appendChild(state);
+      if (timeline.paused || isRunning(timeline)) {
+        header.appendChild(createCheckoutControlButton(timeline, timeline.paused ? "resume" : "pause", timeline.paused ? "Resume" : "Pause"));
+        header.appendChild(createCheckoutControlButton(timeline, "abort", "Abort"));
+      }
+      tabElement.appendChild(header);
+      timeline.steps.forEach(step => tabElement.appendChild(renderTimelineStep(timeline.tabId, step)));
+      stepTimelineList.appendChild(tabElement);
+    });
+    if (stepTimelines.some(isRunning)) {
+      stepTimelineTimer = setInterval(() => {
+        stepTimelineList.querySelectorAll(".step-timeline-duration[data-started-at]").forEach(duration => {
+          duration.textContent = formatStepDuration(Date.now() - Number(duration.dataset.startedAt));
+        });
+      }, 1000);
+    }
+  }
+  /**
+   * @param {Object} timeline - A tab's timeline
+   * @param {string} command - controlCheckout command for the tab's content script
+   * @param {string} label
+   * @returns {HTMLButtonElement}
+   */
+  function createCheckoutControlButton(timeline, command, label) {
+    const button = document.createElement("button");
+    button.className = "btn-link step-timeline-control" + (command === "abort" ? " step-timeline-abort" : "");
+    button.textContent = label;
+    button.onclick = event => {
+      event.stopPropagation(); // The header switches to the tab
+      button.disabled = true;
+      // The tab reports its new state, which re-renders the list
+      messages.sendTabMessage(timeline.tabId, "controlCheckout", { command }).catch(error => {
+        console.error("Could not " + command + " the checkout in tab " + timeline.tabId + ":", error.message);
+        button.disabled = false;
+      });
+    };
+    return button;
+  }
+  /**
+   * @param {number} tabId
+   * @param {Object} step - See CheckoutFlow.getTimeline in common/checkout-base.js
+   * @returns {HTMLElement} - A row, inside a details element when there is an error to show
+   */
+  function renderTimelineStep(tabId, step) {
+    const statusLabels = { running: "Running", done: "Done", failed: "Failed", stopped: "Stopped" };
+    const row = document.createElement("div");
+    row.className = "step-timeline-row";
+    const name = document.createElement("span");
+    name.className = "step-timeline-name";
+    name.textContent = step.step;
+    const detail = document.createElement("span");
+    detail.className = "step-timeline-detail";
+    detail.textContent = [step.retries > 0 ? step.retries + (step.retries === 1 ? " retry" : " retries") : "", step.selector || ""].filter(Boolean).join(" · ");
+    detail.title = step.selector ? "Matched " + step.selector : "";
+    const duration = document.createElement("span");
+    duration.className = "step-timeline-duration";
+    duration.textContent = formatStepDuration((step.endedAt || Date.now()) - step.startedAt);
+    if (step.status === "running") {
+      duration.dataset.startedAt = step.startedAt;
+    }
+    const badge = document.createElement("span");
+    badge.className = "step-timeline-badge step-timeline-" + step.status;
+    badge.textContent = statusLabels[step.status] || step.status;
+    row.appendChild(name);
+    row.appendChild(detail);
+    row.appendChild(duration);
+    row.appendChild(badge);
+    if (step.status !== "failed" && !step.error) {
+      return row;
+    }
+    const details = document.createElement("details");
+    details.className = "step-timeline-step";
+    const key = tabId + ":" + step.step + ":" + step.startedAt;
+    details.open = openTimelineSteps.has(key);
+    details.addEventListener("toggle", () => {
+      if (details.open) {
+        openTimelineSteps.add(key);
+      } else {
+        openTimelineSteps.delete(key);
+      }
+    });
+    const summary = document.createElement("summary");
+    summary.appendChild(row);
+    const error = document.createElement("div");
+    error.className = "step-timeline-error";
+    error.textContent = "In state '" + step.state + "': " + (step.error || "no error message");
+    details.appendChild(summary);
+    details.appendChild(error);
+    return details;
+  }
+  /**
+   * Send a message to the restock monitor in the background worker
+   * @param {Object} message
+   * @returns {Promise<Object>} - Response, or { success: false, error } if the worker did not answer
+   */
+  async function sendRestockMonitorMessage(message) {
+    try {
+      const { action, ...payload } = message;
+      const response = await messages.sendMessage(action, payload);
+      if (!response || !response.success) {
+        console.error("Restock monitor " + message.action + " failed:", response?.error);
+        return response || { success: false, error: "No response" };
+      }
+      return response;
+    } catch (error) {
+      console.error("Restock monitor " + message.action + " failed:", error);
+      return { success: false, error: error.message };
+    }
+  }
+  async function loadRestockMonitor() {
+    if (!restockMonitorSection) {
+      return;
+    }
+    const response = await sendRestockMonitorMessage({ action: "getRestockMonitor" });
+    if (!response.success) {
+      return;
+    }
+    restockMonitorSettings = response.settings;
+    restockMonitorResults = response.results;
+    restockIntervalInput.min = response.minIntervalMinutes;
+    renderRestockMonitor();
+  }
+  /**
+   * Save some restock monitor settings; the background worker checks them and sets the alarm
+   * @param {Object} changes
+   */
+  async function saveRestockMonitorSettings(changes) {
+    const response = await sendRestockMonitorMessage({
+      action: "saveRestockMonitorSettings",
+      settings: { ...restockMonitorSettings, ...changes }
+    });
+    if (!response.success) {
+      alert("Could not save restock monitor settings: " + response.error);
+    } else {
+      restockMonitorSettings = response.settings;
+    }
+    renderRestockMonitor();
+  }
+  function addRestockWatchItem() {
+    const tcin = restockTcinInput.value.trim();
+    if (!/^\d{5,10}$/.test(tcin)) {
+      alert("Please enter a valid TCIN (digits only).");
+      return;
+    }
+    if (!restockMonitorSettings.watchList.includes(tcin)) {
+      saveRestockMonitorSettings({ watchList: restockMonitorSettings.watchList.concat(tcin) });
+    }
+    restockTcinInput.value = "";
+  }
+  /**
+   * Show the monitor settings and the last result for each watched TCIN
+   */
+  function renderRestockMonitor() {
+    if (!restockMonitorList || !restockMonitorSettings) {
+      return;
+    }
+    const statusLabels = { "in-stock": "In stock", "out-of-stock": "Out of stock", unknown: "Unknown" };
+    restockActiveToggle.checked = restockMonitorSettings.enabled;
+    restockIntervalInput.value = restockMonitorSettings.intervalMinutes;
+    restockOpenTabCheckbox.checked = restockMonitorSettings.openOnRestock;
+    restockIncludePriceChecksCheckbox.checked = restockMonitorSettings.includePriceCheckItems;
+    restockLastRun.textContent = restockMonitorResults.lastRunAt ? new Date(restockMonitorResults.lastRunAt).toLocaleString() : "never";
+    const tcins = restockMonitorSettings.watchList.slice();
+    if (restockMonitorSettings.includePriceCheckItems) {
+      Object.keys(price_check_items).forEach(sku => {
+        if (!tcins.includes(sku)) {
+          tcins.push(sku);
+        }
+      });
+    }
+    restockMonitorList.innerHTML = "";
+    if (tcins.length === 0) {
+      const emptyMessage = document.createElement("p");
+      emptyMessage.textContent = "Add a TCIN to watch for restocks.";
+      emptyMessage.className = "empty-message";
+      restockMonitorList.appendChild(emptyMessage);
+      return;
+    }
+    tcins.forEach(tcin => {
+      const item = restockMonitorResults.items[tcin];
+      const status = item ? item.status : "not-checked";
+      const row = document.createElement("div");
+      row.className = "restock-monitor-row";
+      row.title = item ? "Checked " + new Date(item.lastChecked).toLocaleString() + (item.error ? "\nLast check failed: " + item.error : "") : "Not checked yet";
+      const name = document.createElement("span");
+      name.className = "restock-monitor-name";
+      name.textContent = item && item.title ? item.title : "TCIN " + tcin;
+      const badge = document.createElement("span");
+      badge.className = "restock-monitor-badge restock-monitor-" + status;
+      badge.textContent = statusLabels[status] || "Not checked";
+      row.appendChild(name);
+      row.appendChild(badge);
+      if (restockMonitorSettings.watchList.includes(tcin)) {
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "btn-link";
+        removeBtn.textContent = "×";
+        removeBtn.title = "Stop watching";
+        removeBtn.onclick = () => {
+          saveRestockMonitorSettings({ watchList: restockMonitorSettings.watchList.filter(watched => watched !== tcin) });
+        };
+        row.appendChild(removeBtn);
+      } else {
+        badge.title = "From Price Check";
+      }
+      restockMonitorList.appendChild(row);
+    });
+  }
+  function updatePriceCheckStatusDisplay() {
+    const statusText = price_check_enabled ? "Active" : "Inactive";
+    const statusClass = price_check_enabled ? "status-online" : "status-offline";
+    console.log("Updating price check status display:", statusText);
+    if (priceCheckStatusEl) {
+      priceCheckStatusEl.textContent = statusText;
+      priceCheckStatusEl.className = statusClass;
+    }
+    if (priceCheckStatusMain) {
+      priceCheckStatusMain.textContent = statusText;
+      priceCheckStatusMain.className = statusClass;
+      priceCheckStatusMain.style.color = price_check_enabled ? "#2ECC71" : "#f04747";
+    }
+  }
+  function addPriceCheckItem() {
+    const sku = priceCheckSkuInput.value.trim();
+    if (!sku) {
+      alert("Please enter a valid SKU/TCIN.");
+      return;
+    }
+    const maxPrice = parseFloat(priceCheckPriceInput.value.trim());
+    if (isNaN(maxPrice) || maxPrice <= 0) {
+      alert("Please enter a valid maximum price.");
+      return;
+    }
+    price_check_items[sku] = maxPrice;
+    chrome.storage.local.set({
+      price_check_items: price_check_items
+    }, () => {
+      renderPriceCheckItems();
+      priceCheckSkuInput.value = "";
+      priceCheckPriceInput.value = "";
+    });
+  }
+  /**
+   * Fill in the review step limits (see common/price-check.js)
+   * @param {Object} [limits] - { maxOrderTotal, maxShipping }, null for no limit
+   */
+  function showPriceCheckLimits(limits) {
+    const { maxOrderTotal = null, maxShipping = null } = limits || {};
+    priceCheckMaxTotalInput.value = maxOrderTotal === null ? "" : maxOrderTotal;
+    priceCheckMaxShippingInput.value = maxShipping === null ? "" : maxShipping;
+  }
+  function savePriceCheckLimits() {
+    const readLimit = input => {
+      const value = input.value.trim();
+      return value === "" ? null : parseFloat(value);
+    };
+    const limits = {
+      maxOrderTotal: readLimit(priceCheckMaxTotalInput),
+      maxShipping: readLimit(priceCheckMaxShippingInput)
+    };
+    if (Object.values(limits).some(limit => limit !== null && (isNaN(limit) || limit < 0))) {
+      alert("Please enter a valid limit, or leave it empty for none.");
+      chrome.storage.local.get(["price_check_limits"], data => showPriceCheckLimits(data.price_check_limits));
+      return;
+    }
+    chrome.storage.local.set({
+      price_check_limits: limits
+    });
+  }
+  function addPriceCheckItemsBulk() {
+    const input = priceCheckMassInput.value.trim();
+    if (!input) {
+      alert("Please enter data in the SKU;maxprice format.");
+      return;
+    }
+    const lines = input.split("\n").filter(line => line.trim());
+    let addedCount = 0;
+    let invalidCount = 0;
+    lines.forEach(line => {
+      const parts = line.trim().split(";");
+      if (parts.length !== 2) {
+        invalidCount++;
+        return;
+      }
+      const sku = parts[0].trim();
+      const maxPrice = parseFloat(parts[1].trim());
+      if (!sku || isNaN(maxPrice) || maxPrice <= 0) {
+        invalidCount++;
+        return;
+      }
+      price_check_items[sku] = maxPrice;
+      addedCount++;
+    });
+    if (addedCount > 0) {
+      chrome.storage.local.set({
+        price_check_items: price_check_items
+      }, () => {
+        renderPriceCheckItems();
+        priceCheckMassInput.value = "";
+        if (invalidCount > 0) {
+          alert("Added " + addedCount + " items. " + invalidCount + " items had invalid format and were skipped.");
+        } else {
+          alert("Successfully added " + addedCount + " items.");
+        }
+      });
+    } else if (invalidCount > 0) {
+      alert("No valid entries found. Please use the format SKU;maxprice on each line.");
+    }
+  }
+  function copySkusToClipboard() {
+    const entries = Object.entries(price_check_items);
+    if (entries.length === 0) {
+      alert("No price checks available to copy.");
+      return;
+    }
+    entries.sort((a, b) => a[0].localeCompare(b[0]));
+    const text = entries.map(([sku]) => sku).join("\n");
+    navigator.clipboard.writeText(text).then(() => {
+      alert("SKUs copied to clipboard!");
+    }).catch(error => {
+      console.error("Could not copy text: ", error);
+      alert("Failed to copy SKUs.");
+    });
+  }
+  function copyMaxPriceToClipboard() {
+    const entries = Object.entries(price_check_items);
+    if (entries.length === 0) {
+      alert("No price checks available to copy.");
+      return;
+    }
+    entries.sort((a, b) => a[0].localeCompare(b[0]));
+    const text = entries.map(([sku, maxPrice]) => sku + ";" + maxPrice).join("\n");
+    navigator.clipboard.writeText(text).then(() => {
+      alert("SKUs with max prices copied to clipboard!");
+    }).catch(error => {
+      console.error("Could not copy text: ", error);
+      alert("Failed to copy SKUs with max prices.");
+    });
+  }
+  function renderPriceCheckItems() {
+    if (!priceCheckItemsContainer) {
+      return;
+    }
+    priceCheckItemsContainer.innerHTML = "";
+    const entries = Object.entries(price_check_items);
+    if (entries.length === 0) {
+      const emptyMessage = document.createElement("p");
+      emptyMessage.textContent = "No price checks added yet.";
+      emptyMessage.className = "empty-message";
+      priceCheckItemsContainer.appendChild(emptyMessage);
+      return;
+    }
+    entries.sort((a, b) => a[0].localeCompare(b[0]));
+    const stockLabels = { "in-stock": "In stock", "out-of-stock": "Out of stock", "pre-order": "Pre-order", unknown: "Stock unknown" };
+    entries.forEach(([sku, maxPrice]) => {
+      // Filled in by the content script whenever it visits the product page (see common/product-info.js)
+      const product = productCache[sku];
+      const itemDiv = document.createElement("div");
+      itemDiv.className = "price-check-item";
+      if (product && product.image) {
+        const image = document.createElement("img");
+        image.className = "price-check-item-image";
+        image.src = product.image;
+        image.alt = "";
+        itemDiv.appendChild(image);
+      }
+      const itemDetails = document.createElement("div");
+      itemDetails.className = "price-check-item-details";
+      if (product && product.title) {
+        const titleDiv = document.createElement("div");
+        titleDiv.className = "price-check-item-title";
+        titleDiv.textContent = product.title;
+        titleDiv.title = product.title;
+        itemDetails.appendChild(titleDiv);
+      }
+      const skuDiv = document.createElement("div");
+      skuDiv.className = "price-check-item-sku";
+      skuDiv.textContent = "SKU: " + sku + (product && product.brand ? " · " + product.brand : "");
+      const priceSpan = document.createElement("div");
+      priceSpan.className = "price-check-item-price";
+      priceSpan.textContent = "Max Price: $" + maxPrice.toFixed(2);
+      itemDetails.appendChild(skuDiv);
+      itemDetails.appendChild(priceSpan);
+      if (product) {
+        const seenDiv = document.createElement("div");
+        seenDiv.className = "price-check-item-seen";
+        seenDiv.title = "Seen " + new Date(product.seenAt).toLocaleString();
+        if (typeof product.price === "number") {
+          const seenPrice = document.createElement("span");
+          seenPrice.className = product.price > maxPrice ? "price-check-item-over" : "";
+          seenPrice.textContent = "Last seen $" + product.price.toFixed(2);
+          seenDiv.appendChild(seenPrice);
+        }
+        const stock = document.createElement("span");
+        stock.className = "price-check-item-stock price-check-stock-" + (product.availability || "unknown");
+        stock.textContent = stockLabels[product.availability] || stockLabels.unknown;
+        seenDiv.appendChild(stock);
+        itemDetails.appendChild(seenDiv);
+      } else {
+        itemDiv.title = "Not seen yet - details appear after the product page is opened while Target is armed";
+      }
+      const itemActions = document.createElement("div");
+      itemActions.className = "price-check-item-actions";
+      const editBtn = document.createElement("button");
+      editBtn.className = "price-check-item-edit";
+      editBtn.textContent = "✎";
+      editBtn.title = "Edit price";
+      editBtn.onclick = () => {
+        const newPrice = prompt("Edit max price for SKU \"" + sku + "\":", maxPrice.toFixed(2));
+        if (newPrice !== null) {
+          const parsedPrice = parseFloat(newPrice);
+          if (!isNaN(parsedPrice) && parsedPrice > 0) {
+            price_check_items[sku] = parsedPrice;
+            chrome.storage.local.set({
+              price_check_items: price_check_items
+            }, () => {
+              renderPriceCheckItems();
+            });
+          } else {
+            alert("Please enter a valid price (greater than 0).");
+          }
+        }
+      };
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "price-check-item-delete";
+      deleteBtn.textContent = "×";
+      deleteBtn.title = "Remove price check";
+      deleteBtn.onclick = () => {
+        if (confirm("Remove price check for SKU \"" + sku + "\"?")) {
+          delete price_check_items[sku];
+          chrome.storage.local.set({
+            price_check_items: price_check_items
+          }, () => {
+            renderPriceCheckItems();
+          });
+        }
+      };
+      itemActions.appendChild(editBtn);
+      itemActions.appendChild(deleteBtn);
+      itemDiv.appendChild(itemDetails);
+      itemDiv.appendChild(itemActions);
+      priceCheckItemsContainer.appendChild(itemDiv);
+    });
+  }
+});
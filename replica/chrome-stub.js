@@ -0,0 +1,160 @@
+// replica/chrome-stub.js - Minimal chrome.* surface for running the Target content scripts on replica pages
+// Installed by harness.mjs before any page script runs. Storage lives in sessionStorage so it
+// survives the PDP -> checkout navigation the same way chrome.storage.local would.
+
+(function () {
+  // background.js only injects into the top frame, so the Buy Now iframe gets no extension APIs
+  if (window.top !== window) return;
+
+  const STORAGE_KEY = 'replica.chromeStorage';
+  const messageListeners = [];
+
+  /**
+   * Read the fake chrome.storage.local contents, seeding from window.replicaSeed on first use
+   * @returns {Object}
+   */
+  function readStore() {
+    const saved = sessionStorage.getItem(STORAGE_KEY);
+    if (saved) return JSON.parse(saved);
+    const seed = JSON.parse(JSON.stringify(window.replicaSeed || {}));
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(seed));
+    return seed;
+  }
+
+  function writeStore(store) {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  }
+
+  /**
+   * Resolve a chrome.storage get() key argument against the store
+   * @param {string|string[]|Object|null} keys
+   * @returns {Object}
+   */
+  function pick(keys) {
+    const store = readStore();
+    if (keys === null || keys === undefined) return store;
+    if (typeof keys === 'string') keys = [keys];
+    const result = {};
+    if (Array.isArray(keys)) {
+      keys.forEach(key => {
+        if (key in store) result[key] = store[key];
+      });
+    } else {
+      Object.keys(keys).forEach(key => {
+        result[key] = key in store ? store[key] : keys[key];
+      });
+    }
+    return JSON.parse(JSON.stringify(result));
+  }
+
+  /** Call back if a callback was given, otherwise behave like the promise-based MV3 API */
+  function respond(value, callback) {
+    if (typeof callback === 'function') {
+      setTimeout(() => callback(value), 0);
+      return undefined;
+    }
+    return Promise.resolve(value);
+  }
+
+  const local = {
+    get(keys, callback) {
+      return respond(pick(keys), callback);
+    },
+    set(data, callback) {
+      writeStore(Object.assign(readStore(), JSON.parse(JSON.stringify(data))));
+      return respond(undefined, callback);
+    },
+    remove(keys, callback) {
+      const store = readStore();
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => delete store[key]);
+      writeStore(store);
+      return respond(undefined, callback);
+    }
+  };
+
+  /**
+   * Change the fake order history, newest record first
+   * @param {Function} change - Called with the records; returns the new list
+   */
+  function updateOrderHistory(change) {
+    const store = readStore();
+    store.orderHistory = change(store.orderHistory || []);
+    writeStore(store);
+  }
+
+  const orderHistoryAnswers = {
+    addOrderRecord(message) {
+      const now = Date.now();
+      const record = {
+        quantity: 1,
+        ...(message.record || {}),
+        id: 'replica-' + now.toString(36),
+        outcome: 'in-progress',
+        orderTotal: null,
+        budgetReservedAt: null,
+        startedAt: now,
+        updatedAt: now,
+        finishedAt: null
+      };
+      updateOrderHistory(records => [record, ...records]);
+      return { record };
+    },
+    updateOrderRecord(message) {
+      let record = null;
+      updateOrderHistory(records => records.map(candidate => {
+        if (candidate.id !== message.recordId) return candidate;
+        record = { ...candidate, ...(message.changes || {}), updatedAt: Date.now() };
+        return record;
+      }));
+      return { record };
+    },
+    // Evaluated with common/budget.js, injected into the page with the checkout scripts
+    reserveOrderBudget(message) {
+      const budget = window.autocheckoutBudget;
+      const history = readStore().orderHistory || [];
+      const record = history.find(candidate => candidate.id === message.recordId);
+      const attempt = { ...(record || {}), ...(message.attempt || {}) };
+      return budget.evaluateBudget(budget.withBudgetDefaults(readStore().budgets), history, attempt);
+    }
+  };
+
+  window.chrome = {
+    runtime: {
+      id: 'replica',
+      lastError: undefined,
+      // No update_url, like an unpacked install, so common/messages.js validates every message
+      getManifest() {
+        return { manifest_version: 3, name: 'Replica' };
+      },
+      // Strict mode tells content scripts from extension pages by this prefix
+      getURL(path) {
+        return 'chrome-extension://replica/' + String(path).replace(/^\//, '');
+      },
+      sendMessage(message, callback) {
+        // Order history messages are answered the way background/order-history.js would; the rest
+        // go nowhere, and the harness reads status updates from the console instead
+        const answer = orderHistoryAnswers[message.action];
+        return respond({ success: true, ...(answer ? answer(message) : {}) }, callback);
+      },
+      onMessage: {
+        addListener(listener) {
+          messageListeners.push(listener);
+        }
+      }
+    },
+    storage: {
+      local,
+      onChanged: { addListener() {} }
+    }
+  };
+
+  /**
+   * Deliver a message to content script listeners, as chrome.tabs.sendMessage would
+   * @param {Object} message
+   */
+  window.replicaDispatch = function (message) {
+    messageListeners.forEach(listener => {
+      listener(message, { id: 'replica' }, () => {});
+    });
+  };
+})();
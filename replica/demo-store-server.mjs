@@ -0,0 +1,41 @@
+// replica/demo-store-server.mjs - Local fixture store for the sample "demo-store" site adapter
+//
+// Usage (from the repository root):
+//   node replica/demo-store-server.mjs           # serves http://localhost:8790/demo-store/
+//   node replica/demo-store-server.mjs 9000      # another port
+//
+// Open http://localhost:8790/demo-store/product/1001 (add ?oos=1 for a sold out item) with the
+// Demo Store card switched on in the popup. Pages: product/<sku> -> checkout -> order-complete.
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.argv[2]) || 8790;
+const STORE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'demo-store');
+const ROUTES = [
+  [/^\/demo-store\/product\/[\w-]+$/, 'product.html'],
+  [/^\/demo-store\/checkout$/, 'checkout.html'],
+  [/^\/demo-store\/order-complete$/, 'order-complete.html'],
+  [/^\/demo-store\/assets\/(store\.js|store\.css)$/, null]
+];
+const CONTENT_TYPES = { '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css' };
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, 'http://localhost');
+  const route = ROUTES.find(([pattern]) => pattern.test(pathname));
+  if (!route) {
+    response.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+    console.log(`404 ${request.method} ${pathname}`);
+    return;
+  }
+  const file = route[1] || pathname.match(route[0])[1];
+  const body = await readFile(path.join(STORE_DIR, file));
+  response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)], 'Cache-Control': 'no-store' }).end(body);
+  console.log(`200 ${request.method} ${pathname}`);
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Demo store listening on http://localhost:${PORT}/demo-store/product/1001`);
+});
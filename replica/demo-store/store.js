@@ -0,0 +1,76 @@
+// replica/demo-store/store.js - Page behaviour for the demo store fixture
+// Each page sets <body data-page="...">. Add ?oos=1 to the product URL for a sold out item.
+// Everything worth asserting is logged as "[demo-store] <event> <json>".
+
+(function () {
+  const CART_KEY = 'demo-store.cart';
+  const ORDER_KEY = 'demo-store.order';
+  const PRICE = 19.99;
+
+  function report(event, detail) {
+    console.log(`[demo-store] ${event} ${JSON.stringify(detail || {})}`);
+  }
+
+  function $(selector) {
+    return document.querySelector(selector);
+  }
+
+  function setupProductPage() {
+    const addToCart = $('[data-test="add-to-cart"]');
+    if (new URLSearchParams(window.location.search).get('oos') === '1') {
+      $('[data-test="out-of-stock"]').hidden = false;
+      addToCart.disabled = true;
+    }
+    addToCart.addEventListener('click', () => {
+      const quantity = parseInt($('[data-test="quantity"]').value) || 1;
+      const sku = window.location.pathname.split('/').pop();
+      sessionStorage.setItem(CART_KEY, JSON.stringify({ sku, quantity }));
+      report('added-to-cart', { sku, quantity });
+      window.location.href = '/demo-store/checkout';
+    });
+  }
+
+  function setupCheckoutPage() {
+    const cart = JSON.parse(sessionStorage.getItem(CART_KEY) || 'null');
+    if (!cart) {
+      $('#empty-cart').hidden = false;
+      report('checkout-empty');
+      return;
+    }
+    const form = $('#checkout-form');
+    form.hidden = false;
+    $('#cart-summary').textContent = `SKU ${cart.sku} x ${cart.quantity}`;
+    $('[data-test="order-total"]').textContent = '$' + (PRICE * cart.quantity).toFixed(2);
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      const missing = Array.from(form.querySelectorAll('input[required]')).filter(input => !input.value.trim());
+      if (missing.length > 0) {
+        const error = $('[data-test="checkout-error"]');
+        error.textContent = 'Please fill in: ' + missing.map(input => input.name).join(', ');
+        error.hidden = false;
+        report('checkout-rejected', { missing: missing.map(input => input.name) });
+        return;
+      }
+      const fields = Object.fromEntries(new FormData(form).entries());
+      const orderNumber = 'DS-' + Date.now().toString(36).toUpperCase();
+      sessionStorage.setItem(ORDER_KEY, JSON.stringify({ orderNumber, cart }));
+      sessionStorage.removeItem(CART_KEY);
+      report('order-placed', { orderNumber, cart, name: fields.firstName + ' ' + fields.lastName, cardLast4: fields.cardNumber.slice(-4) });
+      window.location.href = '/demo-store/order-complete';
+    });
+  }
+
+  function setupOrderCompletePage() {
+    const order = JSON.parse(sessionStorage.getItem(ORDER_KEY) || 'null');
+    $('[data-test="order-number"]').textContent = order ? order.orderNumber : 'unknown';
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const page = document.body.getAttribute('data-page');
+    const setup = { product: setupProductPage, checkout: setupCheckoutPage, 'order-complete': setupOrderCompletePage }[page];
+    if (setup) {
+      setup();
+    }
+    report('page-loaded', { page });
+  });
+})();
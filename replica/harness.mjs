@@ -0,0 +1,428 @@
+// replica/harness.mjs - Runs the Target content script against the offline replica in headless Chrome
+//
+// Usage (from the repository root):
+//   npm install
+//   npm run test:replica                     # run every scenario
+//   npm run test:replica -- standard oos     # run selected scenarios
+//   npm run test:replica -- --headful        # watch it in a real window
+//
+// The harness drives Chrome with puppeteer-core, which does not download a browser. It starts the
+// installed stable Chrome, or the Chrome or Chromium binary at PUPPETEER_EXECUTABLE_PATH:
+//   PUPPETEER_EXECUTABLE_PATH=/usr/bin/chromium npm run test:replica
+//
+// Requests to https://www.target.com are answered from replica/target/, nothing reaches the real
+// site. Scripts are injected in the order background.js uses, followed by the same detectPage
+// message, and the checkout steps are read back from the page console.
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import puppeteer from 'puppeteer-core';
+
+const REPLICA_DIR = path.dirname(fileURLToPath(import.meta.url));
+const EXTENSION_DIR = path.resolve(REPLICA_DIR, '..', 'Polar Bot v3.1 Free');
+const PAGES_DIR = path.join(REPLICA_DIR, 'target');
+const PACKS_DIR = path.join(REPLICA_DIR, 'selector-packs');
+const SCENARIO_TIMEOUT_MS = 60000;
+const PRODUCT_URL = 'https://www.target.com/p/replica-trading-card-booster-box/-/A-12345678';
+
+// The site registry and Target adapter hold the injection order and page types background.js uses
+await import(pathToFileURL(path.join(EXTENSION_DIR, 'sites', 'registry.js')).href);
+await import(pathToFileURL(path.join(EXTENSION_DIR, 'sites', 'target', 'adapter.js')).href);
+const TARGET_ADAPTER = globalThis.autocheckoutSites.getSiteAdapter('target');
+
+const PROFILE = {
+  id: 'replica-profile',
+  name: 'Replica',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  address1: '1000 Nicollet Mall',
+  address2: '',
+  city: 'Minneapolis',
+  state: 'MN',
+  zip: '55403',
+  phone: '6125550100',
+  email: 'ada@example.com',
+  cardNumber: '4111111111111111',
+  expiryMonth: '12',
+  expiryYear: '2030',
+  cvv: '123'
+};
+
+// Console lines that mark each checkout step (see utils.updateStatus / content-script.js)
+const STEP_PATTERNS = [
+  [/^Checking stock status/, 'check-stock'],
+  [/^Status update: Fulfillment: /, 'select-fulfillment'],
+  [/^Status update: Adding item to cart/, 'add-to-cart'],
+  [/^Status update: Checking for popups/, 'handle-popups'],
+  [/^Clicking decline-protection/, 'decline-protection'],
+  [/^Status update: Navigating to checkout/, 'go-to-checkout'],
+  [/^Status update: Checking shipping info/, 'fill-shipping'],
+  [/^Status update: Filling payment info/, 'fill-payment'],
+  [/^Status update: Placing order/, 'place-order'],
+  [/^Status update: High demand message detected/, 'high-demand-retry'],
+  [/^Status update: Confirming CVV/, 'handle-cvv'],
+  [/^Status update: Verifying card/, 'handle-card-verification'],
+  [/^Status update: Using Buy Now checkout/, 'buy-now-checkout'],
+  [/^Clicked "final-confirm" in Buy Now iframe/, 'final-confirm'],
+  [/^Status update: Order ready - Submit disabled/, 'submit-disabled'],
+  [/^Status update: Dry run complete/, 'dry-run-complete'],
+  [/^Status update: Error:/, 'error'],
+  [/^Status update: CHECKOUT BLOCKED BY PRICE CHECK/, 'price-check-blocked'],
+  [/^Selector pack .* rolled back/, 'pack-rollback'],
+  [/^Outcome notification: success/, 'notify-success'],
+  [/^Outcome notification: out-of-stock/, 'notify-out-of-stock'],
+  [/^Outcome notification: price-check/, 'notify-price-check']
+];
+
+/**
+ * Storage contents the extension would have after a user set up one profile and armed Target
+ * @param {Object} globalSettings - Overrides for globalSettings
+ * @param {Object} [profileChanges] - Overrides for the profile
+ * @returns {Object}
+ */
+function seedStorage(globalSettings = {}, profileChanges = {}) {
+  return {
+    siteSettings: { target: { enabled: true, quantity: 1, profileId: PROFILE.id } },
+    globalSettings: Object.assign({ autoSubmit: true, randomizeDelay: false }, globalSettings),
+    profiles: [{ ...PROFILE, ...profileChanges }],
+    selectedProfile: PROFILE.id,
+    debugMode: true
+  };
+}
+
+/**
+ * Storage with a selector pack from replica/selector-packs/ installed for Target
+ * @param {string} file - Pack file name
+ * @returns {Object}
+ */
+function seedWithSelectorPack(file) {
+  const pack = JSON.parse(readFileSync(path.join(PACKS_DIR, file), 'utf8'));
+  return Object.assign(seedStorage(), {
+    selectorPacks: { target: { active: { pack, source: 'replica', installedAt: 0 }, previous: null, url: '', lastRollback: null } }
+  });
+}
+
+function expectOrder(run, check) {
+  const order = run.events.find(event => event.name === 'order-placed');
+  if (!order) return 'no order was placed';
+  return check(order.detail);
+}
+
+const SCENARIOS = {
+  standard: {
+    description: 'In stock, address form, CVV prompt after placing the order',
+    flags: { verification: 'cvv' },
+    storage: seedStorage(),
+    until: run => run.hasEvent('order-placed'),
+    // The replica keeps the saved card, so the flow goes from shipping straight to review
+    steps: ['check-stock', 'add-to-cart', 'handle-popups', 'go-to-checkout', 'fill-shipping', 'place-order', 'handle-cvv'],
+    forbid: ['error'],
+    verify: run => expectOrder(run, order => {
+      if (order.shipping.firstName !== PROFILE.firstName) return `shipping first name was "${order.shipping.firstName}"`;
+      if (order.shipping.zipCode !== PROFILE.zip) return `shipping ZIP was "${order.shipping.zipCode}"`;
+      if (order.verification.cvv !== PROFILE.cvv) return `CVV entered was "${order.verification.cvv}"`;
+      return null;
+    })
+  },
+  'protection-plan': {
+    description: 'Protection plan popup after add to cart is declined',
+    flags: { protectionPlan: true, verification: 'cvv' },
+    storage: seedStorage(),
+    until: run => run.hasEvent('order-placed'),
+    steps: ['add-to-cart', 'handle-popups', 'decline-protection', 'go-to-checkout', 'place-order', 'handle-cvv'],
+    forbid: ['error'],
+    verify: run => run.hasEvent('protection-plan-declined') ? null : 'protection plan was not declined'
+  },
+  'card-verification': {
+    description: 'Card number re-entry instead of a CVV prompt',
+    flags: { verification: 'card' },
+    storage: seedStorage(),
+    until: run => run.hasEvent('order-placed'),
+    steps: ['fill-shipping', 'place-order', 'handle-card-verification'],
+    forbid: ['error'],
+    verify: run => expectOrder(run, order =>
+      order.verification.cardNumber === PROFILE.cardNumber ? null : 'card number was not re-entered')
+  },
+  'high-demand': {
+    description: 'High demand banner rejects the first place-order click',
+    flags: { verification: 'cvv', highDemandClicks: 1 },
+    storage: seedStorage(),
+    until: run => run.hasEvent('order-placed'),
+    steps: ['fill-shipping', 'place-order', 'high-demand-retry', 'handle-cvv'],
+    forbid: ['error'],
+    verify: run => run.hasEvent('high-demand-rejected') ? null : 'high demand banner was never hit'
+  },
+  oos: {
+    description: 'Out of stock item never reaches the cart',
+    flags: { outOfStock: true },
+    storage: seedStorage(),
+    until: run => run.steps.includes('notify-out-of-stock'),
+    steps: ['check-stock', 'error', 'notify-out-of-stock'],
+    forbid: ['add-to-cart', 'go-to-checkout'],
+    verify: run => run.hasEvent('added-to-cart') ? 'item was added to cart' : null
+  },
+  'submit-disabled': {
+    description: 'Auto-submit off stops at the review step',
+    flags: { verification: 'cvv' },
+    storage: seedStorage({ autoSubmit: false }),
+    until: run => run.steps.includes('submit-disabled'),
+    settleMs: 3000,
+    steps: ['fill-shipping', 'submit-disabled'],
+    forbid: ['place-order'],
+    verify: run => run.hasEvent('place-order-clicked') ? 'place order was clicked' : null
+  },
+  'review-price-check': {
+    description: 'Shipping raised at review is over the max shipping, so the order is not placed',
+    flags: { verification: 'cvv', shippingCharge: 12.99 },
+    storage: Object.assign(seedStorage(), {
+      price_check_enabled: true,
+      price_check_items: { 12345678: 30 },
+      price_check_limits: { maxOrderTotal: null, maxShipping: 5 }
+    }),
+    until: run => run.steps.includes('notify-price-check'),
+    settleMs: 2000,
+    steps: ['add-to-cart', 'go-to-checkout', 'fill-shipping', 'place-order', 'price-check-blocked', 'notify-price-check'],
+    forbid: ['handle-cvv'],
+    verify: run => run.hasEvent('place-order-clicked') ? 'place order was clicked' : null
+  },
+  'selector-pack-rollback': {
+    description: 'Selector pack whose add-to-cart selector matches nothing is rolled back',
+    flags: { verification: 'cvv' },
+    storage: seedWithSelectorPack('target-broken.json'),
+    until: run => run.hasEvent('order-placed'),
+    steps: ['pack-rollback', 'add-to-cart', 'go-to-checkout', 'place-order', 'handle-cvv'],
+    forbid: ['error'],
+    verify: run => run.hasEvent('added-to-cart') ? null : 'item was not added to cart'
+  },
+  'dry-run': {
+    description: 'Dry run walks to the review step and never clicks place order',
+    flags: { verification: 'cvv' },
+    storage: seedStorage({ dryRun: true }),
+    until: run => run.steps.includes('dry-run-complete'),
+    settleMs: 3000,
+    steps: ['add-to-cart', 'go-to-checkout', 'fill-shipping', 'dry-run-complete'],
+    forbid: ['place-order', 'error'],
+    verify: run => run.hasEvent('place-order-clicked') ? 'place order was clicked' : null
+  },
+  'fulfillment-pickup': {
+    description: 'Profile preferring pickup at its store adds the item with the pickup button',
+    flags: { pickup: true, verification: 'cvv' },
+    storage: seedStorage({}, { fulfillment: { order: ['pickup', 'shipping'], pickupStore: 'Nicollet', skus: {} } }),
+    until: run => run.hasEvent('order-placed'),
+    steps: ['check-stock', 'select-fulfillment', 'add-to-cart', 'go-to-checkout', 'place-order'],
+    forbid: ['error'],
+    verify: run => {
+      const added = run.events.find(event => event.name === 'added-to-cart');
+      return added && added.detail.fulfillment === 'pickup' ? null : 'item was not added for pickup';
+    }
+  },
+  'fulfillment-unavailable': {
+    description: 'Pickup-only profile stops when pickup is not offered at its store',
+    flags: { pickup: true },
+    storage: seedStorage({}, { fulfillment: { order: ['pickup'], pickupStore: 'Roseville', skus: {} } }),
+    until: run => run.steps.includes('error'),
+    settleMs: 2000,
+    steps: ['check-stock', 'error'],
+    forbid: ['add-to-cart', 'go-to-checkout'],
+    verify: run => run.hasEvent('added-to-cart') ? 'item was added to cart' : null
+  },
+  'buy-now': {
+    description: 'Buy Now side panel with CVV and final confirmation',
+    flags: { buyNow: true },
+    storage: seedStorage({ useBuyNowWhenAvailable: true }),
+    until: run => run.hasEvent('order-placed'),
+    steps: ['check-stock', 'add-to-cart', 'buy-now-checkout', 'final-confirm'],
+    forbid: ['error'],
+    verify: run => expectOrder(run, order =>
+      order.verification.cvv === PROFILE.cvv ? null : 'CVV was not entered in the Buy Now panel')
+  }
+};
+
+/**
+ * The Target injection list from the site registry, so the harness cannot drift from background.js
+ * @returns {string[]}
+ */
+function readInjectionOrder() {
+  return globalThis.autocheckoutSites.getSiteInjectionFiles(TARGET_ADAPTER);
+}
+
+/**
+ * Map a www.target.com URL onto a replica page, mirroring the routes the content script uses
+ * @param {URL} url
+ * @returns {string|null} File name under replica/target/
+ */
+function routeFor(url) {
+  if (url.pathname.startsWith('/replica/')) return url.pathname.slice('/replica/'.length);
+  if (url.pathname.startsWith('/p/')) return 'product.html';
+  if (url.pathname === '/checkout/buy-now') return 'buy-now.html';
+  if (url.pathname === '/checkout') return 'checkout.html';
+  if (url.pathname === '/cart') return 'cart.html';
+  if (url.pathname === '/co-thankyou') return 'thank-you.html';
+  return null;
+}
+
+function contentTypeFor(file) {
+  if (file.endsWith('.js')) return 'text/javascript';
+  if (file.endsWith('.css')) return 'text/css';
+  return 'text/html';
+}
+
+/** Same page classification background.js applies in tabs.onUpdated */
+function pageTypeFor(url) {
+  return globalThis.autocheckoutSites.getSitePageType(TARGET_ADAPTER, url);
+}
+
+function isSubsequence(expected, actual) {
+  let index = 0;
+  for (const step of actual) {
+    if (step === expected[index]) index++;
+  }
+  return index === expected.length;
+}
+
+/**
+ * Run one scenario in a fresh browser context
+ * @param {Object} browser - Puppeteer browser
+ * @param {string} name - Scenario name
+ * @param {Object} scenario
+ * @param {string[]} scriptFiles - Content scripts in injection order
+ * @returns {Promise<{name: string, passed: boolean, steps: string[], failures: string[]}>}
+ */
+async function runScenario(browser, name, scenario, scriptFiles) {
+  const context = await browser.createBrowserContext();
+  const page = await context.newPage();
+  const run = {
+    steps: [],
+    events: [],
+    hasEvent: eventName => run.events.some(event => event.name === eventName)
+  };
+
+  page.on('dialog', dialog => dialog.dismiss());
+  page.on('console', message => {
+    const text = message.text();
+    if (text.startsWith('[replica] ')) {
+      const [, eventName, detail] = text.match(/^\[replica\] (\S+) (.*)$/) || [];
+      if (eventName) run.events.push({ name: eventName, detail: JSON.parse(detail) });
+      return;
+    }
+    const pattern = STEP_PATTERNS.find(([regex]) => regex.test(text));
+    if (pattern && run.steps[run.steps.length - 1] !== pattern[1]) {
+      run.steps.push(pattern[1]);
+    }
+  });
+
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    const url = new URL(request.url());
+    if (url.hostname !== 'www.target.com') {
+      request.abort();
+      return;
+    }
+    const file = routeFor(url);
+    if (!file) {
+      request.respond({ status: 404, contentType: 'text/plain', body: 'Not in replica' });
+      return;
+    }
+    request.respond({
+      status: 200,
+      contentType: contentTypeFor(file),
+      body: readFileSync(path.join(PAGES_DIR, file))
+    });
+  });
+
+  const stubSource = readFileSync(path.join(REPLICA_DIR, 'chrome-stub.js'), 'utf8');
+  await page.evaluateOnNewDocument(`
+    window.replicaFlags = ${JSON.stringify(scenario.flags)};
+    window.replicaSeed = ${JSON.stringify(scenario.storage)};
+    ${stubSource}
+  `);
+
+  // Equivalent of background.js tabs.onUpdated: inject on load, then announce the page type
+  page.on('load', async () => {
+    const url = page.url();
+    try {
+      for (const file of scriptFiles) {
+        await page.addScriptTag({ path: path.join(EXTENSION_DIR, file) });
+      }
+      const pageType = pageTypeFor(url);
+      if (pageType) {
+        await new Promise(resolve => setTimeout(resolve, 800));
+        if (page.url() !== url) return;
+        await page.evaluate(message => window.replicaDispatch(message), {
+          action: 'detectPage',
+          site: 'target',
+          type: pageType
+        });
+      }
+    } catch (error) {
+      // The content script navigates away mid-injection on fast flows; the next load re-injects
+      if (!/context was destroyed|detached|Target closed/i.test(error.message)) {
+        console.error(`[${name}] Injection failed on ${url}:`, error.message);
+      }
+    }
+  });
+
+  await page.goto(PRODUCT_URL);
+
+  const deadline = Date.now() + SCENARIO_TIMEOUT_MS;
+  while (!scenario.until(run) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  await new Promise(resolve => setTimeout(resolve, scenario.settleMs || 500));
+
+  const failures = [];
+  if (!scenario.until(run)) {
+    failures.push(`timed out after ${SCENARIO_TIMEOUT_MS / 1000}s`);
+  }
+  const sequences = Array.isArray(scenario.steps[0]) ? scenario.steps : [scenario.steps];
+  sequences.filter(sequence => !isSubsequence(sequence, run.steps)).forEach(sequence => {
+    failures.push(`expected steps in order: ${sequence.join(' > ')}`);
+  });
+  scenario.forbid.filter(step => run.steps.includes(step)).forEach(step => {
+    failures.push(`unexpected step: ${step}`);
+  });
+  const verifyFailure = scenario.verify(run);
+  if (verifyFailure) failures.push(verifyFailure);
+
+  await context.close();
+  return { name, passed: failures.length === 0, steps: run.steps, failures };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const headful = args.includes('--headful');
+  const requested = args.filter(arg => !arg.startsWith('--'));
+  const unknown = requested.filter(name => !SCENARIOS[name]);
+  if (unknown.length > 0) {
+    console.error(`Unknown scenario(s): ${unknown.join(', ')}. Available: ${Object.keys(SCENARIOS).join(', ')}`);
+    process.exit(2);
+  }
+
+  const scriptFiles = readInjectionOrder();
+  const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+  const browser = await puppeteer.launch({
+    ...(executablePath ? { executablePath } : { channel: 'chrome' }),
+    headless: !headful,
+    // Chrome refuses to sandbox as root, which is the norm in CI containers
+    args: process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []
+  });
+  const results = [];
+  try {
+    for (const name of requested.length > 0 ? requested : Object.keys(SCENARIOS)) {
+      console.log(`Running ${name}: ${SCENARIOS[name].description}`);
+      const result = await runScenario(browser, name, SCENARIOS[name], scriptFiles);
+      console.log(`  ${result.passed ? 'PASS' : 'FAIL'}  steps: ${result.steps.join(' > ') || '(none)'}`);
+      result.failures.forEach(failure => console.log(`        ${failure}`));
+      results.push(result);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const failed = results.filter(result => !result.passed);
+  console.log(`\n${results.length - failed.length}/${results.length} scenarios passed`);
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+main();
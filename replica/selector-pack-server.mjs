@@ -0,0 +1,44 @@
+// replica/selector-pack-server.mjs - Local stand-in for a selector pack URL
+//
+// Usage (from the repository root):
+//   node replica/selector-pack-server.mjs          # serves on http://127.0.0.1:8787
+//   node replica/selector-pack-server.mjs 9000     # another port
+//
+// Serves the JSON files in replica/selector-packs/, e.g.
+//   http://127.0.0.1:8787/target-sample.json   valid pack, overrides the CVV input list
+//   http://127.0.0.1:8787/target-broken.json   passes validation but its add-to-cart selector
+//                                              matches nothing, so the product page rolls it back
+// Paste one of these into Options > Import/Export > Target Selector Pack and use "Save URL and Update".
+// Edit a file and press the button again to test an update; no restart needed.
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PACKS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'selector-packs');
+const PORT = Number(process.argv[2]) || 8787;
+
+const server = createServer(async (request, response) => {
+  const name = path.basename(new URL(request.url, 'http://localhost').pathname);
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  };
+  if (!name.endsWith('.json')) {
+    response.writeHead(404, headers).end('Not found');
+    return;
+  }
+  try {
+    const body = await readFile(path.join(PACKS_DIR, name));
+    response.writeHead(200, { ...headers, 'Content-Type': 'application/json' }).end(body);
+    console.log(`200 ${request.method} ${request.url}`);
+  } catch (error) {
+    response.writeHead(404, headers).end('Not found');
+    console.log(`404 ${request.method} ${request.url}`);
+  }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Serving selector packs from ${PACKS_DIR} on http://127.0.0.1:${PORT}/`);
+});
@@ -0,0 +1,276 @@
+// replica/target/replica.js - Page behaviour for the offline Target replica
+// Each page sets <body data-page="...">. Scenario flags come from window.replicaFlags (set by
+// harness.mjs); defaults describe a plain in-stock item with a CVV prompt at checkout.
+// Everything worth asserting is logged as "[replica] <event> <json>".
+
+(function () {
+  const flags = Object.assign({
+    outOfStock: false,
+    protectionPlan: false,
+    buyNow: false,
+    shipping: true, // Ship it button offered
+    pickup: false, // Order pickup button offered (at "Nicollet Mall")
+    verification: 'cvv', // 'cvv', 'card' or 'none'
+    shippingCharge: 0, // Shipping shown in the review step's order summary
+    highDemandClicks: 0 // Number of place-order clicks rejected with the high demand banner
+  }, window.replicaFlags || {});
+
+  const CART_KEY = 'replica.cart';
+  const ORDER_KEY = 'replica.order';
+  const CLICKS_KEY = 'replica.placeOrderClicks';
+  const THANK_YOU_URL = '/co-thankyou';
+  const UNIT_PRICE = 24.99; // Matches product.html
+  const TAX_RATE = 0.07875;
+  const HIGH_DEMAND_TEXT = "We're currently limiting how many guests can check out due to high demand. Please try again soon.";
+
+  function report(event, detail) {
+    console.log(`[replica] ${event} ${JSON.stringify(detail || {})}`);
+  }
+
+  function readJson(key, fallback) {
+    const value = sessionStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  }
+
+  function $(selector, root = document) {
+    return root.querySelector(selector);
+  }
+
+  function show(element) {
+    element.hidden = false;
+  }
+
+  function hide(element) {
+    element.hidden = true;
+  }
+
+  // --- Product page ---
+
+  function setupProductPage() {
+    const addToCart = $('[data-test="shipItButton"]');
+    const pickup = $('[data-test="orderPickupButton"]');
+    const buyNow = $('[data-test="buy-now-button"]');
+    const protectionModal = $('[data-test="espModal"]');
+
+    if (flags.outOfStock) {
+      show($('[data-test="outOfStock"]'));
+      addToCart.disabled = true;
+    }
+    if (flags.buyNow) {
+      show(buyNow);
+    }
+    if (!flags.shipping) {
+      hide(addToCart);
+    }
+    if (flags.pickup) {
+      show(pickup);
+    }
+
+    const addItem = fulfillment => {
+      const quantity = parseInt($('[data-test="quantitySelect"]').value);
+      const tcin = $('meta[name="productId"]').content;
+      sessionStorage.setItem(CART_KEY, JSON.stringify({ tcin, quantity, fulfillment }));
+      report('added-to-cart', { tcin, quantity, fulfillment });
+      if (flags.protectionPlan) {
+        setTimeout(() => show(protectionModal), 100);
+      }
+    };
+    addToCart.addEventListener('click', () => addItem('shipping'));
+    pickup.addEventListener('click', () => addItem('pickup'));
+
+    $('[data-test="espModalContent-declineCoverageButton"]').addEventListener('click', () => {
+      hide(protectionModal);
+      report('protection-plan-declined');
+    });
+
+    buyNow.addEventListener('click', () => {
+      const panel = $('#buy-now-panel');
+      panel.innerHTML = '<iframe id="buy-now-iframe" src="/checkout/buy-now" title="Buy now"></iframe>';
+      show(panel);
+      report('buy-now-opened');
+    });
+  }
+
+  // --- Checkout page ---
+
+  function setupCheckoutPage() {
+    const cart = readJson(CART_KEY, null);
+    if (!cart) {
+      show($('#empty-cart'));
+      report('checkout-empty');
+      return;
+    }
+
+    $('#cart-summary').textContent = `TCIN ${cart.tcin} x ${cart.quantity}`;
+    show($('#shipping-step'));
+
+    if (flags.highDemandClicks > 0) {
+      showHighDemandBanner();
+    }
+
+    // Target only offers "Save and continue" once the address is complete
+    const shippingInputs = Array.from(document.querySelectorAll('#shipping-step input[required]'));
+    const saveShipping = $('[data-test="save_and_continue_button_step_SHIPPING"]');
+    const updateSaveButton = () => {
+      saveShipping.hidden = !shippingInputs.every(input => input.value.trim() !== '');
+    };
+    shippingInputs.forEach(input => input.addEventListener('input', updateSaveButton));
+
+    saveShipping.addEventListener('click', () => {
+      const shipping = {};
+      document.querySelectorAll('#shipping-step input').forEach(input => {
+        shipping[input.getAttribute('data-test')] = input.value;
+      });
+      sessionStorage.setItem(ORDER_KEY, JSON.stringify({ cart, shipping }));
+      report('shipping-saved', shipping);
+      $('#shipping-step').remove();
+      renderPaymentStep();
+    });
+  }
+
+  function showHighDemandBanner() {
+    if ($('.styles_content__WBF0i')) return;
+    const banner = document.createElement('div');
+    banner.className = 'styles_content__WBF0i replica-banner';
+    banner.textContent = HIGH_DEMAND_TEXT;
+    document.querySelector('main').prepend(banner);
+  }
+
+  function renderPaymentStep() {
+    const { cart } = readJson(ORDER_KEY, {});
+    const money = amount => '$' + amount.toFixed(2);
+    const subtotal = UNIT_PRICE * cart.quantity;
+    const tax = Math.round(subtotal * TAX_RATE * 100) / 100;
+    const step = document.createElement('section');
+    step.id = 'payment-step';
+    step.innerHTML = `
+      <h2>Payment</h2>
+      <div data-test="credit-card-form">Saved Visa ending in 1111</div>
+      <div data-test="cartItem">
+        <a href="/p/replica-trading-card-booster-box/-/A-${cart.tcin}" data-test="cartItem-title">Replica Trading Card Booster Box</a>
+        <span data-test="cartItem-unitPrice">${money(UNIT_PRICE)}</span>
+        <span data-test="cartItem-qty">Qty ${cart.quantity}</span>
+      </div>
+      <dl>
+        <dt>Subtotal</dt><dd data-test="cart-summary-subTotal">${money(subtotal)}</dd>
+        <dt>Shipping</dt><dd data-test="cart-summary-delivery">${flags.shippingCharge ? money(flags.shippingCharge) : 'Free'}</dd>
+        <dt>Estimated tax</dt><dd data-test="cart-summary-tax">${money(tax)}</dd>
+        <dt>Total</dt><dd data-test="cart-summary-total">${money(subtotal + flags.shippingCharge + tax)}</dd>
+      </dl>
+      <button data-test="placeOrderButton">Place your order</button>
+    `;
+    document.querySelector('main').appendChild(step);
+    $('[data-test="placeOrderButton"]').addEventListener('click', onPlaceOrder);
+  }
+
+  function onPlaceOrder() {
+    const clicks = readJson(CLICKS_KEY, 0) + 1;
+    sessionStorage.setItem(CLICKS_KEY, JSON.stringify(clicks));
+    report('place-order-clicked', { clicks });
+
+    if (clicks <= flags.highDemandClicks) {
+      showHighDemandBanner();
+      report('high-demand-rejected', { clicks });
+      return;
+    }
+    const banner = $('.styles_content__WBF0i');
+    if (banner) banner.remove();
+
+    if (flags.verification === 'cvv') {
+      setTimeout(renderCvvPrompt, 300);
+    } else if (flags.verification === 'card') {
+      setTimeout(renderCardPrompt, 300);
+    } else {
+      completeOrder({});
+    }
+  }
+
+  function renderCvvPrompt() {
+    if ($('#enter-cvv')) return;
+    const dialog = document.createElement('div');
+    dialog.className = 'replica-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.innerHTML = `
+      <label for="enter-cvv">Enter the CVV for your card</label>
+      <input id="enter-cvv" type="password" maxlength="4">
+      <button data-test="confirm-button">Confirm</button>
+    `;
+    document.body.appendChild(dialog);
+    $('[data-test="confirm-button"]', dialog).addEventListener('click', () => {
+      completeOrder({ cvv: $('#enter-cvv').value });
+    });
+  }
+
+  function renderCardPrompt() {
+    if ($('#credit-card-number-input')) return;
+    const dialog = document.createElement('div');
+    dialog.className = 'replica-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.innerHTML = `
+      <label for="credit-card-number-input">Re-enter your card number</label>
+      <input id="credit-card-number-input" type="tel">
+      <button data-test="verify-card-button">Verify card</button>
+    `;
+    document.body.appendChild(dialog);
+    $('[data-test="verify-card-button"]', dialog).addEventListener('click', () => {
+      completeOrder({ cardNumber: $('#credit-card-number-input').value });
+    });
+  }
+
+  /**
+   * Record the order and move to the thank-you page like Target does
+   * @param {Object} verification - Values entered in the CVV/card prompt
+   */
+  function completeOrder(verification) {
+    const order = readJson(ORDER_KEY, {});
+    if (order.placed) return;
+    order.placed = true;
+    order.verification = verification;
+    sessionStorage.setItem(ORDER_KEY, JSON.stringify(order));
+    sessionStorage.removeItem(CART_KEY);
+    setTimeout(() => { window.location.href = THANK_YOU_URL; }, 300);
+  }
+
+  // --- Buy Now side panel (runs inside the iframe) ---
+
+  function setupBuyNowPanel() {
+    const placeOrder = $('[data-test="placeOrderButton"]');
+    placeOrder.addEventListener('click', () => {
+      report('place-order-clicked', { buyNow: true });
+      setTimeout(() => show($('#buy-now-cvv')), 300);
+    });
+    $('[data-test="confirm-button"]').addEventListener('click', () => {
+      hide($('#buy-now-cvv'));
+      show($('#buy-now-done'));
+      sessionStorage.setItem(ORDER_KEY, JSON.stringify({
+        buyNow: true,
+        placed: true,
+        verification: { cvv: $('#enter-cvv').value }
+      }));
+    });
+    $('#buy-now-done button').addEventListener('click', () => {
+      report('order-placed', readJson(ORDER_KEY, {}));
+    });
+  }
+
+  // --- Thank-you page ---
+
+  function setupThankYouPage() {
+    const order = readJson(ORDER_KEY, null);
+    $('#order-details').textContent = order ? JSON.stringify(order, null, 2) : 'No order found';
+    report('order-placed', order || {});
+  }
+
+  const pages = {
+    product: setupProductPage,
+    checkout: setupCheckoutPage,
+    'buy-now': setupBuyNowPanel,
+    'thank-you': setupThankYouPage
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const setup = pages[document.body.dataset.page];
+    if (setup) setup();
+    report('page-ready', { page: document.body.dataset.page, flags });
+  });
+})();
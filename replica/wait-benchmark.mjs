@@ -0,0 +1,103 @@
+// replica/wait-benchmark.mjs - How quickly element waits and watchers react, in jsdom
+//
+// Usage (from the repository root):
+//   npm install
+//   node replica/wait-benchmark.mjs
+//
+// 1. waitForElement: an element is inserted 30-120ms after each of 20 waits starts; reports how
+//    long after it appeared each wait resolved, for the shared page observer in
+//    common/element-finder.js and for the 100ms polling loop it replaced (kept below as the baseline).
+// 2. createElementWatcher: a watched button stays on the page while 200 unrelated nodes churn
+//    every 20ms for 2s; reports how often its action ran without and with debounceMs.
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+const EXTENSION_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'Polar Bot v3.1 Free');
+const WAITS = 20;
+
+// The polling waitForElement from before the shared observer
+const POLLING_WAIT = `
+  async function waitForElement(selector, timeout = 5000, interval = 100) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      const element = document.querySelector(selector);
+      if (element) return element;
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+    return null;
+  }`;
+
+/**
+ * A page with the given scripts run in it
+ * @param {string[]} sources - Script sources
+ * @returns {Window}
+ */
+function createPage(sources) {
+  const dom = new JSDOM('<body><main></main></body>', { runScripts: 'dangerously', url: 'https://www.target.com/' });
+  const window = dom.window;
+  window.console.log = () => {};
+  window.chrome = { runtime: { id: 'benchmark', sendMessage() {} }, storage: { local: { get() {}, set() {} } } };
+  sources.forEach(source => window.eval(source));
+  return window;
+}
+
+function extensionScript(file) {
+  return readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+}
+
+/**
+ * @param {number[]} values
+ * @returns {string}
+ */
+function describe(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return `median ${sorted[Math.floor(sorted.length / 2)].toFixed(1)}ms, max ${sorted[sorted.length - 1].toFixed(1)}ms`;
+}
+
+async function measureWaits(label, window) {
+  const delays = [];
+  for (let i = 0; i < WAITS; i++) {
+    const id = 'element-' + i;
+    let shownAt = 0;
+    setTimeout(() => {
+      const element = window.document.createElement('div');
+      element.id = id;
+      window.document.querySelector('main').appendChild(element);
+      shownAt = performance.now();
+    }, 30 + (i * 37) % 90);
+    await window.waitForElement('#' + id, 2000);
+    delays.push(performance.now() - shownAt);
+  }
+  console.log(`waitForElement, ${label}: ${describe(delays)} after the element appeared`);
+}
+
+async function measureWatcher(debounceMs) {
+  const window = createPage([extensionScript('common/utils.js'), extensionScript('common/element-finder.js')]);
+  const main = window.document.querySelector('main');
+  const button = window.document.createElement('button');
+  button.id = 'watched';
+  let actions = 0;
+  const watcher = window.createElementWatcher({ elementActions: { '#watched': () => actions++ }, debounceMs });
+  main.appendChild(button);
+  const churn = setInterval(() => {
+    const block = window.document.createElement('div');
+    for (let i = 0; i < 200; i++) {
+      block.appendChild(window.document.createElement('span'));
+    }
+    main.appendChild(block);
+    setTimeout(() => block.remove(), 10);
+  }, 20);
+  await new Promise(resolve => setTimeout(resolve, 2000));
+  clearInterval(churn);
+  await new Promise(resolve => setTimeout(resolve, debounceMs + 50));
+  watcher.disconnect();
+  console.log(`createElementWatcher, debounceMs ${debounceMs}: action ran ${actions} times during 2s of DOM churn`);
+}
+
+await measureWaits('100ms polling (before)', createPage([POLLING_WAIT]));
+await measureWaits('shared observer', createPage([extensionScript('common/utils.js'), extensionScript('common/element-finder.js')]));
+await measureWatcher(0);
+await measureWatcher(50);
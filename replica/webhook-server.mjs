@@ -0,0 +1,59 @@
+// replica/webhook-server.mjs - Local stand-in for a notification webhook (e.g. a Discord webhook URL)
+//
+// Usage (from the repository root):
+//   node replica/webhook-server.mjs                 # listens on http://127.0.0.1:8788
+//   node replica/webhook-server.mjs 9000            # another port
+//   node replica/webhook-server.mjs 8788 500        # answer every post with 500, to test failures
+//
+// Put http://127.0.0.1:8788/webhook into Options > General Settings > Notifications and press
+// "Send Test". Every POST body is printed and kept; GET any path to list what was received.
+
+import { createServer } from 'node:http';
+
+const PORT = Number(process.argv[2]) || 8788;
+const STATUS = Number(process.argv[3]) || 204;
+const received = [];
+
+const server = createServer((request, response) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Cache-Control': 'no-store'
+  };
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, headers).end();
+    return;
+  }
+  if (request.method === 'GET') {
+    response.writeHead(200, { ...headers, 'Content-Type': 'application/json' }).end(JSON.stringify(received, null, 2));
+    return;
+  }
+  let body = '';
+  request.on('data', chunk => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      response.writeHead(400, headers).end('Body is not JSON');
+      console.log(`400 ${request.method} ${request.url}: ${error.message}`);
+      return;
+    }
+    // Same minimum Discord checks: something to show, and embeds as a list
+    if (!payload.content && !(Array.isArray(payload.embeds) && payload.embeds.length > 0)) {
+      response.writeHead(400, headers).end('Payload needs content or embeds');
+      console.log(`400 ${request.method} ${request.url}: no content or embeds`);
+      return;
+    }
+    received.push({ at: new Date().toISOString(), path: request.url, payload });
+    response.writeHead(STATUS, headers).end();
+    console.log(`${STATUS} ${request.method} ${request.url}`);
+    console.log(JSON.stringify(payload, null, 2));
+  });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Webhook stand-in listening on http://127.0.0.1:${PORT}/ (answering ${STATUS})`);
+});
@@ -0,0 +1,122 @@
+// tests/backup.test.mjs - Import previews (common/backup.js)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './load-scripts.mjs';
+
+// Loaded in the order options.html loads them
+const { autocheckoutBackup: backup } = loadScripts('common/profile-validator.js', 'common/storage-schema.js', 'common/crypto.js', 'common/backup.js');
+
+// Already normalized, so validateProfile returns it unchanged
+const MAIN = {
+  id: 'p1',
+  name: 'Main',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  address1: '1000 Nicollet Mall',
+  address2: '',
+  city: 'Minneapolis',
+  state: 'MN',
+  zip: '55403',
+  phone: '(612) 555-0100',
+  email: 'ada@example.com',
+  cardNumber: '4111111111111111',
+  cardBrand: 'visa',
+  expiryMonth: '03',
+  expiryYear: '2039',
+  cvv: '123'
+};
+const SPARE = { ...MAIN, id: 'p2', name: 'Spare', cardNumber: '5555555555554444', cardBrand: 'mastercard' };
+
+/**
+ * A profile as exported without payment data
+ * @param {Object} profile
+ * @returns {Object}
+ */
+function withoutPayment(profile) {
+  const { cardNumber, cardBrand, expiryMonth, expiryYear, cvv, ...rest } = profile;
+  return rest;
+}
+
+describe('diffProfiles', () => {
+  it('marks new, changed and unchanged profiles', () => {
+    const entries = backup.diffProfiles([MAIN, SPARE], [
+      MAIN,
+      { ...SPARE, city: 'Saint Paul', zip: '55101' },
+      { ...MAIN, id: 'p3', name: 'Gifts' }
+    ]);
+    assert.deepEqual(entries.map(entry => [entry.status, entry.apply]), [['unchanged', false], ['changed', true], ['added', true]]);
+    assert.deepEqual(entries[1].fields, ['city', 'zip']);
+  });
+
+  it('reports a different profile with a stored profile\'s name as a conflict', () => {
+    const [entry] = backup.diffProfiles([MAIN], [{ ...MAIN, id: 'other', name: ' main ' }]);
+    assert.equal(entry.status, 'conflict');
+    assert.equal(entry.existing, MAIN);
+    assert.equal(entry.apply, false);
+  });
+
+  it('rejects invalid profiles, non-objects and repeated ids', () => {
+    const entries = backup.diffProfiles([], [{ ...MAIN, zip: 'nope' }, 'profile', MAIN, { ...MAIN, name: 'Again' }]);
+    assert.deepEqual(entries.map(entry => entry.status), ['invalid', 'invalid', 'added', 'invalid']);
+    assert.equal(entries[0].reason, 'zip: ZIP must be 12345 or 12345-6789.');
+    assert.equal(entries[1].reason, 'Not a profile object');
+    assert.equal(entries[3].reason, 'Same id as an earlier profile in the file');
+  });
+
+  it('takes card details from the stored profile for an export without payment data', () => {
+    const [entry] = backup.diffProfiles([MAIN], [{ ...withoutPayment(MAIN), city: 'Saint Paul', zip: '55101' }], { withoutPayment: true });
+    assert.equal(entry.status, 'changed');
+    assert.equal(entry.profile.cardNumber, MAIN.cardNumber);
+    assert.deepEqual(entry.fields, ['city', 'zip']);
+  });
+
+  it('explains why a profile without payment data has no card', () => {
+    const [unknown] = backup.diffProfiles([], [withoutPayment(MAIN)], { withoutPayment: true });
+    assert.equal(unknown.reason, 'No stored profile to take card details from');
+    const [locked] = backup.diffProfiles([{ id: 'p1', name: 'Main', sealed: {} }], [withoutPayment(MAIN)], { withoutPayment: true });
+    assert.equal(locked.reason, 'Unlock the vault to take card details from the stored profile');
+  });
+
+  it('accepts sealed vault records that have an id', () => {
+    const sealed = { id: 'p1', name: 'Main', sealed: { iv: 'a', data: 'b' } };
+    assert.equal(backup.diffProfiles([MAIN], [sealed])[0].status, 'changed');
+    assert.equal(backup.diffProfiles([], [{ name: 'Main', sealed: {} }])[0].reason, 'Sealed record without an id');
+  });
+
+  it('removes stored profiles missing from the file only when replacing', () => {
+    assert.equal(backup.diffProfiles([MAIN, SPARE], [MAIN]).length, 1);
+    const entries = backup.diffProfiles([MAIN, SPARE], [MAIN], { replace: true });
+    assert.deepEqual(entries.map(entry => entry.status), ['unchanged', 'removed']);
+    assert.equal(entries[1].existing, SPARE);
+  });
+
+  it('keeps a stored profile the file has an invalid record for when replacing', () => {
+    const entries = backup.diffProfiles([MAIN, SPARE], [MAIN, { ...SPARE, zip: 'nope' }], { replace: true });
+    assert.deepEqual(entries.map(entry => entry.status), ['unchanged', 'invalid']);
+  });
+});
+
+describe('diffValues', () => {
+  const current = { globalSettings: { autoSubmit: true, randomizeDelay: false }, debugMode: true };
+
+  it('lists added and changed values by path, a new setting as a whole', () => {
+    assert.deepEqual(backup.diffValues(current, { globalSettings: { autoSubmit: false, theme: 'dark' }, budgets: { enabled: true } }), [
+      { path: 'globalSettings.autoSubmit', status: 'changed', from: true, to: false },
+      { path: 'globalSettings.theme', status: 'added', from: undefined, to: 'dark' },
+      { path: 'budgets', status: 'added', from: undefined, to: { enabled: true } }
+    ]);
+  });
+
+  it('lists nothing for equal values, arrays included', () => {
+    assert.deepEqual(backup.diffValues({ ...current, list: [1, 2] }, { ...current, list: [1, 2] }), []);
+  });
+
+  it('lists values missing from the import as removed only when replacing', () => {
+    const incoming = { globalSettings: { autoSubmit: true } };
+    assert.deepEqual(backup.diffValues(current, incoming), []);
+    assert.deepEqual(backup.diffValues(current, incoming, { replace: true }), [
+      { path: 'globalSettings.randomizeDelay', status: 'removed', from: false, to: undefined }
+    ]);
+  });
+});
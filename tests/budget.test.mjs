@@ -0,0 +1,161 @@
+// tests/budget.test.mjs - Spending caps (common/budget.js)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './load-scripts.mjs';
+
+const { autocheckoutBudget: budget } = loadScripts('common/budget.js');
+
+const NOW = new Date(2026, 9, 14, 12, 0).getTime(); // Wednesday
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * An order record as background/order-history.js saves it
+ * @param {Object} fields
+ * @returns {Object}
+ */
+function record(fields) {
+  return {
+    id: 'r' + Math.random().toString(36).slice(2),
+    tcin: '12345678',
+    price: 10,
+    quantity: 1,
+    profileId: 'p1',
+    profileName: 'Main',
+    outcome: 'placed',
+    orderTotal: null,
+    budgetReservedAt: null,
+    startedAt: NOW - HOUR,
+    ...fields
+  };
+}
+
+describe('getBudgetPeriodStarts', () => {
+  it('starts weeks on Monday and months on the 1st, at local midnight', () => {
+    const starts = budget.getBudgetPeriodStarts(NOW);
+    assert.equal(starts.day, new Date(2026, 9, 14).getTime());
+    assert.equal(starts.week, new Date(2026, 9, 12).getTime());
+    assert.equal(starts.month, new Date(2026, 9, 1).getTime());
+  });
+
+  it('counts Sunday in the week that started the Monday before', () => {
+    assert.equal(budget.getBudgetPeriodStarts(new Date(2026, 9, 18, 23).getTime()).week, new Date(2026, 9, 12).getTime());
+  });
+});
+
+describe('getRecordSpend', () => {
+  it('prefers the order total read on the review step', () => {
+    assert.equal(budget.getRecordSpend({ price: 10, quantity: 2, orderTotal: 23.45 }), 23.45);
+  });
+
+  it('falls back to price times quantity', () => {
+    assert.equal(budget.getRecordSpend({ price: 10, quantity: 3, orderTotal: null }), 30);
+  });
+
+  it('is 0, and not known, without a price or total', () => {
+    assert.equal(budget.getRecordSpend({ price: null, orderTotal: null }), 0);
+    assert.equal(budget.hasRecordSpend({ price: null, orderTotal: null }), false);
+  });
+});
+
+describe('countsAsSpend', () => {
+  it('counts placed orders', () => {
+    assert.equal(budget.countsAsSpend(record({ outcome: 'placed' }), NOW), true);
+  });
+
+  it('counts attempts in progress only while their reservation lasts', () => {
+    assert.equal(budget.countsAsSpend(record({ outcome: 'in-progress', budgetReservedAt: NOW - 60000 }), NOW), true);
+    assert.equal(budget.countsAsSpend(record({ outcome: 'in-progress', budgetReservedAt: NOW - budget.BUDGET_RESERVATION_MS }), NOW), false);
+    assert.equal(budget.countsAsSpend(record({ outcome: 'in-progress', budgetReservedAt: null }), NOW), false);
+  });
+
+  it('does not count failed attempts', () => {
+    assert.equal(budget.countsAsSpend(record({ outcome: 'failed', budgetReservedAt: NOW }), NOW), false);
+  });
+});
+
+describe('evaluateBudget', () => {
+  const attempt = { id: 'attempt', profileId: 'p1', profileName: 'Main', tcin: '12345678', price: 40, quantity: 1, orderTotal: null };
+
+  it('allows everything while the budget is off', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: false, monthlyMax: 1 });
+    assert.deepEqual(budget.evaluateBudget(budgets, [record({ price: 500 })], attempt, NOW), { allowed: true, violations: [] });
+  });
+
+  it('allows an order that fits under the monthly ceiling', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: true, monthlyMax: 100 });
+    const history = [record({ price: 30, quantity: 2 })];
+    assert.equal(budget.evaluateBudget(budgets, history, attempt, NOW).allowed, true);
+  });
+
+  it('blocks an order that goes over the monthly ceiling', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: true, monthlyMax: 100 });
+    const result = budget.evaluateBudget(budgets, [record({ price: 70 })], attempt, NOW);
+    assert.equal(result.allowed, false);
+    assert.deepEqual(result.violations, ['monthly ceiling $100.00 (spent $70.00, this order $40.00)']);
+  });
+
+  it('ignores orders from before this month', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: true, monthlyMax: 100 });
+    const history = [record({ price: 90, startedAt: new Date(2026, 8, 30).getTime() })];
+    assert.equal(budget.evaluateBudget(budgets, history, attempt, NOW).allowed, true);
+  });
+
+  it('checks the order total when the review step read one', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: true, monthlyMax: 100 });
+    const history = [record({ price: 10, orderTotal: 65 })];
+    const result = budget.evaluateBudget(budgets, history, { ...attempt, orderTotal: 43.2 }, NOW);
+    assert.deepEqual(result.violations, ['monthly ceiling $100.00 (spent $65.00, this order $43.20)']);
+  });
+
+  it('counts attempts still being submitted in other tabs', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: true, monthlyMax: 100 });
+    const history = [record({ outcome: 'in-progress', price: 70, budgetReservedAt: NOW - 1000 })];
+    assert.equal(budget.evaluateBudget(budgets, history, attempt, NOW).allowed, false);
+  });
+
+  it('does not count the attempt against itself', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: true, monthlyMax: 50 });
+    const history = [record({ id: 'attempt', outcome: 'in-progress', price: 40, budgetReservedAt: NOW - 1000 })];
+    assert.equal(budget.evaluateBudget(budgets, history, attempt, NOW).allowed, true);
+  });
+
+  it('never lets an order of unknown price past a cap', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: true, monthlyMax: 1000 });
+    const result = budget.evaluateBudget(budgets, [], { ...attempt, price: null }, NOW);
+    assert.equal(result.allowed, false);
+    assert.deepEqual(result.violations, ["monthly ceiling $1000.00 (spent $0.00, this order's price is unknown)"]);
+  });
+
+  it('allows an order of unknown price when no cap applies to it', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: true, profiles: { other: { dailyMax: 10 } } });
+    assert.equal(budget.evaluateBudget(budgets, [], { ...attempt, price: null }, NOW).allowed, true);
+  });
+
+  it('checks the daily and weekly limits of the attempt\'s profile only', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: true, profiles: { p1: { dailyMax: 50, weeklyMax: 120 } } });
+    const history = [
+      record({ price: 20 }),
+      record({ price: 70, startedAt: new Date(2026, 9, 12, 9).getTime() }),
+      record({ price: 500, profileId: 'p2' })
+    ];
+    assert.deepEqual(budget.evaluateBudget(budgets, history, attempt, NOW).violations, [
+      'daily limit for Main: $50.00 (spent $20.00, this order $40.00)',
+      'weekly limit for Main: $120.00 (spent $90.00, this order $40.00)'
+    ]);
+  });
+
+  it('limits the quantity of one TCIN over the SKU window', () => {
+    const budgets = budget.withBudgetDefaults({ enabled: true, skuMaxQuantity: 3, skuWindowDays: 7 });
+    const history = [
+      record({ quantity: 2 }),
+      record({ quantity: 5, startedAt: NOW - 8 * DAY }),
+      record({ quantity: 5, tcin: '87654321' })
+    ];
+    assert.equal(budget.evaluateBudget(budgets, history, attempt, NOW).allowed, true);
+    assert.deepEqual(budget.evaluateBudget(budgets, history, { ...attempt, quantity: 2 }, NOW).violations, [
+      'max 3 of TCIN 12345678 per 7 days (bought 2, this order 2)'
+    ]);
+  });
+});
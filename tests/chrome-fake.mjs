@@ -0,0 +1,198 @@
+// tests/chrome-fake.mjs - In-memory chrome.storage, chrome.runtime and chrome.tabs for the unit tests
+//
+// installChromeFake() puts a fake `chrome` on globalThis for the extension scripts to find. The
+// returned controller holds what they stored and sent, and makes the APIs fail the ways Chrome
+// does: chrome.runtime.lastError set while a callback runs, calls that throw "Extension context
+// invalidated." after the extension is reloaded, and storage calls that never call back. Storage
+// changes reach chrome.storage.onChanged listeners.
+
+/**
+ * Install a fake chrome API on globalThis
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Initial chrome.storage.local contents
+ * @param {Object} [options.manifest] - What chrome.runtime.getManifest() returns
+ * @param {Array} [options.tabs] - Tabs chrome.tabs.query() picks from
+ * @returns {Object} The controller
+ */
+export function installChromeFake(options = {}) {
+  const fake = {
+    /** chrome.storage.local contents */
+    data: structuredClone(options.storage || {}),
+    manifest: options.manifest || { manifest_version: 3, name: 'Polar Bot', version: '3.1' },
+    tabs: options.tabs || [],
+    /** Every chrome.runtime.sendMessage message, in order */
+    sentMessages: [],
+    /** Every chrome.tabs.sendMessage call as { tabId, message } */
+    tabMessages: [],
+    /** Answers chrome.runtime.sendMessage; replace to answer like the background would */
+    answerMessage: () => undefined,
+    /** While true, chrome.storage calls never call back (or settle) */
+    hangStorage: false,
+    invalidated: false,
+    pendingLastError: null,
+
+    /**
+     * Run the next storage callback with chrome.runtime.lastError set, as Chrome does on failure
+     * @param {string} message
+     */
+    failNextStorageCall(message) {
+      fake.pendingLastError = { message };
+    },
+
+    /** Make every API call throw, as after the extension is reloaded or updated */
+    invalidate() {
+      fake.invalidated = true;
+      chrome.runtime.id = undefined;
+    }
+  };
+
+  let lastError;
+  const checkContext = () => {
+    if (fake.invalidated) {
+      throw new Error('Extension context invalidated.');
+    }
+  };
+
+  // Calls back later (Chrome never answers synchronously), or returns a promise without a callback
+  const respond = (callback, produce, usesLastError = true) => {
+    checkContext();
+    const error = usesLastError ? fake.pendingLastError : null;
+    if (usesLastError) {
+      fake.pendingLastError = null;
+    }
+    if (fake.hangStorage && usesLastError) {
+      return callback ? undefined : new Promise(() => {});
+    }
+    const settle = () => {
+      const result = error ? undefined : produce();
+      if (!callback) {
+        return error ? Promise.reject(new Error(error.message)) : Promise.resolve(result);
+      }
+      lastError = error || undefined;
+      try {
+        callback(result);
+      } finally {
+        lastError = undefined;
+      }
+      return undefined;
+    };
+    if (!callback) {
+      return new Promise(resolve => setTimeout(resolve, 0)).then(settle);
+    }
+    setTimeout(settle, 0);
+    return undefined;
+  };
+
+  const pick = keys => {
+    if (keys === null || keys === undefined) {
+      return structuredClone(fake.data);
+    }
+    const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+    const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+    const result = {};
+    names.forEach(name => {
+      if (name in fake.data) {
+        result[name] = structuredClone(fake.data[name]);
+      } else if (name in defaults) {
+        result[name] = defaults[name];
+      }
+    });
+    return result;
+  };
+
+  const messageListeners = [];
+  const storageListeners = [];
+  // Store a change and tell the chrome.storage.onChanged listeners, as Chrome does
+  const change = apply => {
+    const before = structuredClone(fake.data);
+    apply();
+    const changes = {};
+    new Set([...Object.keys(before), ...Object.keys(fake.data)]).forEach(key => {
+      if (JSON.stringify(before[key]) !== JSON.stringify(fake.data[key])) {
+        changes[key] = { oldValue: before[key], newValue: structuredClone(fake.data[key]) };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      storageListeners.forEach(listener => listener(changes, 'local'));
+    }
+  };
+  const event = listeners => ({
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+    hasListener: listener => listeners.includes(listener)
+  });
+
+  const chrome = {
+    storage: {
+      local: {
+        get: (keys, callback) => respond(callback, () => pick(keys)),
+        set: (items, callback) => respond(callback, () => change(() => {
+          Object.assign(fake.data, structuredClone(items));
+        })),
+        remove: (keys, callback) => respond(callback, () => change(() => {
+          (Array.isArray(keys) ? keys : [keys]).forEach(key => delete fake.data[key]);
+        })),
+        clear: callback => respond(callback, () => change(() => {
+          fake.data = {};
+        }))
+      },
+      onChanged: event(storageListeners)
+    },
+    runtime: {
+      id: 'polar-bot-test',
+      get lastError() {
+        return lastError;
+      },
+      getManifest: () => {
+        checkContext();
+        return structuredClone(fake.manifest);
+      },
+      getURL: path => {
+        checkContext();
+        return 'chrome-extension://polar-bot-test/' + String(path).replace(/^\//, '');
+      },
+      sendMessage: (message, callback) => {
+        fake.sentMessages.push(message);
+        return respond(callback, () => fake.answerMessage(message), false);
+      },
+      onMessage: event(messageListeners)
+    },
+    tabs: {
+      query: (queryInfo, callback) => respond(callback, () => fake.tabs.filter(tab =>
+        Object.entries(queryInfo || {}).every(([key, value]) => tab[key] === value)), false),
+      sendMessage: (tabId, message, callback) => {
+        fake.tabMessages.push({ tabId, message });
+        return respond(callback, () => undefined, false);
+      }
+    }
+  };
+
+  fake.chrome = chrome;
+  /**
+   * Deliver a message to the chrome.runtime.onMessage listeners, as the background would
+   * @param {Object} message
+   * @param {Object} [sender]
+   * @returns {Promise<*>} The first response a listener sends
+   */
+  fake.dispatchMessage = (message, sender = { id: chrome.runtime.id }) => new Promise(resolve => {
+    let answered = false;
+    const sendResponse = response => {
+      if (!answered) {
+        answered = true;
+        resolve(response);
+      }
+    };
+    const keepsChannelOpen = messageListeners.map(listener => listener(message, sender, sendResponse)).includes(true);
+    if (!keepsChannelOpen) {
+      sendResponse(undefined);
+    }
+  });
+
+  globalThis.chrome = chrome;
+  return fake;
+}
@@ -0,0 +1,35 @@
+// tests/dom.mjs - A jsdom page for the unit tests of the DOM helpers (common/utils.js, common/element-finder.js)
+//
+// Install the page before loadScripts(): the scripts then attach their API to the page's window,
+// and since they run in the test process's global scope (see load-scripts.mjs), the page's
+// document, events and MutationObserver are copied onto globalThis too. jsdom does no layout:
+// every element has a zero-sized box until a test gives it one with setElementSize().
+
+import { JSDOM } from 'jsdom';
+
+const PAGE_GLOBALS = ['window', 'document', 'location', 'navigator', 'Node', 'Element', 'HTMLElement', 'Event', 'MouseEvent', 'KeyboardEvent', 'MutationObserver'];
+
+/**
+ * Put a jsdom page on globalThis
+ * @param {string} [html] - Body markup
+ * @returns {JSDOM}
+ */
+export function installDom(html = '') {
+  const dom = new JSDOM('<!DOCTYPE html><html><body>' + html + '</body></html>', { url: 'https://www.target.com/checkout' });
+  PAGE_GLOBALS.forEach(name => {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+  });
+  // Not implemented by jsdom; clickElement() scrolls before clicking
+  dom.window.HTMLElement.prototype.scrollIntoView = function () {};
+  return dom;
+}
+
+/**
+ * Give an element a layout box, since jsdom reports 0x0 for everything
+ * @param {Element} element
+ * @param {number} width
+ * @param {number} height
+ */
+export function setElementSize(element, width, height) {
+  element.getBoundingClientRect = () => ({ x: 0, y: 0, top: 0, left: 0, right: width, bottom: height, width, height });
+}
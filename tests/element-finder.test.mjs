@@ -0,0 +1,239 @@
+// tests/element-finder.test.mjs - Waiting for and watching page elements (common/element-finder.js)
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, setElementSize } from './dom.mjs';
+import { loadScripts } from './load-scripts.mjs';
+
+installDom();
+const { elementFinder: finder } = loadScripts('common/utils.js', 'common/element-finder.js');
+// The shared page observer (see "Shared page observer" in element-finder.js)
+const registry = globalThis.elementWatchRegistry;
+
+// Timers the helpers started and have not cleared or run yet
+const pendingTimers = new Set();
+const realSetTimeout = globalThis.setTimeout;
+const realClearTimeout = globalThis.clearTimeout;
+globalThis.setTimeout = (callback, ms, ...args) => {
+  const timer = realSetTimeout(() => {
+    pendingTimers.delete(timer);
+    callback(...args);
+  }, ms);
+  pendingTimers.add(timer);
+  return timer;
+};
+globalThis.clearTimeout = timer => {
+  pendingTimers.delete(timer);
+  realClearTimeout(timer);
+};
+
+// Lets the MutationObserver and promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const delay = ms => new Promise(resolve => realSetTimeout(resolve, ms));
+
+/**
+ * Add a button that counts as visible
+ * @param {string} id
+ * @param {string} [attributes] - Extra markup attributes
+ * @returns {HTMLButtonElement}
+ */
+function addButton(id, attributes = '') {
+  document.body.insertAdjacentHTML('beforeend', '<button id="' + id + '" ' + attributes + '>' + id + '</button>');
+  const button = document.getElementById(id);
+  setElementSize(button, 120, 40);
+  return button;
+}
+
+/** Nothing left watching the page: no observer, no watches, no timers */
+function assertReleased() {
+  assert.equal(registry.observer, null);
+  assert.equal(registry.watches.size, 0);
+  assert.equal(pendingTimers.size, 0);
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  document.body.innerHTML = '';
+});
+
+describe('waitForElement', () => {
+  it('resolves an element that is already there without observing', async () => {
+    const button = addButton('buy-now');
+    assert.equal(await finder.waitForElement('#buy-now'), button);
+    assertReleased();
+  });
+
+  it('resolves an element once it is added, then disconnects and clears its timeout', async () => {
+    const waiting = finder.waitForElement('#buy-now', 1000);
+    await flush();
+    assert.ok(registry.observer);
+    assert.equal(pendingTimers.size, 1);
+    const button = addButton('buy-now');
+    assert.equal(await waiting, button);
+    assertReleased();
+  });
+
+  it('waits for the element to pass isReady', async () => {
+    const button = addButton('buy-now', 'style="display: none"');
+    let resolved = null;
+    finder.waitForElement('#buy-now', 1000, finder.isElementVisible).then(element => {
+      resolved = element;
+    });
+    await flush();
+    assert.equal(resolved, null);
+    button.removeAttribute('style');
+    await flush();
+    assert.equal(resolved, button);
+    assertReleased();
+  });
+
+  it('resolves null after the timeout, then disconnects', async () => {
+    assert.equal(await finder.waitForElement('#buy-now', 30), null);
+    assertReleased();
+  });
+
+  it('shares one observer between waits and keeps it until the last one ends', async () => {
+    const first = finder.waitForElement('#buy-now', 1000);
+    const second = finder.waitForElement('#place-order', 1000);
+    await flush();
+    const observer = registry.observer;
+    addButton('buy-now');
+    await first;
+    assert.equal(registry.observer, observer);
+    assert.deepEqual(Array.from(registry.watches.keys()), ['#place-order']);
+    addButton('place-order');
+    await second;
+    assertReleased();
+  });
+
+  it('rejects an invalid selector without registering anything', async () => {
+    await assert.rejects(finder.waitForElement('button[', 30), { name: 'SyntaxError' });
+    assertReleased();
+  });
+});
+
+describe('createElementWatcher', () => {
+  it('runs the action for elements ready after each change, and check() for the page as it is', async () => {
+    const acted = [];
+    addButton('already-there');
+    const watcher = finder.createElementWatcher({
+      elementActions: {
+        '#already-there': () => acted.push('already-there'),
+        '#continue': () => acted.push('continue')
+      },
+      isReady: finder.isElementVisible
+    });
+    await flush();
+    assert.deepEqual(acted, []);
+    addButton('continue');
+    await flush();
+    assert.deepEqual(acted, ['already-there', 'continue']);
+    watcher.check();
+    assert.deepEqual(acted, ['already-there', 'continue', 'already-there', 'continue']);
+    watcher.disconnect();
+    assertReleased();
+  });
+
+  it('skips actions while shouldObserve returns false', async () => {
+    let observing = false;
+    let acted = 0;
+    const watcher = finder.createElementWatcher({
+      elementActions: { '#continue': () => acted++ },
+      shouldObserve: () => observing
+    });
+    addButton('continue');
+    await flush();
+    assert.equal(acted, 0);
+    observing = true;
+    document.body.append(document.createElement('div'));
+    await flush();
+    assert.equal(acted, 1);
+    watcher.disconnect();
+  });
+
+  it('disconnects the observer and stops acting', async () => {
+    let acted = 0;
+    const watcher = finder.createElementWatcher({ elementActions: { '#continue': () => acted++ } });
+    assert.ok(registry.observer);
+    watcher.disconnect();
+    assertReleased();
+    addButton('continue');
+    await flush();
+    assert.equal(acted, 0);
+    watcher.disconnect(); // A second call changes nothing
+    assertReleased();
+  });
+
+  it('runs a debounced action once per window, with the element as it is then', async () => {
+    const acted = [];
+    const watcher = finder.createElementWatcher({
+      elementActions: { '#continue': button => acted.push(button.textContent) },
+      debounceMs: 40
+    });
+    const button = addButton('continue');
+    await flush();
+    button.textContent = 'Continue to payment';
+    button.setAttribute('class', 'ready');
+    await flush();
+    assert.deepEqual(acted, []);
+    assert.equal(pendingTimers.size, 1);
+    await delay(60);
+    assert.deepEqual(acted, ['Continue to payment']);
+    assert.equal(pendingTimers.size, 0);
+    watcher.disconnect();
+    assertReleased();
+  });
+
+  it('clears a pending debounced action on disconnect', async () => {
+    let acted = 0;
+    const watcher = finder.createElementWatcher({
+      elementActions: { '#continue': () => acted++ },
+      debounceMs: 20
+    });
+    addButton('continue');
+    await flush();
+    assert.equal(pendingTimers.size, 1);
+    watcher.disconnect();
+    assertReleased();
+    await delay(40);
+    assert.equal(acted, 0);
+  });
+});
+
+describe('createButtonWatcher', () => {
+  it('clicks only visible, enabled buttons', async () => {
+    const clicked = [];
+    const watcher = finder.createButtonWatcher({
+      selector: '#place-order',
+      onClick: (button, buttonType) => clicked.push(buttonType),
+      buttonType: 'placeOrder'
+    });
+    const button = addButton('place-order', 'disabled');
+    await flush();
+    assert.deepEqual(clicked, []);
+    button.removeAttribute('disabled');
+    await flush();
+    assert.deepEqual(clicked, ['placeOrder']);
+    watcher.disconnect();
+    assertReleased();
+  });
+});
+
+describe('isElementVisible', () => {
+  it('needs an element with a size that no style hides', () => {
+    const button = addButton('buy-now');
+    assert.equal(finder.isElementVisible(button), true);
+    assert.equal(finder.isElementVisible(null), false);
+    ['display: none', 'visibility: hidden', 'opacity: 0'].forEach(style => {
+      button.setAttribute('style', style);
+      assert.equal(finder.isElementVisible(button), false, style);
+    });
+    button.removeAttribute('style');
+    setElementSize(button, 0, 0);
+    assert.equal(finder.isElementVisible(button), false);
+  });
+});
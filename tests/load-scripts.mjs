@@ -0,0 +1,38 @@
+// tests/load-scripts.mjs - Loads the extension's classic scripts for the unit tests in tests/
+//
+// Usage (from the repository root):
+//   npm test                          # same as: node --test tests/
+//   node --test tests/budget.test.mjs # one file
+//
+// The common/ scripts attach their API to window or globalThis instead of exporting it, the way
+// the pages and the service worker load them. node --test runs every test file in a process of
+// its own, so each file loads the scripts it needs straight into that process's global scope.
+// Tests of the page helpers install a jsdom page first (dom.mjs), which becomes `window`.
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const EXTENSION_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'Polar Bot v3.1 Free');
+
+/**
+ * Run extension scripts in order, as the page or service worker would
+ * @param {...string} files - Paths relative to the extension directory, e.g. 'common/budget.js'
+ * @returns {typeof globalThis} The window the scripts attached to (the global scope without a page)
+ */
+export function loadScripts(...files) {
+  globalThis.window = globalThis.window || globalThis;
+  // The scripts announce themselves when loaded; keep the test output to the results
+  const log = console.log;
+  console.log = () => {};
+  try {
+    files.forEach(file => {
+      const filename = path.join(EXTENSION_DIR, file);
+      vm.runInThisContext(readFileSync(filename, 'utf8'), { filename });
+    });
+  } finally {
+    console.log = log;
+  }
+  return globalThis.window;
+}
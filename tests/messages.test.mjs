@@ -0,0 +1,71 @@
+// tests/messages.test.mjs - Strict message mode (common/messages.js)
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeFake } from './chrome-fake.mjs';
+import { loadScripts } from './load-scripts.mjs';
+
+// messages.js follows debug mode through the chrome.storage.onChanged of the chrome it loads with
+const fake = installChromeFake({ storage: { debugMode: true } });
+const { autocheckoutMessages: messages } = loadScripts('common/messages.js');
+// Sent from the options page, for the route checks
+globalThis.location = { href: 'chrome-extension://polar-bot-test/ui/options/options.html' };
+
+// Lets the fake storage answer and the onChanged listener run
+const flush = () => new Promise(resolve => setTimeout(resolve, 5));
+const MALFORMED_DETECT_PAGE = { action: 'detectPage', site: 42 };
+
+beforeEach(async t => {
+  t.mock.method(console, 'warn', () => {});
+  fake.manifest = { manifest_version: 3, name: 'Polar Bot', version: '3.1' };
+  fake.data = { debugMode: true };
+  await messages.refreshMessageStrictMode();
+});
+
+describe('strict message mode', () => {
+  it('is on in an unpacked install with debug mode on', () => {
+    assert.equal(messages.isMessageStrictMode(), true);
+  });
+
+  it('makes checkIncomingMessage reject a malformed payload', () => {
+    assert.equal(messages.checkIncomingMessage(MALFORMED_DETECT_PAGE),
+      'Malformed message: site should be string; type should be string (missing)');
+    assert.equal(messages.checkIncomingMessage({ action: 'noSuchAction' }), 'Malformed message: Unknown message action: noSuchAction');
+    assert.equal(messages.checkIncomingMessage({ action: 'detectPage', site: 'target', type: 'product' }), null);
+  });
+
+  it('makes sending a malformed message throw', async () => {
+    await assert.rejects(messages.sendMessage('applyProxy', {}), { code: 'invalid', action: 'applyProxy' });
+    // The options page never sends runLog (only content scripts do)
+    await assert.rejects(messages.sendMessage('runLog', { entry: {} }), { code: 'invalid', message: /runLog is not sent from extension/ });
+    assert.deepEqual(fake.sentMessages, []);
+  });
+
+  it('is on while debug mode has not been set yet, as it defaults to on', async () => {
+    fake.data = {};
+    assert.equal(await messages.refreshMessageStrictMode(), true);
+  });
+
+  it('follows the debug mode switch in the options page', async () => {
+    await chrome.storage.local.set({ debugMode: false });
+    await flush();
+    assert.equal(messages.isMessageStrictMode(), false);
+    assert.equal(messages.checkIncomingMessage(MALFORMED_DETECT_PAGE), null);
+
+    await chrome.storage.local.set({ debugMode: true });
+    await flush();
+    assert.equal(messages.isMessageStrictMode(), true);
+    assert.notEqual(messages.checkIncomingMessage(MALFORMED_DETECT_PAGE), null);
+  });
+
+  it('is off in a store install, whatever debug mode says', async () => {
+    fake.manifest.update_url = 'https://clients2.google.com/service/update2/crx';
+    assert.equal(await messages.refreshMessageStrictMode(), false);
+    assert.equal(messages.checkIncomingMessage(MALFORMED_DETECT_PAGE), null);
+  });
+
+  it('is off once the extension context is gone', async () => {
+    fake.invalidate();
+    assert.equal(await messages.refreshMessageStrictMode(), false);
+  });
+});
@@ -0,0 +1,111 @@
+// tests/price-check.test.mjs - Review step price rules (common/price-check.js)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './load-scripts.mjs';
+
+const { autocheckoutPriceCheck: priceCheck } = loadScripts('common/price-check.js');
+
+/**
+ * Price check settings as getPriceCheckSettings returns them
+ * @param {Object} items - TCIN -> max unit price
+ * @param {Object} [limits]
+ * @returns {Object}
+ */
+function settings(items, limits = {}) {
+  return { enabled: true, closeTabOnFail: false, items, limits: { maxOrderTotal: null, maxShipping: null, ...limits } };
+}
+
+const SUMMARY = {
+  items: [{ tcin: '12345678', title: 'Booster Box', unitPrice: 49.99, quantity: 2 }],
+  subtotal: 99.98,
+  shipping: 0,
+  tax: 7.5,
+  total: 107.48
+};
+
+describe('parseMoney', () => {
+  it('reads dollar amounts with thousands separators', () => {
+    assert.equal(priceCheck.parseMoney('$1,024.99'), 1024.99);
+    assert.equal(priceCheck.parseMoney('  $ 5 '), 5);
+    assert.equal(priceCheck.parseMoney('Total: $12.5'), 12.5);
+  });
+
+  it('reads "Free" as 0', () => {
+    assert.equal(priceCheck.parseMoney('Free'), 0);
+    assert.equal(priceCheck.parseMoney('FREE shipping'), 0);
+  });
+
+  it('returns null when there is no amount', () => {
+    assert.equal(priceCheck.parseMoney(''), null);
+    assert.equal(priceCheck.parseMoney(null), null);
+    assert.equal(priceCheck.parseMoney('Calculated at checkout'), null);
+  });
+});
+
+describe('evaluateOrderSummary', () => {
+  it('allows everything while the price check is off', () => {
+    const result = priceCheck.evaluateOrderSummary({ ...settings({ 12345678: 1 }), enabled: false }, SUMMARY, { tcin: '12345678' });
+    assert.deepEqual(result, { allowed: true, violations: [], total: null });
+  });
+
+  it('allows an order within every rule and returns its total', () => {
+    const result = priceCheck.evaluateOrderSummary(settings({ 12345678: 50 }, { maxOrderTotal: 110, maxShipping: 5 }), SUMMARY, { tcin: '12345678', quantity: 2 });
+    assert.deepEqual(result, { allowed: true, violations: [], total: 107.48 });
+  });
+
+  it('blocks an item over its max unit price', () => {
+    const result = priceCheck.evaluateOrderSummary(settings({ 12345678: 45 }), SUMMARY, { tcin: '12345678' });
+    assert.deepEqual(result.violations, ['TCIN 12345678 costs $49.99 each, over the max $45.00']);
+  });
+
+  it('blocks a quantity other than the one ordered', () => {
+    const result = priceCheck.evaluateOrderSummary(settings({}), SUMMARY, { tcin: '12345678', quantity: 1 });
+    assert.deepEqual(result.violations, ['quantity is 2 instead of 1']);
+  });
+
+  it('blocks shipping over the max, or shipping that could not be read', () => {
+    const limits = { maxShipping: 5 };
+    assert.deepEqual(priceCheck.evaluateOrderSummary(settings({}, limits), { ...SUMMARY, shipping: 8.99 }).violations,
+      ['shipping $8.99 is over the max $5.00']);
+    assert.deepEqual(priceCheck.evaluateOrderSummary(settings({}, limits), { ...SUMMARY, shipping: null }).violations,
+      ['could not read the shipping charge']);
+  });
+
+  it('names the other items in an order total over the max', () => {
+    const summary = { ...SUMMARY, items: SUMMARY.items.concat({ tcin: '99999999', title: 'Sleeves', unitPrice: 9.99, quantity: 1 }), total: 118.96 };
+    const result = priceCheck.evaluateOrderSummary(settings({}, { maxOrderTotal: 110 }), summary, { tcin: '12345678' });
+    assert.deepEqual(result.violations, ['order total $118.96 is over the max $110.00 (includes 1 other item)']);
+    assert.equal(result.total, 118.96);
+  });
+
+  it('adds up the summary when the page shows no total', () => {
+    const result = priceCheck.evaluateOrderSummary(settings({}, { maxOrderTotal: 200 }), { ...SUMMARY, total: null }, {});
+    assert.equal(result.allowed, true);
+    assert.equal(Math.round(result.total * 100), 10748);
+  });
+
+  it('blocks an order total that could not be read or added up', () => {
+    const summary = { ...SUMMARY, items: [{ ...SUMMARY.items[0], unitPrice: null }], total: null };
+    const result = priceCheck.evaluateOrderSummary(settings({}, { maxOrderTotal: 200 }), summary, {});
+    assert.deepEqual(result.violations, ['could not read the order total']);
+  });
+
+  it('blocks a ruled item whose price could not be read', () => {
+    const summary = { ...SUMMARY, items: [{ ...SUMMARY.items[0], unitPrice: null }] };
+    const result = priceCheck.evaluateOrderSummary(settings({ 12345678: 50 }), summary, { tcin: '12345678' });
+    assert.deepEqual(result.violations, ['could not read the price of TCIN 12345678']);
+  });
+
+  it('never submits under a rule when the summary could not be read', () => {
+    assert.deepEqual(priceCheck.evaluateOrderSummary(settings({ 12345678: 50 }), null, { tcin: '12345678' }).violations,
+      ['could not read the order summary']);
+    assert.deepEqual(priceCheck.evaluateOrderSummary(settings({}, { maxOrderTotal: 100 }), { items: [] }, {}).violations,
+      ['could not read the order summary']);
+  });
+
+  it('allows an unreadable summary when no rule applies to the order', () => {
+    const result = priceCheck.evaluateOrderSummary(settings({ 87654321: 50 }), null, { tcin: '12345678' });
+    assert.deepEqual(result, { allowed: true, violations: [], total: null });
+  });
+});
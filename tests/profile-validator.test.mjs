@@ -0,0 +1,123 @@
+// tests/profile-validator.test.mjs - Billing profile checks (common/profile-validator.js)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './load-scripts.mjs';
+
+const { autocheckoutProfileValidator: validator } = loadScripts('common/profile-validator.js');
+
+const NOW = new Date(2026, 9, 14);
+
+const PROFILE = {
+  id: 'p1',
+  name: ' Main ',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  address1: '1000 Nicollet Mall',
+  address2: '',
+  city: 'Minneapolis',
+  state: 'minnesota',
+  zip: '55403',
+  phone: '+1 612.555.0100',
+  email: ' Ada@Example.com ',
+  cardNumber: '4111 1111-1111 1111',
+  expiryMonth: '3',
+  expiryYear: '29',
+  cvv: '123'
+};
+
+/**
+ * Validate PROFILE with some fields changed
+ * @param {Object} [changes]
+ * @returns {Object} See validateProfile
+ */
+function validate(changes = {}) {
+  return validator.validateProfile({ ...PROFILE, ...changes }, { now: NOW });
+}
+
+describe('validateProfile', () => {
+  it('accepts a complete profile and normalizes every field', () => {
+    const result = validate();
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, {});
+    assert.deepEqual(result.profile, {
+      ...PROFILE,
+      name: 'Main',
+      state: 'MN',
+      phone: '(612) 555-0100',
+      email: 'ada@example.com',
+      cardNumber: '4111111111111111',
+      cardBrand: 'visa',
+      expiryMonth: '03',
+      expiryYear: '2029'
+    });
+  });
+
+  it('does not change the profile it was given', () => {
+    const profile = { ...PROFILE };
+    validator.validateProfile(profile, { now: NOW });
+    assert.deepEqual(profile, PROFILE);
+  });
+
+  it('requires every field but address2', () => {
+    const result = validator.validateProfile({}, { now: NOW });
+    assert.equal(result.valid, false);
+    assert.deepEqual(Object.keys(result.errors).sort(), [...validator.PROFILE_REQUIRED_FIELDS].sort());
+    assert.equal(validate({ city: '  ' }).errors.city, 'Required.');
+  });
+
+  it('checks the card number digits, length and checksum', () => {
+    assert.equal(validate({ cardNumber: '4111 1111 1111 111x' }).errors.cardNumber, 'Card number can only contain digits.');
+    assert.equal(validate({ cardNumber: '41111111111111' }).errors.cardNumber, 'Visa numbers are 13 or 16 or 19 digits long.');
+    assert.equal(validate({ cardNumber: '4111111111111112' }).errors.cardNumber, 'Card number is not valid (check the digits).');
+    assert.equal(validate({ cardNumber: '91111111111' }).errors.cardNumber, 'Card number must be 12 to 19 digits.');
+  });
+
+  it('checks the CVV length of the card brand', () => {
+    assert.equal(validate({ cvv: '1234' }).errors.cvv, 'Visa CVV is 3 digits.');
+    const amex = validate({ cardNumber: '378282246310005', cvv: '1234' });
+    assert.equal(amex.valid, true);
+    assert.equal(amex.profile.cardBrand, 'amex');
+  });
+
+  it('accepts a card through the last day of its expiry month', () => {
+    assert.equal(validate({ expiryMonth: '10', expiryYear: '2026' }).valid, true);
+    assert.equal(validate({ expiryMonth: '09', expiryYear: '2026' }).errors.expiryYear, 'Card has expired.');
+  });
+
+  it('checks the expiry month and year', () => {
+    assert.equal(validate({ expiryMonth: '13' }).errors.expiryMonth, 'Month must be 01 to 12.');
+    assert.equal(validate({ expiryYear: '202' }).errors.expiryYear, 'Year must be YYYY.');
+    assert.equal(validate({ expiryYear: '2050' }).errors.expiryYear, 'Expiry year is too far in the future.');
+  });
+
+  it('checks the state, and that the ZIP is in it', () => {
+    assert.equal(validate({ state: 'Ontario' }).errors.state, 'Not a US state (use e.g. MN or Minnesota).');
+    assert.equal(validate({ zip: '5540' }).errors.zip, 'ZIP must be 12345 or 12345-6789.');
+    assert.equal(validate({ zip: '90210' }).errors.zip, 'ZIP 90210 is not in Minnesota.');
+    assert.equal(validate({ zip: '554031234' }).profile.zip, '55403-1234');
+  });
+
+  it('checks the phone number and email address', () => {
+    assert.equal(validate({ phone: '555-0100' }).errors.phone, 'Phone must be a 10-digit US number.');
+    assert.equal(validate({ email: 'ada@example' }).errors.email, 'Not a valid email address.');
+  });
+
+  it('normalizes fulfillment preferences', () => {
+    const result = validate({ fulfillment: { order: [' Pickup', 'shipping', 'pickup'], pickupStore: ' Downtown ', skus: { 12345678: ['delivery'] } } });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.profile.fulfillment, { order: ['pickup', 'shipping'], pickupStore: 'Downtown', skus: { 12345678: ['delivery'] } });
+  });
+
+  it('rejects unknown fulfillment options and TCINs', () => {
+    assert.equal(validate({ fulfillment: { order: ['drone'] } }).errors.fulfillment, 'Fulfillment options must be shipping, pickup, delivery.');
+    assert.equal(validate({ fulfillment: { skus: { abc: ['pickup'] } } }).errors.fulfillment, 'Not a TCIN: abc');
+  });
+});
+
+describe('describeProfileErrors', () => {
+  it('lists every error on one line', () => {
+    assert.equal(validator.describeProfileErrors({ zip: 'ZIP must be 12345 or 12345-6789.', cvv: 'CVV must be 3 or 4 digits.' }),
+      'zip: ZIP must be 12345 or 12345-6789. cvv: CVV must be 3 or 4 digits.');
+  });
+});
@@ -0,0 +1,134 @@
+// tests/storage-schema.test.mjs - Storage migrations (common/storage-schema.js)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './load-scripts.mjs';
+
+// The registry and Target adapter give the site setting defaults, as in the service worker
+const { autocheckoutStorageSchema: schema } = loadScripts('sites/registry.js', 'sites/target/adapter.js', 'common/storage-schema.js');
+
+describe('migrateStorageData', () => {
+  it('runs every migration on empty storage and fills in the defaults', () => {
+    const { data, from, to, applied } = schema.migrateStorageData({});
+    assert.equal(from, 0);
+    assert.equal(to, schema.STORAGE_SCHEMA_VERSION);
+    assert.deepEqual(applied, schema.STORAGE_MIGRATIONS.map(migration => migration.version + ': ' + migration.description));
+    assert.equal(data.schemaVersion, schema.STORAGE_SCHEMA_VERSION);
+    assert.deepEqual(data.profiles, []);
+    assert.equal(data.selectedProfile, '');
+    assert.equal(data.debugMode, true);
+    assert.deepEqual(data.globalSettings, { autoSubmit: true, randomizeDelay: false });
+    assert.equal(data.siteSettings.target.enabled, false);
+  });
+
+  it('runs only the migrations newer than the stored version', () => {
+    const { from, applied } = schema.migrateStorageData({ schemaVersion: 2 });
+    assert.equal(from, 2);
+    assert.deepEqual(applied, ['3: Store price check limits as numbers']);
+  });
+
+  it('leaves current data as it is', () => {
+    const current = schema.migrateStorageData({ profiles: [{ id: 'p1', name: 'Main', cardNumber: '4111111111111111' }] }).data;
+    const { data, applied } = schema.migrateStorageData(current);
+    assert.deepEqual(applied, []);
+    assert.deepEqual(data, current);
+  });
+
+  it('does not change the snapshot it was given', () => {
+    const stored = { enabled: true, profiles: [{ name: 'Main', payment: { cardNumber: 4111111111111111 } }] };
+    const copy = JSON.parse(JSON.stringify(stored));
+    schema.migrateStorageData(stored);
+    assert.deepEqual(stored, copy);
+  });
+
+  it('refuses data from a newer version of the extension', () => {
+    assert.throws(() => schema.migrateStorageData({ schemaVersion: schema.STORAGE_SCHEMA_VERSION + 1 }), /newer than this extension/);
+  });
+});
+
+// One test per legacy shape listed at the top of storage-schema.js
+describe('migrateStorageData from legacy shapes', () => {
+  it('moves the schema 0 global enabled flag to the Target toggle', () => {
+    const { data } = schema.migrateStorageData({ enabled: true, globalSettings: { autoSubmit: false } });
+    assert.equal('enabled' in data, false);
+    assert.equal(data.siteSettings.target.enabled, true);
+    assert.deepEqual(data.globalSettings, { autoSubmit: false, randomizeDelay: false, rememberState: true });
+    assert.equal(schema.migrateStorageData({ enabled: false }).data.siteSettings.target.enabled, false);
+  });
+
+  it('keeps a Target toggle that was already set over the global flag', () => {
+    const { data } = schema.migrateStorageData({ enabled: false, siteSettings: { target: { enabled: true } } });
+    assert.equal(data.siteSettings.target.enabled, true);
+  });
+
+  it('coerces schema 0 site settings held as strings', () => {
+    const { data } = schema.migrateStorageData({ siteSettings: { target: { enabled: 'true', quantity: '3', profileId: 7 } } });
+    assert.deepEqual(data.siteSettings.target, { enabled: false, quantity: 3, profileId: '7' });
+    assert.equal(schema.migrateStorageData({ siteSettings: { target: { quantity: 'two' } } }).data.siteSettings.target.quantity, 1);
+  });
+
+  it('flattens a profile that keeps its card under payment', () => {
+    const { data } = schema.migrateStorageData({
+      profiles: [{ id: 'p1', name: 'Main', payment: { cardNumber: 4111111111111111, cvv: 123, expiryMonth: 3, expiryYear: 2029, nameOnCard: 'Ada Lovelace' } }]
+    });
+    assert.deepEqual(data.profiles, [{
+      id: 'p1',
+      name: 'Main',
+      cardNumber: '4111111111111111',
+      cvv: '123',
+      expiryMonth: '3',
+      expiryYear: '2029',
+      nameOnCard: 'Ada Lovelace'
+    }]);
+  });
+
+  it('flattens a profile that keeps its card under paymentMethod, with every card field', () => {
+    const { data } = schema.migrateStorageData({
+      profiles: [{ id: 'p1', name: 'Main', paymentMethod: { cardNumber: '4111111111111111', cvv: '123', expiryMonth: '03', expiryYear: '2029', nameOnCard: 'Ada Lovelace', cardType: 'visa' } }]
+    });
+    const [profile] = data.profiles;
+    assert.equal('paymentMethod' in profile, false);
+    assert.equal(profile.cardNumber, '4111111111111111');
+    assert.equal(profile.nameOnCard, 'Ada Lovelace');
+    assert.equal(profile.cardType, 'visa');
+  });
+
+  it('keeps card fields already on the profile over the nested ones', () => {
+    const { data } = schema.migrateStorageData({
+      profiles: [{ id: 'p1', cardNumber: '5555555555554444', cvv: '', payment: { cardNumber: '4111111111111111', cvv: '123' }, paymentMethod: { cvv: '999', nameOnCard: 'Ada' } }]
+    });
+    assert.deepEqual(data.profiles, [{ id: 'p1', cardNumber: '5555555555554444', cvv: '123', nameOnCard: 'Ada' }]);
+  });
+
+  it('leaves sealed vault records for the vault to flatten', () => {
+    const sealed = { id: 'p1', name: 'Main', sealed: { iv: 'a', data: 'b' } };
+    assert.deepEqual(schema.migrateStorageData({ profiles: [sealed], selectedProfile: 'p1' }).data.profiles, [sealed]);
+  });
+
+  it('gives profiles without an id one and drops records that are not profiles', () => {
+    const { data } = schema.migrateStorageData({ profiles: [{ name: 'Main' }, null, 'profile', { id: 'p2', name: 'Spare' }] });
+    assert.equal(data.profiles.length, 2);
+    assert.match(data.profiles[0].id, /^migrated-/);
+    assert.equal(data.profiles[1].id, 'p2');
+  });
+
+  it('selects the first profile when the selected one is missing or unknown', () => {
+    const profiles = [{ id: 'p1' }, { id: 'p2' }];
+    assert.equal(schema.migrateStorageData({ profiles }).data.selectedProfile, 'p1');
+    assert.equal(schema.migrateStorageData({ profiles, selectedProfile: 'gone' }).data.selectedProfile, 'p1');
+    assert.equal(schema.migrateStorageData({ profiles, selectedProfile: 'p2' }).data.selectedProfile, 'p2');
+    assert.equal(schema.migrateStorageData({ selectedProfile: 'gone' }).data.selectedProfile, '');
+  });
+
+  it('turns schema 2 price check limits and flags held as strings into numbers and booleans', () => {
+    const { data } = schema.migrateStorageData({
+      schemaVersion: 2,
+      price_check_items: { ' 12345678 ': '$1,024.99', 87654321: 'abc', 11111111: '0', '  ': '5' },
+      price_check_enabled: 'true',
+      price_check_closeTabOnFail: 'false'
+    });
+    assert.deepEqual(data.price_check_items, { 12345678: 1024.99 });
+    assert.equal(data.price_check_enabled, true);
+    assert.equal(data.price_check_closeTabOnFail, false);
+  });
+});
@@ -0,0 +1,138 @@
+// tests/storage.test.mjs - chrome.storage wrappers (common/storage.js)
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeFake } from './chrome-fake.mjs';
+import { loadScripts } from './load-scripts.mjs';
+
+// sites/target/checkout.js hands safeGetStorage to the page as window.safeGetStorage
+const window = loadScripts('common/storage.js', 'sites/target/checkout.js');
+const storage = window.autocheckoutStorage;
+
+let fake;
+beforeEach(() => {
+  fake = installChromeFake({ storage: { debugMode: true, profiles: [{ id: 'p1' }] } });
+});
+
+/**
+ * Silence the console output the wrappers log on failure
+ * @param {import('node:test').TestContext} t
+ */
+function quiet(t) {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+}
+
+describe('getFromStorage', () => {
+  it('resolves the stored values of the keys asked for', async () => {
+    assert.deepEqual(await storage.getFromStorage('debugMode'), { debugMode: true });
+    assert.deepEqual(await storage.getFromStorage(['profiles', 'missing']), { profiles: [{ id: 'p1' }] });
+    assert.deepEqual(await storage.getFromStorage(null), { debugMode: true, profiles: [{ id: 'p1' }] });
+  });
+
+  it('rejects with chrome.runtime.lastError', async t => {
+    quiet(t);
+    fake.failNextStorageCall('QUOTA_BYTES quota exceeded');
+    await assert.rejects(storage.getFromStorage('debugMode'), { message: 'QUOTA_BYTES quota exceeded' });
+  });
+
+  it('rejects once the extension context is invalidated', async () => {
+    fake.invalidate();
+    await assert.rejects(storage.getFromStorage('debugMode'), { message: 'Extension context invalidated.' });
+  });
+
+  it('rejects without a storage API', async t => {
+    quiet(t);
+    delete fake.chrome.storage;
+    await assert.rejects(storage.getFromStorage('debugMode'), { message: 'Storage API not available' });
+  });
+});
+
+describe('saveToStorage', () => {
+  it('stores the values', async () => {
+    await storage.saveToStorage({ debugMode: false, selectedProfile: 'p1' });
+    assert.equal(fake.data.debugMode, false);
+    assert.equal(fake.data.selectedProfile, 'p1');
+  });
+
+  it('rejects with chrome.runtime.lastError and stores nothing', async t => {
+    quiet(t);
+    fake.failNextStorageCall('QUOTA_BYTES quota exceeded');
+    await assert.rejects(storage.saveToStorage({ debugMode: false }), { message: 'QUOTA_BYTES quota exceeded' });
+    assert.equal(fake.data.debugMode, true);
+  });
+
+  it('rejects once the extension context is invalidated', async () => {
+    fake.invalidate();
+    await assert.rejects(storage.saveToStorage({ debugMode: false }), { message: 'Extension context invalidated.' });
+  });
+
+  it('rejects without a storage API', async t => {
+    quiet(t);
+    delete fake.chrome.storage;
+    await assert.rejects(storage.saveToStorage({ debugMode: false }), { message: 'Storage API not available' });
+  });
+});
+
+describe('safeGetStorage', () => {
+  it('is what the Target checkout page uses', () => {
+    assert.equal(window.safeGetStorage, storage.safeGetStorage);
+    assert.equal(window.targetCheckoutLoaded, true);
+  });
+
+  it('resolves the stored values of the keys asked for', async () => {
+    assert.deepEqual(await storage.safeGetStorage(['debugMode']), { debugMode: true });
+  });
+
+  it('resolves {} on chrome.runtime.lastError', async t => {
+    quiet(t);
+    fake.failNextStorageCall('QUOTA_BYTES quota exceeded');
+    assert.deepEqual(await storage.safeGetStorage('debugMode'), {});
+  });
+
+  it('resolves {} once the extension context is invalidated', async t => {
+    quiet(t);
+    fake.invalidate();
+    assert.deepEqual(await storage.safeGetStorage('debugMode'), {});
+  });
+
+  it('resolves {} without a storage API', async t => {
+    quiet(t);
+    delete globalThis.chrome;
+    assert.deepEqual(await storage.safeGetStorage('debugMode'), {});
+  });
+
+  it('resolves {} when storage never answers, after the default timeout', async t => {
+    quiet(t);
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    fake.hangStorage = true;
+    let result = null;
+    storage.safeGetStorage('debugMode').then(value => {
+      result = value;
+    });
+    t.mock.timers.tick(window.SAFE_STORAGE_TIMEOUT_MS - 1);
+    await Promise.resolve();
+    assert.equal(result, null);
+    t.mock.timers.tick(1);
+    await Promise.resolve();
+    assert.deepEqual(result, {});
+  });
+
+  it('takes a shorter timeout', async t => {
+    quiet(t);
+    fake.hangStorage = true;
+    const started = Date.now();
+    assert.deepEqual(await storage.safeGetStorage('debugMode', 20), {});
+    assert.ok(Date.now() - started < window.SAFE_STORAGE_TIMEOUT_MS);
+  });
+
+  it('clears its timeout once storage answers', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const warn = t.mock.method(console, 'warn', () => {});
+    const result = storage.safeGetStorage('debugMode');
+    t.mock.timers.tick(0); // The fake answers on the next turn
+    assert.deepEqual(await result, { debugMode: true });
+    t.mock.timers.tick(window.SAFE_STORAGE_TIMEOUT_MS);
+    assert.equal(warn.mock.callCount(), 0);
+  });
+});
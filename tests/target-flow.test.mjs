@@ -0,0 +1,81 @@
+// tests/target-flow.test.mjs - Target checkout flow declaration (sites/target/flow.js)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './load-scripts.mjs';
+
+const { createTargetCheckoutFlow } = loadScripts('common/checkout-base.js', 'sites/target/flow.js');
+// Classes declared by a script are globals, but not properties of the global object
+const CheckoutFlow = (0, eval)('CheckoutFlow');
+
+/**
+ * A Target flow with hooks that record what they were called with
+ * @param {Object} [overrides] - Hooks to replace
+ * @returns {{flow: CheckoutFlow, calls: string[]}}
+ */
+function createFlow(overrides = {}) {
+  const calls = [];
+  const hooks = {
+    canCheckout: () => true,
+    canGoToCheckout: () => true,
+    onReady: () => calls.push('ready'),
+    onRehearsed: () => calls.push('rehearsed'),
+    onConfirmed: () => calls.push('confirmed'),
+    onFailed: detail => calls.push('failed: ' + detail.reason),
+    ...overrides
+  };
+  return { flow: new CheckoutFlow('target', createTargetCheckoutFlow(hooks)), calls };
+}
+
+describe('createTargetCheckoutFlow', () => {
+  it('declares only transitions to declared states', () => {
+    // CheckoutFlow validates the definition when it is built
+    assert.equal(createFlow().flow.state, 'idle');
+  });
+
+  it('runs a Buy Now checkout from the product page to the confirmation', () => {
+    const { flow, calls } = createFlow();
+    ['start', 'addToCart', 'buyNow', 'confirmed'].forEach(event => assert.equal(flow.send(event), true, event));
+    assert.equal(flow.state, 'confirmation');
+    assert.deepEqual(calls, ['confirmed']);
+    flow.reset('test');
+  });
+
+  it('runs a cart checkout through every checkout page step', () => {
+    const { flow, calls } = createFlow();
+    ['start', 'addToCart', 'popups', 'goToCheckout'].forEach(event => assert.equal(flow.send(event), true, event));
+    assert.equal(flow.state, 'to-checkout');
+    // The checkout page is a new page load: the flow is picked up again from idle
+    flow.reset('navigation');
+    ['resume', 'shipping', 'payment', 'review', 'cvv', 'review', 'submitDisabled'].forEach(event => assert.equal(flow.send(event), true, event));
+    assert.equal(flow.state, 'ready');
+    assert.deepEqual(calls, ['ready']);
+  });
+
+  it('does not start without a checkout profile or while recovering from a Buy Now error', () => {
+    let canCheckout = false;
+    let canGoToCheckout = false;
+    const { flow } = createFlow({ canCheckout: () => canCheckout, canGoToCheckout: () => canGoToCheckout });
+    assert.equal(flow.send('start'), false);
+    canCheckout = true;
+    ['start', 'addToCart', 'popups'].forEach(event => assert.equal(flow.send(event), true, event));
+    assert.equal(flow.send('goToCheckout'), false);
+    assert.equal(flow.state, 'popups');
+    canGoToCheckout = true;
+    assert.equal(flow.send('goToCheckout'), true);
+    flow.reset('test');
+  });
+
+  it('rejects steps out of order and fails from any state', () => {
+    const { flow, calls } = createFlow();
+    flow.send('start');
+    assert.equal(flow.send('review'), false);
+    assert.equal(flow.state, 'product');
+    assert.equal(flow.send('fail', { reason: 'Out of stock' }), true);
+    assert.equal(flow.state, 'failed');
+    assert.deepEqual(calls, ['failed: Out of stock']);
+    // A failed run can be started again
+    assert.equal(flow.send('start'), true);
+    flow.reset('test');
+  });
+});
@@ -0,0 +1,224 @@
+// tests/utils.test.mjs - Delays, clicks and field filling (common/utils.js)
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './dom.mjs';
+import { loadScripts } from './load-scripts.mjs';
+
+installDom();
+loadScripts('common/utils.js');
+// utils.js declares its helpers as globals instead of attaching an API object
+const { sleep, fillField, clickElement, setCheckoutPaused, isCheckoutPaused } = globalThis;
+
+// Lets timers outside the mocked setTimeout and pending promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Track when a promise settles, for tests that move mocked timers forward
+ * @param {Promise} promise
+ * @returns {{settled: boolean}}
+ */
+function track(promise) {
+  const state = { settled: false };
+  promise.then(() => {
+    state.settled = true;
+  });
+  return state;
+}
+
+// The helpers log every click and failure to the page console
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  setCheckoutPaused(false);
+  document.body.innerHTML = '';
+});
+
+describe('sleep', () => {
+  it('waits the number of milliseconds given', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const state = track(sleep(100));
+    t.mock.timers.tick(99);
+    await flush();
+    assert.equal(state.settled, false);
+    t.mock.timers.tick(1);
+    await flush();
+    assert.equal(state.settled, true);
+  });
+
+  it('randomizes the delay within the variance', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    t.mock.method(Math, 'random', () => 0);
+    const shortest = track(sleep(100, true));
+    t.mock.timers.tick(70);
+    await flush();
+    assert.equal(shortest.settled, true);
+
+    Math.random.mock.mockImplementation(() => 0.9999);
+    const longest = track(sleep(100, true, 0.5));
+    t.mock.timers.tick(149);
+    await flush();
+    assert.equal(longest.settled, false);
+    t.mock.timers.tick(1);
+    await flush();
+    assert.equal(longest.settled, true);
+  });
+
+  it('waits while the checkout is paused and goes on when it resumes', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    setCheckoutPaused(true);
+    assert.equal(isCheckoutPaused(), true);
+    const state = track(sleep(10));
+    t.mock.timers.tick(1000);
+    await flush();
+    assert.equal(state.settled, false);
+    setCheckoutPaused(false);
+    await flush();
+    assert.equal(state.settled, true);
+  });
+
+  it('never goes on when the paused step is abandoned', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    setCheckoutPaused(true);
+    const state = track(sleep(10));
+    t.mock.timers.tick(10);
+    await flush();
+    setCheckoutPaused(false, true);
+    await flush();
+    assert.equal(state.settled, false);
+    // Later calls are not held up
+    const next = track(sleep(10));
+    t.mock.timers.tick(10);
+    await flush();
+    assert.equal(next.settled, true);
+  });
+});
+
+describe('fillField', () => {
+  it('clears and fills the field, firing input and change', async () => {
+    document.body.innerHTML = '<input id="cvv" value="old">';
+    const input = document.getElementById('cvv');
+    const events = [];
+    ['input', 'change'].forEach(type => input.addEventListener(type, () => events.push(type + ':' + input.value)));
+    assert.equal(await fillField(input, '123'), true);
+    assert.equal(input.value, '123');
+    assert.deepEqual(events, ['input:', 'input:123', 'change:123']);
+    assert.equal(document.activeElement, input);
+  });
+
+  it('does nothing without an element or a value', async () => {
+    document.body.innerHTML = '<input id="cvv" value="old">';
+    const input = document.getElementById('cvv');
+    assert.equal(await fillField(null, '123'), false);
+    assert.equal(await fillField(input, null), false);
+    assert.equal(await fillField(input, undefined), false);
+    assert.equal(input.value, 'old');
+  });
+
+  it('fills an empty string', async () => {
+    document.body.innerHTML = '<input id="apt" value="4B">';
+    assert.equal(await fillField(document.getElementById('apt'), ''), true);
+    assert.equal(document.getElementById('apt').value, '');
+  });
+
+  it('returns false when the field cannot be filled', async t => {
+    t.mock.method(console, 'error', () => {});
+    document.body.innerHTML = '<input id="cvv">';
+    const input = document.getElementById('cvv');
+    input.dispatchEvent = () => {
+      throw new Error('Detached');
+    };
+    assert.equal(await fillField(input, '123'), false);
+  });
+
+  it('waits while the checkout is paused', async () => {
+    document.body.innerHTML = '<input id="cvv">';
+    const input = document.getElementById('cvv');
+    setCheckoutPaused(true);
+    const result = fillField(input, '123');
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.equal(input.value, '');
+    setCheckoutPaused(false);
+    assert.equal(await result, true);
+    assert.equal(input.value, '123');
+  });
+});
+
+describe('clickElement', () => {
+  /**
+   * @returns {{button: HTMLButtonElement, received: string[]}}
+   */
+  function addButton() {
+    document.body.innerHTML = '<button id="place-order">Place your order</button>';
+    const button = document.getElementById('place-order');
+    const received = [];
+    button.addEventListener('click', event => received.push('click' + (event instanceof MouseEvent ? ':mouse' : '')));
+    button.addEventListener('keydown', event => received.push('keydown:' + event.key));
+    return { button, received };
+  }
+
+  const failClick = button => {
+    button.click = () => {
+      throw new Error('click blocked');
+    };
+  };
+  const failMouseEvents = button => {
+    const dispatch = button.dispatchEvent.bind(button);
+    button.dispatchEvent = event => {
+      if (event instanceof MouseEvent) {
+        throw new Error('MouseEvent blocked');
+      }
+      return dispatch(event);
+    };
+  };
+
+  it('clicks the element', async () => {
+    const { button, received } = addButton();
+    assert.equal(await clickElement(button, 'place order button'), true);
+    assert.deepEqual(received, ['click:mouse']);
+  });
+
+  it('falls back to a dispatched MouseEvent when click() throws', async () => {
+    const { button, received } = addButton();
+    failClick(button);
+    assert.equal(await clickElement(button), true);
+    assert.deepEqual(received, ['click:mouse']);
+  });
+
+  it('falls back to focus and Enter when MouseEvents fail too', async () => {
+    const { button, received } = addButton();
+    failClick(button);
+    failMouseEvents(button);
+    assert.equal(await clickElement(button), true);
+    assert.deepEqual(received, ['keydown:Enter']);
+    assert.equal(document.activeElement, button);
+  });
+
+  it('returns false when every click method fails', async () => {
+    const { button, received } = addButton();
+    failClick(button);
+    button.dispatchEvent = () => {
+      throw new Error('Detached');
+    };
+    assert.equal(await clickElement(button), false);
+    assert.deepEqual(received, []);
+  });
+
+  it('returns false without an element', async () => {
+    assert.equal(await clickElement(null), false);
+  });
+
+  it('waits while the checkout is paused', async () => {
+    const { button, received } = addButton();
+    setCheckoutPaused(true);
+    const result = clickElement(button);
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.deepEqual(received, []);
+    setCheckoutPaused(false);
+    assert.equal(await result, true);
+    assert.deepEqual(received, ['click:mouse']);
+  });
+});